@@ -1,7 +1,16 @@
 import { spawn } from "node:child_process";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join, resolve } from "node:path";
 import { setTimeout as sleep } from "node:timers/promises";
 import { io } from "socket.io-client";
 import { CTF_WIN_SCORE } from "../src/shared/matchConfig.js";
+import { NET_PROTOCOL } from "../src/shared/netCodec.js";
+import { BinaryNetChannel } from "../src/game/net/BinaryNetChannel.js";
+import { getBlockSupport } from "../src/game/build/BlockPalette.js";
+import { buildSelectedMapGrid } from "../src/game/world/MapRegistry.js";
+import { PLAYER_HEIGHT } from "../src/shared/movement.js";
+import { STRUCTURE_GROUND_Y, findUnsupportedBlocks } from "../src/shared/structuralIntegrity.js";
 
 const HOST = "127.0.0.1";
 const START_PORT = 3301;
@@ -10,6 +19,12 @@ const RUN_COORD_SEED = Math.trunc(Date.now() % 97) + Math.floor(Math.random() *
 const RUN_BASE_X = Math.max(-210, Math.min(210, 24 + RUN_COORD_SEED));
 const RUN_BASE_Z = Math.max(-210, Math.min(210, -24 - RUN_COORD_SEED));
 const RUN_BLOCK_Y = 96;
+const TEAM_SPAWN = {
+  alpha: { x: -35, y: 1.75, z: 0 },
+  bravo: { x: 35, y: 1.75, z: 0 }
+};
+const BANDWIDTH_WINDOW_MS = 3000;
+const BANDWIDTH_SYNC_MS = 1000 / 12;
 
 function makeRunCoord(dx, dz) {
   return {
@@ -71,6 +86,34 @@ function hasPlacedBlock(snapshotPayload, x, y, z) {
   );
 }
 
+// Map blocks standing alone on top of a single column (tree trunks, posts): removing one would drop
+// what it carries if the map's own blocks had to obey the palette's support values.
+function findMapPillarCells(grid, limit = 4) {
+  const cells = [];
+  for (let x = -80; x <= 80 && cells.length < limit; x += 1) {
+    for (let z = -80; z <= 80 && cells.length < limit; z += 1) {
+      for (let y = -6; y <= 30; y += 1) {
+        if (
+          !grid.hasBlock(x, y, z) ||
+          !grid.hasBlock(x, y + 1, z) ||
+          grid.hasBlock(x + 1, y, z) ||
+          grid.hasBlock(x - 1, y, z) ||
+          grid.hasBlock(x, y, z + 1) ||
+          grid.hasBlock(x, y, z - 1)
+        ) {
+          continue;
+        }
+        const getTypeAt = (cx, cy, cz) => (cx === x && cy === y && cz === z ? 0 : grid.getTypeAt(cx, cy, cz));
+        if (findUnsupportedBlocks([{ x, y, z }], getTypeAt, { getSupport: getBlockSupport }).length > 0) {
+          cells.push({ x, y, z });
+          break;
+        }
+      }
+    }
+  }
+  return cells;
+}
+
 function readMyTeam(room, socketId) {
   const players = Array.isArray(room?.players) ? room.players : [];
   const me = players.find((player) => String(player?.id ?? "") === String(socketId));
@@ -86,10 +129,72 @@ function readStockValue(stockPayload, typeId) {
   return Number.isFinite(value) ? Math.max(0, Math.trunc(value)) : 0;
 }
 
+function makeShotPayload(targetId, from, to) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const dz = to.z - from.z;
+  const length = Math.hypot(dx, dy, dz) || 1;
+  return {
+    targetId,
+    origin: { x: from.x, y: from.y, z: from.z },
+    direction: { x: dx / length, y: dy / length, z: dz / length },
+    shotAt: Date.now()
+  };
+}
+
+// Eye height a player walking over `grid` ends up at in (x, z): one block up onto a step,
+// otherwise down onto whatever is below. Walls two blocks high stop the walk, as they would in game.
+function getWalkEyeY(grid, x, z, eyeY) {
+  const cellX = Math.floor(x);
+  const cellZ = Math.floor(z);
+  const isFree = (feetY) => !grid.hasBlock(cellX, feetY, cellZ) && !grid.hasBlock(cellX, feetY + 1, cellZ);
+  let feetY = Math.round(eyeY - PLAYER_HEIGHT);
+  if (!isFree(feetY)) {
+    feetY += 1;
+  }
+  while (isFree(feetY) && feetY > STRUCTURE_GROUND_Y && !grid.hasBlock(cellX, feetY - 1, cellZ)) {
+    feetY -= 1;
+  }
+  return feetY + PLAYER_HEIGHT;
+}
+
+// Walks through each point in turn, keeping to the ground of `grid`; returns where it ended.
+async function walkTo(socket, grid, from, ...points) {
+  let at = { ...from };
+  for (const to of points) {
+    const start = at;
+    const steps = Math.max(1, Math.ceil(Math.hypot(to.x - start.x, to.z - start.z) / 1.5));
+    for (let i = 1; i <= steps; i += 1) {
+      const t = i / steps;
+      const x = start.x + (to.x - start.x) * t;
+      const z = start.z + (to.z - start.z) * t;
+      at = { x, y: getWalkEyeY(grid, x, z, at.y), z };
+      socket.emit("player:sync", { ...at, yaw: 0, pitch: 0 });
+      await sleep(150);
+    }
+  }
+  return at;
+}
+
+// Forest's straight line between the bases runs into the hut on the hill, so walks keep to z = 2.
+const ARENA_LANE_Z = 2;
+
+function walkAlongLane(socket, grid, from, to) {
+  return walkTo(socket, grid, from, { x: from.x, z: ARENA_LANE_Z }, { x: to.x, z: ARENA_LANE_Z }, to);
+}
+
+async function fetchHealth(url) {
+  const response = await fetch(`${url}/health`, { headers: { accept: "application/json" } });
+  return response.json();
+}
+
+// The server keeps GLOBAL's voted map and edits under `storage/` in its working directory, so each
+// run starts it in a scratch directory instead of inheriting the last run's world.
 async function createServerProcess() {
   const port = START_PORT + Math.floor(Math.random() * (END_PORT - START_PORT));
-  const server = spawn(process.execPath, ["server.js"], {
-    cwd: process.cwd(),
+  const workDir = mkdtempSync(join(tmpdir(), "playtest-2client-"));
+  const server = spawn(process.execPath, [resolve("server.js")], {
+    cwd: workDir,
     env: { ...process.env, PORT: String(port) },
     stdio: ["ignore", "pipe", "pipe"]
   });
@@ -111,20 +216,38 @@ async function createServerProcess() {
   await waitFor(() => ready || server.exitCode !== null, 7000);
   assert(server.exitCode === null && ready, `서버 기동 실패\n${bootLog}`);
 
-  return { server, port };
+  return { server, port, workDir };
 }
 
-function connectClient(url) {
+function connectClient(url, { binary = false } = {}) {
   const socket = io(url, {
     transports: ["websocket"],
     reconnection: true,
     reconnectionAttempts: 8,
     reconnectionDelay: 120,
-    timeout: 5000
+    timeout: 5000,
+    ...(binary ? { auth: { netProtocol: NET_PROTOCOL } } : {})
   });
   return socket;
 }
 
+function measureTraffic(socket) {
+  const meter = { bytes: 0 };
+  const count = (packet) => {
+    const data = packet?.data;
+    if (typeof data === "string") {
+      meter.bytes += Buffer.byteLength(data) + 1;
+    } else if (data?.byteLength !== undefined) {
+      meter.bytes += data.byteLength + 1;
+    } else {
+      meter.bytes += 1;
+    }
+  };
+  socket.io.engine.on("packet", count);
+  socket.io.engine.on("packetCreate", count);
+  return meter;
+}
+
 async function waitConnected(socket, name) {
   await waitFor(() => socket.connected, 6000);
   assert(socket.connected, `${name} 연결 실패`);
@@ -272,14 +395,22 @@ async function scenarioCombatAndCtfInteraction(url) {
     assert(teamA?.ok === true && teamB?.ok === true, "전투 시나리오 팀 배정 실패");
 
     let sawPvpDamage = false;
+    let lastPvpDamage = 0;
+    let lastPvpHitZone = "";
     let sawBlockSync = false;
     let pickupCount = 0;
     let captureCount = 0;
     let sawMatchEnd = false;
+    let matchEndVote = null;
+    let latestVoteCounts = [];
+    let voteResult = null;
+    let restartedAt = 0;
 
     a.on("pvp:damage", (payload = {}) => {
       if (String(payload.attackerId ?? "") === String(a.id) && String(payload.victimId ?? "") === String(b.id)) {
         sawPvpDamage = true;
+        lastPvpDamage = Number(payload.damage);
+        lastPvpHitZone = String(payload.hitZone ?? "");
       }
     });
 
@@ -308,8 +439,18 @@ async function scenarioCombatAndCtfInteraction(url) {
       const winnerTeam = String(payload?.winnerTeam ?? "");
       if (winnerTeam === "alpha") {
         sawMatchEnd = true;
+        matchEndVote = payload?.vote ?? null;
       }
     });
+    a.on("vote:update", (payload = {}) => {
+      latestVoteCounts = Array.isArray(payload.counts) ? payload.counts : [];
+    });
+    a.on("vote:result", (payload = {}) => {
+      voteResult = payload;
+    });
+    a.on("room:started", (payload = {}) => {
+      restartedAt = Number(payload.startedAt) || 0;
+    });
 
     const combatBlockPos = makeRunCoord(-8, -8);
     a.emit("block:update", {
@@ -321,42 +462,196 @@ async function scenarioCombatAndCtfInteraction(url) {
     });
     await waitFor(() => sawBlockSync, 4000);
 
+    const alphaSpawn = { x: -35, y: 1.75, z: 0 };
+    const bravoSpawn = { x: 35, y: 1.75, z: 0 };
+    const shooterPos = { x: -10, y: 1.75, z: ARENA_LANE_Z };
+    const targetPos = { x: 10, y: 1.75, z: ARENA_LANE_Z };
+    const targetChest = { ...targetPos, y: 1.15 };
+    let lastCorrection = null;
+    a.on("player:correction", (payload = {}) => {
+      lastCorrection = payload;
+    });
+
+    a.emit("player:sync", { ...shooterPos, yaw: 0, pitch: 0 });
+    await waitFor(() => lastCorrection !== null, 3000);
+    assert(lastCorrection?.reason === "spawn", `스폰 밖 첫 위치가 보정되지 않음: ${JSON.stringify(lastCorrection)}`);
+
+    a.emit("player:sync", { ...alphaSpawn, yaw: 0, pitch: 0 });
+    b.emit("player:sync", { ...bravoSpawn, yaw: 0, pitch: 0 });
+    await sleep(80);
+    const combatSnapshot = await emitAck(a, "room:request-snapshot");
+    const { grid: combatGrid } = buildSelectedMapGrid({
+      mapId: combatSnapshot?.snapshot?.mapId,
+      seed: combatSnapshot?.snapshot?.mapSeed
+    });
+    await Promise.all([
+      walkAlongLane(a, combatGrid, alphaSpawn, shooterPos),
+      walkAlongLane(b, combatGrid, bravoSpawn, targetPos)
+    ]);
+
+    lastCorrection = null;
+    a.emit("player:sync", { x: 40, y: 1.75, z: ARENA_LANE_Z, yaw: 0, pitch: 0 });
+    await waitFor(() => lastCorrection !== null, 3000);
+    assert(
+      lastCorrection?.reason === "speed" && Math.abs(Number(lastCorrection?.state?.x) - shooterPos.x) < 0.01,
+      `순간이동이 서버 위치로 보정되지 않음: ${JSON.stringify(lastCorrection)}`
+    );
+    lastCorrection = null;
+    a.emit("player:sync", { ...shooterPos, y: shooterPos.y - 2, yaw: 0, pitch: 0 });
+    await waitFor(() => lastCorrection !== null, 3000);
+    assert(lastCorrection?.reason === "solid", `지형 속으로 들어간 이동이 보정되지 않음: ${JSON.stringify(lastCorrection)}`);
+    const movementHealth = await fetchHealth(url);
+    const corrected = (Array.isArray(movementHealth?.movementViolations) ? movementHealth.movementViolations : []).find(
+      (entry) => String(entry?.id ?? "") === String(a.id)
+    );
+    assert(Number(corrected?.count) >= 2, "이동 보정 횟수가 집계되지 않음");
+
+    // Reach checks see the map's own terrain: a block under the ground is out of reach from above.
+    const groundY = combatGrid.getSurfaceYAt(shooterPos.x, shooterPos.z);
+    assert(
+      groundY !== null && combatGrid.hasBlock(shooterPos.x, groundY - 1, shooterPos.z),
+      "사수 발밑에서 지형을 찾지 못했습니다"
+    );
+    const buried = await emitAck(a, "block:update", {
+      action: "remove",
+      x: shooterPos.x,
+      y: groundY - 3,
+      z: shooterPos.z
+    });
+    assert(
+      buried?.ok === false && buried.error === "다른 블록에 가려져 닿지 않습니다",
+      `지형에 가려진 블록이 제거되었습니다: ${JSON.stringify(buried)}`
+    );
+    const longLine = await emitAck(a, "block:update", {
+      action: "place",
+      blocks: Array.from({ length: 16 }, (_, dx) => ({
+        x: shooterPos.x + dx,
+        y: groundY + 3,
+        z: shooterPos.z,
+        typeId: 6
+      }))
+    });
+    assert(
+      longLine?.ok === false && longLine.error === "블록이 너무 멀리 있습니다",
+      `사거리 밖 블록이 섞인 묶음 설치가 허용되었습니다: ${JSON.stringify(longLine)}`
+    );
+
     for (let i = 0; i < 12 && !sawPvpDamage; i += 1) {
-      a.emit("pvp:shoot", { targetId: b.id });
+      a.emit("pvp:shoot", { ...makeShotPayload(b.id, shooterPos, targetChest), damage: 999 });
       await sleep(220);
     }
     await waitFor(() => sawPvpDamage, 4000);
+    assert(lastPvpDamage === 34, `소총 피해량이 무기 테이블과 다름: ${lastPvpDamage}`);
+    assert(lastPvpHitZone === "torso", `몸통 사격 부위가 다름: ${lastPvpHitZone}`);
+
+    const badWeapon = await emitAck(a, "weapon:equip", { weaponId: "railgun" });
+    assert(badWeapon?.ok === false, "알 수 없는 무기 장착이 허용됨");
+    const pistol = await emitAck(a, "weapon:equip", { weaponId: "pistol" });
+    assert(pistol?.ok === true, "권총 장착 실패");
+    await sleep(400);
+    sawPvpDamage = false;
+    a.emit("pvp:shoot", makeShotPayload(b.id, shooterPos, targetPos));
+    await waitFor(() => sawPvpDamage, 4000);
+    assert(lastPvpDamage === 42, `권총 헤드샷 피해량이 다름: ${lastPvpDamage}`);
+    assert(lastPvpHitZone === "head", `헤드샷 부위가 다름: ${lastPvpHitZone}`);
+    await emitAck(a, "weapon:equip", { weaponId: "rifle" });
+    await sleep(400);
+
+    sawPvpDamage = false;
+    a.emit("pvp:shoot", makeShotPayload(b.id, shooterPos, { x: -10, y: 1.75, z: -30 }));
+    a.emit("pvp:shoot", { targetId: b.id });
+    await sleep(400);
+    assert(sawPvpDamage === false, "조준이 빗나간 사격에 PvP 데미지 발생");
+    const health = await fetchHealth(url);
+    const rejected = (Array.isArray(health?.rejectedShots) ? health.rejectedShots : []).find(
+      (entry) => String(entry?.id ?? "") === String(a.id)
+    );
+    assert(Number(rejected?.count) >= 2, "거부된 사격 횟수가 집계되지 않음");
 
     const bSame = await emitAck(b, "room:set-team", { team: "alpha" });
     assert(bSame?.ok === true, "동일 팀 전환 실패");
     sawPvpDamage = false;
-    a.emit("pvp:shoot", { targetId: b.id });
+    a.emit("pvp:shoot", makeShotPayload(b.id, shooterPos, targetPos));
     await sleep(500);
     assert(sawPvpDamage === false, "동일 팀에도 PvP 데미지 발생");
 
     const bBack = await emitAck(b, "room:set-team", { team: "bravo" });
     assert(bBack?.ok === true, "적 팀 복귀 실패");
 
+    // A guest who walks back through the online portal lands on their team spawn without a correction.
+    const deployer = starter === a ? b : a;
+    const deployerPos = deployer === a ? shooterPos : targetPos;
+    const deployerSpawn = deployer === a ? alphaSpawn : bravoSpawn;
+    const deployed = await emitAck(deployer, "portal:enter", { portalId: "online" });
+    assert(deployed?.ok === true && deployed.action === "deploy", `온라인 포탈 재배치 실패: ${JSON.stringify(deployed)}`);
+    let deployCorrection = null;
+    const onDeployCorrection = (payload = {}) => {
+      deployCorrection = payload;
+    };
+    deployer.on("player:correction", onDeployCorrection);
+    deployer.emit("player:sync", { ...deployerSpawn, yaw: 0, pitch: 0 });
+    await sleep(300);
+    deployer.off("player:correction", onDeployCorrection);
+    assert(deployCorrection === null, `포탈 재배치 후 스폰 위치가 보정되었습니다: ${JSON.stringify(deployCorrection)}`);
+    await walkAlongLane(deployer, combatGrid, deployerSpawn, deployerPos);
+
+    const pickupPos = { x: 42, z: 0 };
+    const capturePos = { x: -34, z: 0 };
+    let carrierPos = shooterPos;
     for (let i = 0; i < CTF_WIN_SCORE; i += 1) {
-      a.emit("player:sync", { x: 44, y: 1.75, z: 0, yaw: 0, pitch: 0 });
-      await sleep(80);
+      carrierPos = await walkAlongLane(a, combatGrid, carrierPos, pickupPos);
       const pickupAck = await emitAck(a, "ctf:interact");
       assert(pickupAck?.ok === true, `ctf:interact 실패 (#${i + 1})`);
       await waitFor(() => pickupCount >= i + 1, 4500);
       if (i === 0) {
         sawPvpDamage = false;
         for (let shot = 0; shot < 4; shot += 1) {
-          a.emit("pvp:shoot", { targetId: b.id });
+          a.emit("pvp:shoot", makeShotPayload(b.id, carrierPos, targetPos));
           await sleep(120);
         }
         await sleep(320);
         assert(sawPvpDamage === false, "깃발 운반 중에도 사격 피해가 적용됨");
       }
-      a.emit("player:sync", { x: -35, y: 1.75, z: 0, yaw: 0, pitch: 0 });
+      carrierPos = await walkAlongLane(a, combatGrid, carrierPos, capturePos);
       await waitFor(() => captureCount >= i + 1, 4500);
       await sleep(80);
     }
     await waitFor(() => sawMatchEnd, 4500);
+
+    const options = Array.isArray(matchEndVote?.options) ? matchEndVote.options : [];
+    const pairs = new Set(options.map((option) => `${option.mapId}:${option.mode}`));
+    assert(options.length === 3 && pairs.size === 3, `맵 투표 후보가 3개가 아닙니다: ${JSON.stringify(matchEndVote)}`);
+    assert(!pairs.has("forest_frontline:ctf"), "방금 플레이한 맵과 모드가 투표 후보에 있습니다");
+
+    const badVote = await emitAck(b, "vote:cast", { optionId: 9 });
+    assert(badVote?.ok === false, "없는 투표 항목이 허용되었습니다");
+    const [voteA, voteB] = await Promise.all([
+      emitAck(a, "vote:cast", { optionId: options[0].id }),
+      emitAck(b, "vote:cast", { optionId: options[1].id })
+    ]);
+    assert(voteA?.ok === true && voteB?.ok === true, "맵 투표 실패");
+    const switched = await emitAck(b, "vote:cast", { optionId: options[0].id });
+    assert(switched?.ok === true, "투표 변경 실패");
+    await waitFor(() => latestVoteCounts[0] === 2 && latestVoteCounts[1] === 0, 3000);
+
+    await waitFor(() => voteResult !== null && restartedAt > 0, 9000);
+    assert(
+      voteResult.source === "vote" && voteResult.mapId === options[0].mapId && voteResult.mode === options[0].mode,
+      `투표 결과가 최다 득표 항목이 아닙니다: ${JSON.stringify(voteResult)}`
+    );
+    const votedSnapshot = await emitAck(b, "room:request-snapshot");
+    assert(
+      votedSnapshot?.snapshot?.mapId === options[0].mapId && votedSnapshot?.snapshot?.mode === options[0].mode,
+      "투표한 맵과 모드로 다음 라운드가 시작되지 않았습니다"
+    );
+    assert(votedSnapshot?.snapshot?.vote === null, "새 라운드에 투표가 남아 있습니다");
+
+    // GLOBAL changes map and mode only by vote; not even its host can switch them by hand.
+    const [globalMap, globalMode] = await Promise.all([
+      emitAck(starter, "room:set-map", { mapId: "forest_frontline" }),
+      emitAck(starter, "room:set-mode", { mode: "ctf" })
+    ]);
+    assert(globalMap?.ok === false && globalMode?.ok === false, "공용 방의 맵이나 모드가 직접 바뀌었습니다");
   } finally {
     a.disconnect();
     b.disconnect();
@@ -442,9 +737,406 @@ async function scenarioBlockStockAuthoritative(url) {
   }
 }
 
+async function scenarioStructuralCollapse(url) {
+  const a = connectClient(url);
+  const b = connectClient(url);
+
+  try {
+    await Promise.all([waitConnected(a, "A"), waitConnected(b, "B")]);
+    const created = await emitAck(a, "room:create", { name: "BUILD_A", capacity: 4 });
+    assert(created?.ok === true, `붕괴 시나리오 방 생성 실패: ${JSON.stringify(created)}`);
+    const joined = await emitAck(b, "room:join", { code: created.room.code, name: "BUILD_B" });
+    assert(joined?.ok === true, `붕괴 시나리오 방 참가 실패: ${JSON.stringify(joined)}`);
+
+    const denied = await emitAck(b, "room:set-structure", { enabled: true });
+    assert(denied?.ok === false, "방장이 아닌데 구조 붕괴 설정이 바뀌었습니다");
+    const enabled = await emitAck(a, "room:set-structure", { enabled: true });
+    assert(enabled?.ok === true && enabled.enabled === true, `구조 붕괴 켜기 실패: ${JSON.stringify(enabled)}`);
+
+    let collapseA = null;
+    let collapseB = null;
+    const batchesB = [];
+    a.on("block:update", (payload = {}) => {
+      if (payload.action === "collapse") {
+        collapseA = payload;
+      }
+    });
+    b.on("block:update", (payload = {}) => {
+      if (payload.action === "collapse") {
+        collapseB = payload;
+      } else if (Array.isArray(payload.blocks)) {
+        batchesB.push(payload);
+      }
+    });
+
+    // The map's own blocks stay put: cutting a trunk leaves the canopy it carried in place.
+    const mapSnapshot = await emitAck(a, "room:request-snapshot");
+    const { grid } = buildSelectedMapGrid({
+      mapId: mapSnapshot?.snapshot?.mapId,
+      seed: mapSnapshot?.snapshot?.mapSeed
+    });
+    const pillars = findMapPillarCells(grid);
+    assert(pillars.length > 0, "맵에서 기둥 모양 지형을 찾지 못했습니다");
+    let cutPillar = null;
+    for (const pillar of pillars) {
+      const cut = await emitAck(a, "block:update", { action: "remove", ...pillar });
+      if (cut?.ok === true) {
+        cutPillar = pillar;
+        break;
+      }
+    }
+    assert(cutPillar, `지형 기둥 제거 실패: ${JSON.stringify(pillars)}`);
+    await sleep(300);
+    assert(collapseA === null && collapseB === null, `맵 지형이 무너졌습니다: ${JSON.stringify(collapseB)}`);
+
+    // Outside the map, so the column starts on the ground layer and the beam hangs over nothing.
+    const base = { x: 100, y: -8, z: 100 };
+    const stone = 3;
+    const cells = [
+      [0, 0],
+      [0, 1],
+      [1, 1],
+      [2, 1],
+      [3, 1]
+    ];
+    for (const [dx, dy] of cells) {
+      const placed = await emitAck(a, "block:update", {
+        action: "place",
+        x: base.x + dx,
+        y: base.y + dy,
+        z: base.z,
+        typeId: stone
+      });
+      assert(placed?.ok === true, `지지된 돌 설치 실패 (${dx},${dy}): ${JSON.stringify(placed)}`);
+    }
+    const overhang = await emitAck(a, "block:update", {
+      action: "place",
+      x: base.x + 4,
+      y: base.y + 1,
+      z: base.z,
+      typeId: stone
+    });
+    assert(overhang?.ok === false, "지지 범위를 넘은 돌 설치가 허용되었습니다");
+
+    const removed = await emitAck(a, "block:update", {
+      action: "remove",
+      x: base.x,
+      y: base.y + 1,
+      z: base.z
+    });
+    assert(removed?.ok === true, `기둥 제거 실패: ${JSON.stringify(removed)}`);
+    await waitFor(() => collapseA !== null && collapseB !== null, 3000);
+    const fallenXs = collapseB.blocks.map((block) => block.x - base.x).sort((left, right) => left - right);
+    assert(fallenXs.join() === "1,2,3", `붕괴 블록 목록이 다릅니다: ${JSON.stringify(collapseB)}`);
+    assert(
+      collapseA.roomStateRevision === collapseB.roomStateRevision,
+      "붕괴 이벤트가 한 번에 전달되지 않았습니다"
+    );
+
+    const snapshot = await emitAck(b, "room:request-snapshot");
+    assert(!hasPlacedBlock(snapshot, base.x + 2, base.y + 1, base.z), "무너진 블록이 스냅샷에 남아 있습니다");
+    assert(hasPlacedBlock(snapshot, base.x, base.y, base.z), "바닥 블록까지 무너졌습니다");
+
+    // A pillar and its beam in one batch hold each other up; one block too many sinks the whole batch.
+    const frame = { x: 110, y: -8, z: 100 };
+    const frameBlocks = cells.map(([dx, dy]) => ({
+      x: frame.x + dx,
+      y: frame.y + dy,
+      z: frame.z,
+      typeId: stone
+    }));
+    const tooLong = await emitAck(a, "block:update", {
+      action: "place",
+      blocks: [...frameBlocks, { x: frame.x + 4, y: frame.y + 1, z: frame.z, typeId: stone }]
+    });
+    assert(tooLong?.ok === false, "지지 범위를 넘은 묶음 설치가 허용되었습니다");
+    const frameSnapshot = await emitAck(b, "room:request-snapshot");
+    assert(!hasPlacedBlock(frameSnapshot, frame.x, frame.y, frame.z), "거절된 묶음의 블록이 일부 설치되었습니다");
+
+    const framed = await emitAck(a, "block:update", { action: "place", blocks: frameBlocks });
+    assert(framed?.ok === true, `기둥과 들보 묶음 설치 실패: ${JSON.stringify(framed)}`);
+    await waitFor(() => batchesB.length > 0, 3000);
+    assert(
+      batchesB.length === 1 && batchesB[0].blocks.length === frameBlocks.length,
+      `묶음 설치가 한 번의 block:update로 전달되지 않았습니다: ${JSON.stringify(batchesB)}`
+    );
+  } finally {
+    a.disconnect();
+    b.disconnect();
+    await sleep(100);
+  }
+}
+
+async function scenarioMapSelection(url) {
+  const a = connectClient(url);
+  const b = connectClient(url);
+
+  try {
+    await Promise.all([waitConnected(a, "A"), waitConnected(b, "B")]);
+    const created = await emitAck(a, "room:create", { name: "MAP_A", capacity: 4 });
+    assert(created?.ok === true, `맵 선택 시나리오 방 생성 실패: ${JSON.stringify(created)}`);
+    const joined = await emitAck(b, "room:join", { code: created.room.code, name: "MAP_B" });
+    assert(joined?.ok === true, `맵 선택 시나리오 방 참가 실패: ${JSON.stringify(joined)}`);
+
+    const denied = await emitAck(b, "room:set-map", { mapId: "desert_canyon" });
+    assert(denied?.ok === false, "방장이 아닌데 맵이 바뀌었습니다");
+
+    const cell = { x: 104, y: -8, z: 96 };
+    const placed = await emitAck(a, "block:update", { action: "place", ...cell, typeId: 3 });
+    assert(placed?.ok === true, `숲 전선 블록 설치 실패: ${JSON.stringify(placed)}`);
+
+    const desert = await emitAck(a, "room:set-map", { mapId: "desert_canyon" });
+    assert(desert?.activeMapId === "desert_canyon", `라운드 전 맵 변경이 바로 적용되지 않았습니다: ${JSON.stringify(desert)}`);
+    const desertSnapshot = await emitAck(b, "room:request-snapshot");
+    assert(desertSnapshot?.snapshot?.mapId === "desert_canyon", "스냅샷 mapId가 사막 협곡이 아닙니다");
+    assert(!hasPlacedBlock(desertSnapshot, cell.x, cell.y, cell.z), "숲 전선 블록이 사막 협곡에 남아 있습니다");
+
+    const forest = await emitAck(a, "room:set-map", { mapId: "forest_frontline" });
+    assert(forest?.activeMapId === "forest_frontline", `숲 전선 복귀 실패: ${JSON.stringify(forest)}`);
+    const forestSnapshot = await emitAck(b, "room:request-snapshot");
+    assert(forestSnapshot?.snapshot?.mapId === "forest_frontline", "스냅샷 mapId가 숲 전선이 아닙니다");
+    assert(hasPlacedBlock(forestSnapshot, cell.x, cell.y, cell.z), "숲 전선으로 돌아왔는데 블록이 사라졌습니다");
+    assert(
+      /^[0-9a-f]{8}$/.test(String(forestSnapshot?.snapshot?.mapHash)) &&
+        forestSnapshot.snapshot.mapHash !== desertSnapshot?.snapshot?.mapHash,
+      "맵마다 다른 지형 해시가 스냅샷에 실려야 합니다"
+    );
+  } finally {
+    a.disconnect();
+    b.disconnect();
+    await sleep(100);
+  }
+}
+
+async function scenarioBlockDamage(url) {
+  const a = connectClient(url);
+  const b = connectClient(url);
+
+  try {
+    await Promise.all([waitConnected(a, "A"), waitConnected(b, "B")]);
+    const created = await emitAck(a, "room:create", { name: "SHOOT_A", capacity: 4 });
+    assert(created?.ok === true, `블록 피해 시나리오 방 생성 실패: ${JSON.stringify(created)}`);
+    const joined = await emitAck(b, "room:join", { code: created.room.code, name: "SHOOT_B" });
+    assert(joined?.ok === true, `블록 피해 시나리오 방 참가 실패: ${JSON.stringify(joined)}`);
+
+    const damageA = [];
+    const damageB = [];
+    a.on("block:damage", (payload = {}) => damageA.push(payload));
+    b.on("block:damage", (payload = {}) => damageB.push(payload));
+
+    // A brick (240 hp) straight above the spawn, above the protected layers; the rifle does 34 up close.
+    const eye = TEAM_SPAWN[readMyTeam(created.room, a.id)];
+    assert(eye, "블록 피해 시나리오 팀 배정 실패");
+    const brick = { x: Math.floor(eye.x), y: 12, z: Math.floor(eye.z) };
+    const placed = await emitAck(a, "block:update", { action: "place", ...brick, typeId: 6 });
+    assert(placed?.ok === true, `표적 벽돌 설치 실패: ${JSON.stringify(placed)}`);
+    a.emit("player:sync", { ...eye, yaw: 0, pitch: 0 });
+    await sleep(80);
+
+    const shoot = () =>
+      a.emit("block:shoot", {
+        origin: eye,
+        direction: { x: 0, y: 1, z: 0 },
+        shotAt: Date.now()
+      });
+    shoot();
+    shoot();
+    await waitFor(() => damageA.length >= 1 && damageB.length >= 1, 3000);
+    await sleep(120);
+    assert(damageB.length === 1, `연사 제한을 넘은 블록 사격이 적용되었습니다: ${damageB.length}`);
+    const first = damageB[0].blocks?.[0];
+    assert(
+      first?.x === brick.x && first.y === brick.y && first.damage === 34 && first.broken === false,
+      `첫 블록 피해가 다릅니다: ${JSON.stringify(damageB[0])}`
+    );
+
+    const midSnapshot = await emitAck(b, "room:request-snapshot");
+    const stored = (midSnapshot?.snapshot?.blockDamage ?? []).find(
+      (entry) => entry.x === brick.x && entry.y === brick.y && entry.z === brick.z
+    );
+    assert(stored?.damage === 34, `스냅샷에 블록 피해가 없습니다: ${JSON.stringify(stored)}`);
+
+    for (let i = 0; i < 12 && !damageB.some((payload) => payload.blocks?.[0]?.broken); i += 1) {
+      await sleep(90);
+      shoot();
+    }
+    await waitFor(() => damageB.some((payload) => payload.blocks?.[0]?.broken), 3000);
+    assert(damageB.length === 8, `벽돌이 ${damageB.length}발 만에 부서졌습니다`);
+    await waitFor(() => damageA.length === damageB.length, 2000);
+
+    const snapshot = await emitAck(b, "room:request-snapshot");
+    assert(!hasPlacedBlock(snapshot, brick.x, brick.y, brick.z), "부서진 벽돌이 스냅샷에 남아 있습니다");
+    assert((snapshot?.snapshot?.blockDamage ?? []).length === 0, "부서진 벽돌의 피해 기록이 남아 있습니다");
+  } finally {
+    a.disconnect();
+    b.disconnect();
+    await sleep(100);
+  }
+}
+
+async function scenarioExplosiveCharge(url) {
+  const a = connectClient(url);
+  const b = connectClient(url);
+
+  try {
+    await Promise.all([waitConnected(a, "A"), waitConnected(b, "B")]);
+    const created = await emitAck(a, "room:create", { name: "BOOM_A", capacity: 4 });
+    assert(created?.ok === true, `폭약 시나리오 방 생성 실패: ${JSON.stringify(created)}`);
+    const joined = await emitAck(b, "room:join", { code: created.room.code, name: "BOOM_B" });
+    assert(joined?.ok === true, `폭약 시나리오 방 참가 실패: ${JSON.stringify(joined)}`);
+
+    let spawnB = null;
+    let detonateA = null;
+    let detonateB = null;
+    b.on("explosive:spawn", (payload = {}) => {
+      spawnB = payload;
+    });
+    a.on("explosive:detonate", (payload = {}) => {
+      detonateA = payload;
+    });
+    b.on("explosive:detonate", (payload = {}) => {
+      detonateB = payload;
+    });
+
+    // A brick above the spawn's protected layers; the charge goes on its underside.
+    const eye = TEAM_SPAWN[readMyTeam(created.room, a.id)];
+    assert(eye, "폭약 시나리오 팀 배정 실패");
+    const brick = { x: Math.floor(eye.x), y: 12, z: Math.floor(eye.z) };
+    const placed = await emitAck(a, "block:update", { action: "place", ...brick, typeId: 6 });
+    assert(placed?.ok === true, `표적 벽돌 설치 실패: ${JSON.stringify(placed)}`);
+    a.emit("player:sync", { ...eye, yaw: 0, pitch: 0 });
+    await sleep(80);
+
+    const use = () =>
+      emitAck(a, "explosive:use", { type: "charge", origin: eye, direction: { x: 0, y: 1, z: 0 } });
+    const planted = await use();
+    assert(planted?.ok === true && planted.remaining === 0, `폭약 설치 실패: ${JSON.stringify(planted)}`);
+    await sleep(700);
+    const empty = await use();
+    assert(empty?.ok === false && empty.remaining === 0, `폭약 보유 수 제한이 없습니다: ${JSON.stringify(empty)}`);
+
+    await waitFor(() => spawnB !== null, 2000);
+    assert(
+      spawnB.id === planted.id && spawnB.type === "charge" && Math.abs(spawnB.origin.y - (brick.y - 0.08)) < 1e-6,
+      `폭약 설치 이벤트가 다릅니다: ${JSON.stringify(spawnB)}`
+    );
+    assert(detonateB === null, "폭약이 신관 시간보다 먼저 터졌습니다");
+
+    await waitFor(() => detonateA !== null && detonateB !== null, 5000);
+    assert(
+      detonateB.blocks.some((block) => block.x === brick.x && block.y === brick.y && block.z === brick.z),
+      `폭발이 벽돌을 지우지 않았습니다: ${JSON.stringify(detonateB)}`
+    );
+    assert(
+      detonateB.blocks.every((block) => block.y > 8),
+      "폭발이 스폰 보호 구역을 깎았습니다"
+    );
+    assert(detonateA.roomStateRevision === detonateB.roomStateRevision, "폭발 이벤트가 한 번에 전달되지 않았습니다");
+
+    const snapshot = await emitAck(b, "room:request-snapshot");
+    assert(!hasPlacedBlock(snapshot, brick.x, brick.y, brick.z), "폭파된 벽돌이 스냅샷에 남아 있습니다");
+  } finally {
+    a.disconnect();
+    b.disconnect();
+    await sleep(100);
+  }
+}
+
+async function measurePairBandwidth(url, { binary }) {
+  const label = binary ? "BIN" : "JSON";
+  const a = connectClient(url, { binary });
+  const b = connectClient(url, { binary });
+
+  try {
+    await Promise.all([waitConnected(a, `${label}-A`), waitConnected(b, `${label}-B`)]);
+    if (binary) {
+      await sleep(80);
+    }
+    const [joinA, joinB] = await Promise.all([
+      emitAck(a, "room:quick-join", { name: `NET_${label}_A` }),
+      emitAck(b, "room:quick-join", { name: `NET_${label}_B` })
+    ]);
+    assert(joinA?.ok === true && joinB?.ok === true, `${label} 대역폭 join 실패`);
+    await sleep(200);
+
+    const clients = [a, b].map((socket) => ({
+      socket,
+      channel: new BinaryNetChannel(),
+      team: null,
+      meter: null
+    }));
+    let room = joinB.room;
+    let remoteUpdates = 0;
+    for (const client of clients) {
+      client.socket.on("room:update", (nextRoom) => {
+        room = nextRoom;
+      });
+      client.socket.on("net:ack", (seq) => client.channel.acknowledge(Number(seq)));
+      client.socket.on("net:resync", () => client.channel.resync());
+      client.socket.on("net:players", (data) => {
+        remoteUpdates += client.channel.readPlayers(data).length;
+      });
+      client.socket.on("player:sync", () => {
+        remoteUpdates += 1;
+      });
+    }
+    for (const client of clients) {
+      client.team = readMyTeam(room, client.socket.id);
+      assert(TEAM_SPAWN[client.team], `${label} 팀 배정 실패`);
+      client.meter = measureTraffic(client.socket);
+    }
+
+    const blockPos = makeRunCoord(binary ? 31 : 21, 31);
+    const startedAt = Date.now();
+    for (let tick = 0; Date.now() - startedAt < BANDWIDTH_WINDOW_MS; tick += 1) {
+      clients.forEach((client, index) => {
+        const home = TEAM_SPAWN[client.team];
+        const angle = tick * 0.12 + index;
+        const state = {
+          x: home.x + Math.cos(angle) * 2,
+          y: home.y,
+          z: home.z + Math.sin(angle) * 2,
+          yaw: Number((Math.atan2(Math.sin(angle), Math.cos(angle))).toFixed(4)),
+          pitch: 0
+        };
+        if (binary) {
+          client.socket.emit("player:sync:bin", client.channel.encodeLocalSync(state));
+        } else {
+          client.socket.emit("player:sync", state);
+        }
+      });
+      if (tick % 6 === 0) {
+        const action = tick % 12 === 0 ? "place" : "remove";
+        a.emit("block:update", { action, x: blockPos.x, y: RUN_BLOCK_Y, z: blockPos.z, typeId: 2 });
+      }
+      await sleep(BANDWIDTH_SYNC_MS);
+    }
+    const elapsedMs = Date.now() - startedAt;
+    await sleep(120);
+
+    assert(remoteUpdates > 20, `${label} 원격 이동 수신 부족 (${remoteUpdates})`);
+    const totalBytes = clients.reduce((sum, client) => sum + client.meter.bytes, 0);
+    return (totalBytes / clients.length) / (elapsedMs / 1000);
+  } finally {
+    a.disconnect();
+    b.disconnect();
+    await sleep(100);
+  }
+}
+
+async function scenarioNetBandwidth(url) {
+  const jsonRate = await measurePairBandwidth(url, { binary: false });
+  const binaryRate = await measurePairBandwidth(url, { binary: true });
+  const saved = Math.round((1 - binaryRate / jsonRate) * 100);
+  console.log(
+    `[playtest-2client] bandwidth per client: json ${Math.round(jsonRate)} B/s -> binary ${Math.round(binaryRate)} B/s (-${saved}%)`
+  );
+  assert(binaryRate < jsonRate, "바이너리 프로토콜이 JSON보다 대역폭을 더 사용함");
+}
+
 async function main() {
   console.log("[playtest-2client] starting");
-  const { server, port } = await createServerProcess();
+  const { server, port, workDir } = await createServerProcess();
   const baseUrl = `http://${HOST}:${port}`;
 
   try {
@@ -460,12 +1152,28 @@ async function main() {
     await scenarioBlockStockAuthoritative(baseUrl);
     console.log("[playtest-2client] authoritative-stock: PASS");
 
+    await scenarioStructuralCollapse(baseUrl);
+    console.log("[playtest-2client] structural-collapse: PASS");
+
+    await scenarioMapSelection(baseUrl);
+    console.log("[playtest-2client] map-selection: PASS");
+
+    await scenarioBlockDamage(baseUrl);
+    console.log("[playtest-2client] block-damage: PASS");
+
+    await scenarioExplosiveCharge(baseUrl);
+    console.log("[playtest-2client] explosive-charge: PASS");
+
+    await scenarioNetBandwidth(baseUrl);
+    console.log("[playtest-2client] net-bandwidth: PASS");
+
     console.log("[playtest-2client] all scenarios passed");
   } finally {
     if (server.exitCode === null) {
       server.kill();
     }
     await sleep(120);
+    rmSync(workDir, { recursive: true, force: true });
   }
 }
 
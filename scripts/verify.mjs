@@ -3,7 +3,88 @@ import { setTimeout as sleep } from "node:timers/promises";
 import * as THREE from "three";
 import { io } from "socket.io-client";
 import { WeaponSystem } from "../src/game/WeaponSystem.js";
+import { getWeaponDamage } from "../src/shared/weapons.js";
+import { classifyHitZone } from "../src/shared/hitZones.js";
+import { PLAYER_HEIGHT, validateMovementStep } from "../src/shared/movement.js";
+import { raycastVoxels } from "../src/shared/voxelRaycast.js";
+import { STRUCTURE_GROUND_Y, findUnsupportedBlocks } from "../src/shared/structuralIntegrity.js";
+import {
+  BUILD_SHAPE,
+  MAX_BUILD_SPAN,
+  copyStamp,
+  getShapeCells,
+  getStampCells,
+  isWithinBuildSpan,
+  rotateStamp
+} from "../src/shared/buildShapes.js";
+import {
+  EXPLOSIVE_TYPE,
+  getBlastCells,
+  getBlastDamage,
+  getExplosiveDefinition,
+  simulateGrenade
+} from "../src/shared/explosives.js";
+import { getBlockMaxHealth, getBlockSupport } from "../src/game/build/BlockPalette.js";
+import { getCrackStage } from "../src/game/build/BlockCracks.js";
+import {
+  MAP_IDS,
+  buildSelectedMapGrid,
+  getCustomMapIds,
+  getDefaultMapSeed,
+  getMapName,
+  getMapShareCode,
+  normalizeMapId,
+  normalizeMapSeed,
+  parseMapShareCode,
+  registerCustomMap,
+  unregisterCustomMap
+} from "../src/game/world/MapRegistry.js";
+import {
+  CUSTOM_MAP_FORMAT,
+  CUSTOM_MAP_VERSION,
+  createBlankCustomMap,
+  encodeCustomMap,
+  parseCustomMap
+} from "../src/game/world/maps/customMap.js";
 import { VoxelWorld } from "../src/game/build/VoxelWorld.js";
+import { ServerClock, SnapshotBuffer } from "../src/game/net/RemoteInterpolation.js";
+import { BinaryNetChannel } from "../src/game/net/BinaryNetChannel.js";
+import { NAV_LINK, NavGrid } from "../src/game/nav/NavGrid.js";
+import { NavPlanner } from "../src/game/nav/NavPlanner.js";
+import {
+  ENEMY_TACTIC,
+  assignSquadDuties,
+  chooseTactic,
+  createSquad,
+  getFlankPoint
+} from "../src/game/ai/EnemyTactics.js";
+import { ENEMY_ARCHETYPE, ENEMY_ARCHETYPES } from "../src/game/ai/EnemyArchetypes.js";
+import {
+  ENEMY_AWARENESS,
+  NOISE_PROFILES,
+  SIGHT_RANGE,
+  TARGET_MEMORY_SECONDS,
+  getAwarenessState,
+  getNoiseAwareness,
+  getSightGain
+} from "../src/game/ai/EnemyPerception.js";
+import {
+  WAVE_FIRST_BREAK_SECONDS,
+  WAVE_PHASE,
+  WaveDirector,
+  buildWavePlan
+} from "../src/game/modes/WaveDirector.js";
+import {
+  decodeBlockBatch,
+  decodeBlockList,
+  decodePlayerBatch,
+  decodePlayerSync,
+  dequantizePlayerState,
+  encodeBlockBatch,
+  encodeBlockList,
+  encodePlayerBatch,
+  quantizePlayerState
+} from "../src/shared/netCodec.js";
 
 const skipBuild = process.argv.includes("--skip-build");
 
@@ -78,6 +159,40 @@ function emitWithAck(socket, event, payload = undefined) {
   });
 }
 
+// Eye height a player walking over `grid` ends up at in (x, z): one block up onto a step,
+// otherwise down onto whatever is below. Walls two blocks high stop the walk, as they would in game.
+function getWalkEyeY(grid, x, z, eyeY) {
+  const cellX = Math.floor(x);
+  const cellZ = Math.floor(z);
+  const isFree = (feetY) => !grid.hasBlock(cellX, feetY, cellZ) && !grid.hasBlock(cellX, feetY + 1, cellZ);
+  let feetY = Math.round(eyeY - PLAYER_HEIGHT);
+  if (!isFree(feetY)) {
+    feetY += 1;
+  }
+  while (isFree(feetY) && feetY > STRUCTURE_GROUND_Y && !grid.hasBlock(cellX, feetY - 1, cellZ)) {
+    feetY -= 1;
+  }
+  return feetY + PLAYER_HEIGHT;
+}
+
+// Walks through each point in turn, keeping to the ground of `grid`; returns where it ended.
+async function walkTo(socket, grid, from, ...points) {
+  let at = { ...from };
+  for (const to of points) {
+    const start = at;
+    const steps = Math.max(1, Math.ceil(Math.hypot(to.x - start.x, to.z - start.z) / 1.5));
+    for (let i = 1; i <= steps; i += 1) {
+      const t = i / steps;
+      const x = start.x + (to.x - start.x) * t;
+      const z = start.z + (to.z - start.z) * t;
+      at = { x, y: getWalkEyeY(grid, x, z, at.y), z };
+      socket.emit("player:sync", { ...at, yaw: 0, pitch: 0 });
+      await sleep(150);
+    }
+  }
+  return at;
+}
+
 function readStockValue(stockPayload, typeId) {
   const parsedTypeId = Math.trunc(Number(typeId) || 0);
   if (!parsedTypeId) {
@@ -94,13 +209,49 @@ async function checkSyntax() {
     "src/game/HUD.js",
     "src/game/WeaponSystem.js",
     "src/game/EnemyManager.js",
+    "src/game/ExplosiveSystem.js",
     "src/game/Game.js",
     "src/game/audio/SoundSystem.js",
     "src/game/build/BuildSystem.js",
+    "src/game/build/BlockCracks.js",
     "src/game/build/BlockPalette.js",
+    "src/game/build/ChunkMesher.js",
+    "src/game/build/MapEditor.js",
+    "src/game/build/VoxelChunk.js",
+    "src/game/build/VoxelGrid.js",
     "src/game/build/VoxelWorld.js",
+    "src/game/ai/EnemyArchetypes.js",
+    "src/game/ai/EnemyPerception.js",
+    "src/game/ai/EnemyTactics.js",
+    "src/game/modes/ModeAdapters.js",
+    "src/game/modes/WaveDirector.js",
+    "src/game/nav/NavGrid.js",
+    "src/game/nav/NavPlanner.js",
+    "src/game/net/BinaryNetChannel.js",
+    "src/game/net/RemoteInterpolation.js",
+    "src/game/teams.js",
+    "src/game/world/MapBuilder.js",
+    "src/game/world/MapRegistry.js",
+    "src/game/world/maps/customMap.js",
+    "src/game/world/maps/desertCanyonMap.js",
+    "src/game/world/maps/forestFrontlineMap.js",
+    "src/game/world/maps/frozenLakeMap.js",
+    "src/game/world/maps/mapCommon.js",
+    "src/game/world/maps/urbanGridMap.js",
+    "src/server/modes/index.js",
+    "src/server/modes/ctfMode.js",
+    "src/server/modes/eliminationMode.js",
+    "src/server/modes/kothMode.js",
+    "src/shared/buildShapes.js",
+    "src/shared/explosives.js",
     "src/shared/gameModes.js",
+    "src/shared/hitZones.js",
     "src/shared/matchConfig.js",
+    "src/shared/movement.js",
+    "src/shared/netCodec.js",
+    "src/shared/structuralIntegrity.js",
+    "src/shared/voxelRaycast.js",
+    "src/shared/weapons.js",
     "server.js"
   ];
 
@@ -121,6 +272,383 @@ function checkWeaponSystem() {
   }
 
   assert(shots >= 9 && shots <= 11, `Unexpected shots in 1s: ${shots}`);
+
+  weapon.equip("pistol");
+  for (let t = 0; t < 0.5; t += dt) {
+    weapon.update(dt);
+  }
+  assert(weapon.tryShoot({ triggerPressed: true }).success, "Pistol should fire on trigger press");
+  weapon.update(0.5);
+  assert(!weapon.tryShoot({ triggerPressed: false }).success, "Semi-auto pistol fired without a new trigger press");
+
+  weapon.equip("rifle");
+  weapon.update(0.5);
+  weapon.cycleFireMode();
+  let burstShots = 0;
+  for (let t = 0; t < 0.5; t += dt) {
+    weapon.update(dt);
+    if (weapon.tryShoot({ triggerPressed: t === 0 }).success) {
+      burstShots += 1;
+    }
+  }
+  assert(burstShots === 3, `Burst mode should fire 3 rounds, fired ${burstShots}`);
+
+  assert(getWeaponDamage("rifle", 0) === 34, "Rifle close-range damage mismatch");
+  assert(getWeaponDamage("rifle", 500) === 24, "Rifle falloff floor mismatch");
+  assert(getWeaponDamage("unknown", 0) === 34, "Unknown weapons should fall back to the rifle");
+  assert(getWeaponDamage("rifle", 0, "head") === 54, "Rifle headshot multiplier mismatch");
+  assert(getWeaponDamage("rifle", 0, "limbs") === 26, "Rifle limb multiplier mismatch");
+  assert(
+    classifyHitZone(1.75) === "head" && classifyHitZone(1.1) === "torso" && classifyHitZone(0.4) === "limbs",
+    "Hit zone classification mismatch"
+  );
+}
+
+function checkMovementValidation() {
+  const start = { x: 0, y: 1.75, z: 0 };
+  const isSolidAt = (x, y, z) => x === 3 && z === 0 && y >= 0 && y <= 1;
+  assert(validateMovementStep(start, { x: 0.9, y: 1.75, z: 0 }, 83).ok, "Sprint step should pass");
+  assert(
+    validateMovementStep(start, { x: 40, y: 1.75, z: 0 }, 83).reason === "speed",
+    "Teleport should fail the speed check"
+  );
+  const drained = validateMovementStep(start, { x: 5, y: 1.75, z: 0 }, 83);
+  assert(
+    drained.ok &&
+      validateMovementStep({ x: 5, y: 1.75, z: 0 }, { x: 10, y: 1.75, z: 0 }, 83, { budget: drained.budget })
+        .reason === "speed",
+    "Sustained overspeed should drain the movement budget"
+  );
+  assert(
+    validateMovementStep(start, { x: 0, y: 6, z: 0 }, 83).reason === "vertical",
+    "Flying upward should fail the vertical check"
+  );
+  assert(
+    validateMovementStep({ x: 2.5, y: 1.75, z: 0.5 }, { x: 3.5, y: 1.75, z: 0.5 }, 83, { isSolidAt }).reason === "solid",
+    "Moving into a placed block should fail"
+  );
+  assert(
+    validateMovementStep({ x: 3.5, y: 1.75, z: 0.5 }, { x: 3.5, y: 3.75, z: 0.5 }, 83, { isSolidAt }).ok,
+    "Players buried by a block should be able to climb out"
+  );
+
+  // A steady climb passes every single step but not the height cap above the last ground contact.
+  const isGroundAt = (x, y) => y < 0;
+  let climb = { ...start };
+  let groundY = Number.NaN;
+  let climbResult = null;
+  for (let i = 0; i < 8; i += 1) {
+    const next = { ...climb, y: climb.y + 0.75 };
+    climbResult = validateMovementStep(climb, next, 83, { groundY, isSolidAt: isGroundAt });
+    if (!climbResult.ok) {
+      break;
+    }
+    climb = next;
+    groundY = climbResult.groundY;
+  }
+  assert(
+    climbResult?.reason === "vertical" && climb.y - start.y < 3,
+    `Sustained climbing should be stopped at a jump's height: ${climb.y}`
+  );
+  const landed = validateMovementStep({ x: 0.5, y: 3, z: 0.5 }, { x: 0.5, y: 1.8, z: 0.5 }, 83, {
+    groundY: 1.75,
+    isSolidAt: isGroundAt
+  });
+  assert(landed.ok && landed.groundY === 1.8, "Touching the ground should reset the height cap");
+}
+
+function checkRemoteInterpolation() {
+  const buffer = new SnapshotBuffer();
+  const out = {};
+  buffer.reset({ at: 1000, x: 0, y: 0, z: 0, yaw: 0 });
+  buffer.push({ at: 1100, x: 1, y: 0, z: 0, yaw: 0 }, 900);
+  assert(buffer.sample(1050, out) && Math.abs(out.x - 0.5) < 1e-6, "Snapshot interpolation mismatch");
+  assert(!buffer.push({ at: 1050, x: 9, y: 0, z: 0, yaw: 0 }, 1050), "Out-of-order snapshots should be dropped");
+  buffer.sample(1150, out);
+  assert(buffer.extrapolating && Math.abs(out.x - 1.5) < 1e-6, "Late snapshots should extrapolate");
+  buffer.sample(5000, out);
+  assert(out.x < 4, "Extrapolation should be bounded");
+  buffer.push({ at: 1200, x: 2, y: 0, z: 0, yaw: 0 }, 1300);
+  assert(buffer.latePackets === 1, "Late packet count mismatch");
+
+  const clock = new ServerClock();
+  clock.addSample(1000, 5060, 1100);
+  assert(clock.synced && clock.offsetMs === 4010 && clock.rttMs === 100, "Clock offset estimate mismatch");
+}
+
+function checkNetCodec() {
+  const state = { x: 12.345, y: 1.75, z: -40.5, yaw: 2.5, pitch: -0.4 };
+  const restored = dequantizePlayerState(quantizePlayerState(state));
+  for (const key of ["x", "y", "z"]) {
+    assert(Math.abs(restored[key] - state[key]) <= 1 / 64, `Quantized ${key} drifted too far`);
+  }
+  assert(Math.abs(restored.yaw - state.yaw) < 0.001, "Quantized yaw drifted too far");
+
+  const channel = new BinaryNetChannel();
+  const history = new Map();
+  const full = decodePlayerSync(channel.encodeLocalSync(state), (seq) => history.get(seq));
+  assert(full?.quantized, "Full player sync failed to decode");
+  history.set(full.seq, full.quantized);
+  channel.acknowledge(full.seq);
+
+  const deltaBytes = channel.encodeLocalSync({ ...state, x: state.x + 0.5 });
+  assert(deltaBytes.byteLength === 8, `Delta sync should only carry x, got ${deltaBytes.byteLength} bytes`);
+  const delta = decodePlayerSync(deltaBytes, (seq) => history.get(seq));
+  assert(Math.abs(dequantizePlayerState(delta.quantized).x - (state.x + 0.5)) <= 1 / 64, "Delta sync mismatch");
+  assert(decodePlayerSync(deltaBytes, () => null)?.quantized === null, "Missing delta base should request resync");
+
+  const quantized = quantizePlayerState(state);
+  const keyframe = decodePlayerBatch(
+    encodePlayerBatch({ serverTime: 5000, keyframe: true, entries: [{ netId: 3, quantized, ageMs: 20 }] }),
+    () => null
+  );
+  assert(keyframe?.entries[0]?.netId === 3 && keyframe.entries[0].updatedAt === 4980, "Player batch mismatch");
+  const moved = { ...quantized, z: quantized.z + 10 };
+  const batch = decodePlayerBatch(
+    encodePlayerBatch({ serverTime: 5050, entries: [{ netId: 3, quantized: moved, base: quantized }] }),
+    () => quantized
+  );
+  assert(batch.entries[0].quantized.z === moved.z && batch.entries[0].quantized.x === quantized.x, "Batch delta mismatch");
+
+  const blocks = [
+    { action: "place", x: -12, y: 4, z: 30, typeId: 2 },
+    { action: "remove", x: 5, y: 0, z: -7 }
+  ];
+  assert(JSON.stringify(decodeBlockList(encodeBlockList(blocks))) === JSON.stringify(blocks), "Block list mismatch");
+  const blockBatch = decodeBlockBatch(encodeBlockBatch({ revision: 9, entries: [{ actorNetId: 2, ...blocks[0] }] }));
+  assert(blockBatch?.revision === 9 && blockBatch.entries[0].actorNetId === 2, "Block batch mismatch");
+}
+
+function planPath(planner, start, goal, options = {}) {
+  const request = planner.request(start, goal, options);
+  for (let i = 0; i < 200 && !request.done; i += 1) {
+    planner.update(0);
+  }
+  assert(request.done, "Nav request did not finish");
+  return request;
+}
+
+function checkNavigation() {
+  const world = new VoxelWorld(new THREE.Scene(), { load: () => new THREE.Texture() });
+  world.fillRect(-12, 12, -1, -1, -12, 12, 3);
+  // A wall across the field with a single gate at z=6.
+  world.fillRect(2, 2, 0, 2, -12, 12, 6);
+  world.carveRect(2, 2, 0, 6, 6);
+  world.carveRect(2, 2, 1, 6, 6);
+  world.carveRect(2, 2, 2, 6, 6);
+
+  const grid = new NavGrid(world, { halfExtent: 12 });
+  const planner = new NavPlanner(grid);
+  const throughGate = planPath(planner, { x: -6.5, z: 0.5 }, { x: 8.5, z: 0.5 });
+  assert(!throughGate.partial, "Path through the gate should reach the goal");
+  assert(
+    throughGate.path.some((waypoint) => waypoint.x === 2.5 && waypoint.z === 6.5),
+    "Path should go through the gate instead of into the wall"
+  );
+
+  // A single block in the gate leaves a one-high step the soldiers can hop.
+  world.setBlock(2, 0, 6, 6);
+  grid.ensureReady();
+  assert(grid.getFloor(2, 6) === 1, "Nav grid did not pick up the block edit");
+  const overStep = planPath(planner, { x: -6.5, z: 0.5 }, { x: 8.5, z: 0.5 });
+  assert(
+    !overStep.partial && overStep.path.some((waypoint) => waypoint.link === NAV_LINK.STEP),
+    "Path should use a step-up link over a one-high block"
+  );
+
+  world.setBlock(2, 1, 6, 6);
+  const blocked = planPath(planner, { x: -6.5, z: 0.5 }, { x: 8.5, z: 0.5 });
+  assert(blocked.partial, "Sealed wall should only give a partial path");
+
+  // Sappers tunnel through the cheapest section: soft dirt beats the metal plate on the direct line.
+  world.fillRect(2, 2, 0, 2, 0, 0, 8);
+  world.fillRect(2, 2, 0, 2, -4, -4, 2);
+  const dug = planPath(planner, { x: -6.5, z: 0.5 }, { x: 8.5, z: 0.5 }, { dig: true });
+  const digStep = dug.path.find((waypoint) => waypoint.link === NAV_LINK.DIG);
+  assert(!dug.partial && digStep, "Dig path should reach the goal through the wall");
+  assert(digStep.x === 2.5 && digStep.z === -3.5 && digStep.y === 0, `Dig path should break the dirt: ${JSON.stringify(digStep)}`);
+  const digBlocks = grid.getDigBlocks(2, -4, digStep.y);
+  assert(digBlocks.length === 3 && digBlocks.every((block) => block.typeId === 2), "Dig should list the dirt column");
+  for (const block of digBlocks) {
+    world.removeBlock(block.x, block.y, block.z);
+  }
+  const afterDig = planPath(planner, { x: -6.5, z: 0.5 }, { x: 8.5, z: 0.5 });
+  assert(!afterDig.partial, "Walking path should use the dug tunnel");
+
+  // A two-deep trench is jumped rather than climbed through.
+  world.fillRect(-12, 12, 1, 2, -12, -8, 3);
+  world.carveRect(-12, 12, 2, -10, -10);
+  world.carveRect(-12, 12, 1, -10, -10);
+  const overTrench = planPath(planner, { x: -6.5, z: -11.5 }, { x: -6.5, z: -8.5 });
+  assert(
+    overTrench.path.some((waypoint) => waypoint.link === NAV_LINK.JUMP),
+    "Path should leap a two-deep trench"
+  );
+
+  const terrain = new VoxelWorld(new THREE.Scene(), { load: () => new THREE.Texture() });
+  terrain.generateTerrain({ mapId: "forest_frontline", seed: 20260227 });
+  const terrainGrid = new NavGrid(terrain);
+  const terrainPlanner = new NavPlanner(terrainGrid);
+  terrainGrid.ensureReady();
+  const toFlag = planPath(terrainPlanner, { x: 0.5, z: 20.5 }, { x: 44.5, z: 0.5 });
+  assert(!toFlag.partial, "Enemies should be able to path into the bravo fortress");
+  const gate = toFlag.path.find((waypoint) => waypoint.x >= 35 && waypoint.x <= 37);
+  assert(gate && Math.abs(gate.z - 0.5) <= 2.5, `Fortress path should enter by the gate: ${JSON.stringify(gate)}`);
+}
+
+function checkEnemyTactics() {
+  const situation = {
+    healthRatio: 1,
+    underFire: false,
+    seesPlayer: true,
+    playerDistance: 14,
+    preferredDistance: 12,
+    isSuppressor: false,
+    isFlanker: false,
+    canRetreat: true,
+    current: ENEMY_TACTIC.ADVANCE
+  };
+  assert(chooseTactic("raider", situation) === ENEMY_TACTIC.ADVANCE, "Healthy raider should advance");
+  assert(
+    chooseTactic("raider", { ...situation, isSuppressor: true }) === ENEMY_TACTIC.SUPPRESS,
+    "Squad suppressor with line of sight should suppress"
+  );
+  assert(
+    chooseTactic("raider", { ...situation, isFlanker: true }) === ENEMY_TACTIC.FLANK,
+    "Squad flanker should flank"
+  );
+  assert(
+    chooseTactic("defender", { ...situation, underFire: true, healthRatio: 0.6 }) === ENEMY_TACTIC.COVER,
+    "Defender under fire should seek cover"
+  );
+  assert(
+    chooseTactic("raider", { ...situation, healthRatio: 0.2 }) === ENEMY_TACTIC.RETREAT,
+    "Badly hurt raider should retreat"
+  );
+  assert(
+    chooseTactic("raider", { ...situation, healthRatio: 0.2, canRetreat: false }) !== ENEMY_TACTIC.RETREAT,
+    "Retreat cooldown should hold"
+  );
+
+  const member = (x, z, overrides = {}) => ({
+    role: "raider",
+    health: 40,
+    shootRange: 36,
+    speed: 2.5,
+    hitbox: { position: { x, z } },
+    ...overrides
+  });
+  const squad = createSquad(1, "assault");
+  squad.members.push(
+    member(0, 0),
+    member(1, 0, { shootRange: 40 }),
+    member(0, 1, { speed: 3.2 }),
+    member(1, 1, { role: "sapper", speed: 3.4 })
+  );
+  assignSquadDuties(squad);
+  assert(squad.suppressor === squad.members[1], "Longest-range member should suppress");
+  assert(squad.flanker === squad.members[2], "Fastest non-sapper should flank");
+
+  squad.flankSide = 1;
+  const flank = getFlankPoint(squad, { x: 20.5, z: 0.5 }, { x: 0, z: 0 });
+  assert(Math.abs(flank.z) > 6 && flank.x < 20.5, `Flank point should sit off to the side: ${JSON.stringify(flank)}`);
+}
+
+function checkEnemyPerception() {
+  // Facing +z (yaw 0): ahead is seen, behind is not, and the edge of the cone is slower.
+  const ahead = getSightGain(0, 0, 10);
+  assert(ahead > 0, "Player straight ahead should be seen");
+  assert(getSightGain(0, 0, -10) === 0, "Player behind should be invisible");
+  assert(getSightGain(Math.PI, 0, -10) === ahead, "Turning around should reveal the player");
+  assert(getSightGain(0, 0, SIGHT_RANGE + 1) === 0, "Player beyond sight range should be invisible");
+  assert(getSightGain(0, 0, 30) < ahead, "Sight should fall off with distance");
+  const peripheral = getSightGain(0, 10, 3);
+  assert(peripheral > 0 && peripheral < getSightGain(0, 0, Math.hypot(10, 3)), "Peripheral sight should be slower");
+
+  assert(getNoiseAwareness("gunshot", 5) > getNoiseAwareness("gunshot", 40), "Gunshots should fade with distance");
+  assert(getNoiseAwareness("gunshot", NOISE_PROFILES.gunshot.radius) === 0, "Gunshots have a hearing radius");
+  assert(
+    getNoiseAwareness("block", 20) === 0 && getNoiseAwareness("gunshot", 20) > 0,
+    "Building should be quieter than shooting"
+  );
+
+  assert(
+    getAwarenessState({ awareness: 1, seesTarget: true, memoryAge: 0 }) === ENEMY_AWARENESS.ALERT,
+    "Seen and fully aware should be alert"
+  );
+  assert(
+    getAwarenessState({ awareness: 0.4, seesTarget: true, memoryAge: Infinity }) === ENEMY_AWARENESS.UNAWARE,
+    "A glimpse should not alert on its own"
+  );
+  assert(
+    getAwarenessState({ awareness: 1, seesTarget: false, memoryAge: 3 }) === ENEMY_AWARENESS.SEARCHING,
+    "Losing sight should start a search of the last known position"
+  );
+  assert(
+    getAwarenessState({ awareness: 1, seesTarget: false, memoryAge: TARGET_MEMORY_SECONDS + 1 }) ===
+      ENEMY_AWARENESS.UNAWARE,
+    "Search should give up once the memory is stale"
+  );
+}
+
+function checkWaveDirector() {
+  for (const [id, archetype] of Object.entries(ENEMY_ARCHETYPES)) {
+    for (const key of ["speed", "fireInterval", "shotDamage", "shootRange", "preferredDistance", "keepDistance"]) {
+      const [min, max] = archetype[key];
+      assert(min > 0 && min <= max, `Archetype ${id} has a bad ${key} range`);
+    }
+    assert(archetype.health > 0 && archetype.armor >= 0 && archetype.armor < 1, `Archetype ${id} stats invalid`);
+  }
+
+  const first = buildWavePlan(1);
+  assert(
+    first.total === first.counts[ENEMY_ARCHETYPE.RIFLEMAN] && !first.boss,
+    "Wave 1 should be riflemen only"
+  );
+  const fifth = buildWavePlan(5);
+  assert(fifth.boss && fifth.counts[ENEMY_ARCHETYPE.BOSS] === 1, "Wave 5 should be a boss wave");
+  assert(buildWavePlan(4).counts[ENEMY_ARCHETYPE.HEAVY] > 0, "Heavies should join by wave 4");
+  let previous = first;
+  for (let wave = 2; wave <= 12; wave += 1) {
+    const plan = buildWavePlan(wave);
+    assert(plan.total > previous.total, `Wave ${wave} should be larger than wave ${previous.number}`);
+    // Boss waves carry an extra escort, so the next regular wave only has to beat the last regular one.
+    if (!plan.boss) {
+      previous = plan;
+    }
+  }
+
+  const director = new WaveDirector();
+  director.start();
+  assert(director.phase === WAVE_PHASE.BREAK, "Survival should open with a build break");
+  assert(director.takeSquad(0) === null, "No squads during a break");
+  const started = director.update(WAVE_FIRST_BREAK_SECONDS + 0.01);
+  assert(started?.type === "wave-start" && started.wave === 1, "First wave should start after the break");
+
+  let alive = 0;
+  let spawned = 0;
+  for (let step = 0; step < 200 && director.phase === WAVE_PHASE.ACTIVE; step += 1) {
+    const squad = director.takeSquad(alive);
+    if (squad) {
+      assert(squad.length >= 1 && squad.length <= 5, "Squad size out of range");
+      alive += squad.length;
+      spawned += squad.length;
+    }
+    if (alive > 0) {
+      alive -= 1;
+      director.recordKill();
+      director.recordScore(100);
+    }
+    const event = director.update(1);
+    if (event) {
+      assert(event.type === "wave-clear" && event.wave === 1, `Unexpected wave event ${event.type}`);
+    }
+  }
+  assert(director.phase === WAVE_PHASE.BREAK && spawned === first.total, "Wave 1 should clear after every kill");
+  assert(
+    director.history.length === 1 && director.history[0].kills === first.total && director.history[0].cleared,
+    "Wave history should record kills per wave"
+  );
 }
 
 function checkVoxelWorld() {
@@ -144,9 +672,28 @@ function checkVoxelWorld() {
   assert(removed === true, "Failed to remove placed block");
   assert(world.hasBlock(1, 0, 0) === false, "Block still exists after remove");
 
+  checkChunkMeshing(textureLoader);
+  checkBlockDamage(textureLoader);
+  checkVoxelRaycast();
+  checkStructuralIntegrity();
+  checkBuildShapes();
+  checkExplosives();
+  checkMapGenerators();
+  checkMapShareCodes();
+  checkCustomMaps();
+
   world.generateTerrain({ mapId: "forest_frontline", seed: 20260227 });
   const arenaMeta = world.getArenaMeta();
-  assert(world.blockMap.size > 100000, `Unexpected terrain block count: ${world.blockMap.size}`);
+  assert(world.blockCount > 100000, `Unexpected terrain block count: ${world.blockCount}`);
+  const { grid } = buildSelectedMapGrid({ mapId: "forest_frontline", seed: 20260227 });
+  assert(
+    grid.blockCount === world.blockCount && grid.getTypeAt(0, -8, 0) === world.getTypeAt(0, -8, 0),
+    `Scene-less map grid should match the rendered world: ${grid.blockCount} vs ${world.blockCount}`
+  );
+  assert(
+    world.terrainHash === grid.getBlockHash(),
+    `Client terrain hash should match the server grid: ${world.terrainHash} vs ${grid.getBlockHash()}`
+  );
   assert(
     arenaMeta?.halfExtent >= 50 && arenaMeta?.halfExtent <= 72,
     `Unexpected arena half extent: ${JSON.stringify(arenaMeta)}`
@@ -159,6 +706,365 @@ function checkVoxelWorld() {
   );
 }
 
+function countChunkTriangles(world) {
+  world.flushDirtyChunks();
+  let total = 0;
+  for (const chunk of world.chunks.values()) {
+    total += chunk.mesh ? chunk.mesh.geometry.index.count / 3 : 0;
+  }
+  return total;
+}
+
+function checkChunkMeshing(textureLoader) {
+  const world = new VoxelWorld(new THREE.Scene(), textureLoader);
+  world.fillRect(0, 3, 0, 0, 0, 3, 3);
+  assert(countChunkTriangles(world) === 12, "A flat slab should mesh to one quad per side");
+
+  // x = 15 and x = 16 sit in different chunks; the face between them must still be culled.
+  world.clear();
+  world.setBlock(15, 0, 0, 3);
+  world.setBlock(16, 0, 0, 3);
+  assert(world.chunks.size === 2, `Expected two chunks, got ${world.chunks.size}`);
+  assert(countChunkTriangles(world) === 20, "Face between chunks should be hidden");
+  world.removeBlock(16, 0, 0);
+  assert(countChunkTriangles(world) === 12, "Removing a block should re-mesh the neighbouring chunk");
+  assert(world.chunks.size === 1 && world.blockCount === 1, "Empty chunks should be dropped");
+
+  world.setBlock(15, 0, 1, 6);
+  assert(countChunkTriangles(world) === 20, "Different block types should not merge into one quad");
+
+  const down = new THREE.Raycaster(new THREE.Vector3(15.5, 4, 1.5), new THREE.Vector3(0, -1, 0));
+  const hit = world.raycast(down, 10);
+  assert(
+    hit?.x === 15 && hit.y === 0 && hit.z === 1 && hit.typeId === 6 && hit.normal.y === 1,
+    `Raycast should land on the brick top face: ${JSON.stringify(hit)}`
+  );
+  const side = new THREE.Raycaster(new THREE.Vector3(12.5, 0.5, 0.5), new THREE.Vector3(1, 0, 0));
+  const sideHit = world.raycast(side, 10);
+  assert(sideHit?.x === 15 && sideHit.normal.x === -1, "Raycast should report the west face");
+  assert(
+    !world.hasLineOfSight(new THREE.Vector3(12.5, 0.5, 0.5), new THREE.Vector3(18.5, 0.5, 0.5)) &&
+      world.hasLineOfSight(new THREE.Vector3(12.5, 1.5, 0.5), new THREE.Vector3(18.5, 1.5, 0.5)),
+    "Line of sight should be blocked only by the block"
+  );
+}
+
+function checkBlockDamage(textureLoader) {
+  assert(
+    getCrackStage(0, 200) === 0 && getCrackStage(1, 200) === 1 && getCrackStage(199, 200) === 3,
+    "Crack stages should run from intact to 3"
+  );
+  assert(getBlockMaxHealth(8) > getBlockMaxHealth(6) && getBlockMaxHealth(6) > getBlockMaxHealth(4), "Metal > brick > sand");
+
+  const world = new VoxelWorld(new THREE.Scene(), textureLoader);
+  const health = getBlockMaxHealth(6);
+  world.setBlock(0, 0, 0, 6);
+  const first = world.damageBlock(0, 0, 0, 34);
+  assert(first?.broken === false && world.getBlockDamage(0, 0, 0) === 34, "Damage should add up on the block");
+  const crack = world.group.children.find((child) => child.userData.isBlockCrack);
+  assert(crack?.material === world.crackMaterials[1], "A scratched block should show the first crack stage");
+  world.damageBlock(0, 0, 0, health - 40);
+  assert(crack.material === world.crackMaterials[3], "A nearly broken block should show the last crack stage");
+
+  const last = world.damageBlock(0, 0, 0, 34);
+  assert(last?.broken === true && last.typeId === 6 && !world.hasBlock(0, 0, 0), "Running out of health breaks the block");
+  assert(world.blockDamage.size === 0 && !world.group.children.includes(crack), "A broken block drops its cracks");
+  assert(world.damageBlock(0, 0, 0, 10) === null, "Air takes no damage");
+
+  world.setBlock(1, 0, 0, 3);
+  world.setBlockDamage(1, 0, 0, 50);
+  world.setBlock(1, 0, 0, 8);
+  assert(world.getBlockDamage(1, 0, 0) === 0, "A replaced block should start at full health");
+  world.setBlockDamage(1, 0, 0, 50);
+  world.clear();
+  assert(world.blockDamage.size === 0 && world.group.children.length === 0, "clear() should drop every crack");
+}
+
+function checkBuildShapes() {
+  const start = { x: 0, y: 0, z: 0 };
+  const line = getShapeCells(BUILD_SHAPE.LINE, start, { x: 5, y: 2, z: 0 });
+  assert(
+    line.length === 6 && line[0].x === 0 && line[5].x === 5 && line[5].y === 2,
+    `line should run end to end: ${JSON.stringify(line)}`
+  );
+  const wall = getShapeCells(BUILD_SHAPE.WALL, start, { x: 0, y: 3, z: -4 });
+  assert(
+    wall.length === 20 && wall.every((cell) => cell.x === 0 && cell.y >= 0 && cell.y <= 3),
+    `wall should be 5 wide and 4 high: ${wall.length}`
+  );
+  const floor = getShapeCells(BUILD_SHAPE.FLOOR, start, { x: 2, y: 9, z: 3 });
+  assert(
+    floor.length === 12 && floor.every((cell) => cell.y === 0),
+    `floor should stay on the start layer: ${floor.length}`
+  );
+  const longLine = getShapeCells(BUILD_SHAPE.LINE, start, { x: 100, y: 0, z: 0 });
+  assert(
+    longLine.length === MAX_BUILD_SPAN && isWithinBuildSpan(longLine),
+    `drags should clamp to the build span: ${longLine.length}`
+  );
+  assert(
+    !isWithinBuildSpan([start, { x: MAX_BUILD_SPAN, y: 0, z: 0 }]),
+    "blocks a full span apart should not fit one batch"
+  );
+
+  const solid = new Map([
+    ["0|0|0", 1],
+    ["1|0|0", 2],
+    ["1|1|0", 3]
+  ]);
+  const getTypeAt = (x, y, z) => solid.get(`${x}|${y}|${z}`) ?? 0;
+  const stamp = copyStamp(getTypeAt, { x: 1, y: 1, z: 0 }, { x: 0, y: 0, z: 1 });
+  assert(
+    stamp?.sizeX === 2 && stamp.sizeY === 2 && stamp.sizeZ === 2 && stamp.blocks.length === 3,
+    `stamp should keep the copied box's solid blocks: ${JSON.stringify(stamp)}`
+  );
+  const turned = rotateStamp(stamp);
+  const cornerCells = getStampCells(turned, { x: 10, y: 0, z: 10 });
+  assert(
+    cornerCells.some((cell) => cell.x === 11 && cell.y === 0 && cell.z === 10 && cell.typeId === 1) &&
+      cornerCells.some((cell) => cell.x === 11 && cell.y === 1 && cell.z === 11 && cell.typeId === 3),
+    `quarter turn should swing x onto z: ${JSON.stringify(cornerCells)}`
+  );
+  const fullTurn = rotateStamp(rotateStamp(rotateStamp(turned)));
+  assert(
+    JSON.stringify(fullTurn.blocks) === JSON.stringify(stamp.blocks),
+    "four quarter turns should give the stamp back"
+  );
+}
+
+function checkStructuralIntegrity() {
+  const blocks = new Map();
+  const key = (x, y, z) => `${x}|${y}|${z}`;
+  const getTypeAt = (x, y, z) => blocks.get(key(x, y, z)) ?? 0;
+  const options = { getSupport: getBlockSupport, groundY: 0 };
+  const fallenXs = (origin) =>
+    findUnsupportedBlocks([origin], getTypeAt, options)
+      .map((block) => block.x)
+      .sort((a, b) => a - b);
+
+  // Stone (support 4) column with a five block stone beam: only the last block is too far out.
+  for (let y = 0; y <= 3; y += 1) {
+    blocks.set(key(0, y, 0), 3);
+  }
+  for (let x = 1; x <= 5; x += 1) {
+    blocks.set(key(x, 3, 0), 3);
+  }
+  assert(fallenXs({ x: 5, y: 3, z: 0 }).join() === "4,5", "Stone should reach three blocks sideways");
+  blocks.delete(key(4, 3, 0));
+  blocks.delete(key(5, 3, 0));
+
+  // Support passes straight up through a tower on the beam, but sand cannot hang sideways.
+  blocks.set(key(3, 4, 0), 4);
+  blocks.set(key(3, 5, 0), 4);
+  blocks.set(key(4, 5, 0), 4);
+  assert(fallenXs({ x: 4, y: 5, z: 0 }).join() === "4", "Sand should only stack");
+  blocks.delete(key(4, 5, 0));
+
+  blocks.delete(key(0, 1, 0));
+  assert(fallenXs({ x: 0, y: 1, z: 0 }).length === 7, "Cutting the column should drop everything it held up");
+  assert(
+    findUnsupportedBlocks([{ x: 0, y: 1, z: 0 }], getTypeAt, { ...options, maxScan: 3 }).length === 0,
+    "Overhangs bigger than maxScan should be left alone"
+  );
+
+  blocks.clear();
+  for (let x = 0; x <= 8; x += 1) {
+    blocks.set(key(x, 1, 0), 8);
+  }
+  options.isAnchored = (x, y) => x === 0 && y === 1;
+  assert(fallenXs({ x: 8, y: 1, z: 0 }).join() === "8", "Metal should reach seven blocks sideways");
+}
+
+function checkMapGenerators() {
+  const metaKeys = ["alphaBase", "bravoBase", "alphaFlag", "bravoFlag", "mid", "trainingSpawn"];
+  const isPoint = (point) => ["x", "y", "z"].every((axis) => Number.isFinite(point?.[axis]));
+  for (const mapId of MAP_IDS) {
+    const { grid, arenaMeta } = buildSelectedMapGrid({ mapId, seed: 20260227 });
+    const rebuilt = buildSelectedMapGrid({ mapId, seed: 20260227 }).grid;
+    assert(grid.blockCount > 100000, `${mapId}: unexpected block count ${grid.blockCount}`);
+    assert(
+      grid.blockCount === rebuilt.blockCount && grid.getBlockHash() === rebuilt.getBlockHash(),
+      `${mapId}: the same seed should build the same map`
+    );
+    const reseeded = buildSelectedMapGrid({ mapId, seed: 7 }).grid;
+    assert(reseeded.getBlockHash() !== grid.getBlockHash(), `${mapId}: another seed should build another map`);
+    assert(
+      metaKeys.every((key) => isPoint(arenaMeta?.[key])) && arenaMeta.halfExtent === 60,
+      `${mapId}: invalid arena metadata ${JSON.stringify(arenaMeta)}`
+    );
+
+    const half = arenaMeta.halfExtent;
+    for (let x = -half; x <= half; x += 2) {
+      for (let z = -half; z <= half; z += 2) {
+        assert(grid.getTypeAt(x, STRUCTURE_GROUND_Y, z) !== 0, `${mapId}: hole in the ground layer at ${x},${z}`);
+        for (let y = 15; y <= 28; y += 1) {
+          assert(grid.getTypeAt(x, y, z) === 0, `${mapId}: block at ${x},${y},${z} reaches the lobby layer`);
+        }
+      }
+    }
+    for (const base of [arenaMeta.alphaBase, arenaMeta.bravoBase]) {
+      assert(
+        grid.getTypeAt(base.x, 0, base.z) !== 0 &&
+          grid.getTypeAt(base.x, 1, base.z) === 0 &&
+          grid.getTypeAt(base.x, 2, base.z) === 0,
+        `${mapId}: spawn at ${base.x},${base.z} should stand on a clear floor`
+      );
+    }
+  }
+}
+
+function checkMapShareCodes() {
+  for (const mapId of MAP_IDS) {
+    for (const seed of [0, 7, getDefaultMapSeed(), 0xffffffff]) {
+      const code = getMapShareCode(mapId, seed);
+      const parsed = parseMapShareCode(code.toLowerCase());
+      assert(
+        code.length <= 9 && parsed?.mapId === mapId && parsed.seed === seed,
+        `${mapId}/${seed}: share code ${code} should round-trip, got ${JSON.stringify(parsed)}`
+      );
+    }
+  }
+  for (const bad of ["", "F", "F-", "Q-22", "F-0O1I", "F-ZZZZZZZ", "F-22222222"]) {
+    assert(parseMapShareCode(bad) === null, `share code ${JSON.stringify(bad)} should be rejected`);
+  }
+  assert(
+    normalizeMapSeed(-1) === getDefaultMapSeed() &&
+      normalizeMapSeed(2 ** 32) === getDefaultMapSeed() &&
+      normalizeMapSeed(1.5) === getDefaultMapSeed() &&
+      normalizeMapSeed("") === getDefaultMapSeed() &&
+      normalizeMapSeed(0) === 0,
+    "normalizeMapSeed should keep only unsigned 32-bit integers"
+  );
+}
+
+function checkCustomMaps() {
+  const { grid, arenaMeta } = buildSelectedMapGrid({ mapId: "desert_canyon", seed: 99 });
+  const markers = { ...arenaMeta, mid: { x: 5, y: 3, z: -7 } };
+  const exported = encodeCustomMap(grid, { name: "  검증 협곡  ", markers });
+  assert(
+    exported.format === CUSTOM_MAP_FORMAT && exported.version === CUSTOM_MAP_VERSION && exported.name === "검증 협곡",
+    `Unexpected custom map header: ${JSON.stringify({ ...exported, blocks: exported.blocks.length })}`
+  );
+  const json = JSON.stringify(exported);
+  assert(json.length < 200000, `Custom map export should be compressed, got ${json.length} bytes`);
+
+  const customMap = parseCustomMap(json);
+  const mapId = registerCustomMap(customMap);
+  assert(
+    normalizeMapId(mapId) === mapId && getMapName(mapId) === "검증 협곡" && !MAP_IDS.includes(mapId),
+    `Custom maps should load by id without joining the built-in rotation: ${mapId}`
+  );
+  const rebuilt = buildSelectedMapGrid({ mapId });
+  assert(
+    rebuilt.grid.getBlockHash() === grid.getBlockHash() && rebuilt.grid.blockCount === grid.blockCount,
+    "A custom map should rebuild the exported blocks exactly"
+  );
+  assert(
+    JSON.stringify(rebuilt.arenaMeta.mid) === JSON.stringify({ x: 5, y: 3, z: -7 }) &&
+      rebuilt.arenaMeta.alphaFlag.x === arenaMeta.alphaFlag.x &&
+      rebuilt.arenaMeta.halfExtent === arenaMeta.halfExtent,
+    `Custom map markers should become its arena metadata: ${JSON.stringify(rebuilt.arenaMeta)}`
+  );
+  unregisterCustomMap(mapId);
+  assert(normalizeMapId(mapId) === "forest_frontline" && getCustomMapIds().length === 0, "Unregistered custom map still loads");
+
+  const blank = createBlankCustomMap("");
+  const blankGrid = buildSelectedMapGrid({ mapId: registerCustomMap(blank) }).grid;
+  assert(
+    blank.name === "사용자 맵" && blankGrid.getSurfaceYAt(12, -30) === 0 && blankGrid.blockCount === 121 * 121 * 8,
+    `Blank custom map should be an 8-deep plate: ${blankGrid.blockCount}`
+  );
+  unregisterCustomMap(`custom:${blank.name}`);
+
+  // Blocks up in the lobby layer never make it into an export.
+  blankGrid.setBlock(0, 20, 0, 3);
+  const clipped = encodeCustomMap(blankGrid, { name: "clip" });
+  assert(clipped.bounds.maxY === -1, `Export should drop blocks above the map: ${JSON.stringify(clipped.bounds)}`);
+
+  const truncated = { ...exported, blocks: exported.blocks.slice(0, 40) };
+  const rejected = [
+    "not json",
+    { ...exported, format: "other" },
+    { ...exported, version: CUSTOM_MAP_VERSION + 1 },
+    truncated,
+    { ...exported, bounds: { ...exported.bounds, maxY: 40 } },
+    { ...exported, bounds: { minX: 0, maxX: 0, minY: 0, maxY: 0, minZ: 0, maxZ: 0 }, blocks: "YwE=" }
+  ];
+  for (const value of rejected) {
+    assert(parseCustomMap(value) === null, `Custom map should be rejected: ${JSON.stringify(value).slice(0, 80)}`);
+  }
+}
+
+function checkExplosives() {
+  // Flat floor at y = 0 with a wall at x = 6.
+  const getTypeAt = (x, y) => (y === 0 || (x === 6 && y >= 0 && y <= 4) ? 3 : 0);
+  const rest = simulateGrenade({ x: 0.5, y: 1.6, z: 0.5 }, { x: 0, y: 4, z: 0 }, 3, getTypeAt);
+  assert(
+    Math.abs(rest.y - 1.12) < 0.05 && Math.abs(rest.x - 0.5) < 1e-9,
+    `A grenade tossed straight up should settle on the floor: ${JSON.stringify(rest)}`
+  );
+  const bounced = simulateGrenade({ x: 0.5, y: 1.6, z: 0.5 }, { x: 14, y: 2, z: 0 }, 3, getTypeAt);
+  assert(
+    bounced.x < 6 - 0.1 && bounced.y >= 1 && bounced.y < 1.5,
+    `A grenade should bounce back off the wall and stay on the floor: ${JSON.stringify(bounced)}`
+  );
+
+  const radius = getExplosiveDefinition(EXPLOSIVE_TYPE.GRENADE).blastRadius;
+  const cells = getBlastCells({ x: 0.5, y: -6.5, z: 0.5 }, radius, (x) => x !== 1);
+  assert(cells[0]?.x === 0 && cells[0].y === -7, "Blast cells should start at the centre");
+  assert(cells.every((cell) => cell.x !== 1), "Blast cells should skip filtered cells");
+  assert(
+    cells.every((cell) => cell.y >= -7) && cells.some((cell) => cell.y === -5),
+    "Blasts should carve upwards but never the ground layer"
+  );
+
+  const grenade = getExplosiveDefinition(EXPLOSIVE_TYPE.GRENADE);
+  assert(getBlastDamage(EXPLOSIVE_TYPE.GRENADE, 0) === grenade.maxDamage, "Point blank should deal max damage");
+  assert(
+    getBlastDamage(EXPLOSIVE_TYPE.GRENADE, grenade.damageRadius) === grenade.minDamage,
+    "The damage edge should deal min damage"
+  );
+  assert(getBlastDamage(EXPLOSIVE_TYPE.GRENADE, grenade.damageRadius + 0.1) === 0, "Out of range should be safe");
+  assert(getBlastDamage("rocket", 0) === 0, "Unknown explosives should deal no damage");
+}
+
+function checkVoxelRaycast() {
+  const solid = new Set(["3|0|0", "0|2|5", "-2|-1|-2"]);
+  const getTypeAt = (x, y, z) => (solid.has(`${x}|${y}|${z}`) ? 4 : 0);
+  const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+  const east = raycastVoxels({ x: 0.5, y: 0.5, z: 0.5 }, { x: 2, y: 0, z: 0 }, 10, getTypeAt);
+  assert(
+    east?.x === 3 && east.typeId === 4 && east.normal.x === -1 && near(east.distance, 2.5) && near(east.point.x, 3),
+    `Axis ray should stop on the west face at 2.5: ${JSON.stringify(east)}`
+  );
+  assert(
+    raycastVoxels({ x: 0.5, y: 0.5, z: 0.5 }, { x: 1, y: 0, z: 0 }, 2.4, getTypeAt) === null,
+    "A block just past maxDistance should not be hit"
+  );
+
+  // Rises through y = 1 and y = 2 before reaching z = 5.
+  const diagonal = raycastVoxels({ x: 0.5, y: 0.5, z: 0.5 }, { x: 0, y: 0.4, z: 1 }, 20, getTypeAt);
+  assert(
+    diagonal?.y === 2 && diagonal.z === 5 && diagonal.normal.z === -1 && near(diagonal.point.z, 5),
+    `Diagonal ray should enter the block through its -z face: ${JSON.stringify(diagonal)}`
+  );
+
+  const negative = raycastVoxels({ x: 0.5, y: 0.5, z: 0.5 }, { x: -1, y: -0.6, z: -1 }, 10, getTypeAt);
+  assert(
+    negative?.x === -2 && negative.y === -1 && negative.z === -2,
+    `Negative ray should find the block below and behind: ${JSON.stringify(negative)}`
+  );
+
+  const inside = raycastVoxels({ x: 3.5, y: 0.5, z: 0.5 }, { x: 1, y: 0, z: 0 }, 5, getTypeAt);
+  assert(
+    inside?.x === 3 && inside.distance === 0 && inside.normal.x === -1,
+    `A ray starting inside a block should hit it at once: ${JSON.stringify(inside)}`
+  );
+  const skipped = raycastVoxels({ x: 3.5, y: 0.5, z: 0.5 }, { x: 1, y: 0, z: 0 }, 5, getTypeAt, 0.6);
+  assert(skipped === null, "near should skip the block the ray starts in");
+}
+
 async function checkSocketServer() {
   const port = 3101 + Math.floor(Math.random() * 2000);
   const server = spawn(process.execPath, ["server.js"], {
@@ -191,6 +1097,8 @@ async function checkSocketServer() {
 
   let c1 = null;
   let c2 = null;
+  let c3 = null;
+  const guestClientId = "smoke-guest-client";
 
   try {
     await waitFor(() => serverReady || serverFailed, 6000);
@@ -208,7 +1116,8 @@ async function checkSocketServer() {
       reconnectionAttempts: 8,
       reconnectionDelay: 120,
       timeout: 5000,
-      transports: ["websocket"]
+      transports: ["websocket"],
+      auth: { clientId: guestClientId }
     });
 
     await Promise.all([
@@ -224,6 +1133,12 @@ async function checkSocketServer() {
     let ctfCaptureSeen = false;
     let hazardDamageSeen = false;
     let snapshotReceived = false;
+    let latestRoomList = [];
+    let kickedPayload = null;
+    let latestRoomState = null;
+    let roundEndEvent = null;
+    let latestHill = null;
+    let hillCapturedEvent = null;
     c1.on("room:started", () => {
       startedCount += 1;
     });
@@ -233,6 +1148,13 @@ async function checkSocketServer() {
     c1.on("room:update", (room) => {
       latestRoomPlayers = Array.isArray(room?.players) ? room.players : [];
       latestRoomHostId = String(room?.hostId ?? "");
+      latestRoomState = room?.state ?? null;
+    });
+    c1.on("room:list", (list) => {
+      latestRoomList = Array.isArray(list) ? list : [];
+    });
+    c2.on("room:kicked", (payload) => {
+      kickedPayload = payload ?? {};
     });
     c1.on("chat:message", (payload) => {
       receivedChatText = payload?.text ?? "";
@@ -240,12 +1162,25 @@ async function checkSocketServer() {
     c1.on("room:snapshot", (payload) => {
       snapshotReceived = Array.isArray(payload?.blocks);
     });
+    const blockBatchesSeen = [];
+    c2.on("block:update", (payload) => {
+      if (payload?.action === "place" && Array.isArray(payload.blocks)) {
+        blockBatchesSeen.push(payload);
+      }
+    });
     c1.on("ctf:update", (payload) => {
       const eventType = payload?.event?.type ?? "";
       if (eventType === "pickup") {
         ctfPickupSeen = true;
       } else if (eventType === "capture") {
         ctfCaptureSeen = true;
+      } else if (eventType === "round_end") {
+        roundEndEvent = payload.event;
+      } else if (eventType === "hill_captured") {
+        hillCapturedEvent = payload.event;
+      }
+      if (payload?.hill) {
+        latestHill = { ...payload.hill, score: payload.score };
       }
     });
     c1.on("pvp:damage", (payload) => {
@@ -258,16 +1193,39 @@ async function checkSocketServer() {
       }
     });
 
-    const created = await emitWithAck(c1, "room:create", { name: "CheckHost" });
+    const globalReroll = await emitWithAck(c1, "room:set-seed", { reroll: true });
+    assert(
+      globalReroll?.ok === false && globalReroll.error === "공용 방에서는 맵 시드를 바꿀 수 없습니다",
+      `the shared GLOBAL world should refuse a reroll: ${JSON.stringify(globalReroll)}`
+    );
+
+    const created = await emitWithAck(c1, "room:create", {
+      name: "CheckHost",
+      password: "smoke",
+      capacity: 4
+    });
     assert(created?.ok === true, `room:create failed: ${JSON.stringify(created)}`);
     const code = created.room?.code;
-    assert(code === "GLOBAL", `Expected GLOBAL room code, got: ${String(code)}`);
+    assert(
+      typeof code === "string" && code !== "GLOBAL" && /^[A-Z0-9]{4,8}$/.test(code),
+      `Expected generated room code, got: ${String(code)}`
+    );
+    assert(
+      created.room?.capacity === 4 && created.room?.locked === true && created.room?.hostId === c1.id,
+      `private room metadata mismatch: ${JSON.stringify(created.room)}`
+    );
 
-    const joined = await emitWithAck(c2, "room:join", { code, name: "CheckGuest" });
+    const deniedJoin = await emitWithAck(c2, "room:join", { code, name: "CheckGuest" });
+    assert(deniedJoin?.ok === false, `room:join without password should fail: ${JSON.stringify(deniedJoin)}`);
+
+    const joined = await emitWithAck(c2, "room:join", { code, name: "CheckGuest", password: "smoke" });
     assert(joined?.ok === true, `room:join failed: ${JSON.stringify(joined)}`);
-    assert(
-      joined?.room?.code === "GLOBAL",
-      `Expected GLOBAL room on join, got: ${JSON.stringify(joined)}`
+    assert(joined?.room?.code === code, `Expected ${code} room on join, got: ${JSON.stringify(joined)}`);
+
+    c1.emit("room:list");
+    await waitFor(
+      () => latestRoomList.some((room) => room?.code === code && Number(room?.count) === 2),
+      3000
     );
 
     const teamHost = await emitWithAck(c1, "room:set-team", { team: "alpha" });
@@ -293,6 +1251,13 @@ async function checkSocketServer() {
     );
     await waitFor(() => snapshotReceived, 3000);
 
+    const clientSentAt = Date.now();
+    const timeAck = await emitWithAck(c1, "time:sync", { clientSentAt });
+    assert(
+      timeAck?.ok === true && timeAck.clientSentAt === clientSentAt && Number(timeAck.serverTime) >= clientSentAt - 1000,
+      `time:sync failed: ${JSON.stringify(timeAck)}`
+    );
+
     const baselineTypeId = 6;
     const baselineStock = readStockValue(snapshotAck?.snapshot?.stock, baselineTypeId);
     assert(baselineStock > 0, `invalid baseline stock: ${baselineStock}`);
@@ -323,20 +1288,97 @@ async function checkSocketServer() {
       `stock did not recover after remove: ${JSON.stringify(stockRemoveAck)}`
     );
 
-    c1.emit("player:sync", { x: 44, y: 1.75, z: 0, yaw: 0, pitch: 0 });
+    const wallBlocks = [0, 1, 2, 3].map((dx) => ({ x: 120 + dx, y: 5, z: 40, typeId: baselineTypeId }));
+    const batchAck = await emitWithAck(c1, "block:update", { action: "place", blocks: wallBlocks });
+    assert(
+      batchAck?.ok === true && readStockValue(batchAck.stock, baselineTypeId) === baselineStock - 4,
+      `batch place should charge one block per cell: ${JSON.stringify(batchAck)}`
+    );
+    await waitFor(() => blockBatchesSeen.some((payload) => payload.blocks.length === 4), 3000);
+    const spawnBatchAck = await emitWithAck(c1, "block:update", {
+      action: "place",
+      blocks: [-20, -21, -22].map((x) => ({ x, y: 2, z: 0, typeId: baselineTypeId }))
+    });
+    assert(
+      spawnBatchAck?.ok === false &&
+        spawnBatchAck.error === "스폰 보호 구역은 수정할 수 없습니다" &&
+        readStockValue(spawnBatchAck.stock, baselineTypeId) === baselineStock - 4,
+      `a batch touching the spawn zone should be refused whole: ${JSON.stringify(spawnBatchAck)}`
+    );
+    const overlapTypeId = baselineTypeId === 1 ? 2 : 1;
+    const overlapBatchAck = await emitWithAck(c1, "block:update", {
+      action: "place",
+      blocks: [
+        { x: 120, y: 6, z: 40, typeId: overlapTypeId },
+        { x: 121, y: 5, z: 40, typeId: overlapTypeId }
+      ]
+    });
+    assert(
+      overlapBatchAck?.ok === false &&
+        overlapBatchAck.error === "이미 블록이 있는 칸입니다" &&
+        readStockValue(overlapBatchAck.stock, baselineTypeId) === baselineStock - 4,
+      `a batch over an existing block should be refused whole: ${JSON.stringify(overlapBatchAck)}`
+    );
+    const costlyBlocks = [];
+    for (let dx = 0; dx < MAX_BUILD_SPAN; dx += 1) {
+      for (let y = 6; y <= 8; y += 1) {
+        costlyBlocks.push({ x: 120 + dx, y, z: 40, typeId: baselineTypeId });
+      }
+    }
+    const costlyBatchAck = await emitWithAck(c1, "block:update", { action: "place", blocks: costlyBlocks });
+    assert(
+      costlyBatchAck?.ok === false &&
+        costlyBatchAck.error === "보유한 블록이 부족합니다" &&
+        readStockValue(costlyBatchAck.stock, baselineTypeId) === baselineStock - 4,
+      `a batch beyond the stock should be refused whole: ${JSON.stringify(costlyBatchAck)}`
+    );
+    for (const block of wallBlocks) {
+      const removeAck = await emitWithAck(c1, "block:update", { action: "remove", ...block });
+      assert(removeAck?.ok === true, `batch block remove failed: ${JSON.stringify(removeAck)}`);
+    }
+
+    const alphaSpawn = { x: -35, y: 1.75, z: 0 };
+    c1.emit("player:sync", { ...alphaSpawn, yaw: 0, pitch: 0 });
     await sleep(80);
+    const farPlaceAck = await emitWithAck(c1, "block:update", {
+      action: "place",
+      x: 120,
+      y: 5,
+      z: 40,
+      typeId: baselineTypeId
+    });
+    assert(
+      farPlaceAck?.ok === false &&
+        farPlaceAck.error === "블록이 너무 멀리 있습니다" &&
+        readStockValue(farPlaceAck.stock, baselineTypeId) === baselineStock,
+      `out-of-reach place should be rejected without spending stock: ${JSON.stringify(farPlaceAck)}`
+    );
+    let correction = null;
+    c1.once("player:correction", (payload) => {
+      correction = payload;
+    });
+    c1.emit("player:sync", { x: 44, y: 1.75, z: 0, yaw: 0, pitch: 0 });
+    await waitFor(() => correction !== null, 3000);
+    assert(
+      correction?.reason === "speed" && Math.abs(Number(correction?.state?.x) - alphaSpawn.x) < 0.01,
+      `teleport should be corrected back: ${JSON.stringify(correction)}`
+    );
+    const teleportPickup = await emitWithAck(c1, "ctf:interact");
+    assert(teleportPickup?.ok === false, `teleported pickup should fail: ${JSON.stringify(teleportPickup)}`);
+
+    // The straight line between the bases runs into the hut on the hill, so the walks keep to z = 2.
+    const arenaGrid = buildSelectedMapGrid({ mapId: "forest_frontline" }).grid;
+    const flagPos = await walkTo(c1, arenaGrid, alphaSpawn, { x: -35, z: 2 }, { x: 42, z: 2 }, { x: 42, z: 0 });
     const pickupAck = await emitWithAck(c1, "ctf:interact");
     assert(pickupAck?.ok === true, `ctf:interact failed: ${JSON.stringify(pickupAck)}`);
     await waitFor(() => ctfPickupSeen, 4000);
-    c1.emit("player:sync", { x: -35, y: 1.75, z: 0, yaw: 0, pitch: 0 });
+    await walkTo(c1, arenaGrid, flagPos, { x: 42, z: 2 }, { x: -34, z: 2 }, { x: -34, z: 0 });
     await waitFor(() => ctfCaptureSeen, 4000);
 
-    const left = await emitWithAck(c2, "room:leave");
-    assert(left?.ok === true, `room:leave failed: ${JSON.stringify(left)}`);
-    assert(left?.room?.code === "GLOBAL", `leave should keep GLOBAL room: ${JSON.stringify(left)}`);
-
-    const startClient = latestRoomHostId && latestRoomHostId === c2.id ? c2 : c1;
-    const started = await emitWithAck(startClient, "room:start");
+    const guestStart = await emitWithAck(c2, "room:start");
+    assert(guestStart?.ok === false, `non-host room:start should fail: ${JSON.stringify(guestStart)}`);
+    assert(latestRoomHostId === c1.id, `room host should be creator: ${latestRoomHostId}`);
+    const started = await emitWithAck(c1, "room:start");
     assert(started?.ok === true, `room:start failed: ${JSON.stringify(started)}`);
     await waitFor(() => startedCount >= 2, 4000);
 
@@ -347,6 +1389,158 @@ async function checkSocketServer() {
     c2.emit("chat:send", { name: "CheckGuest", text: "smoke-test-chat" });
     await waitFor(() => receivedChatText === "smoke-test-chat", 4000);
 
+    const guestMode = await emitWithAck(c2, "room:set-mode", { mode: "elimination" });
+    assert(guestMode?.ok === false, `non-host room:set-mode should fail: ${JSON.stringify(guestMode)}`);
+    const hostMode = await emitWithAck(c1, "room:set-mode", { mode: "elimination" });
+    assert(hostMode?.mode === "elimination", `room:set-mode failed: ${JSON.stringify(hostMode)}`);
+    await waitFor(
+      () => latestRoomList.some((room) => room?.code === code && room?.mode === "elimination"),
+      3000
+    );
+    const eliminationStart = await emitWithAck(c1, "room:start");
+    assert(eliminationStart?.ok === true, `elimination room:start failed: ${JSON.stringify(eliminationStart)}`);
+    await waitFor(
+      () =>
+        latestRoomState?.mode === "elimination" &&
+        Number(latestRoomState?.round?.number) === 1 &&
+        latestRoomState?.alive?.alpha === 1 &&
+        latestRoomState?.alive?.bravo === 1,
+      3000
+    );
+    const eliminatedAck = await emitWithAck(c2, "player:hazard", { reason: "void", damage: 100 });
+    assert(
+      eliminatedAck?.killed === true && !(Number(eliminatedAck?.respawnAt) > 0),
+      `elimination death should not schedule respawn: ${JSON.stringify(eliminatedAck)}`
+    );
+    await waitFor(() => roundEndEvent !== null, 3000);
+    assert(
+      roundEndEvent?.winnerTeam === "alpha" && Number(roundEndEvent?.roundNumber) === 1,
+      `elimination wipe should end round for alpha: ${JSON.stringify(roundEndEvent)}`
+    );
+    await waitFor(() => Number(latestRoomState?.score?.alpha) === 1, 3000);
+
+    const kothMode = await emitWithAck(c1, "room:set-mode", { mode: "koth" });
+    assert(kothMode?.mode === "koth", `room:set-mode koth failed: ${JSON.stringify(kothMode)}`);
+    const kothStart = await emitWithAck(c1, "room:start");
+    assert(kothStart?.ok === true, `koth room:start failed: ${JSON.stringify(kothStart)}`);
+    await waitFor(() => latestRoomState?.mode === "koth" && latestRoomState?.hill?.owner === null, 3000);
+    c1.emit("player:sync", { ...alphaSpawn, yaw: 0, pitch: 0 });
+    await walkTo(c1, arenaGrid, alphaSpawn, { x: -35, z: 2 }, { x: 3, z: 2 });
+    await waitFor(() => latestHill?.capturingTeam === "alpha" && latestHill.progress > 0, 3000);
+    await waitFor(() => hillCapturedEvent !== null, 8000);
+    assert(hillCapturedEvent?.byTeam === "alpha", `hill should be captured by alpha: ${JSON.stringify(hillCapturedEvent)}`);
+    await waitFor(() => latestHill?.owner === "alpha" && Number(latestHill?.score?.alpha) >= 1, 3000);
+    const bravoSpawn = { x: 35, y: 1.75, z: 0 };
+    c2.emit("player:sync", { ...bravoSpawn, yaw: 0, pitch: 0 });
+    await walkTo(c2, arenaGrid, bravoSpawn, { x: 35, z: -2 }, { x: -3, z: -2 });
+    await waitFor(() => latestHill?.contested === true, 3000);
+    const contestedScore = Number(latestHill.score.alpha);
+    await sleep(1300);
+    assert(
+      latestHill?.contested === true && Number(latestHill?.score?.alpha) === contestedScore,
+      `contested hill should freeze scoring: ${JSON.stringify(latestHill)}`
+    );
+
+    const guestMap = await emitWithAck(c2, "room:set-map", { mapId: "frozen_lake" });
+    assert(guestMap?.ok === false, `non-host room:set-map should fail: ${JSON.stringify(guestMap)}`);
+    const unknownMap = await emitWithAck(c1, "room:set-map", { mapId: "moon_base" });
+    assert(unknownMap?.ok === false, `unknown map should be rejected: ${JSON.stringify(unknownMap)}`);
+    const hostMap = await emitWithAck(c1, "room:set-map", { mapId: "frozen_lake" });
+    assert(
+      hostMap?.mapId === "frozen_lake" && hostMap?.activeMapId === "forest_frontline",
+      `mid-match room:set-map should wait for the next round: ${JSON.stringify(hostMap)}`
+    );
+    const frozenStart = await emitWithAck(c1, "room:start");
+    assert(frozenStart?.ok === true, `frozen_lake room:start failed: ${JSON.stringify(frozenStart)}`);
+    await waitFor(() => latestRoomState?.mapId === "frozen_lake", 3000);
+    await waitFor(() => latestRoomList.some((room) => room?.code === code && room?.mapId === "frozen_lake"), 3000);
+    assert(latestRoomState?.vote === null, `a running round should have no map vote: ${JSON.stringify(latestRoomState?.vote)}`);
+    const earlyVote = await emitWithAck(c2, "vote:cast", { optionId: 0 });
+    assert(earlyVote?.ok === false, `vote:cast outside the restart delay should fail: ${JSON.stringify(earlyVote)}`);
+
+    const frozenSnapshot = await emitWithAck(c2, "room:request-snapshot");
+    const frozenHash = buildSelectedMapGrid({ mapId: "frozen_lake" }).grid.getBlockHash();
+    assert(
+      frozenSnapshot?.snapshot?.mapHash === frozenHash,
+      `server terrain hash should match a locally built frozen_lake: ${frozenSnapshot?.snapshot?.mapHash} vs ${frozenHash}`
+    );
+    const guestSeed = await emitWithAck(c2, "room:set-seed", { reroll: true });
+    assert(guestSeed?.ok === false, `non-host room:set-seed should fail: ${JSON.stringify(guestSeed)}`);
+    const badSeed = await emitWithAck(c1, "room:set-seed", { code: "Q-22" });
+    assert(badSeed?.ok === false, `unknown share code should be rejected: ${JSON.stringify(badSeed)}`);
+    const rerolled = await emitWithAck(c1, "room:set-seed", { reroll: true });
+    assert(
+      rerolled?.ok === true && rerolled.mapId === "frozen_lake" && Number.isInteger(rerolled.mapSeed),
+      `room:set-seed reroll failed: ${JSON.stringify(rerolled)}`
+    );
+    const sharedCode = getMapShareCode("desert_canyon", 4242);
+    const throttled = await emitWithAck(c1, "room:set-seed", { code: sharedCode });
+    assert(
+      throttled?.ok === false && throttled.error === "잠시 후 다시 시도하세요",
+      `back-to-back seed changes should be throttled: ${JSON.stringify(throttled)}`
+    );
+    await sleep(2000);
+    const shared = await emitWithAck(c1, "room:set-seed", { code: sharedCode });
+    assert(
+      shared?.mapCode === sharedCode && shared.activeMapCode === getMapShareCode("frozen_lake", getDefaultMapSeed()),
+      `a share code mid-match should wait for the next round: ${JSON.stringify(shared)}`
+    );
+    const sharedStart = await emitWithAck(c1, "room:start");
+    assert(sharedStart?.ok === true, `shared-code room:start failed: ${JSON.stringify(sharedStart)}`);
+    await waitFor(() => latestRoomState?.mapCode === sharedCode, 3000);
+    const sharedSnapshot = await emitWithAck(c2, "room:request-snapshot");
+    const sharedHash = buildSelectedMapGrid({ mapId: "desert_canyon", seed: 4242 }).grid.getBlockHash();
+    assert(
+      sharedSnapshot?.snapshot?.mapId === "desert_canyon" &&
+        sharedSnapshot.snapshot.mapSeed === 4242 &&
+        sharedSnapshot.snapshot.mapHash === sharedHash,
+      `shared-code snapshot should carry the seed and a matching hash: ${JSON.stringify({
+        mapId: sharedSnapshot?.snapshot?.mapId,
+        mapSeed: sharedSnapshot?.snapshot?.mapSeed,
+        mapHash: sharedSnapshot?.snapshot?.mapHash,
+        sharedHash
+      })}`
+    );
+
+    const kicked = await emitWithAck(c1, "room:kick", { targetId: c2.id });
+    assert(kicked?.ok === true, `room:kick failed: ${JSON.stringify(kicked)}`);
+    await waitFor(() => kickedPayload !== null, 3000);
+    assert(
+      kickedPayload?.code === code && kickedPayload?.room?.code === "GLOBAL",
+      `kicked player should land in GLOBAL: ${JSON.stringify(kickedPayload)}`
+    );
+    const rejoined = await emitWithAck(c2, "room:join", { code, name: "CheckGuest", password: "smoke" });
+    assert(
+      rejoined?.ok === false && rejoined.error === "강퇴된 방에는 다시 참가할 수 없습니다",
+      `kicked player should not rejoin: ${JSON.stringify(rejoined)}`
+    );
+    c3 = io(`http://localhost:${port}`, {
+      reconnection: false,
+      timeout: 5000,
+      transports: ["websocket"],
+      auth: { clientId: guestClientId }
+    });
+    await waitFor(() => c3.connected, 6000);
+    const reconnectedJoin = await emitWithAck(c3, "room:join", {
+      code,
+      name: "CheckGuest",
+      password: "smoke"
+    });
+    assert(
+      reconnectedJoin?.ok === false && reconnectedJoin.error === "강퇴된 방에는 다시 참가할 수 없습니다",
+      `kick should survive a reconnect: ${JSON.stringify(reconnectedJoin)}`
+    );
+    c3.disconnect();
+
+    const left = await emitWithAck(c2, "room:leave");
+    assert(left?.ok === true, `room:leave failed: ${JSON.stringify(left)}`);
+    assert(left?.room?.code === "GLOBAL", `leave should keep GLOBAL room: ${JSON.stringify(left)}`);
+
+    const hostLeft = await emitWithAck(c1, "room:leave");
+    assert(hostLeft?.room?.code === "GLOBAL", `host leave should return to GLOBAL: ${JSON.stringify(hostLeft)}`);
+    c1.emit("room:list");
+    await waitFor(() => !latestRoomList.some((room) => room?.code === code), 3000);
+
     const guestId = c2.id;
     c2.disconnect();
     await waitFor(
@@ -356,6 +1550,7 @@ async function checkSocketServer() {
   } finally {
     c1?.disconnect();
     c2?.disconnect();
+    c3?.disconnect();
     if (!server.killed) {
       server.kill();
     }
@@ -381,6 +1576,27 @@ async function main() {
   console.log("[verify] weapon smoke...");
   checkWeaponSystem();
 
+  console.log("[verify] movement smoke...");
+  checkMovementValidation();
+
+  console.log("[verify] interpolation smoke...");
+  checkRemoteInterpolation();
+
+  console.log("[verify] net codec smoke...");
+  checkNetCodec();
+
+  console.log("[verify] navigation smoke...");
+  checkNavigation();
+
+  console.log("[verify] enemy tactics smoke...");
+  checkEnemyTactics();
+
+  console.log("[verify] enemy perception smoke...");
+  checkEnemyPerception();
+
+  console.log("[verify] wave director smoke...");
+  checkWaveDirector();
+
   console.log("[verify] voxel smoke...");
   checkVoxelWorld();
 
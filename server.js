@@ -3,14 +3,59 @@ import { spawn } from "node:child_process";
 import { createReadStream, existsSync, mkdirSync, readFileSync, statSync, writeFileSync } from "node:fs";
 import { dirname, extname, resolve } from "node:path";
 import { Server } from "socket.io";
+import { createModeRegistry } from "./src/server/modes/index.js";
 import { DEFAULT_GAME_MODE, GAME_MODE, normalizeGameMode } from "./src/shared/gameModes.js";
+import { HIT_ZONE, classifyHitZone } from "./src/shared/hitZones.js";
 import {
-  CTF_CAPTURE_RADIUS,
-  CTF_PICKUP_RADIUS,
-  CTF_WIN_SCORE,
+  PVP_HITBOX_FOOT_OFFSET,
+  PVP_HITBOX_HALF_WIDTH,
+  PVP_HITBOX_TOP_OFFSET,
+  MAP_VOTE_OPTION_COUNT,
   PVP_RESPAWN_MS,
   ROUND_RESTART_DELAY_MS
 } from "./src/shared/matchConfig.js";
+import { MOVE_VIOLATION, validateMovementStep } from "./src/shared/movement.js";
+import { MAX_BUILD_BATCH, countBlocksByType, isWithinBuildSpan } from "./src/shared/buildShapes.js";
+import {
+  EXPLOSIVE_TYPE,
+  createExplosiveStock,
+  getBlastCells,
+  getBlastDamage,
+  getExplosiveDefinition,
+  getGrenadeLaunchVelocity,
+  normalizeExplosiveType,
+  simulateGrenade
+} from "./src/shared/explosives.js";
+import { findUnsupportedBlocks } from "./src/shared/structuralIntegrity.js";
+import { BLOCK_REACH, raycastVoxels } from "./src/shared/voxelRaycast.js";
+import { getBlockMaxHealth, getBlockSupport } from "./src/game/build/BlockPalette.js";
+import {
+  MAP_IDS,
+  buildSelectedMapGrid,
+  createRandomMapSeed,
+  getDefaultMapId,
+  getDefaultMapSeed,
+  getMapShareCode,
+  normalizeMapId,
+  normalizeMapSeed,
+  parseMapShareCode
+} from "./src/game/world/MapRegistry.js";
+import {
+  NET_PROTOCOL,
+  decodePlayerSync,
+  encodeBlockBatch,
+  encodeBlockList,
+  encodePlayerBatch,
+  dequantizePlayerState,
+  quantizePlayerState
+} from "./src/shared/netCodec.js";
+import {
+  DEFAULT_WEAPON_ID,
+  WEAPON_SWITCH_MS,
+  getWeaponDamage,
+  getWeaponDefinition,
+  normalizeWeaponId
+} from "./src/shared/weapons.js";
 
 function parseCorsOrigins(rawValue) {
   const value = String(rawValue ?? "").trim();
@@ -26,6 +71,23 @@ function parseCorsOrigins(rawValue) {
   return list.length > 0 ? list : "*";
 }
 
+// MAP_ROTATION is a comma list of "mapId:mode" pairs, e.g. "urban_grid:koth,frozen_lake:ctf".
+// Unknown maps or modes are dropped; an empty result falls back to DEFAULT_MAP_ROTATION.
+function parseMapRotation(rawValue) {
+  const list = String(rawValue ?? "")
+    .split(",")
+    .map((entry) => {
+      const [mapId = "", mode = DEFAULT_GAME_MODE] = entry.split(":").map((part) => part.trim());
+      if (normalizeMapId(mapId) !== mapId || normalizeGameMode(mode) !== mode) {
+        return null;
+      }
+      return Object.freeze({ mapId, mode });
+    })
+    .filter(Boolean);
+
+  return list.length > 0 ? Object.freeze(list) : DEFAULT_MAP_ROTATION;
+}
+
 function writeJson(res, statusCode, payload) {
   res.writeHead(statusCode, {
     "content-type": "application/json; charset=utf-8",
@@ -140,19 +202,55 @@ async function probeExistingServer(port) {
 
 const DEFAULT_ROOM_CODE = "GLOBAL";
 const MAX_ROOM_PLAYERS = 50;
+const MIN_PRIVATE_ROOM_PLAYERS = 2;
+const DEFAULT_PRIVATE_ROOM_PLAYERS = 16;
+const MAX_PRIVATE_ROOMS = 64;
+const ROOM_CODE_LENGTH = 5;
+const ROOM_CODE_MAX_LENGTH = 8;
+const ROOM_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const ROOM_PASSWORD_MAX_LENGTH = 24;
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
 const EXIT_PORTAL_TARGET_PATH = "C:\\Users\\rneet\\OneDrive\\Desktop\\Emptines";
-const PVP_DAMAGE = 34;
 const HAZARD_DAMAGE_MIN = 1;
 const HAZARD_DAMAGE_MAX = 2000;
 const VOID_HAZARD_MIN_DAMAGE = 100;
 const RESPAWN_SHIELD_MS = 1800;
+const PLAYER_EYE_HEIGHT = 1.75;
+const PVP_STATE_HISTORY_MS = 1000;
+const PVP_STATE_HISTORY_MAX_ENTRIES = 48;
+const PVP_MAX_REWIND_MS = 350;
+const PVP_MAX_SHOT_DISTANCE = 160;
+const PVP_SHOT_ORIGIN_TOLERANCE = 2.6;
+const PVP_HITBOX_TOLERANCE = 0.32;
+const PVP_FIRE_INTERVAL_TOLERANCE = 0.85;
+const PVP_MAX_PELLETS = 16;
+const HIT_ZONE_PRIORITY = Object.freeze({
+  [HIT_ZONE.LIMBS]: 0,
+  [HIT_ZONE.TORSO]: 1,
+  [HIT_ZONE.HEAD]: 2
+});
+const NET_FLUSH_MS = 50;
+const NET_KEYFRAME_MS = 2000;
+const NET_ACK_INTERVAL_MS = 200;
+const NET_SYNC_HISTORY_MAX = 32;
 const BLOCK_KEY_SEPARATOR = "|";
 const BLOCK_TYPE_MIN = 1;
 const BLOCK_TYPE_MAX = 8;
 const DEFAULT_BLOCK_STOCK = 32;
 const MAX_BLOCK_STOCK = 999;
+// The client measures reach to the face it aims at and may be a few ticks ahead of its last sync.
+const BLOCK_REACH_TOLERANCE = 2.5;
+const BLOCK_REACH_OCCLUSION_SLACK = 1;
+const DEBRIS_DAMAGE_PER_BLOCK = 14;
+const DEBRIS_MAX_DAMAGE = 70;
+const DEBRIS_HIT_RADIUS = 0.85;
+const EXPLOSIVE_USE_COOLDOWN_MS = 600;
+// Each new seed builds and hashes a whole map on the main thread, so a host cannot reroll in a loop.
+const MAP_SEED_CHANGE_COOLDOWN_MS = 2000;
+// Charges sit just off the face they are stuck to, so the blast centre is never inside the block.
+const CHARGE_SURFACE_OFFSET = 0.08;
 const ENABLE_PERSISTENT_WORLD_STATE = true;
-const PERSISTENT_WORLD_STATE_VERSION = 1;
+const PERSISTENT_WORLD_STATE_VERSION = 2;
 const PERSISTENT_WORLD_SAVE_DEBOUNCE_MS = 700;
 const PERSISTENT_WORLD_MAX_BLOCKS = 300_000;
 const PERSISTENT_WORLD_STATE_PATH = resolve(
@@ -160,20 +258,24 @@ const PERSISTENT_WORLD_STATE_PATH = resolve(
   "storage",
   "global-world-state.json"
 );
-const PERSISTENT_WORLD_MAP_ID = "forest_frontline_v2";
+// Version 1 files held a single map's edits under this id; they load as the default map's edits.
+const PERSISTENT_WORLD_LEGACY_MAP_ID = "forest_frontline_v2";
+const BASE_TERRAIN_CACHE_LIMIT = 6;
 const DAILY_LEADERBOARD_VERSION = 1;
 const DAILY_LEADERBOARD_MAX_ENTRIES = 200;
 const DAILY_LEADERBOARD_PATH = resolve(process.cwd(), "storage", "daily-leaderboard.json");
 const DAILY_LEADERBOARD_TIMEZONE_OFFSET_MS = 9 * 60 * 60 * 1000;
 const DAILY_LEADERBOARD_RESET_CHECK_MS = 15_000;
+const DEFAULT_MAP_ROTATION = Object.freeze([
+  Object.freeze({ mapId: "forest_frontline", mode: GAME_MODE.CTF }),
+  Object.freeze({ mapId: "desert_canyon", mode: GAME_MODE.KOTH }),
+  Object.freeze({ mapId: "frozen_lake", mode: GAME_MODE.ELIMINATION }),
+  Object.freeze({ mapId: "urban_grid", mode: GAME_MODE.CTF })
+]);
 const DEFAULT_TEAM_HOME = Object.freeze({
   alpha: Object.freeze({ x: -35, y: 0, z: 0 }),
   bravo: Object.freeze({ x: 35, y: 0, z: 0 })
 });
-const DEFAULT_TEAM_FLAG_HOME = Object.freeze({
-  alpha: Object.freeze({ x: -44, y: 0, z: 0 }),
-  bravo: Object.freeze({ x: 44, y: 0, z: 0 })
-});
 const SPAWN_PROTECT_RADIUS = 13;
 const SPAWN_PROTECT_RADIUS_SQ = SPAWN_PROTECT_RADIUS * SPAWN_PROTECT_RADIUS;
 const SPAWN_PROTECT_MIN_Y = -8;
@@ -201,48 +303,25 @@ let persistentWorldSaveTimer = null;
 let dailyLeaderboardSaveTimer = null;
 let dailyLeaderboardState = null;
 let dailyLeaderboardResetInterval = null;
-
-function clonePoint(point = { x: 0, y: 0, z: 0 }) {
-  return {
-    x: Number(point.x ?? 0),
-    y: Number(point.y ?? 0),
-    z: Number(point.z ?? 0)
-  };
-}
-
-function createDefaultFlag(homePoint) {
-  const home = clonePoint(homePoint);
-  return {
-    home,
-    at: clonePoint(home),
-    carrierId: null
-  };
-}
-
-function createDefaultTeamFlags() {
-  return {
-    alpha: createDefaultFlag(DEFAULT_TEAM_FLAG_HOME.alpha),
-    bravo: createDefaultFlag(DEFAULT_TEAM_FLAG_HOME.bravo)
-  };
-}
-
-function cloneFlagState(flag = null, fallbackHome = { x: 0, y: 0, z: 0 }) {
-  const source = flag && typeof flag === "object" ? flag : {};
-  const home = clonePoint(source.home ?? fallbackHome);
-  return {
-    home,
-    at: clonePoint(source.at ?? home),
-    carrierId: source.carrierId ? String(source.carrierId) : null
-  };
-}
-
-function cloneTeamFlagsState(flags = null) {
-  const source = flags && typeof flags === "object" ? flags : {};
-  return {
-    alpha: cloneFlagState(source.alpha, DEFAULT_TEAM_FLAG_HOME.alpha),
-    bravo: cloneFlagState(source.bravo, DEFAULT_TEAM_FLAG_HOME.bravo)
-  };
-}
+let netFlushInterval = null;
+const baseTerrainGrids = new Map();
+let nextExplosiveId = 1;
+
+const getModeRules = createModeRegistry({
+  getRoomState,
+  touchRoomState,
+  emitCtfUpdate,
+  emitRoomUpdate,
+  endMatch: endRoundAndScheduleRestart,
+  respawnPlayers,
+  schedulePhase: scheduleRoundPhase,
+  clearPhase: (room) => clearRoundPhaseTimer(getRoomState(room)),
+  getTeamHome: (team) => DEFAULT_TEAM_HOME[normalizeTeam(team)] ?? { x: 0, y: 0, z: 0 },
+  normalizeTeam,
+  getEnemyTeam,
+  distanceXZ,
+  isRoundEnded
+});
 
 function sanitizePersistedBlockEntry(entry = {}) {
   const action = entry.action === "place" ? "place" : entry.action === "remove" ? "remove" : null;
@@ -278,6 +357,20 @@ function sanitizePersistedBlockEntry(entry = {}) {
   return normalized;
 }
 
+function sanitizePersistedBlockDamage(entry = {}) {
+  const x = Math.trunc(Number(entry.x));
+  const y = Math.trunc(Number(entry.y));
+  const z = Math.trunc(Number(entry.z));
+  const damage = Math.trunc(Number(entry.damage));
+  if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z) || !(damage > 0)) {
+    return null;
+  }
+  if (isLobbyProtectedBlockCoord(x, y, z) || isSpawnProtectedBlockCoord(x, y, z)) {
+    return null;
+  }
+  return { x, y, z, damage };
+}
+
 function isLobbyProtectedBlockCoord(x, y, z) {
   const bx = Math.trunc(Number(x));
   const by = Math.trunc(Number(y));
@@ -291,6 +384,27 @@ function isLobbyProtectedBlockCoord(x, y, z) {
   return by >= LOBBY3D_MIN_Y && by <= LOBBY3D_MAX_Y;
 }
 
+function sanitizePersistedMapEdits(entry = {}) {
+  const blocks = [];
+  for (const block of Array.isArray(entry?.blocks) ? entry.blocks : []) {
+    const normalized = sanitizePersistedBlockEntry(block);
+    if (!normalized) {
+      continue;
+    }
+    blocks.push(normalized);
+    if (blocks.length >= PERSISTENT_WORLD_MAX_BLOCKS) {
+      break;
+    }
+  }
+
+  const damage = (Array.isArray(entry?.damage) ? entry.damage : [])
+    .slice(0, PERSISTENT_WORLD_MAX_BLOCKS)
+    .map(sanitizePersistedBlockDamage)
+    .filter(Boolean);
+
+  return { blocks, damage };
+}
+
 function loadPersistentWorldSnapshot() {
   if (!ENABLE_PERSISTENT_WORLD_STATE) {
     return null;
@@ -305,33 +419,36 @@ function loadPersistentWorldSnapshot() {
     if (!parsed || typeof parsed !== "object") {
       return null;
     }
-    const mapId = String(parsed.mapId ?? PERSISTENT_WORLD_MAP_ID);
-    if (mapId !== PERSISTENT_WORLD_MAP_ID) {
-      console.log(
-        `[persist] snapshot mapId mismatch (${mapId}), expected ${PERSISTENT_WORLD_MAP_ID}. ignoring`
-      );
-      return null;
+
+    const version = Number(parsed.version ?? 1);
+    let rawMaps = parsed.maps && typeof parsed.maps === "object" ? parsed.maps : {};
+    if (version < 2) {
+      const legacyMapId = String(parsed.mapId ?? PERSISTENT_WORLD_LEGACY_MAP_ID);
+      if (legacyMapId !== PERSISTENT_WORLD_LEGACY_MAP_ID) {
+        console.log(
+          `[persist] snapshot mapId mismatch (${legacyMapId}), expected ${PERSISTENT_WORLD_LEGACY_MAP_ID}. ignoring`
+        );
+        return null;
+      }
+      rawMaps = { [getDefaultMapId()]: { blocks: parsed.blocks, damage: parsed.damage } };
     }
 
-    const blocks = Array.isArray(parsed.blocks) ? parsed.blocks : [];
-    const sanitized = [];
-    for (const entry of blocks) {
-      const normalized = sanitizePersistedBlockEntry(entry);
-      if (!normalized) {
+    const maps = new Map();
+    for (const [mapId, entry] of Object.entries(rawMaps)) {
+      if (normalizeMapId(mapId) !== mapId) {
+        console.log(`[persist] unknown mapId (${mapId}) in snapshot. ignoring`);
         continue;
       }
-      sanitized.push(normalized);
-      if (sanitized.length >= PERSISTENT_WORLD_MAX_BLOCKS) {
-        break;
-      }
+      maps.set(mapId, sanitizePersistedMapEdits(entry));
     }
 
     return {
-      version: Number(parsed.version ?? 1),
-      mapId,
+      version,
+      mapId: normalizeMapId(parsed.mapId),
+      mapSeed: normalizeMapSeed(parsed.mapSeed),
       savedAt: Number(parsed.savedAt ?? 0),
       roomCode: String(parsed.roomCode ?? DEFAULT_ROOM_CODE),
-      blocks: sanitized
+      maps
     };
   } catch (error) {
     console.warn("[persist] failed to load world snapshot:", error?.message ?? error);
@@ -339,22 +456,12 @@ function loadPersistentWorldSnapshot() {
   }
 }
 
-function applyPersistentWorldSnapshot(room) {
-  if (!room?.persistent || !ENABLE_PERSISTENT_WORLD_STATE) {
-    return;
-  }
-
-  const snapshot = loadPersistentWorldSnapshot();
-  if (!snapshot || !Array.isArray(snapshot.blocks) || snapshot.blocks.length === 0) {
-    return;
-  }
-
-  const state = getRoomState(room);
-  state.blocks.clear();
-  for (const block of snapshot.blocks) {
+function restoreMapEdits({ blocks, damage }) {
+  const edits = createMapEdits();
+  for (const block of blocks) {
     const key = blockStateKey(block.x, block.y, block.z);
     if (block.action === "place") {
-      state.blocks.set(key, {
+      edits.blocks.set(key, {
         action: "place",
         x: block.x,
         y: block.y,
@@ -364,7 +471,7 @@ function applyPersistentWorldSnapshot(room) {
       continue;
     }
 
-    state.blocks.set(key, {
+    edits.blocks.set(key, {
       action: "remove",
       x: block.x,
       y: block.y,
@@ -372,8 +479,45 @@ function applyPersistentWorldSnapshot(room) {
     });
   }
 
+  for (const entry of damage) {
+    const key = blockStateKey(entry.x, entry.y, entry.z);
+    if (edits.blocks.get(key)?.action !== "remove") {
+      edits.blockDamage.set(key, entry);
+    }
+  }
+  return edits;
+}
+
+function applyPersistentWorldSnapshot(room) {
+  if (!room?.persistent || !ENABLE_PERSISTENT_WORLD_STATE) {
+    return;
+  }
+
+  const snapshot = loadPersistentWorldSnapshot();
+  if (!snapshot) {
+    return;
+  }
+
+  const state = getRoomState(room);
+  state.mapEdits.clear();
+  for (const [mapId, saved] of snapshot.maps) {
+    const edits = restoreMapEdits(saved);
+    if (mapId === snapshot.mapId) {
+      state.blocks = edits.blocks;
+      state.blockDamage = edits.blockDamage;
+    } else if (edits.blocks.size > 0 || edits.blockDamage.size > 0) {
+      state.mapEdits.set(mapId, edits);
+    }
+  }
+  room.mapId = snapshot.mapId;
+  state.mapId = snapshot.mapId;
+  room.mapSeed = snapshot.mapSeed;
+  state.mapSeed = snapshot.mapSeed;
+
   state.updatedAt = Date.now();
-  console.log(`[persist] loaded ${state.blocks.size} world block changes from disk`);
+  console.log(
+    `[persist] loaded ${state.blocks.size} world block changes and ${state.blockDamage.size} damaged blocks on ${state.mapId} (${state.mapEdits.size} other maps) from disk`
+  );
 }
 
 function savePersistentWorldSnapshot(room) {
@@ -382,13 +526,25 @@ function savePersistentWorldSnapshot(room) {
   }
 
   try {
-    const blocks = serializeBlocksSnapshot(room).slice(0, PERSISTENT_WORLD_MAX_BLOCKS);
+    const state = getRoomState(room);
+    const maps = {};
+    const saveMap = (mapId, blocks, blockDamage) => {
+      maps[mapId] = {
+        blocks: serializeBlockEntries(blocks).slice(0, PERSISTENT_WORLD_MAX_BLOCKS),
+        damage: serializeBlockDamageEntries(blockDamage).slice(0, PERSISTENT_WORLD_MAX_BLOCKS)
+      };
+    };
+    saveMap(state.mapId, state.blocks, state.blockDamage);
+    for (const [mapId, edits] of state.mapEdits) {
+      saveMap(mapId, edits.blocks, edits.blockDamage);
+    }
     const payload = {
       version: PERSISTENT_WORLD_STATE_VERSION,
-      mapId: PERSISTENT_WORLD_MAP_ID,
+      mapId: state.mapId,
+      mapSeed: state.mapSeed,
       roomCode: room.code,
       savedAt: Date.now(),
-      blocks
+      maps
     };
 
     mkdirSync(dirname(PERSISTENT_WORLD_STATE_PATH), { recursive: true });
@@ -542,13 +698,24 @@ function changeStockCount(stock, typeId, delta) {
   return next;
 }
 
+function createMapEdits() {
+  return { blocks: new Map(), blockDamage: new Map() };
+}
+
 function createRoomState(players = new Map()) {
   return {
     players,
+    mapId: getDefaultMapId(),
+    mapSeed: getDefaultMapSeed(),
+    baseTerrain: null,
     blocks: new Map(),
+    blockDamage: new Map(),
+    mapEdits: new Map(),
+    explosives: new Map(),
+    mapVote: null,
     mode: DEFAULT_GAME_MODE,
+    modeState: getModeRules(DEFAULT_GAME_MODE).createState(),
     ad: createDefaultAdState(),
-    flags: createDefaultTeamFlags(),
     score: { alpha: 0, bravo: 0 },
     captures: { alpha: 0, bravo: 0 },
     round: {
@@ -556,7 +723,11 @@ function createRoomState(players = new Map()) {
       winnerTeam: null,
       restartAt: 0,
       startedAt: 0,
-      restartTimer: null
+      restartTimer: null,
+      number: 0,
+      endsAt: 0,
+      intermissionUntil: 0,
+      phaseTimer: null
     },
     revision: 0,
     updatedAt: Date.now()
@@ -587,6 +758,15 @@ function getRoomState(room) {
     player.kills = Number.isFinite(player.kills) ? Math.max(0, Math.trunc(player.kills)) : 0;
     player.deaths = Number.isFinite(player.deaths) ? Math.max(0, Math.trunc(player.deaths)) : 0;
     player.captures = Number.isFinite(player.captures) ? Math.max(0, Math.trunc(player.captures)) : 0;
+    player.rejectedShots = Number.isFinite(player.rejectedShots)
+      ? Math.max(0, Math.trunc(player.rejectedShots))
+      : 0;
+    player.movementViolations = Number.isFinite(player.movementViolations)
+      ? Math.max(0, Math.trunc(player.movementViolations))
+      : 0;
+    if (!Array.isArray(player.stateHistory)) {
+      player.stateHistory = [];
+    }
     if (typeof player.respawnTimer === "undefined") {
       player.respawnTimer = null;
     }
@@ -595,6 +775,20 @@ function getRoomState(room) {
   if (!(room.state.blocks instanceof Map)) {
     room.state.blocks = new Map();
   }
+  if (!(room.state.blockDamage instanceof Map)) {
+    room.state.blockDamage = new Map();
+  }
+  if (!(room.state.mapEdits instanceof Map)) {
+    room.state.mapEdits = new Map();
+  }
+  if (!(room.state.explosives instanceof Map)) {
+    room.state.explosives = new Map();
+  }
+  room.state.mapId = normalizeMapId(room.state.mapId);
+  room.state.mapSeed = normalizeMapSeed(room.state.mapSeed);
+  if (!room.state.mapVote || !(room.state.mapVote.votes instanceof Map)) {
+    room.state.mapVote = null;
+  }
 
   room.state.mode = normalizeGameMode(room.state.mode);
 
@@ -604,11 +798,11 @@ function getRoomState(room) {
     room.state.ad = sanitizeAdState(room.state.ad, room.state.ad);
   }
 
-  if (!room.state.flags || typeof room.state.flags !== "object") {
-    room.state.flags = createDefaultTeamFlags();
-  } else {
-    room.state.flags = cloneTeamFlagsState(room.state.flags);
-  }
+  const modeRules = getModeRules(room.state.mode);
+  room.state.modeState =
+    room.state.modeState && typeof room.state.modeState === "object"
+      ? modeRules.normalizeState(room.state.modeState)
+      : modeRules.createState();
 
   if (!room.state.score || typeof room.state.score !== "object") {
     room.state.score = { alpha: 0, bravo: 0 };
@@ -624,7 +818,11 @@ function getRoomState(room) {
       winnerTeam: null,
       restartAt: 0,
       startedAt: 0,
-      restartTimer: null
+      restartTimer: null,
+      number: 0,
+      endsAt: 0,
+      intermissionUntil: 0,
+      phaseTimer: null
     };
   } else {
     room.state.round.ended = Boolean(room.state.round.ended);
@@ -638,6 +836,14 @@ function getRoomState(room) {
     if (typeof room.state.round.restartTimer === "undefined") {
       room.state.round.restartTimer = null;
     }
+    for (const key of ["number", "endsAt", "intermissionUntil"]) {
+      room.state.round[key] = Number.isFinite(room.state.round[key])
+        ? Math.max(0, Math.trunc(room.state.round[key]))
+        : 0;
+    }
+    if (typeof room.state.round.phaseTimer === "undefined") {
+      room.state.round.phaseTimer = null;
+    }
   }
 
   room.state.revision = Number.isFinite(room.state.revision) ? room.state.revision : 0;
@@ -665,6 +871,13 @@ function clearPlayerRespawnTimer(player) {
   }
 }
 
+function clearRoomExplosives(state) {
+  for (const explosive of state.explosives.values()) {
+    clearTimeout(explosive.timer);
+  }
+  state.explosives.clear();
+}
+
 function clearRoundRestartTimer(state) {
   if (!state?.round) {
     return;
@@ -673,12 +886,433 @@ function clearRoundRestartTimer(state) {
     clearTimeout(state.round.restartTimer);
     state.round.restartTimer = null;
   }
+  clearRoundPhaseTimer(state);
+}
+
+function clearRoundPhaseTimer(state) {
+  if (state?.round?.phaseTimer) {
+    clearTimeout(state.round.phaseTimer);
+    state.round.phaseTimer = null;
+  }
 }
 
 function isRoundEnded(state) {
   return Boolean(state?.round?.ended);
 }
 
+function getTargetScore(state) {
+  return getModeRules(state?.mode).targetScore;
+}
+
+function scheduleRoundPhase(room, delayMs, callback) {
+  const state = getRoomState(room);
+  clearRoundPhaseTimer(state);
+  state.round.phaseTimer = setTimeout(() => {
+    getRoomState(room).round.phaseTimer = null;
+    callback();
+  }, delayMs);
+}
+
+function setPlayerState(player, nextState, { resetHistory = false } = {}) {
+  player.state = nextState;
+  if (resetHistory || !Array.isArray(player.stateHistory)) {
+    player.stateHistory = [];
+  }
+
+  const at = Number(nextState?.updatedAt) || Date.now();
+  player.stateHistory.push({ x: nextState.x, y: nextState.y, z: nextState.z, at });
+
+  const cutoff = at - PVP_STATE_HISTORY_MS;
+  while (
+    player.stateHistory.length > PVP_STATE_HISTORY_MAX_ENTRIES ||
+    (player.stateHistory.length > 1 && player.stateHistory[0].at < cutoff)
+  ) {
+    player.stateHistory.shift();
+  }
+}
+
+function getRewoundPlayerPosition(player, at) {
+  const history = Array.isArray(player?.stateHistory) ? player.stateHistory : [];
+  if (history.length === 0) {
+    const state = player?.state ?? {};
+    return {
+      x: Number(state.x) || 0,
+      y: Number.isFinite(Number(state.y)) ? Number(state.y) : PLAYER_EYE_HEIGHT,
+      z: Number(state.z) || 0
+    };
+  }
+
+  if (at <= history[0].at) {
+    return { ...history[0] };
+  }
+  for (let i = history.length - 1; i >= 0; i -= 1) {
+    const prev = history[i];
+    if (prev.at > at) {
+      continue;
+    }
+    const next = history[i + 1];
+    if (!next) {
+      return { ...prev };
+    }
+    const span = next.at - prev.at;
+    const alpha = span > 0 ? (at - prev.at) / span : 1;
+    return {
+      x: prev.x + (next.x - prev.x) * alpha,
+      y: prev.y + (next.y - prev.y) * alpha,
+      z: prev.z + (next.z - prev.z) * alpha,
+      at
+    };
+  }
+  return { ...history[history.length - 1] };
+}
+
+function intersectRayWithBox(origin, direction, min, max) {
+  let near = 0;
+  let far = Infinity;
+  for (const axis of ["x", "y", "z"]) {
+    const dir = direction[axis];
+    if (Math.abs(dir) < 1e-9) {
+      if (origin[axis] < min[axis] || origin[axis] > max[axis]) {
+        return null;
+      }
+      continue;
+    }
+    let t1 = (min[axis] - origin[axis]) / dir;
+    let t2 = (max[axis] - origin[axis]) / dir;
+    if (t1 > t2) {
+      [t1, t2] = [t2, t1];
+    }
+    near = Math.max(near, t1);
+    far = Math.min(far, t2);
+    if (near > far) {
+      return null;
+    }
+  }
+  return near;
+}
+
+// Error message when the player cannot reach the block from their last synced eye position,
+// otherwise null. Cover counts the map's terrain as well as the room's edits.
+function getBlockReachError(state, player, update) {
+  const eye = player.state;
+  if (!eye || player.awaitingSpawnSync) {
+    return null;
+  }
+
+  const direction = {
+    x: update.x + 0.5 - eye.x,
+    y: update.y + 0.5 - eye.y,
+    z: update.z + 0.5 - eye.z
+  };
+  const distance = Math.hypot(direction.x, direction.y, direction.z);
+  if (distance > BLOCK_REACH + BLOCK_REACH_TOLERANCE) {
+    return "블록이 너무 멀리 있습니다";
+  }
+
+  const far = distance - BLOCK_REACH_OCCLUSION_SLACK;
+  if (far > 0) {
+    const getTypeAt = getRoomBlockTypeAt(state, new Map([[blockStateKey(update.x, update.y, update.z), 0]]));
+    if (raycastVoxels(eye, direction, far, getTypeAt)) {
+      return "다른 블록에 가려져 닿지 않습니다";
+    }
+  }
+  return null;
+}
+
+function validatePvpShot(state, shooter, target, shot, now = Date.now()) {
+  if (!shot.origin || !shot.direction) {
+    return { ok: false, reason: "malformed" };
+  }
+
+  const shotAt = Math.min(now, Math.max(now - PVP_MAX_REWIND_MS, shot.shotAt || now));
+  const shooterEye = getRewoundPlayerPosition(shooter, shotAt);
+  const originOffset = Math.hypot(
+    shot.origin.x - shooterEye.x,
+    shot.origin.y - shooterEye.y,
+    shot.origin.z - shooterEye.z
+  );
+  if (originOffset > PVP_SHOT_ORIGIN_TOLERANCE) {
+    return { ok: false, reason: "origin_mismatch" };
+  }
+
+  const targetEye = getRewoundPlayerPosition(target, shotAt);
+  const footY = targetEye.y - PLAYER_EYE_HEIGHT;
+  const halfWidth = PVP_HITBOX_HALF_WIDTH + PVP_HITBOX_TOLERANCE;
+  const distance = intersectRayWithBox(
+    shot.origin,
+    shot.direction,
+    {
+      x: targetEye.x - halfWidth,
+      y: footY + PVP_HITBOX_FOOT_OFFSET - PVP_HITBOX_TOLERANCE,
+      z: targetEye.z - halfWidth
+    },
+    {
+      x: targetEye.x + halfWidth,
+      y: footY + PLAYER_EYE_HEIGHT + PVP_HITBOX_TOP_OFFSET + PVP_HITBOX_TOLERANCE,
+      z: targetEye.z + halfWidth
+    }
+  );
+  if (distance === null) {
+    return { ok: false, reason: "missed_hitbox" };
+  }
+  if (distance > PVP_MAX_SHOT_DISTANCE) {
+    return { ok: false, reason: "out_of_range" };
+  }
+  if (raycastVoxels(shot.origin, shot.direction, distance, getRoomBlockTypeAt(state))) {
+    return { ok: false, reason: "occluded" };
+  }
+
+  const hitY = shot.origin.y + shot.direction.y * distance;
+  return { ok: true, distance, hitZone: classifyHitZone(hitY - footY) };
+}
+
+function resolvePvpShotDamage(state, shooter, target, shot, now = Date.now()) {
+  const weapon = getWeaponDefinition(shooter.weaponId);
+  if (now - (Number(shooter.weaponEquippedAt) || 0) < WEAPON_SWITCH_MS * PVP_FIRE_INTERVAL_TOLERANCE) {
+    return { ok: false, reason: "switching" };
+  }
+
+  // One shotgun blast can land on several players, each reported on its own: only multi-pellet
+  // weapons get this, once per target and never for more targets than there are pellets.
+  const triggerTargets = shooter.lastTriggerTargetIds;
+  const sameTrigger =
+    weapon.pellets > 1 &&
+    shot.shotAt > 0 &&
+    shot.shotAt === shooter.lastShotClientAt &&
+    triggerTargets instanceof Set &&
+    triggerTargets.size < weapon.pellets &&
+    !triggerTargets.has(target.id);
+  const minIntervalMs = weapon.shotInterval * 1000 * PVP_FIRE_INTERVAL_TOLERANCE;
+  if (!sameTrigger && now - (Number(shooter.lastShotAt) || 0) < minIntervalMs) {
+    return { ok: false, reason: "fire_rate" };
+  }
+
+  const directions =
+    weapon.pellets > 1 && shot.pellets?.length > 0 ? shot.pellets.slice(0, weapon.pellets) : [shot.direction];
+  let damage = 0;
+  let hitZone = null;
+  let reason = "missed_hitbox";
+  for (const direction of directions) {
+    const validation = validatePvpShot(state, shooter, target, { ...shot, direction }, now);
+    if (!validation.ok) {
+      reason = validation.reason;
+      continue;
+    }
+    if (validation.distance > weapon.range) {
+      reason = "out_of_range";
+      continue;
+    }
+    damage += getWeaponDamage(weapon.id, validation.distance, validation.hitZone);
+    if (!hitZone || HIT_ZONE_PRIORITY[validation.hitZone] > HIT_ZONE_PRIORITY[hitZone]) {
+      hitZone = validation.hitZone;
+    }
+  }
+  if (damage <= 0) {
+    return { ok: false, reason };
+  }
+
+  if (sameTrigger) {
+    triggerTargets.add(target.id);
+  } else {
+    shooter.lastShotAt = now;
+    shooter.lastShotClientAt = shot.shotAt;
+    shooter.lastTriggerTargetIds = new Set([target.id]);
+  }
+  return { ok: true, damage, hitZone };
+}
+
+// Pellets the client saw stop at a block, replayed against the room's blocks. Kept apart from
+// the pvp:shoot fire-rate clock because one trigger pull can send both.
+function resolveBlockShot(state, shooter, shot, now = Date.now()) {
+  if (!shot.origin || !shot.direction) {
+    return { ok: false, reason: "malformed" };
+  }
+
+  const weapon = getWeaponDefinition(shooter.weaponId);
+  if (now - (Number(shooter.weaponEquippedAt) || 0) < WEAPON_SWITCH_MS * PVP_FIRE_INTERVAL_TOLERANCE) {
+    return { ok: false, reason: "switching" };
+  }
+  if (now - (Number(shooter.lastBlockShotAt) || 0) < weapon.shotInterval * 1000 * PVP_FIRE_INTERVAL_TOLERANCE) {
+    return { ok: false, reason: "fire_rate" };
+  }
+
+  const shotAt = Math.min(now, Math.max(now - PVP_MAX_REWIND_MS, shot.shotAt || now));
+  const shooterEye = getRewoundPlayerPosition(shooter, shotAt);
+  const originOffset = Math.hypot(
+    shot.origin.x - shooterEye.x,
+    shot.origin.y - shooterEye.y,
+    shot.origin.z - shooterEye.z
+  );
+  if (originOffset > PVP_SHOT_ORIGIN_TOLERANCE) {
+    return { ok: false, reason: "origin_mismatch" };
+  }
+
+  const directions =
+    weapon.pellets > 1 && shot.pellets?.length > 0 ? shot.pellets.slice(0, weapon.pellets) : [shot.direction];
+  const getTypeAt = getRoomBlockTypeAt(state);
+  const hits = new Map();
+  for (const direction of directions) {
+    const hit = raycastVoxels(shot.origin, direction, weapon.range, getTypeAt);
+    if (!hit || isStructureAnchored(hit.x, hit.y, hit.z)) {
+      continue;
+    }
+    const key = blockStateKey(hit.x, hit.y, hit.z);
+    const entry = hits.get(key) ?? { x: hit.x, y: hit.y, z: hit.z, typeId: hit.typeId, damage: 0 };
+    entry.damage += getWeaponDamage(weapon.id, hit.distance, HIT_ZONE.TORSO);
+    hits.set(key, entry);
+  }
+  shooter.lastBlockShotAt = now;
+  return { ok: true, hits: Array.from(hits.values()) };
+}
+
+function recordRejectedShot(shooter, reason) {
+  shooter.rejectedShots = (Number(shooter.rejectedShots) || 0) + 1;
+  shooter.lastRejectedShotReason = reason;
+  if (shooter.rejectedShots % 25 === 0) {
+    console.warn(
+      `[pvp] ${shooter.name} (${shooter.id}) rejected shots: ${shooter.rejectedShots} (last: ${reason})`
+    );
+  }
+}
+
+function recordMovementViolation(player, reason) {
+  player.movementViolations = (Number(player.movementViolations) || 0) + 1;
+  player.lastMovementViolation = reason;
+  if (player.movementViolations % 25 === 0) {
+    console.warn(
+      `[move] ${player.name} (${player.id}) corrected moves: ${player.movementViolations} (last: ${reason})`
+    );
+  }
+}
+
+// Every server-accepted jump to the spawn zone goes through here. The client picks its own spot
+// inside the zone, so the first sync is only checked against it.
+function movePlayerToSpawn(player) {
+  setPlayerState(player, getSpawnStateForTeam(player.team), { resetHistory: true });
+  player.awaitingSpawnSync = true;
+  player.moveBudget = Number.NaN;
+  player.moveGroundY = Number.NaN;
+}
+
+function placePlayerAtSpawn(player) {
+  movePlayerToSpawn(player);
+  player.explosives = createExplosiveStock();
+}
+
+function checkPlayerMovement(room, player, nextState) {
+  const prev = player.state;
+  if (!prev) {
+    return null;
+  }
+
+  if (player.awaitingSpawnSync) {
+    const home = DEFAULT_TEAM_HOME[normalizeTeam(player.team)];
+    return home && distanceXZ(nextState, home) > SPAWN_PROTECT_RADIUS ? MOVE_VIOLATION.SPAWN : null;
+  }
+
+  const state = getRoomState(room);
+  const speedMultiplier = getModeRules(state.mode).getMoveSpeedMultiplier?.(room, player) ?? 1;
+  const getTypeAt = getRoomBlockTypeAt(state);
+  const result = validateMovementStep(prev, nextState, nextState.updatedAt - (Number(prev.updatedAt) || 0), {
+    speedMultiplier,
+    budget: player.moveBudget,
+    groundY: player.moveGroundY,
+    isSolidAt: (x, y, z) => getTypeAt(x, y, z) !== 0
+  });
+  if (!result.ok) {
+    return result.reason;
+  }
+  player.moveBudget = result.budget;
+  player.moveGroundY = result.groundY;
+  return null;
+}
+
+function handlePlayerSync(socket, payload = {}) {
+  const roomCode = socket.data.roomCode;
+  const room = roomCode ? rooms.get(roomCode) : null;
+  if (!room) {
+    return;
+  }
+
+  const state = getRoomState(room);
+  const player = state.players.get(socket.id);
+  if (!player) {
+    return;
+  }
+  if ((Number.isFinite(player.hp) ? player.hp : 100) <= 0) {
+    return;
+  }
+
+  const nextState = sanitizePlayerState(payload);
+  const violation = checkPlayerMovement(room, player, nextState);
+  if (violation) {
+    recordMovementViolation(player, violation);
+    socket.emit("player:correction", {
+      reason: violation,
+      state: player.state
+    });
+    return;
+  }
+  player.awaitingSpawnSync = false;
+  setPlayerState(player, nextState);
+
+  socket.to(getNetChannel(room.code, false)).emit("player:sync", {
+    id: player.id,
+    name: player.name,
+    team: player.team ?? null,
+    state: nextState
+  });
+  getRoomNet(room).dirtyPlayers.add(player.id);
+
+  const modeRules = getModeRules(state.mode);
+  const modeEvent = modeRules.onPlayerSync(room, player);
+  if (modeEvent) {
+    if (modeEvent.type === "capture") {
+      touchDailyLeaderboardPlayer(player, { capturesDelta: 1 });
+      emitDailyLeaderboardToRoom(room);
+    }
+    emitCtfUpdate(room, modeEvent);
+    if (!modeRules.checkWinCondition(room, { byPlayerId: modeEvent.byPlayerId ?? player.id })) {
+      emitRoomUpdate(room);
+    }
+  }
+}
+
+function readBinaryPlayerSync(socket, data) {
+  const room = socket.data.roomCode ? rooms.get(socket.data.roomCode) : null;
+  const player = room ? getRoomState(room).players.get(socket.id) : null;
+  if (!player || !socket.data.binaryNet) {
+    return null;
+  }
+
+  if (!(player.netSyncHistory instanceof Map)) {
+    player.netSyncHistory = new Map();
+  }
+  const history = player.netSyncHistory;
+  const packet = decodePlayerSync(data, (seq) => history.get(seq) ?? null);
+  if (!packet) {
+    return null;
+  }
+  if (!packet.quantized) {
+    // The delta base fell out of history; the client falls back to a full state.
+    socket.emit("net:resync");
+    return null;
+  }
+
+  history.delete(packet.seq);
+  history.set(packet.seq, packet.quantized);
+  while (history.size > NET_SYNC_HISTORY_MAX) {
+    history.delete(history.keys().next().value);
+  }
+
+  const now = Date.now();
+  if (now - (Number(player.netLastAckAt) || 0) >= NET_ACK_INTERVAL_MS) {
+    player.netLastAckAt = now;
+    socket.emit("net:ack", packet.seq);
+  }
+  return dequantizePlayerState(packet.quantized);
+}
+
 function getSpawnStateForTeam(team) {
   const normalized = normalizeTeam(team);
   const home = normalized ? DEFAULT_TEAM_HOME[normalized] : { x: 0, y: 0, z: 0 };
@@ -717,6 +1351,12 @@ function schedulePlayerRespawn(room, player) {
   }
 
   clearPlayerRespawnTimer(player);
+  if (!getModeRules(getRoomState(room).mode).allowsRespawn) {
+    player.hp = 0;
+    player.respawnAt = 0;
+    return 0;
+  }
+
   const respawnAt = Date.now() + PVP_RESPAWN_MS;
   player.hp = 0;
   player.respawnAt = respawnAt;
@@ -728,25 +1368,33 @@ function schedulePlayerRespawn(room, player) {
     if (!current) {
       return;
     }
+    respawnPlayers(room, [current]);
+  }, PVP_RESPAWN_MS);
+
+  return respawnAt;
+}
 
-    clearPlayerRespawnTimer(current);
-    current.hp = 100;
-    current.respawnAt = 0;
-    current.spawnShieldUntil = Date.now() + RESPAWN_SHIELD_MS;
-    current.state = getSpawnStateForTeam(current.team);
+function respawnPlayers(room, players) {
+  const respawned = Array.from(players);
+  for (const player of respawned) {
+    clearPlayerRespawnTimer(player);
+    player.hp = 100;
+    player.respawnAt = 0;
+    player.spawnShieldUntil = Date.now() + RESPAWN_SHIELD_MS;
+    placePlayerAtSpawn(player);
+  }
 
-    const roomState = touchRoomState(room);
+  const roomState = touchRoomState(room);
+  for (const player of respawned) {
     io.to(room.code).emit("player:respawn", {
-      id: current.id,
-      hp: current.hp,
-      spawnShieldUntil: Number(current.spawnShieldUntil ?? 0),
-      state: current.state,
+      id: player.id,
+      hp: player.hp,
+      spawnShieldUntil: Number(player.spawnShieldUntil ?? 0),
+      state: player.state,
       roomStateRevision: roomState.revision
     });
-    emitRoomUpdate(room);
-  }, PVP_RESPAWN_MS);
-
-  return respawnAt;
+  }
+  emitRoomUpdate(room);
 }
 
 function resetRoomRoundState(room, { startedAt = Date.now(), byPlayerId = null } = {}) {
@@ -756,8 +1404,11 @@ function resetRoomRoundState(room, { startedAt = Date.now(), byPlayerId = null }
 
   const state = getRoomState(room);
   clearRoundRestartTimer(state);
-  state.mode = DEFAULT_GAME_MODE;
-  state.flags = createDefaultTeamFlags();
+  state.mapVote = null;
+  state.mode = normalizeGameMode(room.mode ?? DEFAULT_GAME_MODE);
+  activateRoomMap(room, room.mapId, room.mapSeed);
+  const modeRules = getModeRules(state.mode);
+  state.modeState = modeRules.createState();
   state.score.alpha = 0;
   state.score.bravo = 0;
   state.captures.alpha = 0;
@@ -766,8 +1417,13 @@ function resetRoomRoundState(room, { startedAt = Date.now(), byPlayerId = null }
   state.round.winnerTeam = null;
   state.round.restartAt = 0;
   state.round.startedAt = Math.max(0, Math.trunc(Number(startedAt) || Date.now()));
-  if (state.blocks instanceof Map && state.blocks.size > 0) {
+  state.round.number = 0;
+  state.round.endsAt = 0;
+  state.round.intermissionUntil = 0;
+  clearRoomExplosives(state);
+  if (state.blocks.size > 0 || state.blockDamage.size > 0) {
     state.blocks.clear();
+    state.blockDamage.clear();
     schedulePersistentWorldSnapshotSave(room);
   }
 
@@ -775,14 +1431,16 @@ function resetRoomRoundState(room, { startedAt = Date.now(), byPlayerId = null }
     player.kills = 0;
     player.deaths = 0;
     player.captures = 0;
+    player.headshots = 0;
     clearPlayerRespawnTimer(player);
     player.hp = 100;
     player.respawnAt = 0;
     player.spawnShieldUntil = Date.now() + RESPAWN_SHIELD_MS;
-    player.state = getSpawnStateForTeam(player.team);
+    placePlayerAtSpawn(player);
   }
 
   ensurePlayerTeamsBalanced(state.players);
+  modeRules.onRoundStart(room);
   touchRoomState(room);
   emitRoomUpdate(room);
   io.to(room.code).emit("room:started", { code: room.code, startedAt });
@@ -808,18 +1466,21 @@ function endRoundAndScheduleRestart(room, { winnerTeam, byPlayerId = null } = {}
   state.round.ended = true;
   state.round.winnerTeam = normalizedWinner;
   state.round.restartAt = Date.now() + ROUND_RESTART_DELAY_MS;
+  state.mapVote = createMapVote(state);
   touchRoomState(room);
 
   const matchEndPayload = {
     type: "match_end",
     byPlayerId,
     winnerTeam: normalizedWinner,
+    mode: normalizeGameMode(state.mode),
     restartAt: state.round.restartAt,
-    targetScore: CTF_WIN_SCORE,
+    targetScore: getTargetScore(state),
     score: {
       alpha: Number(state.score.alpha ?? 0),
       bravo: Number(state.score.bravo ?? 0)
-    }
+    },
+    vote: serializeMapVote(state)
   };
 
   emitCtfUpdate(room, matchEndPayload);
@@ -829,6 +1490,7 @@ function endRoundAndScheduleRestart(room, { winnerTeam, byPlayerId = null } = {}
   state.round.restartTimer = setTimeout(() => {
     const liveState = getRoomState(room);
     liveState.round.restartTimer = null;
+    applyMapVoteResult(room);
     resetRoomRoundState(room, {
       startedAt: Date.now(),
       byPlayerId: "auto_restart"
@@ -838,20 +1500,116 @@ function endRoundAndScheduleRestart(room, { winnerTeam, byPlayerId = null } = {}
   return true;
 }
 
+function shuffleInPlace(list) {
+  for (let i = list.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+// Draws distinct map and mode pairs for the restart vote, leaving out the one just played
+// unless there is nothing else to offer.
+function createMapVote(state) {
+  const pairs = [];
+  for (const mapId of MAP_IDS) {
+    for (const mode of Object.values(GAME_MODE)) {
+      if (mapId !== state.mapId || mode !== state.mode) {
+        pairs.push({ mapId, mode });
+      }
+    }
+  }
+  if (pairs.length === 0) {
+    pairs.push({ mapId: state.mapId, mode: state.mode });
+  }
+
+  const options = shuffleInPlace(pairs)
+    .slice(0, MAP_VOTE_OPTION_COUNT)
+    .map((pair, index) => ({ id: index, ...pair }));
+  return { options, votes: new Map() };
+}
+
+// Votes from players who have since left the room no longer count.
+function countMapVotes(state) {
+  const vote = state.mapVote;
+  const counts = vote ? vote.options.map(() => 0) : [];
+  if (!vote) {
+    return counts;
+  }
+  for (const [playerId, optionId] of vote.votes) {
+    if (state.players.has(playerId) && counts[optionId] !== undefined) {
+      counts[optionId] += 1;
+    }
+  }
+  return counts;
+}
+
+function serializeMapVote(state) {
+  const vote = state.mapVote;
+  if (!vote) {
+    return null;
+  }
+  return {
+    options: vote.options.map((option) => ({ ...option })),
+    counts: countMapVotes(state),
+    endsAt: Number(state.round?.restartAt ?? 0)
+  };
+}
+
+function getNextRotationEntry(room, state) {
+  let index = Number.isInteger(room.rotationIndex) ? room.rotationIndex : -1;
+  if (index < 0) {
+    index = MAP_ROTATION.findIndex((entry) => entry.mapId === state.mapId && entry.mode === state.mode);
+  }
+  room.rotationIndex = (index + 1) % MAP_ROTATION.length;
+  return MAP_ROTATION[room.rotationIndex];
+}
+
+// Picks the next round's map and mode: the most voted option with ties broken at random,
+// or the next rotation entry when nobody voted.
+function applyMapVoteResult(room) {
+  const state = getRoomState(room);
+  const counts = countMapVotes(state);
+  const topCount = Math.max(0, ...counts);
+  let choice = null;
+  let source = "rotation";
+  if (topCount > 0) {
+    const leaders = state.mapVote.options.filter((option) => counts[option.id] === topCount);
+    choice = leaders[Math.floor(Math.random() * leaders.length)];
+    source = "vote";
+  } else {
+    choice = getNextRotationEntry(room, state);
+  }
+
+  state.mapVote = null;
+  room.mapId = choice.mapId;
+  room.mode = choice.mode;
+  io.to(room.code).emit("vote:result", {
+    code: room.code,
+    mapId: choice.mapId,
+    mode: choice.mode,
+    source,
+    counts
+  });
+  emitRoomList();
+  return choice;
+}
+
 function serializeRoomState(room) {
   const state = getRoomState(room);
-  const teamFlags = cloneTeamFlagsState(state.flags);
   const ad = sanitizeAdState(state.ad, state.ad);
   return {
     mode: normalizeGameMode(state.mode),
+    mapId: state.mapId,
+    mapSeed: state.mapSeed,
+    mapCode: getMapShareCode(state.mapId, state.mapSeed),
     revision: state.revision,
     updatedAt: state.updatedAt,
     ad,
-    targetScore: CTF_WIN_SCORE,
+    targetScore: getTargetScore(state),
     blockCount: state.blocks.size,
-    // Legacy compatibility for older clients/scripts expecting single `flag`.
-    flag: cloneFlagState(teamFlags.bravo, DEFAULT_TEAM_FLAG_HOME.bravo),
-    flags: teamFlags,
+    vote: serializeMapVote(state),
+    ...getModeRules(state.mode).serializeState(state.modeState, state),
     score: {
       alpha: Number(state.score.alpha ?? 0),
       bravo: Number(state.score.bravo ?? 0)
@@ -864,45 +1622,22 @@ function serializeRoomState(room) {
       ended: Boolean(state.round?.ended),
       winnerTeam: normalizeTeam(state.round?.winnerTeam),
       restartAt: Number(state.round?.restartAt ?? 0),
-      startedAt: Number(state.round?.startedAt ?? 0)
+      startedAt: Number(state.round?.startedAt ?? 0),
+      number: Number(state.round?.number ?? 0),
+      endsAt: Number(state.round?.endsAt ?? 0),
+      intermissionUntil: Number(state.round?.intermissionUntil ?? 0)
     }
   };
 }
 
-function resetFlagForPlayer(room, playerId) {
-  const id = String(playerId ?? "").trim();
-  if (!id) {
-    return null;
-  }
-
-  const state = getRoomState(room);
-  const flags = state.flags;
-  if (!flags || typeof flags !== "object") {
-    return null;
-  }
-
-  for (const team of ["alpha", "bravo"]) {
-    const flag = flags[team];
-    if (!flag || flag.carrierId !== id) {
-      continue;
-    }
-    flag.carrierId = null;
-    flag.at = clonePoint(flag.home ?? DEFAULT_TEAM_FLAG_HOME[team]);
-    touchRoomState(room);
-    return team;
-  }
-
-  return null;
-}
-
 function blockStateKey(x, y, z) {
   return `${x}${BLOCK_KEY_SEPARATOR}${y}${BLOCK_KEY_SEPARATOR}${z}`;
 }
 
-function applyBlockUpdateToRoomState(room, update) {
-  const state = getRoomState(room);
+// A placed or removed block starts over at full health.
+function setRoomBlockEntry(state, update) {
   const key = blockStateKey(update.x, update.y, update.z);
-
+  state.blockDamage.delete(key);
   if (update.action === "place") {
     state.blocks.set(key, {
       action: "place",
@@ -919,105 +1654,397 @@ function applyBlockUpdateToRoomState(room, update) {
       z: update.z
     });
   }
+}
 
+function applyBlockUpdateToRoomState(room, update) {
+  setRoomBlockEntry(getRoomState(room), update);
   const nextState = touchRoomState(room);
   schedulePersistentWorldSnapshotSave(room);
   return nextState;
 }
 
-function resolveRemovedBlockType(state, update) {
-  const key = blockStateKey(update.x, update.y, update.z);
-  const previous = state.blocks.get(key);
-  if (previous?.action === "remove") {
-    return { ok: false, reason: "already_removed", typeId: null };
+// Edits belong to the map they were made on. Switching stashes the active map's edits in
+// state.mapEdits and brings back whatever the next map had left there. A new seed reshapes
+// every map, so it drops all stored edits instead.
+function activateRoomMap(room, mapId, mapSeed) {
+  const state = getRoomState(room);
+  const nextMapId = normalizeMapId(mapId);
+  const nextMapSeed = normalizeMapSeed(mapSeed);
+  if (state.mapId === nextMapId && state.mapSeed === nextMapSeed) {
+    return false;
   }
 
-  if (previous?.action === "place") {
-    return {
-      ok: true,
-      reason: "remove_placed",
-      typeId: normalizeStockTypeId(previous.typeId) ?? BLOCK_TYPE_MIN
-    };
+  if (state.mapSeed !== nextMapSeed) {
+    state.mapEdits.clear();
+  } else if (state.blocks.size > 0 || state.blockDamage.size > 0) {
+    state.mapEdits.set(state.mapId, { blocks: state.blocks, blockDamage: state.blockDamage });
+  } else {
+    state.mapEdits.delete(state.mapId);
+  }
+  const edits = state.mapEdits.get(nextMapId) ?? createMapEdits();
+  state.mapEdits.delete(nextMapId);
+  state.blocks = edits.blocks;
+  state.blockDamage = edits.blockDamage;
+  state.mapId = nextMapId;
+  state.mapSeed = nextMapSeed;
+  clearRoomExplosives(state);
+  schedulePersistentWorldSnapshotSave(room);
+  return true;
+}
+
+function getBaseTerrainKey(mapId, mapSeed) {
+  return `${normalizeMapId(mapId)}:${normalizeMapSeed(mapSeed)}`;
+}
+
+// Room state only records edits, so structural checks read the map's own blocks underneath.
+// Rerolled seeds would grow the cache without bound, so only the most recent few are kept;
+// live rooms pin their own terrain on the room state and are searched before regenerating.
+function getBaseTerrain(mapId, mapSeed) {
+  const cacheKey = getBaseTerrainKey(mapId, mapSeed);
+  let terrain = baseTerrainGrids.get(cacheKey);
+  if (terrain) {
+    baseTerrainGrids.delete(cacheKey);
+  } else {
+    terrain = Array.from(rooms.values(), (room) => room.state?.baseTerrain).find(
+      (pinned) => pinned?.key === cacheKey
+    );
+  }
+  if (!terrain) {
+    const { grid } = buildSelectedMapGrid({ mapId: normalizeMapId(mapId), seed: normalizeMapSeed(mapSeed) });
+    terrain = { key: cacheKey, grid, hash: grid.getBlockHash() };
   }
+  baseTerrainGrids.set(cacheKey, terrain);
+  while (baseTerrainGrids.size > BASE_TERRAIN_CACHE_LIMIT) {
+    baseTerrainGrids.delete(baseTerrainGrids.keys().next().value);
+  }
+  return terrain;
+}
 
-  return {
-    ok: true,
-    reason: "remove_base",
-    typeId: normalizeStockTypeId(update.typeId) ?? BLOCK_TYPE_MIN
+function getRoomBaseTerrain(state) {
+  if (state.baseTerrain?.key !== getBaseTerrainKey(state.mapId, state.mapSeed)) {
+    state.baseTerrain = getBaseTerrain(state.mapId, state.mapSeed);
+  }
+  return state.baseTerrain;
+}
+
+// Clients hash their freshly generated terrain and compare it with this on every snapshot.
+function getRoomMapHash(state) {
+  return getRoomBaseTerrain(state).hash;
+}
+
+// `overrides` maps block keys to the type ids a pending placement would put there.
+function getRoomBlockTypeAt(state, overrides = null) {
+  const terrain = getRoomBaseTerrain(state).grid;
+  return (x, y, z) => {
+    const key = blockStateKey(x, y, z);
+    if (overrides?.has(key)) {
+      return overrides.get(key);
+    }
+    const edit = state.blocks.get(key);
+    if (edit) {
+      return edit.action === "place" ? normalizeStockTypeId(edit.typeId) ?? BLOCK_TYPE_MIN : 0;
+    }
+    return terrain.getTypeAt(x, y, z);
   };
 }
 
-function handleCtfPlayerSync(room, player) {
-  if (!room || !player?.state) {
-    return null;
-  }
+function isStructureAnchored(x, y, z) {
+  return isSpawnProtectedBlockCoord(x, y, z) || isLobbyProtectedBlockCoord(x, y, z);
+}
 
+// Generated maps do not follow the palette's support values (tree canopies, bridges, roofs),
+// so blocks the map itself placed count as anchored until someone edits that cell.
+function findRoomUnsupportedBlocks(state, origins, overrides = null) {
+  const terrain = getRoomBaseTerrain(state).grid;
+  return findUnsupportedBlocks(origins, getRoomBlockTypeAt(state, overrides), {
+    getSupport: getBlockSupport,
+    isAnchored: (x, y, z) => {
+      if (isStructureAnchored(x, y, z)) {
+        return true;
+      }
+      const key = blockStateKey(x, y, z);
+      return !overrides?.has(key) && !state.blocks.has(key) && terrain.hasBlock(x, y, z);
+    }
+  });
+}
+
+// Placements are checked together, so a batch may hold itself up, like a wall off a pillar.
+function isBlockPlacementSupported(state, updates) {
+  const overrides = new Map(
+    updates.map((update) => [blockStateKey(update.x, update.y, update.z), update.typeId])
+  );
+  return !findRoomUnsupportedBlocks(state, updates, overrides).some((block) =>
+    overrides.has(blockStateKey(block.x, block.y, block.z))
+  );
+}
+
+function isSamePlacedBlock(state, update) {
+  const previous = state.blocks.get(blockStateKey(update.x, update.y, update.z));
+  return (
+    previous?.action === "place" &&
+    Number(previous.x) === update.x &&
+    Number(previous.y) === update.y &&
+    Number(previous.z) === update.z &&
+    Number(previous.typeId) === update.typeId
+  );
+}
+
+// Everything the removals left hanging falls at once: one batched block:update for the whole room,
+// then debris damage for whoever stood underneath.
+function collapseUnsupportedBlocks(room, removed) {
   const state = getRoomState(room);
-  if (normalizeGameMode(state.mode) !== GAME_MODE.CTF) {
-    return null;
+  const fallen = findRoomUnsupportedBlocks(state, removed);
+  if (fallen.length === 0) {
+    return;
+  }
+
+  for (const block of fallen) {
+    setRoomBlockEntry(state, { action: "remove", x: block.x, y: block.y, z: block.z });
   }
+  const nextState = touchRoomState(room);
+  schedulePersistentWorldSnapshotSave(room);
+  io.to(room.code).emit("block:update", {
+    action: "collapse",
+    blocks: fallen,
+    roomStateRevision: nextState.revision
+  });
+  applyDebrisDamage(room, fallen);
+}
+
+function applyDebrisDamage(room, fallen) {
+  const state = getRoomState(room);
   if (isRoundEnded(state)) {
-    return null;
+    return;
   }
+  const getTypeAt = getRoomBlockTypeAt(state);
+  for (const player of Array.from(state.players.values())) {
+    const eye = player.state;
+    if (!eye || (Number.isFinite(player.hp) ? player.hp : 100) <= 0) {
+      continue;
+    }
 
-  const team = normalizeTeam(player.team);
-  if (!team) {
-    return null;
+    const feetY = eye.y - PLAYER_EYE_HEIGHT;
+    const headY = Math.floor(eye.y);
+    let hits = 0;
+    for (const block of fallen) {
+      if (
+        block.y + 1 <= feetY ||
+        Math.abs(block.x + 0.5 - eye.x) > DEBRIS_HIT_RADIUS ||
+        Math.abs(block.z + 0.5 - eye.z) > DEBRIS_HIT_RADIUS
+      ) {
+        continue;
+      }
+      let blocked = false;
+      for (let y = block.y - 1; y > headY && !blocked; y -= 1) {
+        blocked = getTypeAt(block.x, y, block.z) !== 0;
+      }
+      if (!blocked) {
+        hits += 1;
+      }
+    }
+    if (hits > 0) {
+      const damage = Math.min(DEBRIS_MAX_DAMAGE, hits * DEBRIS_DAMAGE_PER_BLOCK);
+      applyEnvironmentDamage(room, player, damage, "debris");
+    }
   }
-  const enemyTeam = getEnemyTeam(team);
-  if (!enemyTeam) {
-    return null;
+}
+
+// Damage carries over between shots until the block's health runs out; a broken block becomes
+// a removal like any other edit, and may bring down whatever it was holding up.
+function applyBlockDamage(room, attacker, hits) {
+  const state = getRoomState(room);
+  const blocks = [];
+  const broken = [];
+  for (const hit of hits) {
+    const key = blockStateKey(hit.x, hit.y, hit.z);
+    const maxHealth = getBlockMaxHealth(hit.typeId);
+    const damage = (state.blockDamage.get(key)?.damage ?? 0) + Math.trunc(hit.damage);
+    if (damage >= maxHealth) {
+      setRoomBlockEntry(state, { action: "remove", x: hit.x, y: hit.y, z: hit.z });
+      blocks.push({ x: hit.x, y: hit.y, z: hit.z, damage: maxHealth, broken: true });
+      broken.push(hit);
+    } else {
+      state.blockDamage.set(key, { x: hit.x, y: hit.y, z: hit.z, damage });
+      blocks.push({ x: hit.x, y: hit.y, z: hit.z, damage, broken: false });
+    }
   }
 
-  const teamHome = DEFAULT_TEAM_HOME[team] ?? { x: 0, y: 0, z: 0 };
-  const teamFlags = state.flags;
-  if (!teamFlags || typeof teamFlags !== "object") {
-    return null;
+  const nextState = touchRoomState(room);
+  schedulePersistentWorldSnapshotSave(room);
+  io.to(room.code).emit("block:damage", {
+    attackerId: attacker.id,
+    blocks,
+    roomStateRevision: nextState.revision
+  });
+  if (room.structuralIntegrity && broken.length > 0) {
+    collapseUnsupportedBlocks(room, broken);
   }
-  const enemyFlag = teamFlags[enemyTeam];
-  if (!enemyFlag) {
-    return null;
+}
+
+// Where a thrown or placed explosive starts: grenades leave the eye along the aim, charges stick
+// to the first block within reach.
+function resolveExplosivePlacement(state, player, type, origin, direction) {
+  const eye = player.state;
+  if (
+    !eye ||
+    Math.hypot(origin.x - eye.x, origin.y - eye.y, origin.z - eye.z) > PVP_SHOT_ORIGIN_TOLERANCE
+  ) {
+    return { ok: false, error: "위치가 맞지 않습니다" };
   }
 
-  const playerPos = player.state;
-  let changed = false;
-  let event = null;
+  if (type === EXPLOSIVE_TYPE.GRENADE) {
+    return { ok: true, origin, velocity: getGrenadeLaunchVelocity(direction) };
+  }
 
-  if (enemyFlag.carrierId === player.id) {
-    enemyFlag.at = {
-      x: Number(playerPos.x ?? enemyFlag.at?.x ?? enemyFlag.home?.x ?? DEFAULT_TEAM_FLAG_HOME[enemyTeam].x),
-      y: Number(enemyFlag.home?.y ?? DEFAULT_TEAM_FLAG_HOME[enemyTeam].y),
-      z: Number(playerPos.z ?? enemyFlag.at?.z ?? enemyFlag.home?.z ?? DEFAULT_TEAM_FLAG_HOME[enemyTeam].z)
-    };
-    changed = true;
+  const hit = raycastVoxels(origin, direction, BLOCK_REACH, getRoomBlockTypeAt(state));
+  if (!hit) {
+    return { ok: false, error: "폭약을 붙일 블록이 없습니다" };
+  }
+  return {
+    ok: true,
+    origin: {
+      x: hit.point.x + hit.normal.x * CHARGE_SURFACE_OFFSET,
+      y: hit.point.y + hit.normal.y * CHARGE_SURFACE_OFFSET,
+      z: hit.point.z + hit.normal.z * CHARGE_SURFACE_OFFSET
+    },
+    normal: hit.normal
+  };
+}
+
+function scheduleExplosive(room, owner, type, placement) {
+  const state = getRoomState(room);
+  const definition = getExplosiveDefinition(type);
+  const explosive = {
+    id: `x${nextExplosiveId++}`,
+    type,
+    ownerId: owner.id,
+    ownerTeam: owner.team ?? null,
+    origin: placement.origin,
+    velocity: placement.velocity ?? null,
+    timer: null
+  };
+  const fuseMs = Math.round(definition.fuseSeconds * 1000);
+  explosive.timer = setTimeout(() => detonateExplosive(room, explosive), fuseMs);
+  state.explosives.set(explosive.id, explosive);
+
+  io.to(room.code).emit("explosive:spawn", {
+    id: explosive.id,
+    type,
+    ownerId: owner.id,
+    origin: explosive.origin,
+    velocity: explosive.velocity ?? undefined,
+    normal: placement.normal ?? undefined,
+    fuseMs
+  });
+  return explosive;
+}
+
+function isBlastOccluded(getTypeAt, center, point) {
+  const direction = { x: point.x - center.x, y: point.y - center.y, z: point.z - center.z };
+  const distance = Math.hypot(direction.x, direction.y, direction.z);
+  if (distance <= 0.05) {
+    return false;
   }
+  return raycastVoxels(center, direction, distance - 0.05, getTypeAt, 0.05) !== null;
+}
 
-  if (enemyFlag.carrierId === player.id) {
-    const nearHome = distanceXZ(playerPos, teamHome) <= CTF_CAPTURE_RADIUS;
-    if (nearHome) {
-      enemyFlag.carrierId = null;
-      enemyFlag.at = clonePoint(enemyFlag.home ?? DEFAULT_TEAM_FLAG_HOME[enemyTeam]);
-      state.captures[team] = (Number(state.captures[team]) || 0) + 1;
-      state.score[team] = (Number(state.score[team]) || 0) + 1;
-      player.captures = (Number(player.captures) || 0) + 1;
-      changed = true;
-      event = {
-        type: "capture",
-        byPlayerId: player.id,
-        byTeam: team,
-        flagTeam: enemyTeam,
-        captures: Number(state.captures[team]),
-        teamScore: Number(state.score[team])
-      };
+// The server steps the grenade against the blocks as they are when the fuse runs out, carves
+// the blast (never protected cells), then hurts everyone in the open within the damage radius.
+function detonateExplosive(room, explosive) {
+  const state = getRoomState(room);
+  if (state.explosives.get(explosive.id) !== explosive) {
+    return;
+  }
+  state.explosives.delete(explosive.id);
+  if (rooms.get(room.code) !== room || isRoundEnded(state)) {
+    return;
+  }
+
+  const definition = getExplosiveDefinition(explosive.type);
+  const getTypeAt = getRoomBlockTypeAt(state);
+  const center =
+    explosive.type === EXPLOSIVE_TYPE.GRENADE
+      ? simulateGrenade(explosive.origin, explosive.velocity, definition.fuseSeconds, getTypeAt)
+      : explosive.origin;
+
+  const carved = [];
+  const cells = getBlastCells(center, definition.blastRadius, (x, y, z) => !isStructureAnchored(x, y, z));
+  for (const cell of cells) {
+    if (getTypeAt(cell.x, cell.y, cell.z)) {
+      setRoomBlockEntry(state, { action: "remove", x: cell.x, y: cell.y, z: cell.z });
+      carved.push(cell);
     }
   }
+  const nextState = touchRoomState(room);
+  if (carved.length > 0) {
+    schedulePersistentWorldSnapshotSave(room);
+  }
+  io.to(room.code).emit("explosive:detonate", {
+    id: explosive.id,
+    type: explosive.type,
+    ownerId: explosive.ownerId,
+    x: Number(center.x.toFixed(3)),
+    y: Number(center.y.toFixed(3)),
+    z: Number(center.z.toFixed(3)),
+    blocks: carved,
+    roomStateRevision: nextState.revision
+  });
 
-  if (!changed) {
-    return null;
+  const owner = state.players.get(explosive.ownerId) ?? null;
+  for (const player of Array.from(state.players.values())) {
+    if (isRoundEnded(state)) {
+      break;
+    }
+    const eye = player.state;
+    if (!eye || (Number.isFinite(player.hp) ? player.hp : 100) <= 0) {
+      continue;
+    }
+    if (player !== owner && explosive.ownerTeam && player.team === explosive.ownerTeam) {
+      continue;
+    }
+    const body = { x: eye.x, y: eye.y - PLAYER_EYE_HEIGHT / 2, z: eye.z };
+    const damage = getBlastDamage(
+      explosive.type,
+      Math.hypot(body.x - center.x, body.y - center.y, body.z - center.z)
+    );
+    if (damage <= 0 || (isBlastOccluded(getTypeAt, center, body) && isBlastOccluded(getTypeAt, center, eye))) {
+      continue;
+    }
+    if ((Number(player.spawnShieldUntil) || 0) > Date.now()) {
+      continue;
+    }
+    if (player === owner || !owner) {
+      applyEnvironmentDamage(room, player, damage, "explosive");
+    } else {
+      applyPvpDamage(room, owner, player, damage, { explosiveType: explosive.type });
+    }
   }
 
-  touchRoomState(room);
-  return event;
+  if (room.structuralIntegrity && carved.length > 0) {
+    collapseUnsupportedBlocks(room, carved);
+  }
+}
+
+function resolveRemovedBlockType(state, update) {
+  const key = blockStateKey(update.x, update.y, update.z);
+  const previous = state.blocks.get(key);
+  if (previous?.action === "remove") {
+    return { ok: false, reason: "already_removed", typeId: null };
+  }
+
+  if (previous?.action === "place") {
+    return {
+      ok: true,
+      reason: "remove_placed",
+      typeId: normalizeStockTypeId(previous.typeId) ?? BLOCK_TYPE_MIN
+    };
+  }
+
+  return {
+    ok: true,
+    reason: "remove_base",
+    typeId: normalizeStockTypeId(update.typeId) ?? BLOCK_TYPE_MIN
+  };
 }
 
 function normalizeTeam(team) {
@@ -1070,20 +2097,6 @@ function getEnemyTeam(team) {
   return null;
 }
 
-function findCarriedFlagTeam(flags, playerId) {
-  const id = String(playerId ?? "").trim();
-  if (!id || !flags || typeof flags !== "object") {
-    return null;
-  }
-  for (const team of ["alpha", "bravo"]) {
-    const carrierId = String(flags[team]?.carrierId ?? "").trim();
-    if (carrierId && carrierId === id) {
-      return team;
-    }
-  }
-  return null;
-}
-
 function countPlayersOnTeam(players, team) {
   let count = 0;
   for (const player of players.values()) {
@@ -1176,8 +2189,11 @@ function pruneSpawnProtectedBlockChanges(room) {
 }
 
 function serializeBlocksSnapshot(room) {
-  const state = getRoomState(room);
-  return Array.from(state.blocks.values()).map((entry) => {
+  return serializeBlockEntries(getRoomState(room).blocks);
+}
+
+function serializeBlockEntries(blocks) {
+  return Array.from(blocks.values()).map((entry) => {
     const base = {
       action: entry.action === "place" ? "place" : "remove",
       x: Number(entry.x ?? 0),
@@ -1191,19 +2207,23 @@ function serializeBlocksSnapshot(room) {
   });
 }
 
+function serializeBlockDamage(room) {
+  return serializeBlockDamageEntries(getRoomState(room).blockDamage);
+}
+
+function serializeBlockDamageEntries(blockDamage) {
+  return Array.from(blockDamage.values(), (entry) => ({
+    x: entry.x,
+    y: entry.y,
+    z: entry.z,
+    damage: entry.damage
+  }));
+}
+
 function serializeCtfState(room, event = null) {
-  const state = serializeRoomState(room);
+  const { blockCount, ...state } = serializeRoomState(room);
   return {
-    mode: state.mode,
-    revision: state.revision,
-    updatedAt: state.updatedAt,
-    ad: state.ad,
-    targetScore: state.targetScore,
-    flag: state.flag,
-    flags: state.flags,
-    score: state.score,
-    captures: state.captures,
-    round: state.round,
+    ...state,
     event
   };
 }
@@ -1213,27 +2233,99 @@ function emitRoomSnapshot(socket, room, reason = "sync") {
     return;
   }
 
-  const state = serializeRoomState(room);
+  const { blockCount, ...state } = serializeRoomState(room);
   const roomState = getRoomState(room);
   const player = roomState.players.get(socket.id);
   socket.emit("room:snapshot", {
     reason,
-    mode: state.mode,
-    revision: state.revision,
-    updatedAt: state.updatedAt,
-    ad: state.ad,
-    targetScore: state.targetScore,
-    blocks: serializeBlocksSnapshot(room),
-    flag: state.flag,
-    flags: state.flags,
-    score: state.score,
-    captures: state.captures,
-    round: state.round,
+    ...state,
+    mapHash: getRoomMapHash(roomState),
+    ...serializeBlocksForSocket(socket, room),
+    blockDamage: serializeBlockDamage(room),
     dailyLeaderboard: serializeDailyLeaderboard(12),
     stock: serializeBlockStock(player?.stock)
   });
 }
 
+function serializeBlocksForSocket(socket, room) {
+  const blocks = serializeBlocksSnapshot(room);
+  return socket?.data?.binaryNet ? { blocksPacked: encodeBlockList(blocks) } : { blocks };
+}
+
+function getNetChannel(roomCode, binary) {
+  return `${roomCode}#${binary ? "bin" : "json"}`;
+}
+
+function getRoomNet(room) {
+  if (!room.net) {
+    room.net = {
+      dirtyPlayers: new Set(),
+      blockQueue: [],
+      keyframeDue: true,
+      lastKeyframeAt: 0
+    };
+  }
+  return room.net;
+}
+
+function allocatePlayerNetId(state) {
+  const used = new Set(Array.from(state.players.values(), (player) => player.netId));
+  let netId = 1;
+  while (used.has(netId)) {
+    netId += 1;
+  }
+  return netId;
+}
+
+function flushRoomNet(room) {
+  const net = getRoomNet(room);
+  const binarySockets = io.sockets.adapter.rooms.get(getNetChannel(room.code, true));
+  if (!binarySockets || binarySockets.size === 0) {
+    net.dirtyPlayers.clear();
+    net.blockQueue.length = 0;
+    net.keyframeDue = true;
+    return;
+  }
+
+  const state = getRoomState(room);
+  const now = Date.now();
+  const keyframe = net.keyframeDue || now - net.lastKeyframeAt >= NET_KEYFRAME_MS;
+  const players = keyframe
+    ? Array.from(state.players.values())
+    : Array.from(net.dirtyPlayers, (id) => state.players.get(id)).filter(Boolean);
+  net.dirtyPlayers.clear();
+
+  const entries = [];
+  for (const player of players) {
+    if (!player.state || !player.netId) {
+      continue;
+    }
+    const quantized = quantizePlayerState(player.state);
+    entries.push({
+      netId: player.netId,
+      quantized,
+      base: player.netBroadcastBase ?? null,
+      ageMs: now - (Number(player.state.updatedAt) || now)
+    });
+    player.netBroadcastBase = quantized;
+  }
+  if (keyframe) {
+    net.keyframeDue = false;
+    net.lastKeyframeAt = now;
+  }
+  if (entries.length > 0) {
+    io.to(getNetChannel(room.code, true)).emit("net:players", encodePlayerBatch({ serverTime: now, keyframe, entries }));
+  }
+
+  if (net.blockQueue.length > 0) {
+    io.to(getNetChannel(room.code, true)).emit(
+      "net:blocks",
+      encodeBlockBatch({ revision: state.revision, entries: net.blockQueue })
+    );
+    net.blockQueue.length = 0;
+  }
+}
+
 function emitCtfUpdate(room, event = null) {
   if (!room) {
     return;
@@ -1265,21 +2357,88 @@ function emitLobbyPortalEntered(
   });
 }
 
-function createPersistentRoom() {
+function createRoomRecord({
+  code,
+  hostId = null,
+  persistent = false,
+  password = "",
+  capacity = MAX_ROOM_PLAYERS
+}) {
   const players = new Map();
-  const room = {
-    code: DEFAULT_ROOM_CODE,
-    hostId: null,
+  return {
+    code,
+    hostId,
     players,
     state: createRoomState(players),
-    persistent: true,
+    persistent,
+    password,
+    capacity,
+    mode: DEFAULT_GAME_MODE,
+    mapId: getDefaultMapId(),
+    mapSeed: getDefaultMapSeed(),
+    structuralIntegrity: false,
+    // Client ids the host kicked; they cannot come back through room:join, even after a reconnect.
+    kickedClientIds: new Set(),
+    seedChangedAt: 0,
     createdAt: Date.now()
   };
+}
+
+function createPersistentRoom() {
+  const room = createRoomRecord({ code: DEFAULT_ROOM_CODE, persistent: true });
   applyPersistentWorldSnapshot(room);
   pruneSpawnProtectedBlockChanges(room);
   return room;
 }
 
+function generateRoomCode() {
+  for (let attempt = 0; attempt < 32; attempt += 1) {
+    let code = "";
+    for (let i = 0; i < ROOM_CODE_LENGTH; i += 1) {
+      code += ROOM_CODE_ALPHABET[Math.floor(Math.random() * ROOM_CODE_ALPHABET.length)];
+    }
+    if (!rooms.has(code)) {
+      return code;
+    }
+  }
+  return null;
+}
+
+function createPrivateRoom({ hostId, password = "", capacity = DEFAULT_PRIVATE_ROOM_PLAYERS } = {}) {
+  const privateRoomCount = Array.from(rooms.values()).filter((room) => !room.persistent).length;
+  if (privateRoomCount >= MAX_PRIVATE_ROOMS) {
+    return null;
+  }
+
+  const code = generateRoomCode();
+  if (!code) {
+    return null;
+  }
+
+  const room = createRoomRecord({ code, hostId, password, capacity });
+  rooms.set(code, room);
+  return room;
+}
+
+function getRoomCapacity(room) {
+  return Number.isFinite(room?.capacity) ? room.capacity : MAX_ROOM_PLAYERS;
+}
+
+function disposeRoomIfEmpty(room) {
+  if (!room || room.persistent || room.players.size > 0) {
+    return false;
+  }
+
+  const state = getRoomState(room);
+  clearRoundRestartTimer(state);
+  clearRoomExplosives(state);
+  for (const player of state.players.values()) {
+    clearPlayerRespawnTimer(player);
+  }
+  rooms.delete(room.code);
+  return true;
+}
+
 function getDefaultRoom() {
   let room = rooms.get(DEFAULT_ROOM_CODE);
   if (!room) {
@@ -1293,6 +2452,29 @@ function getDefaultRoom() {
 getDefaultRoom();
 dailyLeaderboardState = loadDailyLeaderboardState();
 
+function sanitizeRoomCode(raw) {
+  return String(raw ?? "")
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "")
+    .slice(0, ROOM_CODE_MAX_LENGTH);
+}
+
+function sanitizeRoomPassword(raw) {
+  return String(raw ?? "").trim().slice(0, ROOM_PASSWORD_MAX_LENGTH);
+}
+
+function sanitizeClientId(raw) {
+  const value = String(raw ?? "").trim();
+  return CLIENT_ID_PATTERN.test(value) ? value : null;
+}
+
+function sanitizeRoomCapacity(raw) {
+  return Math.trunc(
+    clampNumber(raw, MIN_PRIVATE_ROOM_PLAYERS, MAX_ROOM_PLAYERS, DEFAULT_PRIVATE_ROOM_PLAYERS)
+  );
+}
+
 function sanitizeName(raw) {
   const value = String(raw ?? "")
     .trim()
@@ -1667,12 +2849,300 @@ function sanitizeBlockPayload(raw = {}) {
   return payload;
 }
 
+// Batches only place: up to MAX_BUILD_BATCH distinct blocks inside one MAX_BUILD_SPAN box.
+function sanitizeBlockBatchPayload(raw = {}) {
+  if (raw.action !== "place" || !Array.isArray(raw.blocks)) {
+    return null;
+  }
+  if (raw.blocks.length === 0 || raw.blocks.length > MAX_BUILD_BATCH) {
+    return null;
+  }
+
+  const blocks = [];
+  const keys = new Set();
+  for (const entry of raw.blocks) {
+    const block = sanitizeBlockPayload({ ...entry, action: "place" });
+    if (!block) {
+      return null;
+    }
+    const key = blockStateKey(block.x, block.y, block.z);
+    if (keys.has(key)) {
+      return null;
+    }
+    keys.add(key);
+    blocks.push(block);
+  }
+  return isWithinBuildSpan(blocks) ? blocks : null;
+}
+
+// Line, wall, floor and stamp placements arrive as one batch that lands whole or not at all:
+// every block has to clear the protected zones and be paid for before any of them is set.
+function handleBlockBatchUpdate(socket, room, player, payload, ackFn) {
+  const state = getRoomState(room);
+  const playerStock = ensurePlayerStock(player);
+  const reject = (error) =>
+    ack(ackFn, {
+      ok: false,
+      error,
+      roomStateRevision: state.revision,
+      stock: serializeBlockStock(playerStock)
+    });
+
+  const blocks = sanitizeBlockBatchPayload(payload);
+  if (!blocks) {
+    reject("잘못된 블록 업데이트");
+    return;
+  }
+  if (blocks.some((block) => isSpawnProtectedBlockCoord(block.x, block.y, block.z))) {
+    reject("스폰 보호 구역은 수정할 수 없습니다");
+    return;
+  }
+  if (blocks.some((block) => isLobbyProtectedBlockCoord(block.x, block.y, block.z))) {
+    reject("3D 로비 보호 구역은 수정할 수 없습니다");
+    return;
+  }
+
+  // A build span is wider than the reach, so every block has to be reachable on its own.
+  for (const block of blocks) {
+    const reachError = getBlockReachError(state, player, block);
+    if (reachError) {
+      reject(reachError);
+      return;
+    }
+  }
+
+  const placed = blocks.filter((block) => !isSamePlacedBlock(state, block));
+  if (placed.length === 0) {
+    ack(ackFn, {
+      ok: true,
+      ignored: true,
+      roomStateRevision: state.revision,
+      stock: serializeBlockStock(playerStock)
+    });
+    return;
+  }
+  // Placing only fills empty cells; writing over a block would skip its health.
+  const getTypeAt = getRoomBlockTypeAt(state);
+  if (placed.some((block) => getTypeAt(block.x, block.y, block.z) !== 0)) {
+    reject("이미 블록이 있는 칸입니다");
+    return;
+  }
+
+  const costs = countBlocksByType(placed);
+  for (const [typeId, count] of costs) {
+    if (getStockCount(playerStock, typeId) < count) {
+      reject("보유한 블록이 부족합니다");
+      return;
+    }
+  }
+  if (room.structuralIntegrity && !isBlockPlacementSupported(state, placed)) {
+    reject("받쳐 줄 블록이 없습니다");
+    return;
+  }
+
+  for (const [typeId, count] of costs) {
+    changeStockCount(playerStock, typeId, -count);
+  }
+  for (const block of placed) {
+    setRoomBlockEntry(state, block);
+  }
+  const roomState = touchRoomState(room);
+  schedulePersistentWorldSnapshotSave(room);
+
+  socket.to(getNetChannel(room.code, false)).emit("block:update", {
+    id: socket.id,
+    action: "place",
+    blocks: placed,
+    roomStateRevision: roomState.revision
+  });
+  const net = getRoomNet(room);
+  for (const block of placed) {
+    net.blockQueue.push({ actorNetId: player.netId, ...block });
+  }
+
+  const serializedStock = serializeBlockStock(playerStock);
+  socket.emit("inventory:update", {
+    stock: serializedStock,
+    roomStateRevision: roomState.revision
+  });
+  ack(ackFn, {
+    ok: true,
+    roomStateRevision: roomState.revision,
+    stock: serializedStock,
+    placed: placed.length
+  });
+}
+
+function sanitizeShotVector(raw) {
+  if (!raw || typeof raw !== "object") {
+    return null;
+  }
+  const x = clampNumber(raw.x, -512, 512, Number.NaN);
+  const y = clampNumber(raw.y, -512, 512, Number.NaN);
+  const z = clampNumber(raw.z, -512, 512, Number.NaN);
+  if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
+    return null;
+  }
+  return { x, y, z };
+}
+
+function normalizeShotDirection(raw) {
+  const direction = sanitizeShotVector(raw);
+  if (!direction) {
+    return null;
+  }
+  const length = Math.hypot(direction.x, direction.y, direction.z);
+  return length > 1e-6
+    ? { x: direction.x / length, y: direction.y / length, z: direction.z / length }
+    : null;
+}
+
 function sanitizeShootPayload(raw = {}) {
   const targetId = String(raw.targetId ?? "").trim();
   if (!targetId) {
     return null;
   }
-  return { targetId };
+  return { targetId, ...sanitizeShotRay(raw) };
+}
+
+function sanitizeShotRay(raw = {}) {
+  const origin = sanitizeShotVector(raw.origin);
+  const direction = normalizeShotDirection(raw.direction);
+  const shotAt = Math.trunc(Number(raw.shotAt));
+  const pellets = Array.isArray(raw.pellets)
+    ? raw.pellets.slice(0, PVP_MAX_PELLETS).map(normalizeShotDirection).filter(Boolean)
+    : null;
+
+  return {
+    origin,
+    direction,
+    pellets,
+    shotAt: Number.isFinite(shotAt) ? shotAt : 0
+  };
+}
+
+// Damage from another player, by gunfire or by their explosive. Team and spawn-shield checks are
+// the caller's.
+function applyPvpDamage(room, attacker, target, damage, { hitZone = HIT_ZONE.TORSO, explosiveType = null } = {}) {
+  const state = getRoomState(room);
+  const modeRules = getModeRules(state.mode);
+  const currentHp = Number.isFinite(target.hp) ? target.hp : 100;
+  const nextHp = Math.max(0, currentHp - damage);
+  const killed = nextHp <= 0;
+  let respawnAt = 0;
+
+  target.hp = nextHp;
+  let modeEvent = null;
+  let dailyLeaderboardChanged = false;
+  if (killed) {
+    attacker.kills = (Number(attacker.kills) || 0) + 1;
+    if (hitZone === HIT_ZONE.HEAD) {
+      attacker.headshots = (Number(attacker.headshots) || 0) + 1;
+    }
+    target.deaths = (Number(target.deaths) || 0) + 1;
+    dailyLeaderboardChanged =
+      touchDailyLeaderboardPlayer(attacker, { killsDelta: 1 }) ||
+      touchDailyLeaderboardPlayer(target, { deathsDelta: 1 }) ||
+      dailyLeaderboardChanged;
+    respawnAt = schedulePlayerRespawn(room, target);
+    modeEvent = modeRules.onKill(room, { victim: target, attacker });
+  } else {
+    target.respawnAt = 0;
+    clearPlayerRespawnTimer(target);
+  }
+
+  touchRoomState(room);
+  if (modeEvent) {
+    emitCtfUpdate(room, modeEvent);
+  }
+  if (dailyLeaderboardChanged) {
+    emitDailyLeaderboardToRoom(room);
+  }
+
+  io.to(room.code).emit("pvp:damage", {
+    attackerId: attacker.id,
+    victimId: target.id,
+    damage,
+    hitZone,
+    explosiveType: explosiveType ?? undefined,
+    victimHealth: killed ? 0 : target.hp,
+    killed,
+    respawnAt,
+    attackerKills: attacker.kills ?? 0,
+    attackerHeadshots: attacker.headshots ?? 0,
+    victimDeaths: target.deaths ?? 0,
+    teamScore: {
+      alpha: Number(state.score.alpha ?? 0),
+      bravo: Number(state.score.bravo ?? 0)
+    },
+    teamCaptures: {
+      alpha: Number(state.captures.alpha ?? 0),
+      bravo: Number(state.captures.bravo ?? 0)
+    },
+    roomStateRevision: state.revision
+  });
+  if (killed) {
+    emitRoomUpdate(room);
+    modeRules.checkWinCondition(room, { byPlayerId: attacker.id });
+  }
+  return { killed, respawnAt };
+}
+
+// Damage with no attacker (falls, the void, debris); `reason` tells the client what hit them.
+function applyEnvironmentDamage(room, player, damage, reason) {
+  const state = getRoomState(room);
+  const playerHp = Number.isFinite(player.hp) ? player.hp : 100;
+  const nextHp = Math.max(0, playerHp - damage);
+  const killed = nextHp <= 0;
+  let respawnAt = 0;
+  let modeEvent = null;
+  let dailyLeaderboardChanged = false;
+  const modeRules = getModeRules(state.mode);
+
+  player.hp = nextHp;
+  if (killed) {
+    player.deaths = (Number(player.deaths) || 0) + 1;
+    dailyLeaderboardChanged = touchDailyLeaderboardPlayer(player, { deathsDelta: 1 });
+    respawnAt = schedulePlayerRespawn(room, player);
+    modeEvent = modeRules.onKill(room, { victim: player, attacker: null });
+  } else {
+    player.respawnAt = 0;
+    clearPlayerRespawnTimer(player);
+  }
+
+  touchRoomState(room);
+  if (modeEvent) {
+    emitCtfUpdate(room, modeEvent);
+  }
+  if (dailyLeaderboardChanged) {
+    emitDailyLeaderboardToRoom(room);
+  }
+
+  io.to(room.code).emit("pvp:damage", {
+    attackerId: null,
+    victimId: player.id,
+    damage,
+    hazardReason: reason,
+    victimHealth: killed ? 0 : player.hp,
+    killed,
+    respawnAt,
+    victimDeaths: player.deaths ?? 0,
+    teamScore: {
+      alpha: Number(state.score.alpha ?? 0),
+      bravo: Number(state.score.bravo ?? 0)
+    },
+    teamCaptures: {
+      alpha: Number(state.captures.alpha ?? 0),
+      bravo: Number(state.captures.bravo ?? 0)
+    },
+    roomStateRevision: state.revision
+  });
+
+  if (killed) {
+    emitRoomUpdate(room);
+    modeRules.checkWinCondition(room);
+  }
+  return { killed, respawnAt };
 }
 
 function sanitizeHazardPayload(raw = {}) {
@@ -1699,7 +3169,16 @@ function serializeRoom(room) {
   return {
     code: room.code,
     mode: normalizeGameMode(state.mode),
+    selectedMode: normalizeGameMode(room.mode),
+    mapId: state.mapId,
+    selectedMapId: normalizeMapId(room.mapId),
+    mapSeed: state.mapSeed,
+    selectedMapSeed: normalizeMapSeed(room.mapSeed),
     hostId: room.hostId,
+    capacity: getRoomCapacity(room),
+    persistent: Boolean(room.persistent),
+    locked: Boolean(room.password),
+    structuralIntegrity: Boolean(room.structuralIntegrity),
     players: Array.from(state.players.values()).map((player) => ({
       id: player.id,
       name: player.name,
@@ -1711,6 +3190,9 @@ function serializeRoom(room) {
       kills: Number(player.kills ?? 0),
       deaths: Number(player.deaths ?? 0),
       captures: Number(player.captures ?? 0),
+      headshots: Number(player.headshots ?? 0),
+      weaponId: normalizeWeaponId(player.weaponId),
+      netId: Number(player.netId ?? 0),
       stock: serializeBlockStock(player.stock)
     })),
     state: serializeRoomState(room),
@@ -1719,17 +3201,27 @@ function serializeRoom(room) {
 }
 
 function summarizeRooms() {
-  const room = getDefaultRoom();
-  const state = getRoomState(room);
-  pruneRoomPlayers(room);
-  return [
-    {
+  getDefaultRoom();
+  const summaries = [];
+  for (const room of Array.from(rooms.values())) {
+    pruneRoomPlayers(room);
+    if (!rooms.has(room.code)) {
+      continue;
+    }
+    const state = getRoomState(room);
+    summaries.push({
       code: room.code,
       count: state.players.size,
-      capacity: MAX_ROOM_PLAYERS,
-      hostName: state.players.get(room.hostId)?.name ?? "AUTO"
-    }
-  ];
+      capacity: getRoomCapacity(room),
+      persistent: Boolean(room.persistent),
+      locked: Boolean(room.password),
+      mode: normalizeGameMode(room.mode),
+      mapId: normalizeMapId(room.mapId),
+      started: Number(state.round?.startedAt) > 0 && !state.round?.ended,
+      hostName: room.persistent ? "AUTO" : state.players.get(room.hostId)?.name ?? "AUTO"
+    });
+  }
+  return summaries.sort((a, b) => Number(b.persistent) - Number(a.persistent) || b.count - a.count);
 }
 
 function emitRoomList(target = io) {
@@ -1767,7 +3259,7 @@ function pruneRoomPlayers(room) {
   const state = getRoomState(room);
   let changed = false;
   const removedIds = [];
-  let ctfChangedTeam = null;
+  let leaveEvent = null;
 
   for (const socketId of state.players.keys()) {
     if (!io.sockets.sockets.has(socketId)) {
@@ -1780,11 +3272,9 @@ function pruneRoomPlayers(room) {
   }
 
   if (changed) {
+    const modeRules = getModeRules(state.mode);
     for (const socketId of removedIds) {
-      const resetTeam = resetFlagForPlayer(room, socketId);
-      if (resetTeam) {
-        ctfChangedTeam = resetTeam;
-      }
+      leaveEvent = modeRules.onPlayerLeave(room, socketId, { reason: "disconnect" }) ?? leaveEvent;
     }
     touchRoomState(room);
     updateHost(room);
@@ -1796,12 +3286,11 @@ function pruneRoomPlayers(room) {
       state.round.startedAt = 0;
       resetAdStateWhenRoomEmpty(state);
     }
-    if (ctfChangedTeam) {
-      emitCtfUpdate(room, {
-        type: "reset",
-        reason: "disconnect",
-        flagTeam: ctfChangedTeam
-      });
+    if (leaveEvent) {
+      emitCtfUpdate(room, leaveEvent);
+    }
+    if (!disposeRoomIfEmpty(room)) {
+      modeRules.checkWinCondition(room);
     }
   }
   return changed;
@@ -1821,6 +3310,7 @@ function leaveCurrentRoom(socket) {
 
   const room = rooms.get(roomCode);
   socket.leave(roomCode);
+  socket.leave(getNetChannel(roomCode, Boolean(socket.data.binaryNet)));
   socket.data.roomCode = null;
 
   if (!room) {
@@ -1833,7 +3323,8 @@ function leaveCurrentRoom(socket) {
   clearPlayerRespawnTimer(leavingPlayer);
   state.players.delete(socket.id);
   room.players = state.players;
-  const resetTeam = resetFlagForPlayer(room, socket.id);
+  const modeRules = getModeRules(state.mode);
+  const leaveEvent = modeRules.onPlayerLeave(room, socket.id, { reason: "leave" });
   pruneRoomPlayers(room);
   updateHost(room);
   if (state.players.size === 0) {
@@ -1845,25 +3336,22 @@ function leaveCurrentRoom(socket) {
     resetAdStateWhenRoomEmpty(state);
   }
   touchRoomState(room);
-  if (resetTeam) {
-    emitCtfUpdate(room, {
-      type: "reset",
-      reason: "leave",
-      byPlayerId: socket.id,
-      flagTeam: resetTeam
-    });
+  if (leaveEvent) {
+    emitCtfUpdate(room, leaveEvent);
   }
 
-  if (!room.persistent && room.players.size === 0) {
-    rooms.delete(room.code);
+  if (!disposeRoomIfEmpty(room)) {
+    emitRoomUpdate(room);
+    modeRules.checkWinCondition(room);
   }
-
-  emitRoomUpdate(room);
   emitRoomList();
 }
 
 function joinDefaultRoom(socket, nameOverride = null) {
-  const room = getDefaultRoom();
+  return joinRoom(socket, getDefaultRoom(), nameOverride);
+}
+
+function joinRoom(socket, room, nameOverride = null) {
   const state = getRoomState(room);
   ensureDailyLeaderboardFresh();
   pruneRoomPlayers(room);
@@ -1889,29 +3377,50 @@ function joinDefaultRoom(socket, nameOverride = null) {
     return { ok: true, room: serializeRoom(room) };
   }
 
-  leaveCurrentRoom(socket);
-
-  if (state.players.size >= MAX_ROOM_PLAYERS) {
+  const capacity = getRoomCapacity(room);
+  if (state.players.size >= capacity) {
     return {
       ok: false,
-      error: `GLOBAL 방이 가득 찼습니다 (${MAX_ROOM_PLAYERS}명)`
+      error: `${room.code} 방이 가득 찼습니다 (${capacity}명)`
     };
   }
 
+  leaveCurrentRoom(socket);
+
   const assignedTeam = pickBalancedTeam(state.players);
   state.players.set(socket.id, {
     id: socket.id,
     name,
     team: assignedTeam,
     state: getSpawnStateForTeam(assignedTeam),
+    awaitingSpawnSync: true,
+    moveBudget: Number.NaN,
+    moveGroundY: Number.NaN,
+    movementViolations: 0,
+    lastMovementViolation: null,
     stock: createDefaultBlockStock(),
-    hp: 100,
+    hp: getModeRules(state.mode).shouldJoinAsSpectator?.(state) ? 0 : 100,
     respawnAt: 0,
     spawnShieldUntil: Date.now() + RESPAWN_SHIELD_MS,
     respawnTimer: null,
     kills: 0,
     deaths: 0,
-    captures: 0
+    captures: 0,
+    headshots: 0,
+    stateHistory: [],
+    weaponId: DEFAULT_WEAPON_ID,
+    weaponEquippedAt: 0,
+    lastShotAt: 0,
+    lastShotClientAt: 0,
+    explosives: createExplosiveStock(),
+    lastExplosiveAt: 0,
+    lastTriggerTargetIds: new Set(),
+    rejectedShots: 0,
+    lastRejectedShotReason: null,
+    netId: allocatePlayerNetId(state),
+    netSyncHistory: new Map(),
+    netLastAckAt: 0,
+    netBroadcastBase: null
   });
   touchDailyLeaderboardPlayer(state.players.get(socket.id));
   room.players = state.players;
@@ -1919,6 +3428,8 @@ function joinDefaultRoom(socket, nameOverride = null) {
 
   updateHost(room);
   socket.join(room.code);
+  socket.join(getNetChannel(room.code, Boolean(socket.data.binaryNet)));
+  getRoomNet(room).keyframeDue = true;
   socket.data.roomCode = room.code;
   emitRoomSnapshot(socket, room, "join");
   if (Number(state.round?.startedAt) > 0 && !Boolean(state.round?.ended)) {
@@ -1941,14 +3452,32 @@ const httpServer = createServer((req, res) => {
     writeJson(res, 200, {
       ok: true,
       service: "reclaim-fps-chat",
-      worldMapId: PERSISTENT_WORLD_MAP_ID,
+      worldMapId: getRoomState(globalRoom).mapId,
+      worldMapCode: getMapShareCode(getRoomState(globalRoom).mapId, getRoomState(globalRoom).mapSeed),
       gitCommit:
         process.env.RENDER_GIT_COMMIT ?? process.env.VERCEL_GIT_COMMIT_SHA ?? process.env.GIT_COMMIT ?? null,
       rooms: rooms.size,
+      privateRooms: Array.from(rooms.values()).filter((room) => !room.persistent).length,
       online: playerCount,
       globalPlayers: globalRoom.players.size,
       globalCapacity: MAX_ROOM_PLAYERS,
       globalState: serializeRoomState(globalRoom),
+      rejectedShots: Array.from(globalRoom.players.values())
+        .filter((player) => Number(player.rejectedShots) > 0)
+        .map((player) => ({
+          id: player.id,
+          name: player.name,
+          count: Number(player.rejectedShots),
+          lastReason: player.lastRejectedShotReason ?? null
+        })),
+      movementViolations: Array.from(globalRoom.players.values())
+        .filter((player) => Number(player.movementViolations) > 0)
+        .map((player) => ({
+          id: player.id,
+          name: player.name,
+          count: Number(player.movementViolations),
+          lastReason: player.lastMovementViolation ?? null
+        })),
       now: Date.now()
     });
     return;
@@ -1985,6 +3514,7 @@ const httpServer = createServer((req, res) => {
 });
 
 const corsOrigin = parseCorsOrigins(process.env.CORS_ORIGIN);
+const MAP_ROTATION = parseMapRotation(process.env.MAP_ROTATION);
 
 const io = new Server(httpServer, {
   cors: {
@@ -2001,18 +3531,34 @@ dailyLeaderboardResetInterval = setInterval(() => {
   if (!didReset) {
     return;
   }
-  const room = getDefaultRoom();
-  emitRoomUpdate(room);
-  emitDailyLeaderboardToRoom(room);
+  for (const room of rooms.values()) {
+    emitRoomUpdate(room);
+    emitDailyLeaderboardToRoom(room);
+  }
 }, DAILY_LEADERBOARD_RESET_CHECK_MS);
 if (typeof dailyLeaderboardResetInterval.unref === "function") {
   dailyLeaderboardResetInterval.unref();
 }
 
+netFlushInterval = setInterval(() => {
+  for (const room of rooms.values()) {
+    flushRoomNet(room);
+  }
+}, NET_FLUSH_MS);
+if (typeof netFlushInterval.unref === "function") {
+  netFlushInterval.unref();
+}
+
 io.on("connection", (socket) => {
   playerCount += 1;
   socket.data.playerName = `PLAYER_${Math.floor(Math.random() * 9000 + 1000)}`;
   socket.data.roomCode = null;
+  socket.data.binaryNet = socket.handshake.auth?.netProtocol === NET_PROTOCOL;
+  // Browsers keep this id in localStorage; clients without one fall back to the socket id.
+  socket.data.clientId = sanitizeClientId(socket.handshake.auth?.clientId) ?? socket.id;
+  if (socket.data.binaryNet) {
+    socket.emit("net:hello", { protocol: NET_PROTOCOL });
+  }
 
   console.log(`[+] player connected (${playerCount}) ${socket.id}`);
 
@@ -2084,49 +3630,23 @@ io.on("connection", (socket) => {
     ack(ackFn, { ok: true, name: safeName, room: serializeRoom(room) });
   });
 
-  socket.on("player:sync", (payload = {}) => {
-    const roomCode = socket.data.roomCode;
-    const room = roomCode ? rooms.get(roomCode) : null;
-    if (!room) {
-      return;
-    }
-
-    const state = getRoomState(room);
-    const player = state.players.get(socket.id);
-    if (!player) {
-      return;
-    }
-    if ((Number.isFinite(player.hp) ? player.hp : 100) <= 0) {
-      return;
-    }
-
-    const nextState = sanitizePlayerState(payload);
-    player.state = nextState;
-
-    socket.to(room.code).emit("player:sync", {
-      id: player.id,
-      name: player.name,
-      team: player.team ?? null,
-      state: nextState
+  socket.on("time:sync", (payload = {}, ackFn) => {
+    const clientSentAt = Number(payload?.clientSentAt);
+    ack(ackFn, {
+      ok: true,
+      clientSentAt: Number.isFinite(clientSentAt) ? clientSentAt : 0,
+      serverTime: Date.now()
     });
+  });
 
-    const ctfEvent = handleCtfPlayerSync(room, player);
-    if (ctfEvent) {
-      if (ctfEvent.type === "capture") {
-        touchDailyLeaderboardPlayer(player, { capturesDelta: 1 });
-        emitDailyLeaderboardToRoom(room);
-      }
-      emitCtfUpdate(room, ctfEvent);
-      const captureTeam = normalizeTeam(ctfEvent.byTeam);
-      const teamScore = captureTeam ? Number(state.score[captureTeam] ?? 0) : 0;
-      if (ctfEvent.type === "capture" && captureTeam && teamScore >= CTF_WIN_SCORE) {
-        endRoundAndScheduleRestart(room, {
-          winnerTeam: captureTeam,
-          byPlayerId: ctfEvent.byPlayerId ?? player.id
-        });
-      } else {
-        emitRoomUpdate(room);
-      }
+  socket.on("player:sync", (payload = {}) => {
+    handlePlayerSync(socket, payload);
+  });
+
+  socket.on("player:sync:bin", (data) => {
+    const payload = readBinaryPlayerSync(socket, data);
+    if (payload) {
+      handlePlayerSync(socket, payload);
     }
   });
 
@@ -2171,7 +3691,8 @@ io.on("connection", (socket) => {
     }
 
     const state = getRoomState(room);
-    if (normalizeGameMode(state.mode) !== GAME_MODE.CTF) {
+    const modeRules = getModeRules(state.mode);
+    if (typeof modeRules.onInteract !== "function") {
       ack(ackFn, { ok: false, error: "현재 모드에서는 깃발 상호작용을 사용할 수 없습니다" });
       return;
     }
@@ -2198,71 +3719,12 @@ io.on("connection", (socket) => {
       return;
     }
 
-    const playerPos = player.state;
-    const flags = state.flags;
-    if (!playerPos || !flags || typeof flags !== "object") {
-      ack(ackFn, { ok: false, error: "깃발 상태를 확인할 수 없습니다" });
-      return;
-    }
-    const enemyTeam = getEnemyTeam(team);
-    const enemyFlag = enemyTeam ? flags[enemyTeam] : null;
-    if (!enemyTeam || !enemyFlag) {
-      ack(ackFn, { ok: false, error: "적 팀 깃발 상태를 확인할 수 없습니다" });
-      return;
-    }
-
-    if (enemyFlag.carrierId) {
-      const carrierId = String(enemyFlag.carrierId);
-      const carrier = state.players.get(carrierId);
-      const carrierHp = Number.isFinite(Number(carrier?.hp)) ? Number(carrier.hp) : 100;
-      if (!carrier || carrierHp <= 0) {
-        enemyFlag.carrierId = null;
-        enemyFlag.at = clonePoint(enemyFlag.home ?? DEFAULT_TEAM_FLAG_HOME[enemyTeam]);
-        touchRoomState(room);
-        emitCtfUpdate(room, {
-          type: "reset",
-          reason: "invalid_carrier",
-          flagTeam: enemyTeam
-        });
-      }
-    }
-
-    if (enemyFlag.carrierId) {
-      if (String(enemyFlag.carrierId) === String(player.id)) {
-        ack(ackFn, { ok: true, alreadyCarrying: true });
-      } else {
-        ack(ackFn, { ok: false, error: "이미 다른 플레이어가 깃발을 운반 중입니다" });
-      }
-      return;
-    }
-
-    const carriedTeam = findCarriedFlagTeam(flags, player.id);
-    if (carriedTeam) {
-      ack(ackFn, { ok: true, alreadyCarrying: true });
-      return;
-    }
-
-    if (distanceXZ(playerPos, enemyFlag.at) > CTF_PICKUP_RADIUS) {
-      ack(ackFn, { ok: false, error: "적 기지 깃발 근처에서 상호작용해 주세요" });
-      return;
+    const { event, ...result } = modeRules.onInteract(room, player);
+    if (event) {
+      emitCtfUpdate(room, event);
+      emitRoomUpdate(room);
     }
-
-    enemyFlag.carrierId = player.id;
-    enemyFlag.at = {
-      x: Number(playerPos.x ?? enemyFlag.at?.x ?? enemyFlag.home?.x ?? DEFAULT_TEAM_FLAG_HOME[enemyTeam].x),
-      y: Number(enemyFlag.home?.y ?? DEFAULT_TEAM_FLAG_HOME[enemyTeam].y),
-      z: Number(playerPos.z ?? enemyFlag.at?.z ?? enemyFlag.home?.z ?? DEFAULT_TEAM_FLAG_HOME[enemyTeam].z)
-    };
-    touchRoomState(room);
-
-    emitCtfUpdate(room, {
-      type: "pickup",
-      byPlayerId: player.id,
-      byTeam: team,
-      flagTeam: enemyTeam
-    });
-    emitRoomUpdate(room);
-    ack(ackFn, { ok: true });
+    ack(ackFn, result);
   });
 
   socket.on("block:update", (payload = {}, ackFn) => {
@@ -2280,6 +3742,11 @@ io.on("connection", (socket) => {
       return;
     }
 
+    if (Array.isArray(payload?.blocks)) {
+      handleBlockBatchUpdate(socket, room, player, payload, ackFn);
+      return;
+    }
+
     const playerStock = ensurePlayerStock(player);
     const sanitized = sanitizeBlockPayload(payload);
     if (!sanitized) {
@@ -2304,20 +3771,21 @@ io.on("connection", (socket) => {
       });
       return;
     }
+    const reachError = getBlockReachError(state, player, sanitized);
+    if (reachError) {
+      ack(ackFn, {
+        ok: false,
+        error: reachError,
+        roomStateRevision: state.revision,
+        stock: serializeBlockStock(playerStock)
+      });
+      return;
+    }
 
-    const key = blockStateKey(sanitized.x, sanitized.y, sanitized.z);
-    const previous = state.blocks.get(key);
     let collectedTypeId = null;
 
     if (sanitized.action === "place") {
-      const samePlace =
-        previous?.action === "place" &&
-        Number(previous.x) === sanitized.x &&
-        Number(previous.y) === sanitized.y &&
-        Number(previous.z) === sanitized.z &&
-        Number(previous.typeId) === sanitized.typeId;
-
-      if (samePlace) {
+      if (isSamePlacedBlock(state, sanitized)) {
         ack(ackFn, {
           ok: true,
           ignored: true,
@@ -2327,6 +3795,15 @@ io.on("connection", (socket) => {
         return;
       }
 
+      if (getRoomBlockTypeAt(state)(sanitized.x, sanitized.y, sanitized.z) !== 0) {
+        ack(ackFn, {
+          ok: false,
+          error: "이미 블록이 있는 칸입니다",
+          roomStateRevision: state.revision,
+          stock: serializeBlockStock(playerStock)
+        });
+        return;
+      }
       const currentStock = getStockCount(playerStock, sanitized.typeId);
       if (currentStock <= 0) {
         ack(ackFn, {
@@ -2337,6 +3814,15 @@ io.on("connection", (socket) => {
         });
         return;
       }
+      if (room.structuralIntegrity && !isBlockPlacementSupported(state, [sanitized])) {
+        ack(ackFn, {
+          ok: false,
+          error: "받쳐 줄 블록이 없습니다",
+          roomStateRevision: state.revision,
+          stock: serializeBlockStock(playerStock)
+        });
+        return;
+      }
       changeStockCount(playerStock, sanitized.typeId, -1);
     } else {
       const removeResult = resolveRemovedBlockType(state, sanitized);
@@ -2356,11 +3842,12 @@ io.on("connection", (socket) => {
 
     const roomState = applyBlockUpdateToRoomState(room, sanitized);
 
-    socket.to(room.code).emit("block:update", {
+    socket.to(getNetChannel(room.code, false)).emit("block:update", {
       id: socket.id,
       ...sanitized,
       roomStateRevision: roomState.revision
     });
+    getRoomNet(room).blockQueue.push({ actorNetId: player.netId, ...sanitized });
 
     const serializedStock = serializeBlockStock(playerStock);
     socket.emit("inventory:update", {
@@ -2373,6 +3860,10 @@ io.on("connection", (socket) => {
       stock: serializedStock,
       collectedTypeId
     });
+
+    if (sanitized.action === "remove" && room.structuralIntegrity) {
+      collapseUnsupportedBlocks(room, [sanitized]);
+    }
   });
 
   socket.on("pvp:shoot", (payload = {}) => {
@@ -2390,7 +3881,8 @@ io.on("connection", (socket) => {
     if (!shooter) {
       return;
     }
-    if (findCarriedFlagTeam(state.flags, shooter.id)) {
+    const modeRules = getModeRules(state.mode);
+    if (!modeRules.canShoot(room, shooter)) {
       return;
     }
 
@@ -2422,6 +3914,13 @@ io.on("connection", (socket) => {
     }
 
     const now = Date.now();
+    const validation = resolvePvpShotDamage(state, shooter, target, sanitized, now);
+    if (!validation.ok) {
+      recordRejectedShot(shooter, validation.reason);
+      return;
+    }
+    const { damage, hitZone } = validation;
+
     if ((Number(shooter.spawnShieldUntil) || 0) > now) {
       shooter.spawnShieldUntil = 0;
     }
@@ -2434,67 +3933,94 @@ io.on("connection", (socket) => {
       return;
     }
 
-    const nextHp = Math.max(0, currentHp - PVP_DAMAGE);
-    const killed = nextHp <= 0;
-    const shouldEmitRoomUpdate = killed;
-    let respawnAt = 0;
-
-    target.hp = nextHp;
-    let ctfEvent = null;
-    let dailyLeaderboardChanged = false;
-    if (killed) {
-      shooter.kills = (Number(shooter.kills) || 0) + 1;
-      target.deaths = (Number(target.deaths) || 0) + 1;
-      dailyLeaderboardChanged =
-        touchDailyLeaderboardPlayer(shooter, { killsDelta: 1 }) ||
-        touchDailyLeaderboardPlayer(target, { deathsDelta: 1 }) ||
-        dailyLeaderboardChanged;
-      respawnAt = schedulePlayerRespawn(room, target);
-
-      const resetTeam = resetFlagForPlayer(room, target.id);
-      if (resetTeam) {
-        ctfEvent = {
-          type: "reset",
-          reason: "carrier_eliminated",
-          byPlayerId: target.id,
-          flagTeam: resetTeam
-        };
-      }
-    } else {
-      target.respawnAt = 0;
-      clearPlayerRespawnTimer(target);
+    applyPvpDamage(room, shooter, target, damage, { hitZone });
+  });
+
+  socket.on("block:shoot", (payload = {}) => {
+    const roomCode = socket.data.roomCode;
+    const room = roomCode ? rooms.get(roomCode) : null;
+    if (!room) {
+      return;
     }
 
-    touchRoomState(room);
-    if (ctfEvent) {
-      emitCtfUpdate(room, ctfEvent);
+    const state = getRoomState(room);
+    if (isRoundEnded(state)) {
+      return;
     }
-    if (dailyLeaderboardChanged) {
-      emitDailyLeaderboardToRoom(room);
+    const shooter = state.players.get(socket.id);
+    if (!shooter || !getModeRules(state.mode).canShoot(room, shooter)) {
+      return;
+    }
+    if ((Number.isFinite(shooter.hp) ? shooter.hp : 100) <= 0) {
+      return;
     }
 
-    io.to(room.code).emit("pvp:damage", {
-      attackerId: shooter.id,
-      victimId: target.id,
-      damage: PVP_DAMAGE,
-      victimHealth: killed ? 0 : target.hp,
-      killed,
-      respawnAt,
-      attackerKills: shooter.kills ?? 0,
-      victimDeaths: target.deaths ?? 0,
-      teamScore: {
-        alpha: Number(state.score.alpha ?? 0),
-        bravo: Number(state.score.bravo ?? 0)
-      },
-      teamCaptures: {
-        alpha: Number(state.captures.alpha ?? 0),
-        bravo: Number(state.captures.bravo ?? 0)
-      },
-      roomStateRevision: state.revision
-    });
-    if (shouldEmitRoomUpdate) {
-      emitRoomUpdate(room);
+    const result = resolveBlockShot(state, shooter, sanitizeShotRay(payload));
+    if (!result.ok) {
+      recordRejectedShot(shooter, result.reason);
+      return;
+    }
+    if (result.hits.length > 0) {
+      applyBlockDamage(room, shooter, result.hits);
+    }
+  });
+
+  socket.on("explosive:use", (payload = {}, ackFn) => {
+    const roomCode = socket.data.roomCode;
+    const room = roomCode ? rooms.get(roomCode) : null;
+    if (!room) {
+      ack(ackFn, { ok: false, error: "방에 참가하지 않았습니다" });
+      return;
+    }
+
+    const state = getRoomState(room);
+    const player = state.players.get(socket.id);
+    if (!player) {
+      ack(ackFn, { ok: false, error: "방에 참가하지 않았습니다" });
+      return;
+    }
+    if (isRoundEnded(state) || !getModeRules(state.mode).canShoot(room, player)) {
+      ack(ackFn, { ok: false, error: "지금은 사용할 수 없습니다" });
+      return;
+    }
+    if ((Number.isFinite(player.hp) ? player.hp : 100) <= 0) {
+      ack(ackFn, { ok: false, error: "지금은 사용할 수 없습니다" });
+      return;
+    }
+
+    const type = normalizeExplosiveType(payload.type);
+    const origin = sanitizeShotVector(payload.origin);
+    const direction = normalizeShotDirection(payload.direction);
+    if (!type || !origin || !direction) {
+      ack(ackFn, { ok: false, error: "잘못된 요청" });
+      return;
+    }
+
+    player.explosives ??= createExplosiveStock();
+    const definition = getExplosiveDefinition(type);
+    if (!(player.explosives[type] > 0)) {
+      ack(ackFn, { ok: false, error: `${definition.name}이(가) 없습니다`, remaining: 0 });
+      return;
+    }
+    const now = Date.now();
+    if (now - (Number(player.lastExplosiveAt) || 0) < EXPLOSIVE_USE_COOLDOWN_MS) {
+      ack(ackFn, { ok: false, error: "잠시 후 다시 시도하세요", remaining: player.explosives[type] });
+      return;
+    }
+
+    const placement = resolveExplosivePlacement(state, player, type, origin, direction);
+    if (!placement.ok) {
+      ack(ackFn, { ok: false, error: placement.error, remaining: player.explosives[type] });
+      return;
+    }
+
+    player.explosives[type] -= 1;
+    player.lastExplosiveAt = now;
+    if ((Number(player.spawnShieldUntil) || 0) > now) {
+      player.spawnShieldUntil = 0;
     }
+    const explosive = scheduleExplosive(room, player, type, placement);
+    ack(ackFn, { ok: true, id: explosive.id, remaining: player.explosives[type] });
   });
 
   socket.on("player:hazard", (payload = {}, ackFn) => {
@@ -2529,64 +4055,7 @@ io.on("connection", (socket) => {
       return;
     }
 
-    const nextHp = Math.max(0, playerHp - sanitized.damage);
-    const killed = nextHp <= 0;
-    let respawnAt = 0;
-    let ctfEvent = null;
-    let dailyLeaderboardChanged = false;
-
-    player.hp = nextHp;
-    if (killed) {
-      player.deaths = (Number(player.deaths) || 0) + 1;
-      dailyLeaderboardChanged = touchDailyLeaderboardPlayer(player, { deathsDelta: 1 });
-      respawnAt = schedulePlayerRespawn(room, player);
-
-      const resetTeam = resetFlagForPlayer(room, player.id);
-      if (resetTeam) {
-        ctfEvent = {
-          type: "reset",
-          reason: "carrier_eliminated",
-          byPlayerId: player.id,
-          flagTeam: resetTeam
-        };
-      }
-    } else {
-      player.respawnAt = 0;
-      clearPlayerRespawnTimer(player);
-    }
-
-    touchRoomState(room);
-    if (ctfEvent) {
-      emitCtfUpdate(room, ctfEvent);
-    }
-    if (dailyLeaderboardChanged) {
-      emitDailyLeaderboardToRoom(room);
-    }
-
-    io.to(room.code).emit("pvp:damage", {
-      attackerId: null,
-      victimId: player.id,
-      damage: sanitized.damage,
-      hazardReason: sanitized.reason,
-      victimHealth: killed ? 0 : player.hp,
-      killed,
-      respawnAt,
-      victimDeaths: player.deaths ?? 0,
-      teamScore: {
-        alpha: Number(state.score.alpha ?? 0),
-        bravo: Number(state.score.bravo ?? 0)
-      },
-      teamCaptures: {
-        alpha: Number(state.captures.alpha ?? 0),
-        bravo: Number(state.captures.bravo ?? 0)
-      },
-      roomStateRevision: state.revision
-    });
-
-    if (killed) {
-      emitRoomUpdate(room);
-    }
-
+    const { killed, respawnAt } = applyEnvironmentDamage(room, player, sanitized.damage, sanitized.reason);
     ack(ackFn, {
       ok: true,
       victimId: player.id,
@@ -2702,6 +4171,8 @@ io.on("connection", (socket) => {
     });
 
     if (!isHost) {
+      // The client drops in at its team spawn; explosives are not refilled by a trip to the lobby.
+      movePlayerToSpawn(player);
       ack(ackFn, {
         ok: true,
         portalId: "online",
@@ -2746,7 +4217,9 @@ io.on("connection", (socket) => {
       ok: true,
       snapshot: {
         ...serializeRoomState(room),
-        blocks: serializeBlocksSnapshot(room),
+        mapHash: getRoomMapHash(getRoomState(room)),
+        ...serializeBlocksForSocket(socket, room),
+        blockDamage: serializeBlockDamage(room),
         dailyLeaderboard: serializeDailyLeaderboard(12),
         stock: serializeBlockStock(getRoomState(room).players.get(socket.id)?.stock)
       }
@@ -2758,17 +4231,91 @@ io.on("connection", (socket) => {
   });
 
   socket.on("room:create", (payload = {}, ackFn) => {
-    ack(ackFn, joinDefaultRoom(socket, payload.name));
+    const room = createPrivateRoom({
+      hostId: socket.id,
+      password: sanitizeRoomPassword(payload.password),
+      capacity: sanitizeRoomCapacity(payload.capacity)
+    });
+    if (!room) {
+      ack(ackFn, { ok: false, error: "방을 더 만들 수 없습니다. 잠시 후 다시 시도하세요" });
+      return;
+    }
+
+    const joined = joinRoom(socket, room, payload.name);
+    if (!joined.ok) {
+      disposeRoomIfEmpty(room);
+    }
+    ack(ackFn, joined);
   });
 
   socket.on("room:join", (payload = {}, ackFn) => {
-    ack(ackFn, joinDefaultRoom(socket, payload.name));
+    const code = sanitizeRoomCode(payload.code);
+    if (!code || code === DEFAULT_ROOM_CODE) {
+      ack(ackFn, joinDefaultRoom(socket, payload.name));
+      return;
+    }
+
+    const room = rooms.get(code);
+    if (!room) {
+      ack(ackFn, { ok: false, error: `방을 찾을 수 없습니다 (${code})` });
+      return;
+    }
+    if (room.kickedClientIds.has(socket.data.clientId)) {
+      ack(ackFn, { ok: false, error: "강퇴된 방에는 다시 참가할 수 없습니다" });
+      return;
+    }
+    if (
+      room.password &&
+      socket.data.roomCode !== room.code &&
+      sanitizeRoomPassword(payload.password) !== room.password
+    ) {
+      ack(ackFn, { ok: false, error: "방 비밀번호가 올바르지 않습니다" });
+      return;
+    }
+
+    ack(ackFn, joinRoom(socket, room, payload.name));
   });
 
   socket.on("room:leave", (ackFn) => {
     ack(ackFn, joinDefaultRoom(socket));
   });
 
+  socket.on("room:kick", (payload = {}, ackFn) => {
+    const roomCode = socket.data.roomCode;
+    const room = roomCode ? rooms.get(roomCode) : null;
+    if (!room) {
+      ack(ackFn, { ok: false, error: "방에 참가하지 않았습니다" });
+      return;
+    }
+    if (room.persistent) {
+      ack(ackFn, { ok: false, error: "공용 방에서는 강퇴할 수 없습니다" });
+      return;
+    }
+    if (room.hostId !== socket.id) {
+      ack(ackFn, { ok: false, error: "방장만 강퇴할 수 있습니다" });
+      return;
+    }
+
+    const targetId = String(payload.targetId ?? "").trim();
+    const targetSocket = io.sockets.sockets.get(targetId);
+    if (!targetId || targetId === socket.id || !room.players.has(targetId) || !targetSocket) {
+      ack(ackFn, { ok: false, error: "강퇴할 플레이어를 찾을 수 없습니다" });
+      return;
+    }
+
+    room.kickedClientIds.add(targetSocket.data.clientId);
+    const moved = joinDefaultRoom(targetSocket);
+    if (!moved.ok) {
+      leaveCurrentRoom(targetSocket);
+    }
+    targetSocket.emit("room:kicked", {
+      code: room.code,
+      byPlayerId: socket.id,
+      room: moved.ok ? moved.room : null
+    });
+    ack(ackFn, { ok: true, targetId });
+  });
+
   socket.on("room:set-team", (payload = {}, ackFn) => {
     const team = payload.team === "alpha" || payload.team === "bravo" ? payload.team : null;
     if (!team) {
@@ -2796,6 +4343,198 @@ io.on("connection", (socket) => {
     ack(ackFn, { ok: true });
   });
 
+  socket.on("room:set-mode", (payload = {}, ackFn) => {
+    const roomCode = socket.data.roomCode;
+    const room = roomCode ? rooms.get(roomCode) : null;
+    if (!room) {
+      ack(ackFn, { ok: false, error: "방에 참가하지 않았습니다" });
+      return;
+    }
+    if (room.persistent) {
+      ack(ackFn, { ok: false, error: "공용 방에서는 게임 모드를 바꿀 수 없습니다" });
+      return;
+    }
+    if (room.hostId && room.hostId !== socket.id) {
+      ack(ackFn, { ok: false, error: "방장만 게임 모드를 바꿀 수 있습니다" });
+      return;
+    }
+
+    const mode = normalizeGameMode(payload.mode);
+    room.mode = mode;
+    const state = getRoomState(room);
+    if (state.mode !== mode && (!(Number(state.round?.startedAt) > 0) || isRoundEnded(state))) {
+      state.mode = mode;
+      state.modeState = getModeRules(mode).createState();
+    }
+    touchRoomState(room);
+    emitRoomUpdate(room);
+    emitRoomList();
+    ack(ackFn, { ok: true, mode });
+  });
+
+  socket.on("room:set-map", (payload = {}, ackFn) => {
+    const roomCode = socket.data.roomCode;
+    const room = roomCode ? rooms.get(roomCode) : null;
+    if (!room) {
+      ack(ackFn, { ok: false, error: "방에 참가하지 않았습니다" });
+      return;
+    }
+    if (room.persistent) {
+      ack(ackFn, { ok: false, error: "공용 방에서는 맵을 바꿀 수 없습니다" });
+      return;
+    }
+    if (room.hostId && room.hostId !== socket.id) {
+      ack(ackFn, { ok: false, error: "방장만 맵을 바꿀 수 있습니다" });
+      return;
+    }
+
+    const mapId = String(payload.mapId ?? "").trim();
+    if (normalizeMapId(mapId) !== mapId) {
+      ack(ackFn, { ok: false, error: "알 수 없는 맵입니다" });
+      return;
+    }
+
+    // Once a round has been played the switch waits for the next round start, so nobody's
+    // world changes under their feet.
+    room.mapId = mapId;
+    const state = getRoomState(room);
+    if (!(Number(state.round?.startedAt) > 0)) {
+      activateRoomMap(room, mapId, room.mapSeed);
+    }
+    touchRoomState(room);
+    emitRoomUpdate(room);
+    emitRoomList();
+    ack(ackFn, { ok: true, mapId, activeMapId: state.mapId });
+  });
+
+  socket.on("vote:cast", (payload = {}, ackFn) => {
+    const roomCode = socket.data.roomCode;
+    const room = roomCode ? rooms.get(roomCode) : null;
+    const state = room ? getRoomState(room) : null;
+    if (!state?.players.has(socket.id)) {
+      ack(ackFn, { ok: false, error: "방에 참가하지 않았습니다" });
+      return;
+    }
+    if (!state.mapVote) {
+      ack(ackFn, { ok: false, error: "진행 중인 맵 투표가 없습니다" });
+      return;
+    }
+
+    const optionId = Number(payload.optionId);
+    if (!state.mapVote.options.some((option) => option.id === optionId)) {
+      ack(ackFn, { ok: false, error: "잘못된 투표 항목입니다" });
+      return;
+    }
+
+    state.mapVote.votes.set(socket.id, optionId);
+    const vote = serializeMapVote(state);
+    io.to(room.code).emit("vote:update", { code: room.code, ...vote });
+    ack(ackFn, { ok: true, optionId, counts: vote.counts });
+  });
+
+  // Takes a share code (map and seed), a plain seed, or { reroll: true } for a random seed.
+  socket.on("room:set-seed", (payload = {}, ackFn) => {
+    const roomCode = socket.data.roomCode;
+    const room = roomCode ? rooms.get(roomCode) : null;
+    if (!room) {
+      ack(ackFn, { ok: false, error: "방에 참가하지 않았습니다" });
+      return;
+    }
+    // A new seed drops every map's edits, and the shared world belongs to everyone in it.
+    if (room.persistent) {
+      ack(ackFn, { ok: false, error: "공용 방에서는 맵 시드를 바꿀 수 없습니다" });
+      return;
+    }
+    if (room.hostId && room.hostId !== socket.id) {
+      ack(ackFn, { ok: false, error: "방장만 맵 시드를 바꿀 수 있습니다" });
+      return;
+    }
+    const now = Date.now();
+    if (now - room.seedChangedAt < MAP_SEED_CHANGE_COOLDOWN_MS) {
+      ack(ackFn, { ok: false, error: "잠시 후 다시 시도하세요" });
+      return;
+    }
+
+    let mapId = normalizeMapId(room.mapId);
+    let mapSeed = null;
+    if (payload.reroll) {
+      mapSeed = createRandomMapSeed();
+    } else if (payload.code !== undefined) {
+      const shared = parseMapShareCode(payload.code);
+      mapId = shared?.mapId ?? mapId;
+      mapSeed = shared?.seed ?? null;
+    } else if (typeof payload.seed === "number" && normalizeMapSeed(payload.seed) === payload.seed) {
+      mapSeed = payload.seed;
+    }
+    if (mapSeed === null) {
+      ack(ackFn, { ok: false, error: "잘못된 맵 코드 또는 시드입니다" });
+      return;
+    }
+
+    room.mapId = mapId;
+    room.mapSeed = mapSeed;
+    room.seedChangedAt = now;
+    const state = getRoomState(room);
+    if (!(Number(state.round?.startedAt) > 0)) {
+      activateRoomMap(room, mapId, mapSeed);
+    }
+    touchRoomState(room);
+    emitRoomUpdate(room);
+    emitRoomList();
+    ack(ackFn, {
+      ok: true,
+      mapId,
+      mapSeed,
+      mapCode: getMapShareCode(mapId, mapSeed),
+      activeMapCode: getMapShareCode(state.mapId, state.mapSeed)
+    });
+  });
+
+  socket.on("room:set-structure", (payload = {}, ackFn) => {
+    const roomCode = socket.data.roomCode;
+    const room = roomCode ? rooms.get(roomCode) : null;
+    if (!room) {
+      ack(ackFn, { ok: false, error: "방에 참가하지 않았습니다" });
+      return;
+    }
+    if (room.persistent) {
+      ack(ackFn, { ok: false, error: "공용 방에서는 구조 붕괴를 켤 수 없습니다" });
+      return;
+    }
+    if (room.hostId && room.hostId !== socket.id) {
+      ack(ackFn, { ok: false, error: "방장만 구조 붕괴 설정을 바꿀 수 있습니다" });
+      return;
+    }
+
+    room.structuralIntegrity = Boolean(payload.enabled);
+    if (room.structuralIntegrity) {
+      getRoomBaseTerrain(getRoomState(room));
+    }
+    emitRoomUpdate(room);
+    ack(ackFn, { ok: true, enabled: room.structuralIntegrity });
+  });
+
+  socket.on("weapon:equip", (payload = {}, ackFn) => {
+    const roomCode = socket.data.roomCode;
+    const room = roomCode ? rooms.get(roomCode) : null;
+    const player = room ? getRoomState(room).players.get(socket.id) : null;
+    if (!player) {
+      ack(ackFn, { ok: false, error: "방에 참가하지 않았습니다" });
+      return;
+    }
+
+    const weaponId = normalizeWeaponId(payload.weaponId);
+    if (weaponId !== payload.weaponId) {
+      ack(ackFn, { ok: false, error: "알 수 없는 무기입니다" });
+      return;
+    }
+    if (player.weaponId !== weaponId) {
+      player.weaponId = weaponId;
+      player.weaponEquippedAt = Date.now();
+    }
+    ack(ackFn, { ok: true, weaponId });
+  });
+
   socket.on("room:start", (ackFn) => {
     const roomCode = socket.data.roomCode;
     const room = roomCode ? rooms.get(roomCode) : null;
@@ -1,4 +1,5 @@
 ﻿import { io } from "socket.io-client";
+import { NET_PROTOCOL } from "../shared/netCodec.js";
 
 const PROD_CHAT_FALLBACK_URL = "https://reclaim-fps.onrender.com";
 
@@ -30,6 +31,29 @@ const SERVER_URL = import.meta.env.VITE_CHAT_SERVER ?? resolveDefaultServerUrl()
 const MAX_MSGS = 80;
 const MAX_LIVE_MSGS = 10;
 const LIVE_LINE_TTL_MS = 7000;
+const CLIENT_ID_STORAGE_KEY = "reclaim_client_id";
+
+function createClientId() {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// Stable across reconnects and reloads so the server can tell a returning player apart.
+function loadClientId() {
+  try {
+    const stored = window.localStorage.getItem(CLIENT_ID_STORAGE_KEY);
+    if (stored && /^[A-Za-z0-9_-]{8,64}$/.test(stored)) {
+      return stored;
+    }
+    const created = createClientId();
+    window.localStorage.setItem(CLIENT_ID_STORAGE_KEY, created);
+    return created;
+  } catch {
+    return createClientId();
+  }
+}
 
 function isLikelyMobileUi() {
   if (typeof window === "undefined" || typeof navigator === "undefined") {
@@ -45,6 +69,7 @@ export class Chat {
     this.playerName = `USER_${Math.floor(Math.random() * 9000 + 1000)}`;
     this.isInputFocused = false;
     this.socket = null;
+    this.netProtocol = null;
     this.focusChangeHandler = null;
     this.notifiedOffline = false;
     this._teardownBound = false;
@@ -121,7 +146,8 @@ export class Chat {
       reconnectionAttempts: Number.MAX_SAFE_INTEGER,
       reconnectionDelay: 900,
       reconnectionDelayMax: 5000,
-      timeout: 20000
+      timeout: 20000,
+      auth: { netProtocol: NET_PROTOCOL, clientId: loadClientId() }
     });
 
     this.socket.on("connect", () => {
@@ -132,7 +158,14 @@ export class Chat {
       this.notifiedOffline = true;
     });
 
-    this.socket.on("disconnect", () => {});
+    this.socket.on("disconnect", () => {
+      this.netProtocol = null;
+    });
+
+    // Servers that understand the binary protocol confirm it right after connect.
+    this.socket.on("net:hello", (payload = {}) => {
+      this.netProtocol = payload.protocol === NET_PROTOCOL ? NET_PROTOCOL : null;
+    });
 
     this.socket.on("chat:message", ({ id, name, text, team }) => {
       this.append(name, text, "player", {
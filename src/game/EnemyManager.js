@@ -1,4 +1,27 @@
 import * as THREE from "three";
+import { HIT_ZONE } from "../shared/hitZones.js";
+import { PLAYER_HEIGHT } from "../shared/movement.js";
+import { getBlockDigSeconds } from "./build/BlockPalette.js";
+import { DEFAULT_ENEMY_ARCHETYPE, getEnemyArchetype } from "./ai/EnemyArchetypes.js";
+import {
+  AWARENESS_DECAY,
+  ENEMY_AWARENESS,
+  getAwarenessState,
+  getNoiseAwareness,
+  getNoiseError,
+  getSightGain
+} from "./ai/EnemyPerception.js";
+import {
+  ENEMY_TACTIC,
+  SQUAD_MAX_SIZE,
+  SQUAD_MIN_SIZE,
+  assignSquadDuties,
+  chooseTactic,
+  createSquad,
+  getFlankPoint
+} from "./ai/EnemyTactics.js";
+import { NAV_LINK, NAV_MAX_STEP } from "./nav/NavGrid.js";
+import { NavPlanner } from "./nav/NavPlanner.js";
 
 const WORLD_LIMIT = 72;
 const PLAYER_TARGET_OFFSET_Y = -0.42;
@@ -6,6 +29,44 @@ const PLAYER_TARGET_HEAD_OFFSET_Y = 0.28;
 const MUZZLE_FLASH_TTL = 0.075;
 const TRACER_TTL = 0.07;
 const MAX_TRACER_POOL = 180;
+const PLAYER_RADIUS = 0.34;
+const ENEMY_RADIUS = 0.45;
+const ENEMY_HITBOX_OFFSET_Y = 1.25;
+const ENEMY_EYE_OFFSET_Y = 1.2;
+const ENEMY_GRAVITY = -22;
+const ENEMY_HOP_SPEED = 7.6;
+const NAV_REPATH_INTERVAL = 0.7;
+const NAV_GOAL_DRIFT = 2.5;
+const NAV_WAYPOINT_REACHED = 0.35;
+const NAV_STUCK_REPATH_SECONDS = 0.8;
+const SAPPER_DIG_REACH = 1.25;
+const BUILDER_UNDER_FIRE_SECONDS = 1.5;
+const BUILDER_COVER_COOLDOWN = 6;
+const BUILDER_PLACE_INTERVAL = 0.35;
+const BUILDER_HOLD_SECONDS = 4;
+const BUILDER_COVER_DISTANCE = 1.4;
+const BUILDER_COVER_BLOCK_TYPE = 5;
+const TACTIC_THINK_INTERVAL = 0.45;
+const TACTIC_UNDER_FIRE_SECONDS = 2;
+const TACTIC_SEES_PLAYER_SECONDS = 1.5;
+const TACTIC_GOAL_REACHED = 0.6;
+const COVER_SEARCH_RADIUS = 7;
+const COVER_CANDIDATES = 10;
+const COVER_LOS_CHECKS_PER_FRAME = 3;
+const RETREAT_SECONDS = 5;
+const RETREAT_COOLDOWN = 14;
+const RETREAT_FALLBACK_DISTANCE = 8;
+const SIGHT_CHECKS_PER_FRAME = 4;
+const SIGHT_CHECK_INTERVAL = 0.2;
+const FOCUS_SECONDS = 2.5;
+const SEARCH_RADIUS = 6;
+const SEARCH_POINT_REACHED = 1.2;
+const SUPPRESS_MEMORY_SECONDS = 4;
+const HUNT_INTEL_SECONDS = 9;
+const HUNT_INTEL_ERROR = 12;
+const SQUAD_SPAWN_SPREAD = 2.6;
+const SUPPRESS_FIRE_SCALE = 0.55;
+const SUPPRESS_ACCURACY_SCALE = 0.45;
 
 export class EnemyManager {
   constructor(scene, options = {}) {
@@ -14,18 +75,30 @@ export class EnemyManager {
     this.scene.add(this.group);
 
     this.enemies = [];
+    this.squads = [];
+    this.nextSquadId = 1;
+    this.coverChecksLeft = 0;
+    this.sightChecksLeft = 0;
+    this.threat = { aware: 0, searching: 0 };
     this.hitboxTargets = [];
     this.tracers = [];
     this.tracerPool = [];
     this.spawnTimer = 0.5;
     this.maxEnemies = 24;
     this.spawnInterval = 1.25;
+    this.autoSpawn = true;
     this.elapsed = 0;
 
     this.enemyMap = options.enemyMap ?? null;
     this.muzzleFlashMap = options.muzzleFlashMap ?? null;
     this.canHitTarget = options.canHitTarget ?? null;
     this.isBlockedAt = options.isBlockedAt ?? null;
+    this.getBlockTypeAt = options.getBlockTypeAt ?? null;
+    this.breakBlock = options.breakBlock ?? null;
+    this.placeBlock = options.placeBlock ?? null;
+    this.shootBlock = options.shootBlock ?? null;
+    this.navGrid = options.navGrid ?? null;
+    this.navPlanner = this.navGrid ? new NavPlanner(this.navGrid) : null;
 
     this.legGeometry = new THREE.BoxGeometry(0.34, 1.12, 0.34);
     this.shoeGeometry = new THREE.BoxGeometry(0.38, 0.22, 0.44);
@@ -44,7 +117,14 @@ export class EnemyManager {
     this.gunStockGeometry = new THREE.BoxGeometry(0.1, 0.18, 0.36);
     this.gunScopeGeometry = new THREE.BoxGeometry(0.08, 0.1, 0.26);
 
+    this.crackGeometry = new THREE.BoxGeometry(1.04, 1.04, 1.04);
     this.hitboxGeometry = new THREE.CapsuleGeometry(0.66, 1.06, 4, 8);
+    // Offsets are relative to the hitbox root (y=1.25) and follow the soldier model parts.
+    this.hitZoneShapes = [
+      { zone: HIT_ZONE.HEAD, geometry: new THREE.BoxGeometry(0.74, 0.74, 0.74), offsetY: 1.31 },
+      { zone: HIT_ZONE.TORSO, geometry: new THREE.BoxGeometry(1.2, 1.3, 1.0), offsetY: 0.29 },
+      { zone: HIT_ZONE.LIMBS, geometry: new THREE.BoxGeometry(0.9, 0.98, 0.8), offsetY: -0.76 }
+    ];
     this.hitboxMaterial = new THREE.MeshBasicMaterial({
       color: 0xff0000,
       transparent: true,
@@ -88,12 +168,18 @@ export class EnemyManager {
     this._move = new THREE.Vector3();
     this._goal = new THREE.Vector3();
     this._toPlayer = new THREE.Vector3();
+    this._toTarget = new THREE.Vector3();
+    this._look = new THREE.Vector3();
     this._toGoal = new THREE.Vector3();
+    this._steer = new THREE.Vector3();
     this._spawnOrigin = new THREE.Vector3();
     this._spawnCandidate = new THREE.Vector3();
     this._traceTarget = new THREE.Vector3();
     this._losTarget = new THREE.Vector3();
     this._losTargetHead = new THREE.Vector3();
+    this._coverFrom = new THREE.Vector3();
+    this._coverTo = new THREE.Vector3();
+    this._eyePos = new THREE.Vector3();
     this._muzzlePos = new THREE.Vector3();
   }
 
@@ -102,10 +188,14 @@ export class EnemyManager {
       this.disposeEnemy(enemy);
     }
     this.enemies.length = 0;
+    this.squads.length = 0;
     this.hitboxTargets.length = 0;
     this.clearTracers();
+    this.navPlanner?.clear();
     this.spawnTimer = 0.5;
     this.elapsed = 0;
+    this.threat.aware = 0;
+    this.threat.searching = 0;
   }
 
   clearTracers() {
@@ -122,8 +212,12 @@ export class EnemyManager {
   }
 
   disposeEnemy(enemy) {
+    this.navPlanner?.cancel(enemy.nav.request);
     this.group.remove(enemy.model);
     this.group.remove(enemy.hitbox);
+    if (enemy.crack) {
+      this.group.remove(enemy.crack);
+    }
 
     for (const material of enemy.materials) {
       material.dispose();
@@ -278,7 +372,7 @@ export class EnemyManager {
     };
   }
 
-  isPositionBlocked(x, z, radius = 0.52) {
+  isPositionBlocked(x, z, radius = ENEMY_RADIUS, baseY = 0) {
     if (!this.isBlockedAt) {
       return false;
     }
@@ -300,7 +394,7 @@ export class EnemyManager {
       const sx = x + dx;
       const sz = z + dz;
       for (const h of heights) {
-        if (this.isBlockedAt(sx, h, sz)) {
+        if (this.isBlockedAt(sx, baseY + h, sz)) {
           return true;
         }
       }
@@ -309,10 +403,35 @@ export class EnemyManager {
     return false;
   }
 
+  canEnemyOccupy(enemy, x, z, overlapping = false) {
+    if (this.navGrid) {
+      const floor = this.navGrid.getFloorAtWorld(x, z);
+      if (floor === null) {
+        return false;
+      }
+      if (overlapping) {
+        return floor <= enemy.y + 0.05;
+      }
+    }
+    return !this.isPositionBlocked(x, z, ENEMY_RADIUS, enemy.y);
+  }
+
+  getSpawnFloor(x, z) {
+    const floor = this.navGrid ? this.navGrid.getFloorAtWorld(x, z) : 0;
+    if (floor === null || this.isPositionBlocked(x, z, ENEMY_RADIUS, floor)) {
+      return null;
+    }
+    return floor;
+  }
+
   moveEnemyWithCollision(enemy, moveX, moveZ, delta) {
     const step = enemy.speed * delta;
     const stepX = moveX * step;
     const stepZ = moveZ * step;
+    const startX = enemy.hitbox.position.x;
+    const startZ = enemy.hitbox.position.z;
+    // Dropping off a ledge can land the body overlapping the wall beside it; let it slide free.
+    const overlapping = this.navGrid !== null && !this.canEnemyOccupy(enemy, startX, startZ);
 
     if (Math.abs(stepX) > 0.0001) {
       const nextX = THREE.MathUtils.clamp(
@@ -320,7 +439,7 @@ export class EnemyManager {
         -WORLD_LIMIT,
         WORLD_LIMIT
       );
-      if (!this.isPositionBlocked(nextX, enemy.hitbox.position.z)) {
+      if (this.canEnemyOccupy(enemy, nextX, enemy.hitbox.position.z, overlapping)) {
         enemy.hitbox.position.x = nextX;
       } else {
         enemy.strafeDirection *= -1;
@@ -333,28 +452,546 @@ export class EnemyManager {
         -WORLD_LIMIT,
         WORLD_LIMIT
       );
-      if (!this.isPositionBlocked(enemy.hitbox.position.x, nextZ)) {
+      if (this.canEnemyOccupy(enemy, enemy.hitbox.position.x, nextZ, overlapping)) {
         enemy.hitbox.position.z = nextZ;
       } else {
         enemy.strafeDirection *= -1;
       }
     }
+
+    const moved = enemy.hitbox.position.x !== startX || enemy.hitbox.position.z !== startZ;
+    enemy.nav.blockedTime = moved || !enemy.grounded ? 0 : enemy.nav.blockedTime + delta;
+    if (enemy.nav.blockedTime > NAV_STUCK_REPATH_SECONDS) {
+      enemy.nav.blockedTime = 0;
+      enemy.nav.path = null;
+      enemy.nav.repathTimer = 0;
+    }
   }
 
-  resolveGoal(enemy, playerPosition, objectiveContext, engagePlayer) {
-    this._goal.copy(playerPosition);
+  updateEnemyVertical(enemy, delta) {
+    if (!this.navGrid) {
+      return;
+    }
+    const position = enemy.hitbox.position;
+    const floor = this.navGrid.getFloorAtWorld(position.x, position.z) ?? enemy.y;
+    if (enemy.grounded) {
+      if (floor < enemy.y - 0.05) {
+        enemy.grounded = false;
+        enemy.vy = 0;
+      } else {
+        enemy.y = floor;
+        return;
+      }
+    }
 
-    const base = objectiveContext?.bravoBase;
-    if (!base) {
-      return this._goal;
+    enemy.vy += ENEMY_GRAVITY * delta;
+    enemy.y += enemy.vy * delta;
+    if (enemy.vy <= 0 && enemy.y <= floor) {
+      enemy.y = floor;
+      enemy.vy = 0;
+      enemy.grounded = true;
     }
+  }
 
-    const playerHasEnemyFlag = !!objectiveContext?.playerHasEnemyFlag;
-    if (enemy.role === "defender") {
-      if (playerHasEnemyFlag || engagePlayer) {
-        return this._goal;
+  updateEnemyNav(enemy, goal, delta) {
+    const nav = enemy.nav;
+    nav.repathTimer -= delta;
+
+    if (nav.request?.done) {
+      const request = nav.request;
+      nav.path = request.path;
+      nav.index = nav.path && nav.path.length > 1 ? 1 : 0;
+      nav.lastDigIndex = nav.path ? nav.path.findLastIndex((waypoint) => waypoint.link === NAV_LINK.DIG) : -1;
+      nav.revision = this.navGrid.revision;
+      nav.request = null;
+      if (request.partial && !request.dig && enemy.role === "sapper" && this.breakBlock) {
+        // Walled off: plan again through the cheapest blocks, following the partial path meanwhile.
+        nav.request = this.navPlanner.request(enemy.hitbox.position, goal, { dig: true });
+      }
+    }
+
+    // Block edits bump the grid revision; only paths through a changed column are dropped.
+    if (nav.path && nav.revision !== this.navGrid.revision) {
+      nav.revision = this.navGrid.revision;
+      for (let i = nav.index; i < nav.path.length; i += 1) {
+        const waypoint = nav.path[i];
+        if (waypoint.link === NAV_LINK.DIG) {
+          continue;
+        }
+        if (this.navGrid.getFloorAtIndex(waypoint.index) !== waypoint.y) {
+          nav.path = null;
+          nav.repathTimer = 0;
+          break;
+        }
+      }
+    }
+
+    const goalMoved = Math.hypot(goal.x - nav.goalX, goal.z - nav.goalZ) > NAV_GOAL_DRIFT;
+    const pathDone = !nav.path || nav.index >= nav.path.length;
+    if (!nav.request && nav.repathTimer <= 0 && (pathDone || goalMoved)) {
+      nav.request = this.navPlanner.request(enemy.hitbox.position, goal);
+      nav.goalX = goal.x;
+      nav.goalZ = goal.z;
+      nav.repathTimer = NAV_REPATH_INTERVAL;
+    }
+  }
+
+  // Writes the horizontal direction toward the next waypoint (or the goal itself) into `out`.
+  getSteeringDirection(enemy, goal, out) {
+    const position = enemy.hitbox.position;
+    const path = enemy.nav.path;
+    if (!this.navGrid || !path) {
+      return out.set(goal.x - position.x, 0, goal.z - position.z).normalize();
+    }
+
+    while (enemy.nav.index < path.length) {
+      const waypoint = path[enemy.nav.index];
+      const reached =
+        Math.hypot(waypoint.x - position.x, waypoint.z - position.z) <= NAV_WAYPOINT_REACHED &&
+        Math.abs(enemy.y - waypoint.y) < 0.6;
+      if (!reached) {
+        break;
+      }
+      enemy.nav.index += 1;
+    }
+    if (enemy.nav.index >= path.length) {
+      return out.set(goal.x - position.x, 0, goal.z - position.z).normalize();
+    }
+
+    const waypoint = path[enemy.nav.index];
+    const rise = waypoint.y - enemy.y;
+    if (waypoint.link === NAV_LINK.DIG && this.navGrid.getFloorAtIndex(waypoint.index) !== waypoint.y) {
+      const reach = Math.hypot(waypoint.x - position.x, waypoint.z - position.z);
+      if (enemy.grounded && reach <= SAPPER_DIG_REACH && Math.abs(rise) < 0.6) {
+        if (this.startEnemyDig(enemy, waypoint)) {
+          return out.set(0, 0, 0);
+        }
+        enemy.nav.path = null;
+        enemy.nav.repathTimer = 0;
+        return out.set(goal.x - position.x, 0, goal.z - position.z).normalize();
+      }
+    }
+    if (enemy.grounded && rise > NAV_MAX_STEP + 0.05) {
+      // Knocked off the route (strafing off a ledge, a missed jump); plan again from here.
+      enemy.nav.path = null;
+      enemy.nav.repathTimer = 0;
+      return out.set(goal.x - position.x, 0, goal.z - position.z).normalize();
+    }
+
+    out.set(waypoint.x - position.x, 0, waypoint.z - position.z);
+    const distance = out.length();
+    const needsHop = (rise > 0.5 && distance < 1.05) || (waypoint.link === NAV_LINK.JUMP && distance < 1.7);
+    if (needsHop && enemy.grounded) {
+      enemy.grounded = false;
+      enemy.vy = ENEMY_HOP_SPEED;
+    }
+    return distance > 0.0001 ? out.multiplyScalar(1 / distance) : out;
+  }
+
+  startEnemyDig(enemy, waypoint) {
+    const blocks = this.navGrid.getDigBlocks(
+      Math.floor(waypoint.x),
+      Math.floor(waypoint.z),
+      waypoint.y
+    );
+    if (blocks.length === 0) {
+      return false;
+    }
+    if (!enemy.crack) {
+      const material = new THREE.MeshBasicMaterial({
+        color: 0x1b1208,
+        transparent: true,
+        opacity: 0,
+        depthWrite: false
+      });
+      enemy.crack = new THREE.Mesh(this.crackGeometry, material);
+      enemy.materials.push(material);
+    }
+    enemy.dig = { blocks, index: 0, progress: 0 };
+    this.group.add(enemy.crack);
+    return true;
+  }
+
+  stopEnemyDig(enemy) {
+    enemy.dig = null;
+    enemy.gunGroup.rotation.x = 0;
+    if (enemy.crack) {
+      this.group.remove(enemy.crack);
+    }
+  }
+
+  // Breaks the current block once its dig time has passed; returns how many blocks came down.
+  updateEnemyDig(enemy, delta) {
+    const dig = enemy.dig;
+    let broken = 0;
+    while (dig.index < dig.blocks.length) {
+      const block = dig.blocks[dig.index];
+      if (this.getBlockTypeAt?.(block.x, block.y, block.z) === null) {
+        dig.index += 1;
+        dig.progress = 0;
+        continue;
+      }
+      break;
+    }
+    if (dig.index >= dig.blocks.length) {
+      this.stopEnemyDig(enemy);
+      return broken;
+    }
+
+    const block = dig.blocks[dig.index];
+    const seconds = getBlockDigSeconds(block.typeId);
+    dig.progress += delta;
+    const ratio = Math.min(1, dig.progress / seconds);
+    enemy.crack.position.set(block.x + 0.5, block.y + 0.5, block.z + 0.5);
+    enemy.crack.material.opacity = 0.12 + ratio * 0.58;
+    enemy.gunGroup.rotation.x = -Math.abs(Math.sin(dig.progress * 9)) * 0.7;
+    this._toGoal.set(block.x + 0.5 - enemy.hitbox.position.x, 0, block.z + 0.5 - enemy.hitbox.position.z);
+    enemy.model.rotation.y = Math.atan2(this._toGoal.x, this._toGoal.z);
+
+    if (dig.progress >= seconds) {
+      if (this.breakBlock(block.x, block.y, block.z)) {
+        broken += 1;
+      }
+      dig.index += 1;
+      dig.progress = 0;
+      if (dig.index >= dig.blocks.length) {
+        this.stopEnemyDig(enemy);
+      }
+    }
+    return broken;
+  }
+
+  // True when the block at (x, y, z) would overlap the player's or any soldier's body.
+  isCoverCellOccupied(x, y, z, playerPosition) {
+    const overlaps = (centerX, centerZ, radius, bottom, top) =>
+      Math.abs(centerX - (x + 0.5)) < 0.5 + radius &&
+      Math.abs(centerZ - (z + 0.5)) < 0.5 + radius &&
+      bottom < y + 1 &&
+      top > y;
+    if (
+      playerPosition &&
+      overlaps(
+        playerPosition.x,
+        playerPosition.z,
+        PLAYER_RADIUS,
+        playerPosition.y - PLAYER_HEIGHT,
+        playerPosition.y
+      )
+    ) {
+      return true;
+    }
+    return this.enemies.some((other) =>
+      overlaps(
+        other.hitbox.position.x,
+        other.hitbox.position.z,
+        ENEMY_RADIUS,
+        other.y,
+        other.y + ENEMY_HITBOX_OFFSET_Y * 2
+      )
+    );
+  }
+
+  // A 3x2 wall between the builder and the player, on level ground and clear of everyone's bodies.
+  planCoverCells(enemy, toPlayer, playerPosition) {
+    const position = enemy.hitbox.position;
+    const floor = Math.round(enemy.y);
+    const centerX = position.x + toPlayer.x * BUILDER_COVER_DISTANCE;
+    const centerZ = position.z + toPlayer.z * BUILDER_COVER_DISTANCE;
+    const cells = [];
+    const columns = new Set();
+
+    for (const offset of [0, -1, 1]) {
+      const x = Math.floor(centerX - toPlayer.z * offset);
+      const z = Math.floor(centerZ + toPlayer.x * offset);
+      const columnKey = `${x}|${z}`;
+      if (columns.has(columnKey) || this.navGrid?.getFloor(x, z) !== floor) {
+        continue;
+      }
+      columns.add(columnKey);
+      for (let y = floor; y < floor + 2; y += 1) {
+        if (!this.isBlockedAt?.(x + 0.5, y + 0.5, z + 0.5) && !this.isCoverCellOccupied(x, y, z, playerPosition)) {
+          cells.push({ x, y, z });
+        }
+      }
+    }
+    return cells;
+  }
+
+  // Returns how many cover blocks the builder placed this frame.
+  updateBuilderCover(enemy, delta, toPlayer, engagePlayer, playerPosition) {
+    enemy.coverCooldown -= delta;
+    const cover = enemy.cover;
+    if (!cover) {
+      const underFire = this.elapsed - enemy.lastHitAt < BUILDER_UNDER_FIRE_SECONDS;
+      if (!underFire || !engagePlayer || enemy.coverCooldown > 0 || !enemy.grounded || !this.placeBlock) {
+        return 0;
+      }
+      const cells = this.planCoverCells(enemy, toPlayer, playerPosition);
+      enemy.coverCooldown = cells.length > 0 ? BUILDER_COVER_COOLDOWN : 1;
+      if (cells.length > 0) {
+        enemy.cover = { cells, timer: 0, hold: BUILDER_HOLD_SECONDS };
       }
+      return 0;
+    }
 
+    let placed = 0;
+    cover.timer -= delta;
+    cover.hold -= delta;
+    if (cover.cells.length > 0 && cover.timer <= 0) {
+      const cell = cover.cells.shift();
+      // Bodies keep moving while the wall goes up, so check the cell again right before placing.
+      if (
+        !this.isCoverCellOccupied(cell.x, cell.y, cell.z, playerPosition) &&
+        this.placeBlock(cell.x, cell.y, cell.z, BUILDER_COVER_BLOCK_TYPE)
+      ) {
+        placed += 1;
+        enemy.gunKick = 0.16;
+      }
+      cover.timer = BUILDER_PLACE_INTERVAL;
+    }
+    if (cover.cells.length === 0 && cover.hold <= 0) {
+      enemy.cover = null;
+    }
+    return placed;
+  }
+
+  // Looks for a reachable spot near the enemy whose chest is hidden from `threat` (an eye position).
+  // With `away`, only spots farther from the threat than the enemy is now count.
+  findCoverPosition(enemy, threat, out, away = false) {
+    if (!this.canHitTarget || !this.navGrid) {
+      return false;
+    }
+    const position = enemy.hitbox.position;
+    const currentDistance = Math.hypot(position.x - threat.x, position.z - threat.z);
+    this._coverFrom.set(threat.x, threat.y, threat.z);
+    let bestScore = Infinity;
+
+    for (let i = 0; i < COVER_CANDIDATES && this.coverChecksLeft > 0; i += 1) {
+      const angle = enemy.coverAngleSeed + (i / COVER_CANDIDATES) * Math.PI * 2;
+      const radius = 2 + ((i * 0.618) % 1) * (COVER_SEARCH_RADIUS - 2);
+      const x = Math.floor(position.x + Math.cos(angle) * radius) + 0.5;
+      const z = Math.floor(position.z + Math.sin(angle) * radius) + 0.5;
+      const floor = this.navGrid.getFloorAtWorld(x, z);
+      if (floor === null || Math.abs(floor - enemy.y) > NAV_MAX_STEP) {
+        continue;
+      }
+      const threatDistance = Math.hypot(x - threat.x, z - threat.z);
+      if (away ? threatDistance < currentDistance + 2 : threatDistance < enemy.keepDistance) {
+        continue;
+      }
+      if (this.isPositionBlocked(x, z, ENEMY_RADIUS, floor)) {
+        continue;
+      }
+
+      this.coverChecksLeft -= 1;
+      this._coverTo.set(x, floor + 1.3, z);
+      if (this.canHitTarget(this._coverFrom, this._coverTo)) {
+        continue;
+      }
+      const travel = Math.hypot(x - position.x, z - position.z);
+      const score = away
+        ? travel - threatDistance * 0.3
+        : travel + Math.abs(threatDistance - enemy.preferredDistance) * 0.3;
+      if (score < bestScore) {
+        bestScore = score;
+        out.x = x;
+        out.z = z;
+      }
+    }
+    return bestScore < Infinity;
+  }
+
+  updateEnemyTactic(enemy, delta, playerPosition, playerDistance, engagePlayer) {
+    const squad = enemy.squad;
+    const seesPlayer = this.elapsed - enemy.seenAt < TACTIC_SEES_PLAYER_SECONDS;
+
+    const goal = enemy.tacticGoal;
+    const goalDistance = Math.hypot(goal.x - enemy.hitbox.position.x, goal.z - enemy.hitbox.position.z);
+    if (enemy.tactic === ENEMY_TACTIC.FLANK && goalDistance < TACTIC_GOAL_REACHED * 2.5) {
+      enemy.tactic = ENEMY_TACTIC.ADVANCE;
+    }
+
+    enemy.thinkTimer -= delta;
+    if (enemy.thinkTimer > 0) {
+      return;
+    }
+    enemy.thinkTimer = TACTIC_THINK_INTERVAL * THREE.MathUtils.randFloat(0.8, 1.25);
+    if (!engagePlayer || enemy.dig || enemy.cover) {
+      enemy.tactic = ENEMY_TACTIC.ADVANCE;
+      return;
+    }
+    if (enemy.tactic === ENEMY_TACTIC.RETREAT && this.elapsed < enemy.retreatUntil) {
+      return;
+    }
+
+    const tactic = chooseTactic(enemy.role, {
+      healthRatio: enemy.health / enemy.maxHealth,
+      underFire: this.elapsed - enemy.lastHitAt < TACTIC_UNDER_FIRE_SECONDS,
+      seesPlayer,
+      playerDistance,
+      preferredDistance: enemy.preferredDistance,
+      isSuppressor: squad.suppressor === enemy,
+      isFlanker: squad.flanker === enemy,
+      canRetreat: this.elapsed >= enemy.retreatCooldownUntil,
+      current: enemy.tactic
+    });
+    // Keep the spot already picked unless it has stopped hiding us.
+    const spotCompromised = tactic === ENEMY_TACTIC.COVER && seesPlayer;
+    if (tactic === enemy.tactic && !spotCompromised && tactic !== ENEMY_TACTIC.FLANK) {
+      return;
+    }
+
+    const threat = squad.target.known ? squad.target : playerPosition;
+    enemy.tactic = tactic;
+    if (tactic === ENEMY_TACTIC.COVER) {
+      if (!this.findCoverPosition(enemy, threat, goal)) {
+        enemy.tactic = ENEMY_TACTIC.ADVANCE;
+      }
+    } else if (tactic === ENEMY_TACTIC.RETREAT) {
+      enemy.retreatUntil = this.elapsed + RETREAT_SECONDS;
+      enemy.retreatCooldownUntil = this.elapsed + RETREAT_COOLDOWN;
+      if (!this.findCoverPosition(enemy, threat, goal, true)) {
+        const awayX = enemy.hitbox.position.x - threat.x;
+        const awayZ = enemy.hitbox.position.z - threat.z;
+        const length = Math.hypot(awayX, awayZ) || 1;
+        goal.x = THREE.MathUtils.clamp(
+          enemy.hitbox.position.x + (awayX / length) * RETREAT_FALLBACK_DISTANCE,
+          -WORLD_LIMIT,
+          WORLD_LIMIT
+        );
+        goal.z = THREE.MathUtils.clamp(
+          enemy.hitbox.position.z + (awayZ / length) * RETREAT_FALLBACK_DISTANCE,
+          -WORLD_LIMIT,
+          WORLD_LIMIT
+        );
+      }
+    } else if (tactic === ENEMY_TACTIC.FLANK) {
+      getFlankPoint(squad, threat, goal);
+      goal.x = THREE.MathUtils.clamp(goal.x, -WORLD_LIMIT, WORLD_LIMIT);
+      goal.z = THREE.MathUtils.clamp(goal.z, -WORLD_LIMIT, WORLD_LIMIT);
+      if (this.navGrid && this.navGrid.getFloorAtWorld(goal.x, goal.z) === null) {
+        enemy.tactic = ENEMY_TACTIC.ADVANCE;
+      }
+    }
+  }
+
+  rememberTarget(squad, x, y, z) {
+    const target = squad.target;
+    target.x = x;
+    target.y = y;
+    target.z = z;
+    target.known = true;
+    target.at = this.elapsed;
+  }
+
+  focusEnemy(enemy, x, z) {
+    enemy.focus.x = x;
+    enemy.focus.z = z;
+    enemy.focus.until = this.elapsed + FOCUS_SECONDS;
+  }
+
+  // Sight is a cone in front of the soldier; walls are checked for a few soldiers per frame
+  // and the last answer is kept in between.
+  updateEnemyPerception(enemy, delta, playerPosition) {
+    const position = enemy.hitbox.position;
+    const gain = getSightGain(
+      enemy.model.rotation.y,
+      playerPosition.x - position.x,
+      playerPosition.z - position.z
+    );
+    enemy.sightTimer -= delta;
+    if (gain <= 0) {
+      enemy.visible = false;
+    } else if (enemy.sightTimer <= 0 && this.sightChecksLeft > 0) {
+      this.sightChecksLeft -= 1;
+      enemy.sightTimer = SIGHT_CHECK_INTERVAL;
+      this._eyePos.set(position.x, position.y + ENEMY_EYE_OFFSET_Y * enemy.scale, position.z);
+      this._losTarget.set(playerPosition.x, playerPosition.y + PLAYER_TARGET_OFFSET_Y, playerPosition.z);
+      enemy.visible = this.canHitTarget ? this.canHitTarget(this._eyePos, this._losTarget) : true;
+    }
+
+    if (enemy.visible && gain > 0) {
+      enemy.awareness = Math.min(1, enemy.awareness + gain * delta);
+      // Whatever caught the eye gets looked at, which narrows the cone onto it.
+      this.focusEnemy(enemy, playerPosition.x, playerPosition.z);
+      if (enemy.awareness >= 1) {
+        enemy.seenAt = this.elapsed;
+        this.rememberTarget(enemy.squad, playerPosition.x, playerPosition.y, playerPosition.z);
+      }
+    } else {
+      enemy.awareness = Math.max(0, enemy.awareness - AWARENESS_DECAY * delta);
+    }
+
+    return getAwarenessState({
+      awareness: enemy.awareness,
+      seesTarget: this.elapsed - enemy.seenAt < TACTIC_SEES_PLAYER_SECONDS,
+      memoryAge: this.elapsed - enemy.squad.target.at
+    });
+  }
+
+  // Gunfire and building carry through walls. Listeners turn toward the sound, and the squad
+  // gets a rough fix on it unless someone already has eyes on the player.
+  reportNoise(position, kind) {
+    for (const enemy of this.enemies) {
+      const distance = Math.hypot(
+        enemy.hitbox.position.x - position.x,
+        enemy.hitbox.position.z - position.z
+      );
+      const amount = getNoiseAwareness(kind, distance);
+      if (amount <= 0) {
+        continue;
+      }
+      enemy.awareness = Math.min(1, enemy.awareness + amount);
+      const error = getNoiseError(kind, distance) * 2;
+      const x = THREE.MathUtils.clamp(
+        position.x + THREE.MathUtils.randFloatSpread(error),
+        -WORLD_LIMIT,
+        WORLD_LIMIT
+      );
+      const z = THREE.MathUtils.clamp(
+        position.z + THREE.MathUtils.randFloatSpread(error),
+        -WORLD_LIMIT,
+        WORLD_LIMIT
+      );
+      this.focusEnemy(enemy, x, z);
+      if (this.elapsed - enemy.squad.target.at > TACTIC_SEES_PLAYER_SECONDS) {
+        this.rememberTarget(enemy.squad, x, position.y, z);
+      }
+    }
+  }
+
+  // Walk up to the last known position, then poke around it until the memory runs out.
+  getSearchGoal(enemy) {
+    const target = enemy.squad.target;
+    const search = enemy.search;
+    const position = enemy.hitbox.position;
+    if (search.at !== target.at) {
+      search.at = target.at;
+      search.x = target.x;
+      search.z = target.z;
+    } else if (Math.hypot(search.x - position.x, search.z - position.z) < SEARCH_POINT_REACHED) {
+      const angle = Math.random() * Math.PI * 2;
+      const radius = 2 + Math.random() * (SEARCH_RADIUS - 2);
+      const x = THREE.MathUtils.clamp(target.x + Math.cos(angle) * radius, -WORLD_LIMIT, WORLD_LIMIT);
+      const z = THREE.MathUtils.clamp(target.z + Math.sin(angle) * radius, -WORLD_LIMIT, WORLD_LIMIT);
+      if (!this.navGrid || this.navGrid.getFloorAtWorld(x, z) !== null) {
+        search.x = x;
+        search.z = z;
+      }
+    }
+    return this._goal.set(search.x, 0, search.z);
+  }
+
+  resolveGoal(enemy, playerPosition, objectiveContext, awareness) {
+    if (awareness === ENEMY_AWARENESS.ALERT) {
+      return this._goal.copy(playerPosition);
+    }
+    if (awareness === ENEMY_AWARENESS.SEARCHING) {
+      return this.getSearchGoal(enemy);
+    }
+
+    const base = objectiveContext?.bravoBase;
+    if (base && enemy.role === "defender") {
       enemy.patrolAngle += enemy.patrolSpeed;
       this._goal.set(
         base.x + Math.cos(enemy.patrolAngle) * enemy.guardRadius,
@@ -365,9 +1002,9 @@ export class EnemyManager {
     }
 
     if (
+      base &&
       objectiveContext?.controlOwner === "alpha" &&
       objectiveContext?.controlPoint &&
-      !playerHasEnemyFlag &&
       enemy.controlDuty > 0.56
     ) {
       this._goal.set(
@@ -378,7 +1015,8 @@ export class EnemyManager {
       return this._goal;
     }
 
-    return this._goal;
+    // Nobody has a clue: sweep the area command last pointed the squad at.
+    return this._goal.set(enemy.squad.hunt.x, 0, enemy.squad.hunt.z);
   }
 
   chooseSpawnPosition(playerPosition, objectiveContext) {
@@ -403,17 +1041,18 @@ export class EnemyManager {
       if (distToPlayer < 12.5) {
         continue;
       }
-      if (this.isPositionBlocked(x, z)) {
+      const floor = this.getSpawnFloor(x, z);
+      if (floor === null) {
         continue;
       }
 
-      spawn.set(x, 0, z);
+      spawn.set(x, floor, z);
       return spawn;
     }
 
     const fallbackX = THREE.MathUtils.clamp(playerPosition.x + 24, -WORLD_LIMIT, WORLD_LIMIT);
     const fallbackZ = THREE.MathUtils.clamp(playerPosition.z + 24, -WORLD_LIMIT, WORLD_LIMIT);
-    spawn.set(fallbackX, 0, fallbackZ);
+    spawn.set(fallbackX, this.navGrid?.getFloorAtWorld(fallbackX, fallbackZ) ?? 0, fallbackZ);
     return spawn;
   }
 
@@ -431,18 +1070,47 @@ export class EnemyManager {
   }
 
   update(delta, playerPosition, objectiveContext = null) {
+    this.navGrid?.ensureReady();
+    this.navPlanner?.update();
     this.elapsed += delta;
     this.spawnTimer -= delta;
-    if (this.spawnTimer <= 0 && this.enemies.length < this.maxEnemies) {
-      this.spawn(playerPosition, objectiveContext);
+    this.coverChecksLeft = COVER_LOS_CHECKS_PER_FRAME;
+    this.sightChecksLeft = SIGHT_CHECKS_PER_FRAME;
+    if (this.autoSpawn && this.spawnTimer <= 0 && this.enemies.length < this.maxEnemies) {
+      const spawned = this.spawn(playerPosition, objectiveContext);
       const pace = Math.max(0.55, this.spawnInterval - this.elapsed * 0.004);
-      this.spawnTimer = pace;
+      this.spawnTimer = pace * Math.max(1, spawned);
     }
 
     this.updateTracers(delta);
 
     let totalDamage = 0;
     let firedShots = 0;
+    let blocksBroken = 0;
+    let blocksPlaced = 0;
+    let aware = 0;
+    let searching = 0;
+
+    const playerHasEnemyFlag = !!objectiveContext?.playerHasEnemyFlag;
+    for (const squad of this.squads) {
+      if (playerHasEnemyFlag) {
+        // A stolen flag gives its carrier away to everyone.
+        this.rememberTarget(squad, playerPosition.x, playerPosition.y, playerPosition.z);
+      }
+      if (this.elapsed >= squad.hunt.nextAt) {
+        squad.hunt.nextAt = this.elapsed + HUNT_INTEL_SECONDS;
+        squad.hunt.x = THREE.MathUtils.clamp(
+          playerPosition.x + THREE.MathUtils.randFloatSpread(HUNT_INTEL_ERROR * 2),
+          -WORLD_LIMIT,
+          WORLD_LIMIT
+        );
+        squad.hunt.z = THREE.MathUtils.clamp(
+          playerPosition.z + THREE.MathUtils.randFloatSpread(HUNT_INTEL_ERROR * 2),
+          -WORLD_LIMIT,
+          WORLD_LIMIT
+        );
+      }
+    }
 
     for (let i = this.enemies.length - 1; i >= 0; i -= 1) {
       const enemy = this.enemies[i];
@@ -472,12 +1140,50 @@ export class EnemyManager {
         playerPosition.z - enemy.hitbox.position.z
       );
       const playerDistance = this._toPlayer.length();
-      const playerHasEnemyFlag = !!objectiveContext?.playerHasEnemyFlag;
-      const engagePlayer =
-        playerHasEnemyFlag ||
-        enemy.role !== "defender" ||
-        playerDistance <= enemy.alertRange;
-      const goal = this.resolveGoal(enemy, playerPosition, objectiveContext, engagePlayer);
+      if (playerDistance > 0.001) {
+        this._toPlayer.multiplyScalar(1 / playerDistance);
+      }
+      if (playerDistance <= enemy.meleeRange) {
+        // Bumping into the player gives them away whatever the soldier was looking at.
+        enemy.awareness = 1;
+        this.rememberTarget(enemy.squad, playerPosition.x, playerPosition.y, playerPosition.z);
+      }
+      const awareness = this.updateEnemyPerception(enemy, delta, playerPosition);
+      const alerted = awareness === ENEMY_AWARENESS.ALERT;
+      const engagePlayer = awareness !== ENEMY_AWARENESS.UNAWARE;
+      if (alerted) {
+        aware += 1;
+      } else if (engagePlayer) {
+        searching += 1;
+      }
+
+      // Everything past this point only knows where the player is when they are in sight.
+      const squadTarget = enemy.squad.target;
+      let targetDistance = playerDistance;
+      if (alerted) {
+        this._toTarget.copy(this._toPlayer);
+      } else {
+        this._toTarget.set(
+          squadTarget.x - enemy.hitbox.position.x,
+          0,
+          squadTarget.z - enemy.hitbox.position.z
+        );
+        targetDistance = this._toTarget.length();
+        if (targetDistance > 0.001) {
+          this._toTarget.multiplyScalar(1 / targetDistance);
+        }
+      }
+      this.updateEnemyTactic(enemy, delta, playerPosition, targetDistance, engagePlayer);
+      const movingToSpot =
+        enemy.tactic === ENEMY_TACTIC.COVER ||
+        enemy.tactic === ENEMY_TACTIC.RETREAT ||
+        enemy.tactic === ENEMY_TACTIC.FLANK;
+      const goal = movingToSpot
+        ? this._goal.set(enemy.tacticGoal.x, 0, enemy.tacticGoal.z)
+        : this.resolveGoal(enemy, playerPosition, objectiveContext, awareness);
+      if (this.navPlanner) {
+        this.updateEnemyNav(enemy, goal, delta);
+      }
 
       this._toGoal.set(
         goal.x - enemy.hitbox.position.x,
@@ -485,8 +1191,13 @@ export class EnemyManager {
         goal.z - enemy.hitbox.position.z
       );
       const goalDistance = this._toGoal.length();
+      if (enemy.role === "builder") {
+        blocksPlaced += this.updateBuilderCover(enemy, delta, this._toTarget, engagePlayer, playerPosition);
+      }
 
-      if (goalDistance > 0.001) {
+      if (enemy.dig) {
+        blocksBroken += this.updateEnemyDig(enemy, delta);
+      } else if (goalDistance > 0.001) {
         this._toGoal.multiplyScalar(1 / goalDistance);
 
         if (enemy.strafeTimer <= 0) {
@@ -495,12 +1206,23 @@ export class EnemyManager {
         }
 
         let forwardFactor = 0;
-        if (!engagePlayer && enemy.role === "defender") {
+        if (enemy.cover) {
+          forwardFactor = 0;
+        } else if (enemy.nav.path && enemy.nav.index <= enemy.nav.lastDigIndex) {
+          // A sapper keeps pushing until the tunnel is open, whatever its preferred range.
+          forwardFactor = 1;
+        } else if (movingToSpot) {
+          forwardFactor = goalDistance > TACTIC_GOAL_REACHED ? 1 : 0;
+        } else if (enemy.tactic === ENEMY_TACTIC.SUPPRESS) {
+          forwardFactor = targetDistance > enemy.shootRange * 0.85 ? 1 : 0;
+        } else if (!engagePlayer && enemy.role === "defender") {
           if (goalDistance > 0.7) {
             forwardFactor = 0.72;
           } else if (goalDistance < 0.3) {
             forwardFactor = -0.26;
           }
+        } else if (!alerted) {
+          forwardFactor = goalDistance > TACTIC_GOAL_REACHED ? 1 : 0;
         } else if (playerDistance > enemy.preferredDistance) {
           forwardFactor = 1;
         } else if (playerDistance < enemy.keepDistance) {
@@ -509,24 +1231,39 @@ export class EnemyManager {
 
         let strafeFactor = 0;
         if (
-          engagePlayer &&
+          alerted &&
+          !enemy.cover &&
+          !movingToSpot &&
           playerDistance <= enemy.shootRange * 0.92 &&
           playerDistance >= enemy.keepDistance * 0.72
         ) {
           strafeFactor = enemy.strafeDirection * enemy.strafeStrength;
+          if (enemy.tactic === ENEMY_TACTIC.SUPPRESS) {
+            strafeFactor *= 0.4;
+          }
         }
 
-        const moveX = this._toGoal.x * forwardFactor - this._toGoal.z * strafeFactor;
-        const moveZ = this._toGoal.z * forwardFactor + this._toGoal.x * strafeFactor;
+        const steer = this.getSteeringDirection(enemy, goal, this._steer);
+        const moveX = steer.x * forwardFactor - steer.z * strafeFactor;
+        const moveZ = steer.z * forwardFactor + steer.x * strafeFactor;
         const moveLen = Math.hypot(moveX, moveZ);
         if (moveLen > 0.001) {
           this.moveEnemyWithCollision(enemy, moveX / moveLen, moveZ / moveLen, delta);
         }
 
-        const look = engagePlayer ? this._toPlayer : this._toGoal;
+        let look = alerted ? this._toPlayer : this._toGoal;
+        if (!alerted && this.elapsed < enemy.focus.until) {
+          look = this._look.set(
+            enemy.focus.x - enemy.hitbox.position.x,
+            0,
+            enemy.focus.z - enemy.hitbox.position.z
+          );
+        }
         enemy.model.rotation.y = Math.atan2(look.x, look.z);
       }
-      enemy.model.position.set(enemy.hitbox.position.x, 0, enemy.hitbox.position.z);
+      this.updateEnemyVertical(enemy, delta);
+      enemy.hitbox.position.y = enemy.y + ENEMY_HITBOX_OFFSET_Y * enemy.scale;
+      enemy.model.position.set(enemy.hitbox.position.x, enemy.y, enemy.hitbox.position.z);
 
       if (enemy.muzzleFlashLife > 0) {
         const flashRatio = enemy.muzzleFlashLife / MUZZLE_FLASH_TTL;
@@ -536,49 +1273,48 @@ export class EnemyManager {
         enemy.muzzleFlash.material.opacity = 0;
       }
 
-      const canFireAtPlayer =
-        playerDistance <= enemy.shootRange &&
-        (engagePlayer || playerDistance <= enemy.shootRange * 0.62);
-      if (canFireAtPlayer && enemy.fireCooldown <= 0) {
-        enemy.fireCooldown = enemy.fireInterval * THREE.MathUtils.randFloat(0.82, 1.24);
+      const suppressing = enemy.tactic === ENEMY_TACTIC.SUPPRESS;
+      // A suppressor keeps a remembered spot under fire for a while after losing sight of it.
+      const canFire =
+        targetDistance <= enemy.shootRange &&
+        (alerted || (suppressing && this.elapsed - squadTarget.at < SUPPRESS_MEMORY_SECONDS));
+      if (canFire && !enemy.dig && enemy.fireCooldown <= 0) {
+        const fireScale = suppressing ? SUPPRESS_FIRE_SCALE : 1;
+        enemy.fireCooldown = enemy.fireInterval * THREE.MathUtils.randFloat(0.82, 1.24) * fireScale;
         enemy.muzzleFlashLife = MUZZLE_FLASH_TTL;
         enemy.gunKick = 0.12;
         firedShots += 1;
 
         enemy.muzzleAnchor.getWorldPosition(this._muzzlePos);
-        this._losTarget.set(
-          playerPosition.x,
-          playerPosition.y + PLAYER_TARGET_OFFSET_Y,
-          playerPosition.z
-        );
-        this._losTargetHead.set(
-          playerPosition.x,
-          playerPosition.y + PLAYER_TARGET_HEAD_OFFSET_Y,
-          playerPosition.z
-        );
-        const clearShotCenter = this.canHitTarget
-          ? this.canHitTarget(this._muzzlePos, this._losTarget)
-          : true;
-        const clearShotHead = this.canHitTarget
-          ? this.canHitTarget(this._muzzlePos, this._losTargetHead)
-          : true;
+        const aim = alerted ? playerPosition : squadTarget;
+        this._losTarget.set(aim.x, aim.y + PLAYER_TARGET_OFFSET_Y, aim.z);
+        this._losTargetHead.set(aim.x, aim.y + PLAYER_TARGET_HEAD_OFFSET_Y, aim.z);
+        // Blind fire at a remembered spot only pins the player down; hits need eyes on them.
+        const clearShotCenter =
+          alerted && (!this.canHitTarget || this.canHitTarget(this._muzzlePos, this._losTarget));
+        const clearShotHead =
+          alerted && (!this.canHitTarget || this.canHitTarget(this._muzzlePos, this._losTargetHead));
         const clearShot = clearShotCenter || clearShotHead;
+        if (clearShot) {
+          enemy.seenAt = this.elapsed;
+        }
 
         this._traceTarget.copy(clearShotHead && !clearShotCenter ? this._losTargetHead : this._losTarget);
 
-        const spread = Math.min(0.86, playerDistance * 0.018);
+        const spread = Math.min(0.86, targetDistance * 0.018) * (suppressing ? 2.2 : 1);
         this._traceTarget.x += THREE.MathUtils.randFloatSpread(spread);
         this._traceTarget.z += THREE.MathUtils.randFloatSpread(spread);
 
-        const hitChance = THREE.MathUtils.clamp(
-          0.74 - (playerDistance / enemy.shootRange) * 0.5,
-          0.2,
-          0.75
-        );
+        const baseHitChance = (0.74 - (playerDistance / enemy.shootRange) * 0.5) * enemy.accuracy;
+        const hitChance =
+          THREE.MathUtils.clamp(baseHitChance, 0.2, 0.9) * (suppressing ? SUPPRESS_ACCURACY_SCALE : 1);
         const didHit = clearShot && Math.random() < hitChance;
 
+        const shotDamage = THREE.MathUtils.randInt(enemy.minShotDamage, enemy.maxShotDamage);
         if (didHit) {
-          totalDamage += THREE.MathUtils.randInt(enemy.minShotDamage, enemy.maxShotDamage);
+          totalDamage += shotDamage;
+        } else {
+          this.shootBlock?.(this._muzzlePos, this._traceTarget, shotDamage);
         }
 
         this.spawnTracer(this._muzzlePos, this._traceTarget, didHit);
@@ -590,7 +1326,9 @@ export class EnemyManager {
       }
     }
 
-    return { damage: totalDamage, firedShots };
+    this.threat.aware = aware;
+    this.threat.searching = searching;
+    return { damage: totalDamage, firedShots, blocksBroken, blocksPlaced };
   }
 
   spawnTracer(start, end, didHit) {
@@ -654,12 +1392,84 @@ export class EnemyManager {
     }
   }
 
-  spawn(playerPosition, objectiveContext = null) {
+  // Spawns a whole squad around one spawn point and returns how many soldiers joined it.
+  // `archetypes` lists one archetype id per member; by default a random-size rifle squad.
+  spawn(playerPosition, objectiveContext = null, archetypes = null) {
     const spawnPos = this.chooseSpawnPosition(playerPosition, objectiveContext);
-    const x = spawnPos.x;
-    const z = spawnPos.z;
-    const role = Math.random() < 0.44 ? "defender" : "raider";
+    const originX = spawnPos.x;
+    const originY = spawnPos.y;
+    const originZ = spawnPos.z;
+    const room = Math.max(1, this.maxEnemies - this.enemies.length);
+    const size = archetypes
+      ? archetypes.length
+      : Math.min(room, THREE.MathUtils.randInt(SQUAD_MIN_SIZE, SQUAD_MAX_SIZE));
+    const canDefend = !!objectiveContext?.bravoBase;
+    const squadRole = canDefend && Math.random() < 0.38 ? "defender" : "assault";
+    const squad = createSquad(this.nextSquadId, squadRole);
+    this.nextSquadId += 1;
+
+    for (let i = 0; i < size; i += 1) {
+      let x = originX;
+      let y = originY;
+      let z = originZ;
+      if (i > 0) {
+        const angle = (i / size) * Math.PI * 2;
+        const offsetX = THREE.MathUtils.clamp(
+          originX + Math.cos(angle) * SQUAD_SPAWN_SPREAD,
+          -WORLD_LIMIT,
+          WORLD_LIMIT
+        );
+        const offsetZ = THREE.MathUtils.clamp(
+          originZ + Math.sin(angle) * SQUAD_SPAWN_SPREAD,
+          -WORLD_LIMIT,
+          WORLD_LIMIT
+        );
+        const floor = this.getSpawnFloor(offsetX, offsetZ);
+        if (floor !== null && Math.abs(floor - originY) <= NAV_MAX_STEP) {
+          x = offsetX;
+          y = floor;
+          z = offsetZ;
+        }
+      }
+      const archetype = archetypes?.[i] ?? DEFAULT_ENEMY_ARCHETYPE;
+      this.spawnEnemy(x, y, z, this.rollSquadRole(squad, i), squad, archetype);
+    }
 
+    assignSquadDuties(squad);
+    this.squads.push(squad);
+    return size;
+  }
+
+  rollSquadRole(squad, index) {
+    if (squad.role === "defender") {
+      return "defender";
+    }
+    const roll = Math.random();
+    if (index === 0 || roll >= 0.34) {
+      return "raider";
+    }
+    return roll < 0.18 ? "sapper" : "builder";
+  }
+
+  removeFromSquad(enemy) {
+    const squad = enemy.squad;
+    const index = squad.members.indexOf(enemy);
+    if (index >= 0) {
+      squad.members.splice(index, 1);
+    }
+    if (squad.members.length === 0) {
+      const squadIndex = this.squads.indexOf(squad);
+      if (squadIndex >= 0) {
+        this.squads.splice(squadIndex, 1);
+      }
+      return;
+    }
+    assignSquadDuties(squad);
+  }
+
+  spawnEnemy(x, y, z, role, squad, archetypeId = DEFAULT_ENEMY_ARCHETYPE) {
+    const archetype = getEnemyArchetype(archetypeId);
+    const roll = ([min, max]) => min + Math.random() * (max - min);
     const materials = {
       uniform: this.baseUniformMaterial.clone(),
       uniformDark: this.baseUniformDarkMaterial.clone(),
@@ -668,29 +1478,39 @@ export class EnemyManager {
       metal: this.baseMetalMaterial.clone()
     };
 
+    materials.uniform.color.setHex(archetype.uniformColor);
+
     const soldier = this.createSoldierModel(materials);
-    soldier.model.position.set(x, 0, z);
+    soldier.model.position.set(x, y, z);
+    soldier.model.scale.setScalar(archetype.scale);
 
     const hitbox = new THREE.Mesh(this.hitboxGeometry, this.hitboxMaterial);
-    hitbox.position.set(x, 1.25, z);
+    hitbox.position.set(x, y + ENEMY_HITBOX_OFFSET_Y * archetype.scale, z);
+    hitbox.scale.setScalar(archetype.scale);
 
     const enemy = {
       model: soldier.model,
       hitbox,
-      speed: 2 + Math.random() * 1.4,
-      health: 40,
+      archetype: archetypeId,
+      scale: archetype.scale,
+      speed: roll(archetype.speed),
+      health: archetype.health,
+      maxHealth: archetype.health,
+      armor: archetype.armor,
+      accuracy: archetype.accuracy,
+      points: archetype.points,
       fireCooldown: 0.3 + Math.random() * 0.36,
-      fireInterval: 0.52 + Math.random() * 0.34,
-      minShotDamage: 2,
-      maxShotDamage: 6,
-      meleeDamage: 7,
+      fireInterval: roll(archetype.fireInterval),
+      minShotDamage: archetype.shotDamage[0],
+      maxShotDamage: archetype.shotDamage[1],
+      meleeDamage: archetype.meleeDamage,
       meleeRange: 1.7,
       meleeCooldown: 0.4,
-      shootRange: 34 + Math.random() * 7,
-      preferredDistance: 11 + Math.random() * 5,
-      keepDistance: 6 + Math.random() * 2.4,
+      shootRange: roll(archetype.shootRange),
+      preferredDistance: roll(archetype.preferredDistance),
+      keepDistance: roll(archetype.keepDistance),
       strafeDirection: Math.random() < 0.5 ? -1 : 1,
-      strafeStrength: 0.36 + Math.random() * 0.26,
+      strafeStrength: roll(archetype.strafeStrength),
       strafeTimer: 0.5 + Math.random() * 1.2,
       hitFlash: 0,
       muzzleFlashLife: 0,
@@ -706,24 +1526,64 @@ export class EnemyManager {
       muzzleAnchor: soldier.muzzleAnchor,
       role,
       guardRadius: 8 + Math.random() * 5.5,
-      alertRange: 24 + Math.random() * 8,
       patrolAngle: Math.random() * Math.PI * 2,
       patrolSpeed: THREE.MathUtils.randFloat(0.015, 0.032),
       controlDuty: Math.random(),
+      squad,
+      tactic: ENEMY_TACTIC.ADVANCE,
+      tacticGoal: { x, z },
+      thinkTimer: Math.random() * TACTIC_THINK_INTERVAL,
+      seenAt: -Infinity,
+      awareness: 0,
+      visible: false,
+      sightTimer: Math.random() * SIGHT_CHECK_INTERVAL,
+      focus: { x, z, until: -Infinity },
+      search: { x, z, at: -Infinity },
+      retreatUntil: 0,
+      retreatCooldownUntil: 0,
+      coverAngleSeed: Math.random() * Math.PI * 2,
+      dig: null,
+      crack: null,
+      cover: null,
+      coverCooldown: 0,
+      lastHitAt: -Infinity,
+      y,
+      vy: 0,
+      grounded: true,
+      nav: {
+        path: null,
+        index: 0,
+        request: null,
+        goalX: x,
+        goalZ: z,
+        revision: -1,
+        lastDigIndex: -1,
+        repathTimer: Math.random() * 0.3,
+        blockedTime: 0
+      },
       materials: Object.values(materials)
     };
 
     enemy.hitbox.userData.enemy = enemy;
+    enemy.hitZones = this.hitZoneShapes.map(({ zone, geometry, offsetY }) => {
+      const zoneMesh = new THREE.Mesh(geometry, this.hitboxMaterial);
+      zoneMesh.position.y = offsetY;
+      zoneMesh.userData.enemy = enemy;
+      zoneMesh.userData.hitZone = zone;
+      hitbox.add(zoneMesh);
+      return zoneMesh;
+    });
 
     this.group.add(enemy.model);
     this.group.add(enemy.hitbox);
     this.enemies.push(enemy);
-    this.hitboxTargets.push(hitbox);
+    squad.members.push(enemy);
+    this.hitboxTargets.push(...enemy.hitZones);
   }
 
-  handleShot(raycaster, maxDistance = Infinity) {
+  handleShot(raycaster, maxDistance = Infinity, { damageAt = () => 20 } = {}) {
     if (this.enemies.length === 0) {
-      return { didHit: false, didKill: false, points: 0, hitPoint: null };
+      return { didHit: false, didKill: false, points: 0, hitPoint: null, hitZone: null };
     }
 
     const hits = raycaster.intersectObjects(this.hitboxTargets, false);
@@ -738,29 +1598,88 @@ export class EnemyManager {
       return this.canHitTarget(shotOrigin, hit.point);
     });
     if (!targetHit) {
-      return { didHit: false, didKill: false, points: 0, hitPoint: null };
+      return { didHit: false, didKill: false, points: 0, hitPoint: null, hitZone: null };
     }
 
     const target = targetHit.object.userData.enemy;
     if (!target) {
-      return { didHit: false, didKill: false, points: 0, hitPoint: null };
+      return { didHit: false, didKill: false, points: 0, hitPoint: null, hitZone: null };
     }
 
-    target.health -= 20;
+    const hitZone = targetHit.object.userData.hitZone ?? HIT_ZONE.TORSO;
+    const armor = hitZone === HIT_ZONE.HEAD ? 0 : target.armor;
+    target.health -= damageAt(targetHit.distance, hitZone) * (1 - armor);
     target.hitFlash = 0.08;
+    target.lastHitAt = this.elapsed;
+    // Being shot gives away roughly where it came from.
+    target.awareness = 1;
+    this.focusEnemy(target, shotOrigin.x, shotOrigin.z);
+    this.rememberTarget(target.squad, shotOrigin.x, shotOrigin.y, shotOrigin.z);
     const hitPoint = targetHit.point.clone();
 
     if (target.health > 0) {
-      return { didHit: true, didKill: false, points: 20, hitPoint };
+      return { didHit: true, didKill: false, points: 20, hitPoint, hitZone };
+    }
+
+    this.removeKilledEnemy(target);
+    return {
+      didHit: true,
+      didKill: true,
+      points: target.points,
+      hitPoint,
+      hitZone,
+      archetype: target.archetype
+    };
+  }
+
+  // Blast damage for every enemy within sight of `center`; one shot-style result per enemy hit.
+  applyBlast(center, damageAt) {
+    const results = [];
+    for (const target of this.enemies.slice()) {
+      const position = target.hitbox.position;
+      const distance = position.distanceTo(center);
+      const damage = damageAt(distance);
+      if (!(damage > 0) || (this.canHitTarget && !this.canHitTarget(center, position))) {
+        continue;
+      }
+
+      target.health -= damage * (1 - target.armor);
+      target.hitFlash = 0.08;
+      target.lastHitAt = this.elapsed;
+      target.awareness = 1;
+      this.rememberTarget(target.squad, center.x, center.y, center.z);
+      const hitPoint = position.clone();
+      if (target.health > 0) {
+        results.push({ didHit: true, didKill: false, points: 20, hitPoint, hitZone: HIT_ZONE.TORSO });
+        continue;
+      }
+
+      this.removeKilledEnemy(target);
+      results.push({
+        didHit: true,
+        didKill: true,
+        points: target.points,
+        hitPoint,
+        hitZone: HIT_ZONE.TORSO,
+        archetype: target.archetype
+      });
     }
+    return results;
+  }
 
+  removeKilledEnemy(target) {
+    for (const zoneMesh of target.hitZones) {
+      const zoneIndex = this.hitboxTargets.indexOf(zoneMesh);
+      if (zoneIndex >= 0) {
+        this.hitboxTargets.splice(zoneIndex, 1);
+      }
+    }
     const index = this.enemies.indexOf(target);
     if (index >= 0) {
-      this.hitboxTargets.splice(index, 1);
       this.enemies.splice(index, 1);
     }
 
+    this.removeFromSquad(target);
     this.disposeEnemy(target);
-    return { didHit: true, didKill: true, points: 100, hitPoint };
   }
 }
@@ -0,0 +1,163 @@
+import * as THREE from "three";
+import {
+  EXPLOSIVE_TYPE,
+  GRENADE_STEP_SECONDS,
+  getExplosiveDefinition,
+  stepGrenade
+} from "../shared/explosives.js";
+
+const BLAST_FLASH_SECONDS = 0.45;
+const CHARGE_BLINK_RATE = 6;
+// Online explosives wait this long past their fuse for the server's detonation before vanishing.
+const DETONATE_GRACE_SECONDS = 1;
+
+// Live grenades and charges plus their blast flashes. Offline, an explosive whose fuse runs out
+// calls onDetonate(explosive, center); online, the server's explosive:detonate calls detonate().
+export class ExplosiveSystem {
+  constructor(scene, { getTypeAt, onDetonate = null }) {
+    this.scene = scene;
+    this.getTypeAt = getTypeAt;
+    this.onDetonate = onDetonate;
+    this.group = new THREE.Group();
+    this.group.name = "explosives";
+    this.scene.add(this.group);
+
+    this.active = new Map();
+    this.flashes = [];
+    this.nextLocalId = 1;
+
+    this.grenadeGeometry = new THREE.SphereGeometry(0.13, 10, 8);
+    this.grenadeMaterial = new THREE.MeshStandardMaterial({ color: 0x4d5a32, roughness: 0.7 });
+    this.chargeGeometry = new THREE.BoxGeometry(0.36, 0.36, 0.16);
+    this.chargeMaterial = new THREE.MeshStandardMaterial({ color: 0x8a6a3a, roughness: 0.85 });
+    this.chargeLightGeometry = new THREE.BoxGeometry(0.08, 0.08, 0.08);
+    this.flashGeometry = new THREE.SphereGeometry(1, 16, 12);
+    this._lookTarget = new THREE.Vector3();
+  }
+
+  // `velocity` for grenades, `normal` (the face it sticks to) for charges.
+  spawn({ id = null, type, position, velocity = null, normal = null, fuseSeconds = null, local = false }) {
+    const definition = getExplosiveDefinition(type);
+    if (!definition) {
+      return null;
+    }
+
+    const explosive = {
+      id: id ?? `local-${this.nextLocalId++}`,
+      type: definition.id,
+      local,
+      fuse: fuseSeconds ?? definition.fuseSeconds,
+      body: { x: position.x, y: position.y, z: position.z, vx: 0, vy: 0, vz: 0 },
+      stepAccumulator: 0,
+      mesh: null,
+      light: null
+    };
+
+    if (definition.id === EXPLOSIVE_TYPE.GRENADE) {
+      explosive.body.vx = velocity?.x ?? 0;
+      explosive.body.vy = velocity?.y ?? 0;
+      explosive.body.vz = velocity?.z ?? 0;
+      explosive.mesh = new THREE.Mesh(this.grenadeGeometry, this.grenadeMaterial);
+      explosive.mesh.castShadow = true;
+    } else {
+      explosive.mesh = new THREE.Group();
+      explosive.mesh.add(new THREE.Mesh(this.chargeGeometry, this.chargeMaterial));
+      explosive.light = new THREE.Mesh(
+        this.chargeLightGeometry,
+        new THREE.MeshBasicMaterial({ color: 0xff3b2f })
+      );
+      explosive.light.position.z = 0.1;
+      explosive.mesh.add(explosive.light);
+      if (normal) {
+        explosive.mesh.lookAt(
+          this._lookTarget.set(position.x + normal.x, position.y + normal.y, position.z + normal.z)
+        );
+      }
+    }
+
+    explosive.mesh.position.set(position.x, position.y, position.z);
+    this.group.add(explosive.mesh);
+    this.active.set(explosive.id, explosive);
+    return explosive;
+  }
+
+  update(delta) {
+    for (const explosive of Array.from(this.active.values())) {
+      if (explosive.type === EXPLOSIVE_TYPE.GRENADE) {
+        explosive.stepAccumulator += delta;
+        while (explosive.stepAccumulator >= GRENADE_STEP_SECONDS) {
+          explosive.stepAccumulator -= GRENADE_STEP_SECONDS;
+          stepGrenade(explosive.body, this.getTypeAt);
+        }
+        explosive.mesh.position.set(explosive.body.x, explosive.body.y, explosive.body.z);
+        explosive.mesh.rotation.x += delta * explosive.body.vz * 2;
+        explosive.mesh.rotation.z -= delta * explosive.body.vx * 2;
+      } else if (explosive.light) {
+        const blinkRate = explosive.fuse < 1 ? CHARGE_BLINK_RATE * 2.5 : CHARGE_BLINK_RATE;
+        explosive.light.visible = Math.sin(explosive.fuse * blinkRate * Math.PI) > 0;
+      }
+
+      explosive.fuse -= delta;
+      if (explosive.local && explosive.fuse <= 0) {
+        const center = { x: explosive.body.x, y: explosive.body.y, z: explosive.body.z };
+        this.detonate(explosive.id, center);
+        this.onDetonate?.(explosive, center);
+      } else if (!explosive.local && explosive.fuse <= -DETONATE_GRACE_SECONDS) {
+        this.remove(explosive);
+      }
+    }
+
+    for (let i = this.flashes.length - 1; i >= 0; i -= 1) {
+      const flash = this.flashes[i];
+      flash.life -= delta;
+      const t = 1 - Math.max(0, flash.life) / BLAST_FLASH_SECONDS;
+      flash.mesh.scale.setScalar(flash.radius * (0.35 + t * 0.65));
+      flash.mesh.material.opacity = 0.85 * (1 - t);
+      if (flash.life <= 0) {
+        this.group.remove(flash.mesh);
+        flash.mesh.material.dispose();
+        this.flashes.splice(i, 1);
+      }
+    }
+  }
+
+  // Removes the explosive (if it is still around) and shows the blast at `center`.
+  detonate(id, center, type = null) {
+    const explosive = this.active.get(id);
+    if (explosive) {
+      this.remove(explosive);
+    }
+
+    const definition = getExplosiveDefinition(type ?? explosive?.type);
+    const mesh = new THREE.Mesh(
+      this.flashGeometry,
+      new THREE.MeshBasicMaterial({
+        color: 0xffa545,
+        transparent: true,
+        opacity: 0.85,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+      })
+    );
+    mesh.position.set(center.x, center.y, center.z);
+    this.group.add(mesh);
+    this.flashes.push({ mesh, radius: definition?.blastRadius ?? 2, life: BLAST_FLASH_SECONDS });
+  }
+
+  remove(explosive) {
+    this.group.remove(explosive.mesh);
+    explosive.light?.material.dispose();
+    this.active.delete(explosive.id);
+  }
+
+  clear() {
+    for (const explosive of Array.from(this.active.values())) {
+      this.remove(explosive);
+    }
+    for (const flash of this.flashes) {
+      this.group.remove(flash.mesh);
+      flash.mesh.material.dispose();
+    }
+    this.flashes.length = 0;
+  }
+}
@@ -4,9 +4,56 @@ import { WeaponSystem } from "./WeaponSystem.js";
 import { HUD } from "./HUD.js";
 import { VoxelWorld } from "./build/VoxelWorld.js";
 import { BuildSystem } from "./build/BuildSystem.js";
+import { MapEditor } from "./build/MapEditor.js";
+import { NavGrid } from "./nav/NavGrid.js";
+import { ExplosiveSystem } from "./ExplosiveSystem.js";
 import { SoundSystem } from "./audio/SoundSystem.js";
-import { DEFAULT_GAME_MODE, GAME_MODE, normalizeGameMode } from "../shared/gameModes.js";
-import { CTF_PICKUP_RADIUS, CTF_WIN_SCORE, PVP_RESPAWN_MS } from "../shared/matchConfig.js";
+import { getModeAdapter } from "./modes/ModeAdapters.js";
+import { WAVE_PHASE, WaveDirector } from "./modes/WaveDirector.js";
+import { REMOTE_INTERP_DELAY_MS, ServerClock, SnapshotBuffer } from "./net/RemoteInterpolation.js";
+import { BinaryNetChannel } from "./net/BinaryNetChannel.js";
+import { formatTeamLabel, getEnemyTeamId, normalizeTeamId } from "./teams.js";
+import { DEFAULT_GAME_MODE, getGameModeLabel, normalizeGameMode } from "../shared/gameModes.js";
+import {
+  CTF_PICKUP_RADIUS,
+  CTF_WIN_SCORE,
+  MAP_VOTE_OPTION_COUNT,
+  PVP_HITBOX_FOOT_OFFSET,
+  PVP_HITBOX_HALF_WIDTH,
+  PVP_HITBOX_TOP_OFFSET,
+  PVP_RESPAWN_MS
+} from "../shared/matchConfig.js";
+import { PVE_DAMAGE_SCALE, WEAPON_ORDER, getWeaponDamage } from "../shared/weapons.js";
+import { HIT_ZONE, classifyHitZone } from "../shared/hitZones.js";
+import {
+  EXPLOSIVE_TYPE,
+  getBlastCells,
+  getBlastDamage,
+  getExplosiveDefinition,
+  getGrenadeLaunchVelocity
+} from "../shared/explosives.js";
+import { BLOCK_REACH } from "../shared/voxelRaycast.js";
+import {
+  MAP_IDS,
+  getCustomMapIds,
+  getDefaultMapId,
+  getDefaultMapSeed,
+  getMapName,
+  getMapShareCode,
+  normalizeMapId,
+  normalizeMapSeed,
+  parseMapShareCode,
+  registerCustomMap
+} from "./world/MapRegistry.js";
+import {
+  FLAG_CARRIER_SPEED_MULTIPLIER,
+  JUMP_FORCE,
+  PLAYER_GRAVITY,
+  PLAYER_HEIGHT,
+  PLAYER_SPEED,
+  PLAYER_SPRINT,
+  PLAYER_STEP_UP_HEIGHT
+} from "../shared/movement.js";
 
 const CENTER_AD_IMAGE_URL = new URL("../../PNG/AD.41415786.1.png", import.meta.url).href;
 const LOBBY_AD_IMAGE_URL = "/assets/graphics/world/lobby/lobby-ad.jpg";
@@ -32,13 +79,8 @@ const CENTER_AD_AUDIO_DUCK_MULTIPLIER = 0.42;
 const CENTER_AD_AUDIO_DUCK_MS = 240;
 const CENTER_AD_SYNC_INTERVAL_MS = 1200;
 const CENTER_AD_SYNC_MAX_DRIFT_SEC = 0.85;
-const PLAYER_HEIGHT = 1.75;
 const DEFAULT_FOV = 75;
 const AIM_FOV = 48;
-const PLAYER_SPEED = 7.9;
-const PLAYER_SPRINT = 11.9;
-const PLAYER_GRAVITY = -22;
-const JUMP_FORCE = 9.2;
 const WORLD_LIMIT = 72;
 const PLAYER_RADIUS = 0.34;
 const POINTER_LOCK_FALLBACK_MS = 900;
@@ -52,11 +94,13 @@ const REMOTE_NAME_TAG_DISTANCE = 72;
 const MAX_PENDING_REMOTE_BLOCK_PLACEMENTS_PER_FRAME = 96;
 const MIN_PENDING_REMOTE_BLOCK_PLACEMENTS_PER_FRAME = 12;
 const MAX_PENDING_REMOTE_BLOCK_RETRIES = 120;
-const PLAYER_STEP_UP_HEIGHT = 0.62;
 const PLAYER_STEP_UP_SPEED = 10;
 const PLAYER_GROUND_SNAP_DOWN = 0.14;
-const BUCKET_OPTIMIZE_INTERVAL = 1.2;
 const PERF_REPORT_INTERVAL_MS = 4000;
+const CLOCK_SYNC_INTERVAL_MS = 5000;
+const CLOCK_SYNC_WARMUP_INTERVAL_MS = 800;
+const CLOCK_SYNC_WARMUP_SAMPLES = 4;
+const NET_DEBUG_REFRESH_MS = 250;
 const PERF_SLOW_FRAME_MS = 24;
 const RENDER_PIXEL_RATIO_CAP = 1.25;
 const RENDER_PIXEL_RATIO_LOW_CAP = 1.0;
@@ -73,12 +117,15 @@ const SHADOW_CAMERA_EXTENT_HIGH = 136;
 const ADAPTIVE_QUALITY_LOW_FPS_MS = 34;
 const ADAPTIVE_QUALITY_STRIKE_LIMIT = 2;
 const CTF_INTERACT_COOLDOWN_MS = 260;
+const WEAPON_WHEEL_COOLDOWN_MS = 140;
 const MOBILE_SPRINT_THRESHOLD = 0.94;
-const FLAG_CARRIER_SPEED_MULTIPLIER = 0.9;
 const PVP_HIT_SCORE = 10;
 const PVP_KILL_SCORE = 100;
 const PVP_IMMUNE_HINT_COOLDOWN_MS = 420;
 const MAX_ACTIVE_HIT_SPARKS = 56;
+const MAX_FALLING_DEBRIS = 96;
+const DEBRIS_GRAVITY = 24;
+const DEBRIS_MAX_SECONDS = 2.5;
 const BLOCK_KEY_SEPARATOR = "|";
 const LOCAL_DEATH_FALL_MS = 460;
 const LOCAL_DEATH_OFFSET_Y = 0.92;
@@ -90,14 +137,15 @@ const REMOTE_DEATH_ROLL = -1.18;
 const REMOTE_CARRIER_FLAG_BACK_OFFSET = 0.42;
 const REMOTE_CARRIER_FLAG_SIDE_OFFSET = 0.13;
 const REMOTE_CARRIER_FLAG_HEIGHT_OFFSET = 1.02;
-const PVP_REMOTE_HITBOX_HALF_WIDTH = 0.46;
-const PVP_REMOTE_HITBOX_FOOT_OFFSET = -0.06;
-const PVP_REMOTE_HITBOX_TOP_OFFSET = 0.34;
 const FALL_DAMAGE_SAFE_DROP = 4.2;
 const FALL_DAMAGE_PER_BLOCK = 14;
 const FALL_DAMAGE_MAX = 96;
 const VOID_DEATH_Y = -36;
 const VOID_FATAL_DAMAGE = 999;
+const EDITOR_FLY_SPEED = 14;
+const EDITOR_FLY_VERTICAL_SPEED = 9;
+const EDITOR_FLY_MIN_Y = -6;
+const EDITOR_FLY_MAX_Y = 40;
 const HAZARD_EMIT_COOLDOWN_MS = 320;
 const ONLINE_TEAM_SPAWN_OFFSETS = Object.freeze([
   [0, 0],
@@ -233,30 +281,6 @@ function readStoredRenderQuality() {
   }
 }
 
-function normalizeTeamId(team) {
-  return team === "alpha" || team === "bravo" ? team : null;
-}
-
-function getEnemyTeamId(team) {
-  if (team === "alpha") {
-    return "bravo";
-  }
-  if (team === "bravo") {
-    return "alpha";
-  }
-  return null;
-}
-
-function formatTeamLabel(team) {
-  if (team === "alpha") {
-    return "블루팀";
-  }
-  if (team === "bravo") {
-    return "레드팀";
-  }
-  return "중립";
-}
-
 function toBlockKey(x, y, z) {
   return `${x}${BLOCK_KEY_SEPARATOR}${y}${BLOCK_KEY_SEPARATOR}${z}`;
 }
@@ -286,14 +310,14 @@ function getNowMs() {
   return Date.now();
 }
 
-function isPerfDebugEnabled() {
+function isDebugFlagEnabled(queryKey, storageKey) {
   if (typeof window === "undefined") {
     return false;
   }
 
   try {
     const query = new URLSearchParams(window.location.search);
-    if (query.get("perf") === "1") {
+    if (query.get(queryKey) === "1") {
       return true;
     }
   } catch {
@@ -301,7 +325,7 @@ function isPerfDebugEnabled() {
   }
 
   try {
-    return window.localStorage?.getItem("reclaim_perf_debug") === "1";
+    return window.localStorage?.getItem(storageKey) === "1";
   } catch {
     return false;
   }
@@ -346,16 +370,29 @@ export class Game {
 
     this.hud = new HUD();
     this.voxelWorld = new VoxelWorld(this.scene, this.textureLoader);
+    this.navGrid = new NavGrid(this.voxelWorld);
     this.weapon = new WeaponSystem();
     this.enemyManager = new EnemyManager(this.scene, {
       enemyMap: this.graphics.enemyMap,
       muzzleFlashMap: this.graphics.muzzleFlashMap,
       canHitTarget: (from, to) => this.voxelWorld.hasLineOfSight(from, to),
-      isBlockedAt: (x, y, z) => this.voxelWorld.hasBlockAtWorld(x, y, z)
+      isBlockedAt: (x, y, z) => this.voxelWorld.hasBlockAtWorld(x, y, z),
+      getBlockTypeAt: (x, y, z) => this.voxelWorld.getBlockType(x, y, z),
+      breakBlock: (x, y, z) => this.voxelWorld.removeBlock(x, y, z),
+      placeBlock: (x, y, z, typeId) =>
+        !this.isPlayerIntersectingBlock(x, y, z) && this.voxelWorld.setBlock(x, y, z, typeId),
+      shootBlock: (from, to, damage) => this.damageBlockAlong(from, to, damage),
+      navGrid: this.navGrid
+    });
+    this.explosives = new ExplosiveSystem(this.scene, {
+      getTypeAt: (x, y, z) => this.voxelWorld.getBlockType(x, y, z),
+      onDetonate: (explosive, center) => this.detonateLocalExplosive(explosive, center)
     });
     this.raycaster = new THREE.Raycaster();
+    this.canPlaceLocalBlock = (x, y, z) => !this.isPlayerIntersectingBlock(x, y, z);
     this.buildSystem = new BuildSystem({
       world: this.voxelWorld,
+      scene: this.scene,
       camera: this.camera,
       raycaster: this.raycaster,
       onModeChanged: (mode) => {
@@ -379,6 +416,17 @@ export class Game {
         !this.hud.startOverlayEl?.classList.contains("show")
     });
 
+    this.mapEditor = new MapEditor({
+      world: this.voxelWorld,
+      scene: this.scene,
+      camera: this.camera,
+      raycaster: this.raycaster,
+      onStatus: (text, isAlert = false, duration = 0.5) =>
+        this.hud.setStatus(text, isAlert, duration),
+      onLoadMap: (customMap) => this.loadEditorMap(customMap),
+      onLibraryChanged: () => this.renderSingleMapOptions()
+    });
+
     this.playerPosition = new THREE.Vector3(0, PLAYER_HEIGHT, 0);
     this.verticalVelocity = 0;
     this.onGround = true;
@@ -401,7 +449,10 @@ export class Game {
     this.rightMouseAiming = false;
     this.leftMouseDown = false;
     this.aimBlend = 0;
+    this.weaponWheelCooldownUntil = 0;
     this.hitSparks = [];
+    this.fallingDebris = [];
+    this.debrisGeometry = null;
 
     this.isRunning = false;
     this.isGameOver = false;
@@ -417,7 +468,9 @@ export class Game {
       controlOwner: "neutral",
       objectiveText: "목표: 적을 제압하고 깃발을 탈취하세요.",
       killStreak: 0,
-      lastKillTime: 0
+      lastKillTime: 0,
+      grenades: 0,
+      charges: 0
     };
 
     this._wasReloading = false;
@@ -425,6 +478,9 @@ export class Game {
     this.chatIntroShown = false;
     this.menuMode = "online";
     this.activeMatchMode = "single";
+    this.singleMode = "ctf";
+    this.singleMapId = getDefaultMapId();
+    this.waveDirector = new WaveDirector();
 
     this.pointerLockSupported =
       "pointerLockElement" in document &&
@@ -468,6 +524,9 @@ export class Game {
     this._mobileBound = false;
 
     this.startButton = document.getElementById("start-button");
+    this.survivalButton = document.getElementById("survival-button");
+    this.editorButton = document.getElementById("editor-button");
+    this.singleMapSelect = document.getElementById("single-map-select");
     this.restartButton = document.getElementById("restart-button");
     this.optionsContinueBtn = document.getElementById("options-continue");
     this.optionsExitBtn = document.getElementById("options-exit");
@@ -498,6 +557,8 @@ export class Game {
     this.mpRefreshBtn = document.getElementById("mp-refresh");
     this.mpNameInput = document.getElementById("mp-name");
     this.mpCodeInput = document.getElementById("mp-code");
+    this.mpPasswordInput = document.getElementById("mp-password");
+    this.mpCapacitySelect = document.getElementById("mp-capacity");
     this.mpRoomListEl = document.getElementById("mp-room-list");
     this.mpLobbyEl = document.getElementById("mp-lobby");
     this.mpRoomTitleEl = document.getElementById("mp-room-title");
@@ -509,6 +570,13 @@ export class Game {
     this.mpTeamBravoBtn = document.getElementById("mp-team-bravo");
     this.mpTeamAlphaCountEl = document.getElementById("mp-team-alpha-count");
     this.mpTeamBravoCountEl = document.getElementById("mp-team-bravo-count");
+    this.mpModeButtons = Array.from(document.querySelectorAll(".mp-mode-btn[data-mode]"));
+    this.mpStructureBtn = document.getElementById("mp-structure-toggle");
+    this.mpMapButtons = Array.from(document.querySelectorAll(".mp-map-btn[data-map-id]"));
+    this.mpMapSeedInput = document.getElementById("mp-map-seed");
+    this.mpSeedApplyBtn = document.getElementById("mp-seed-apply");
+    this.mpSeedRerollBtn = document.getElementById("mp-seed-reroll");
+    this.mpCopyMapCodeBtn = document.getElementById("mp-copy-map-code");
     this.mpEnterLobbyBtn = document.getElementById("mp-enter-lobby");
     this.mpPortalHintEl = document.getElementById("mp-portal-hint");
     this.lobbyQuickPanelEl = document.getElementById("lobby-quick-panel");
@@ -525,9 +593,12 @@ export class Game {
     this.ctfScoreboardEl = document.getElementById("ctf-scoreboard");
     this.ctfScoreAlphaEl = document.getElementById("ctf-score-alpha");
     this.ctfScoreBravoEl = document.getElementById("ctf-score-bravo");
+    this.ctfRoundInfoEl = document.getElementById("ctf-round-info");
     this.flagInteractBtnEl = document.getElementById("flag-interact-btn");
     this.portalTransitionEl = document.getElementById("portal-transition");
     this.respawnBannerEl = document.getElementById("respawn-banner");
+    this.mapVoteEl = document.getElementById("map-vote");
+    this.mapVoteButtons = Array.from(document.querySelectorAll(".map-vote-option[data-vote-option]"));
     this.lastAppliedFov = DEFAULT_FOV;
     this._lobbySocketBound = false;
     this._joiningDefaultRoom = false;
@@ -549,8 +620,17 @@ export class Game {
     this.lobbyState = {
       roomCode: null,
       hostId: null,
+      capacity: ONLINE_MAX_PLAYERS,
+      persistent: true,
+      locked: false,
       players: [],
-      selectedTeam: null
+      selectedTeam: null,
+      selectedMode: DEFAULT_GAME_MODE,
+      mapId: getDefaultMapId(),
+      selectedMapId: getDefaultMapId(),
+      mapSeed: getDefaultMapSeed(),
+      selectedMapSeed: getDefaultMapSeed(),
+      structuralIntegrity: false
     };
     this.lobby3d = {
       active: false,
@@ -599,6 +679,8 @@ export class Game {
     this._pvpBoxMin = new THREE.Vector3();
     this._pvpBoxMax = new THREE.Vector3();
     this._pvpHitPoint = new THREE.Vector3();
+    this._spreadRight = new THREE.Vector3();
+    this._spreadUp = new THREE.Vector3();
     this.pendingRemoteBlocks = new Map();
     this.latestRoomSnapshot = null;
     this.syncLobbyNicknameInputs(this.chat?.playerName ?? "", { force: true });
@@ -615,6 +697,7 @@ export class Game {
       controlRadius: 6.4,
       controlProgress: 0,
       controlOwner: "neutral",
+      controlCapturingTeam: null,
       controlBonusTimer: 0,
       controlStatusCooldown: 0,
       controlPulse: 0
@@ -644,18 +727,25 @@ export class Game {
         }
       },
       score: { alpha: 0, bravo: 0 },
-      captures: { alpha: 0, bravo: 0 }
+      captures: { alpha: 0, bravo: 0 },
+      alive: { alpha: 0, bravo: 0 },
+      hill: { owner: null, capturingTeam: null, progress: 0, contested: false, overtime: false },
+      roundNumber: 0,
+      roundEndsAt: 0,
+      intermissionUntil: 0
     };
     this.onlineTargetScore = CTF_WIN_SCORE;
     this.onlineRoundEnded = false;
     this.onlineRoundWinnerTeam = null;
     this.onlineRoundRestartAt = 0;
     this.onlineRoundLastSecond = -1;
+    this.mapVote = null;
+    this.mapVoteChoice = null;
     this.lastRoomStartedAt = 0;
     this.flagInteractVisible = false;
     this.flagInteractMode = "none";
     this.flagInteractCooldownUntil = 0;
-    this.scoreHudState = { show: null, alpha: null, bravo: null };
+    this.scoreHudState = { show: null, alpha: null, bravo: null, roundInfo: null };
     this.pvpImmuneHintUntil = 0;
     this.flagShootBlockedHintUntil = 0;
     this.centerAdPanels = [];
@@ -682,12 +772,20 @@ export class Game {
     this.optionsMenuOpen = false;
 
     this._initialized = false;
-    this.mapId = "forest_frontline";
+    this.mapId = getDefaultMapId();
+    this.mapSeed = getDefaultMapSeed();
+    this.terrainMismatchNotified = "";
     this.skyDome = null;
     this.skyCloudSprites = [];
     this.skyCloudTexture = null;
-    this._bucketOptimizeCooldown = BUCKET_OPTIMIZE_INTERVAL;
-    this.perfDebugEnabled = isPerfDebugEnabled();
+    this.perfDebugEnabled = isDebugFlagEnabled("perf", "reclaim_perf_debug");
+    this.netDebugEnabled = isDebugFlagEnabled("netdebug", "reclaim_net_debug");
+    this.netDebugNextAt = 0;
+    this.serverClock = new ServerClock();
+    this.netChannel = new BinaryNetChannel();
+    this.clockSyncNextAt = 0;
+    this.clockSyncPending = false;
+    this.remoteSample = { x: 0, y: 0, z: 0, yaw: 0 };
     this.perfStats = {
       frameCount: 0,
       totalMs: 0,
@@ -801,10 +899,12 @@ export class Game {
   }
 
   rebuildArenaWorld({ preserveLobbyGeometry = false } = {}) {
-    this.voxelWorld.generateTerrain({ mapId: this.mapId });
+    this.voxelWorld.generateTerrain({ mapId: this.mapId, seed: this.mapSeed });
     if (preserveLobbyGeometry) {
       this.stampLobby3DVoxelLayout();
     }
+    // Build enemy navigation while the world is loading rather than on the first combat frame.
+    this.navGrid.ensureReady();
     this.setupObjectives();
   }
 
@@ -2825,6 +2925,7 @@ export class Game {
     this.objective.playerHasEnemyFlag = false;
     this.objective.controlProgress = 0;
     this.objective.controlOwner = "neutral";
+    this.objective.controlCapturingTeam = null;
     this.objective.controlBonusTimer = 0;
     this.objective.controlStatusCooldown = 0;
     this.objective.controlPulse = 0;
@@ -2850,14 +2951,13 @@ export class Game {
     this.objectiveMarkers.push(centerAdBillboard);
     this.scene.add(centerAdBillboard);
 
-    if (this.activeMatchMode !== "online") {
-      const controlBeacon = this.createControlBeacon(this.objective.controlPoint);
-      this.controlBeacon = controlBeacon;
-      this.controlRing = controlBeacon.userData.ring ?? null;
-      this.controlCore = controlBeacon.userData.core ?? null;
-      this.objectiveMarkers.push(controlBeacon);
-      this.scene.add(controlBeacon);
-    }
+    const controlBeacon = this.createControlBeacon(this.objective.controlPoint);
+    controlBeacon.visible = this.activeMatchMode !== "online";
+    this.controlBeacon = controlBeacon;
+    this.controlRing = controlBeacon.userData.ring ?? null;
+    this.controlCore = controlBeacon.userData.core ?? null;
+    this.objectiveMarkers.push(controlBeacon);
+    this.scene.add(controlBeacon);
     this.applyControlVisual(0);
     this.resetOnlineCtfFromArena();
     this.state.objectiveText = this.getObjectiveText();
@@ -2877,12 +2977,21 @@ export class Game {
     this.onlineCtf.score.bravo = 0;
     this.onlineCtf.captures.alpha = 0;
     this.onlineCtf.captures.bravo = 0;
+    Object.assign(this.onlineCtf.hill, {
+      owner: null,
+      capturingTeam: null,
+      progress: 0,
+      contested: false,
+      overtime: false
+    });
     this.onlineTargetScore = CTF_WIN_SCORE;
     this.onlineRoundEnded = false;
     this.onlineRoundWinnerTeam = null;
     this.onlineRoundRestartAt = 0;
     this.onlineRoundLastSecond = -1;
+    this.setMapVoteState(null);
     this.syncOnlineFlagMeshes();
+    this.syncOnlineControlBeacon();
     this.updateTeamScoreHud();
   }
 
@@ -3491,6 +3600,8 @@ export class Game {
     this.mouseLookEnabled = false;
     this.hud.hideGameOver();
     this.hud.showStartOverlay(true);
+    this.mapEditor.setActive(false);
+    this.renderSingleMapOptions();
     this.setLobby3DActive(false, { reposition: false });
     if (
       this.pointerLockSupported &&
@@ -3586,42 +3697,11 @@ export class Game {
       return `라운드 종료: ${winnerLabel} 승리`;
     }
 
-    const mode = normalizeGameMode(this.onlineCtf.mode);
-    if (mode === GAME_MODE.ELIMINATION) {
-      return "목표: 적 팀을 제압하세요";
-    }
-
-    const myTeam = normalizeTeamId(this.getMyTeam());
-    if (!myTeam) {
-      return "목표: 블루팀 또는 레드팀을 먼저 선택하세요";
-    }
-    const enemyTeam = getEnemyTeamId(myTeam);
-    if (!enemyTeam) {
-      return "목표: 팀 정보를 확인할 수 없습니다";
-    }
-
-    const myId = this.getMySocketId();
-    const flags = this.onlineCtf.flags ?? {};
-    const myFlag = flags[myTeam];
-    const enemyFlag = flags[enemyTeam];
-
-    if (enemyFlag?.carrierId === myId) {
-      return "목표: 적 기지 깃발을 아군 거점으로 운반하세요";
-    }
-    if (enemyFlag?.carrierId) {
-      const carrierTeam = this.getPlayerTeamById(enemyFlag.carrierId);
-      if (carrierTeam && carrierTeam === myTeam) {
-        return "목표: 아군 깃발 운반자를 엄호하세요";
-      }
-    }
-    if (myFlag?.carrierId) {
-      const carrierTeam = this.getPlayerTeamById(myFlag.carrierId);
-      if (!carrierTeam || carrierTeam !== myTeam) {
-        return "목표: 아군 깃발을 탈취한 적을 저지하세요";
-      }
-    }
+    return this.getOnlineModeAdapter().getObjectiveText(this);
+  }
 
-    return `목표: 적 기지 깃발 탈취 (승리 조건 ${this.onlineTargetScore}점)`;
+  getOnlineModeAdapter() {
+    return getModeAdapter(this.onlineCtf.mode);
   }
 
   showOnlineCtfEvent(event = {}) {
@@ -3630,49 +3710,20 @@ export class Game {
       return;
     }
 
-    const byPlayerId = String(event.byPlayerId ?? "");
-    const byName = this.getPlayerNameById(byPlayerId);
-    const byTeam = normalizeTeamId(event.byTeam);
-    const flagTeam = normalizeTeamId(event.flagTeam);
-    const isMine = byPlayerId && byPlayerId === this.getMySocketId();
-
-    if (type === "pickup") {
-      const flagLabel = formatTeamLabel(flagTeam);
-      const text = isMine
-        ? "적 깃발 탈취 성공! 아군 거점으로 복귀하세요"
-        : `${byName}이(가) ${flagLabel} 깃발을 탈취했습니다 (${formatTeamLabel(byTeam)})`;
+    if (type === "match_end") {
+      const winner = formatTeamLabel(normalizeTeamId(event.winnerTeam));
+      const text = `${winner} 팀 승리`;
       this.hud.setStatus(text, false, 1.1);
       this.chat?.addSystemMessage(text, "system");
       return;
     }
 
-    if (type === "capture") {
-      const text = isMine ? "깃발 점수 +1 획득" : `${byName}이(가) 깃발 점수 +1 획득`;
-      this.hud.setStatus(text, false, 1.3);
-      this.chat?.addSystemMessage(text, "system");
-      return;
-    }
-
-    if (type === "reset") {
-      const text = "깃발이 원래 위치로 복귀했습니다";
-      this.hud.setStatus(text, true, 0.9);
-      this.chat?.addSystemMessage(text, "system");
-      return;
-    }
-
-    if (type === "start") {
-      const text = "깃발전 시작: 적 기지 깃발을 탈취하세요";
-      this.hud.setStatus(text, false, 0.9);
-      this.chat?.addSystemMessage(text, "system");
+    const message = this.getOnlineModeAdapter().describeEvent(this, { ...event, type });
+    if (!message?.text) {
       return;
     }
-
-    if (type === "match_end") {
-      const winner = formatTeamLabel(normalizeTeamId(event.winnerTeam));
-      const text = `${winner} 팀 승리`;
-      this.hud.setStatus(text, false, 1.1);
-      this.chat?.addSystemMessage(text, "system");
-    }
+    this.hud.setStatus(message.text, Boolean(message.warn), message.duration ?? 1.0);
+    this.chat?.addSystemMessage(message.text, "system");
   }
 
   applyOnlineStatePayload(payload = {}, { showEvent = false, applyAd = true } = {}) {
@@ -3686,49 +3737,9 @@ export class Game {
       this.onlineCtf.revision = Math.max(this.onlineCtf.revision, Math.trunc(revision));
     }
 
-    const readCoord = (value, fallback) => {
-      const num = Number(value);
-      return Number.isFinite(num) ? num : fallback;
-    };
-
-    const flagsPayload =
-      payload?.flags && typeof payload.flags === "object" ? payload.flags : null;
-    const legacyCenterFlagPayload =
-      !flagsPayload && payload?.flag && typeof payload.flag === "object" ? payload.flag : null;
-    const readFlagPayload = (team) => {
-      if (flagsPayload) {
-        return flagsPayload[team] ?? null;
-      }
-      return legacyCenterFlagPayload;
-    };
-
-    for (const team of ["alpha", "bravo"]) {
-      const target = this.onlineCtf.flags[team];
-      const homeFallback = team === "alpha" ? this.objective.alphaFlagHome : this.objective.bravoFlagHome;
-      const flagPayload = readFlagPayload(team);
-
-      if (flagPayload?.home) {
-        target.home.set(
-          readCoord(flagPayload.home.x, homeFallback.x),
-          readCoord(flagPayload.home.y, homeFallback.y),
-          readCoord(flagPayload.home.z, homeFallback.z)
-        );
-      } else {
-        target.home.copy(homeFallback);
-      }
-
-      if (flagPayload?.at) {
-        target.at.set(
-          readCoord(flagPayload.at.x, target.home.x),
-          readCoord(flagPayload.at.y, target.home.y),
-          readCoord(flagPayload.at.z, target.home.z)
-        );
-      } else {
-        target.at.copy(target.home);
-      }
-
-      const carrierId = String(flagPayload?.carrierId ?? "").trim();
-      target.carrierId = carrierId || null;
+    this.getOnlineModeAdapter().applyState(this, payload);
+    if ("vote" in payload) {
+      this.setMapVoteState(payload.vote);
     }
 
     const scoreAlpha = Number(payload?.score?.alpha);
@@ -3750,6 +3761,11 @@ export class Game {
     }
 
     const roundPayload = payload?.round ?? null;
+    if (roundPayload) {
+      this.onlineCtf.roundNumber = Math.max(0, Math.trunc(Number(roundPayload.number) || 0));
+      this.onlineCtf.roundEndsAt = Math.max(0, Number(roundPayload.endsAt) || 0);
+      this.onlineCtf.intermissionUntil = Math.max(0, Number(roundPayload.intermissionUntil) || 0);
+    }
     this.setOnlineRoundState({
       ended: Boolean(roundPayload?.ended),
       winnerTeam: roundPayload?.winnerTeam ?? null,
@@ -3767,6 +3783,7 @@ export class Game {
     }
 
     this.syncOnlineFlagMeshes();
+    this.syncOnlineControlBeacon();
     this.updateTeamScoreHud();
     if (this.tabBoardVisible) {
       this.renderTabScoreboard();
@@ -3781,6 +3798,25 @@ export class Game {
     }
   }
 
+  syncOnlineControlBeacon() {
+    if (!this.controlBeacon || this.activeMatchMode !== "online") {
+      return;
+    }
+
+    const visible = Boolean(this.getOnlineModeAdapter().usesControlPoint);
+    this.controlBeacon.visible = visible;
+    if (!visible) {
+      return;
+    }
+
+    const hill = this.onlineCtf.hill;
+    this.objective.controlOwner = hill.owner ?? "neutral";
+    this.objective.controlCapturingTeam = hill.capturingTeam;
+    this.objective.controlProgress = hill.capturingTeam ? hill.progress : hill.owner ? 1 : 0;
+    this.state.controlOwner = this.objective.controlOwner;
+    this.state.controlPercent = Math.round(this.objective.controlProgress * 100);
+  }
+
   syncOnlineFlagMeshes() {
     if (this.activeMatchMode !== "online") {
       if (this.onlineCenterFlag) {
@@ -3792,7 +3828,7 @@ export class Game {
       this.onlineCenterFlag.visible = false;
     }
 
-    if (normalizeGameMode(this.onlineCtf.mode) !== GAME_MODE.CTF) {
+    if (!this.getOnlineModeAdapter().usesFlags) {
       if (this.alphaFlag) {
         this.alphaFlag.visible = false;
       }
@@ -3849,6 +3885,9 @@ export class Game {
 
   applyRoomSnapshot(payload = {}) {
     this.applyDailyLeaderboardPayload(payload.dailyLeaderboard ?? null);
+    if (!Array.isArray(payload.blocks) && payload.blocksPacked) {
+      payload = { ...payload, blocks: this.netChannel.readBlockList(payload.blocksPacked) };
+    }
     const blocks = Array.isArray(payload.blocks) ? payload.blocks : null;
     if (!blocks) {
       return;
@@ -3895,7 +3934,10 @@ export class Game {
       return normalized;
     };
 
-    this.voxelWorld.generateTerrain({ mapId: this.mapId });
+    this.mapId = normalizeMapId(payload.mapId ?? this.mapId);
+    this.mapSeed = normalizeMapSeed(payload.mapSeed ?? this.mapSeed);
+    this.voxelWorld.generateTerrain({ mapId: this.mapId, seed: this.mapSeed });
+    this.checkTerrainHash(payload.mapHash);
     for (const entry of blocks) {
       const update = normalize(entry);
       if (!update) {
@@ -3907,6 +3949,16 @@ export class Game {
         this.voxelWorld.removeBlock(update.x, update.y, update.z);
       }
     }
+    if (Array.isArray(payload.blockDamage)) {
+      for (const entry of payload.blockDamage) {
+        const x = Math.trunc(Number(entry?.x));
+        const y = Math.trunc(Number(entry?.y));
+        const z = Math.trunc(Number(entry?.z));
+        if (Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(z)) {
+          this.voxelWorld.setBlockDamage(x, y, z, entry.damage);
+        }
+      }
+    }
     this.pendingRemoteBlocks.clear();
     this.setupObjectives();
     this.applyOnlineStatePayload(payload, { showEvent: false });
@@ -3921,6 +3973,26 @@ export class Game {
     }
   }
 
+  // A different hash means this client generated other terrain than the server (an outdated build,
+  // usually), so every block position it shows would be off.
+  checkTerrainHash(expectedHash) {
+    const expected = String(expectedHash ?? "");
+    const actual = this.voxelWorld.terrainHash;
+    if (!expected || expected === actual) {
+      return true;
+    }
+
+    const mismatchKey = `${getMapShareCode(this.mapId, this.mapSeed)}:${expected}`;
+    console.warn(`[map] terrain hash mismatch on ${mismatchKey}: client ${actual}`);
+    if (this.terrainMismatchNotified !== mismatchKey) {
+      this.terrainMismatchNotified = mismatchKey;
+      const message = "지형이 서버와 다릅니다. 페이지를 새로 고침하세요.";
+      this.hud.setStatus(message, true, 4);
+      this.chat?.addSystemMessage(message, "system");
+    }
+    return false;
+  }
+
   applyInventorySnapshot(stockPayload = null, { quiet = true } = {}) {
     const changed = this.buildSystem?.applyStockSnapshot?.(stockPayload) === true;
     if (changed && !quiet) {
@@ -4689,9 +4761,9 @@ export class Game {
 
     const owner = this.objective.controlOwner;
     const progress = this.objective.controlProgress;
-    const isAlpha = owner === "alpha";
-    const baseColor = isAlpha ? 0x62b7ff : 0x96deff;
-    const coreColor = isAlpha ? 0xc4e9ff : 0xbceaff;
+    const tintTeam = owner === "alpha" || owner === "bravo" ? owner : this.objective.controlCapturingTeam;
+    const baseColor = tintTeam === "alpha" ? 0x62b7ff : tintTeam === "bravo" ? 0xff7d6a : 0x96deff;
+    const coreColor = tintTeam === "alpha" ? 0xc4e9ff : tintTeam === "bravo" ? 0xffc8ba : 0xbceaff;
 
     this.controlRing.material.color.setHex(baseColor);
     this.controlRing.material.emissive.setHex(baseColor);
@@ -4713,6 +4785,12 @@ export class Game {
     if (this.activeMatchMode === "online") {
       return this.getOnlineObjectiveText();
     }
+    if (this.isSurvivalMode()) {
+      return this.getSurvivalObjectiveText();
+    }
+    if (this.isEditorMode()) {
+      return "맵 에디터: 1/2 설치/제거 · Z/X 상자 · V 마커 · M 메뉴";
+    }
 
     if (this.objective.playerHasEnemyFlag) {
       return "\uBAA9\uD45C: \uC544\uAD70 \uAC70\uC810\uC73C\uB85C \uBCF5\uADC0\uD558\uC138\uC694";
@@ -4734,6 +4812,7 @@ export class Game {
     this.objective.playerHasEnemyFlag = false;
     this.objective.controlProgress = 0;
     this.objective.controlOwner = "neutral";
+    this.objective.controlCapturingTeam = null;
     this.objective.controlBonusTimer = 0;
     this.objective.controlStatusCooldown = 0;
     this.objective.controlPulse = 0;
@@ -4760,16 +4839,143 @@ export class Game {
     return Math.hypot(dx, dz);
   }
 
+  isSurvivalMode() {
+    return this.activeMatchMode === "single" && this.singleMode === "survival";
+  }
+
+  isEditorMode() {
+    return this.activeMatchMode === "single" && this.singleMode === "editor";
+  }
+
+  // No enemies or objectives: the editor's own markers stand in for the flags and the beacon.
+  startEditor() {
+    this.enemyManager.autoSpawn = false;
+    this.hideSingleObjectiveMarkers();
+    this.buildSystem.setToolMode("place", { silentStatus: true });
+    this.mapEditor.setActive(true, { arenaMeta: this.voxelWorld.getArenaMeta(), name: getMapName(this.mapId) });
+    this.state.objectiveText = this.getObjectiveText();
+    this.hud.setStatus("맵 에디터: M 키로 저장/불러오기 메뉴를 여세요", false, 1.6);
+  }
+
+  loadEditorMap(customMap) {
+    if (!this.isEditorMode()) {
+      return;
+    }
+    this.mapId = registerCustomMap(customMap);
+    this.rebuildArenaWorld({ preserveLobbyGeometry: false });
+    this.setSingleSpawnFromTraining();
+    this.hideSingleObjectiveMarkers();
+    this.mapEditor.setMarkers(this.voxelWorld.getArenaMeta());
+    this.renderSingleMapOptions();
+    this.hud.setStatus(`맵 불러옴: ${customMap.name}`, false, 1);
+  }
+
+  // Built-in maps first, then custom maps saved or imported in the editor.
+  renderSingleMapOptions() {
+    if (!this.singleMapSelect) {
+      return;
+    }
+    const mapIds = [...MAP_IDS, ...getCustomMapIds()];
+    this.singleMapSelect.replaceChildren(
+      ...mapIds.map((mapId) => {
+        const option = document.createElement("option");
+        option.value = mapId;
+        option.textContent = MAP_IDS.includes(mapId) ? getMapName(mapId) : `${getMapName(mapId)} (사용자)`;
+        return option;
+      })
+    );
+    this.singleMapId = mapIds.includes(this.singleMapId) ? this.singleMapId : getDefaultMapId();
+    this.singleMapSelect.value = this.singleMapId;
+  }
+
+  hideSingleObjectiveMarkers() {
+    for (const marker of [this.alphaFlag, this.bravoFlag, this.controlBeacon]) {
+      if (marker) {
+        marker.visible = false;
+      }
+    }
+  }
+
+  startSurvival() {
+    this.enemyManager.autoSpawn = false;
+    this.waveDirector.start();
+    this.hideSingleObjectiveMarkers();
+    this.state.objectiveText = this.getSurvivalObjectiveText();
+    this.hud.setStatus(`첫 웨이브까지 ${this.waveDirector.getBreakSeconds()}초: 방어선을 구축하세요`, false, 1.6);
+  }
+
+  getSurvivalObjectiveText() {
+    const director = this.waveDirector;
+    if (director.phase === WAVE_PHASE.ACTIVE) {
+      return `목표: 웨이브 ${director.wave} 적 ${director.remaining}명 처치`;
+    }
+    return `목표: 다음 웨이브까지 ${director.getBreakSeconds()}초 - 보급과 건설`;
+  }
+
+  resupplySurvivor() {
+    this.state.health = Math.min(100, this.state.health + 35);
+    this.weapon.refillReserves();
+    this.buildSystem.topUpStock();
+  }
+
+  updateSurvival(delta) {
+    const director = this.waveDirector;
+    const event = director.update(delta);
+    if (event?.type === "wave-start") {
+      const label = event.boss ? `보스 웨이브 ${event.wave}` : `웨이브 ${event.wave}`;
+      this.hud.setStatus(`${label} 시작! 적 ${director.plan.total}명`, true, 1.6);
+      this.addChatMessage(`${label} 시작: 적 ${director.plan.total}명 접근 중`, "warning");
+    } else if (event?.type === "wave-clear") {
+      this.resupplySurvivor();
+      this.hud.setStatus(`웨이브 ${event.wave} 돌파! 보급 완료`, false, 1.6);
+      this.addChatMessage(
+        `웨이브 ${event.wave} 돌파. 체력과 탄약, 블록을 보급했습니다. 다음 웨이브까지 ${director.getBreakSeconds()}초`,
+        "info"
+      );
+    }
+
+    const squad = director.takeSquad(this.enemyManager.enemies.length);
+    if (squad) {
+      this.enemyManager.spawn(this.playerPosition, null, squad);
+    }
+
+    const breaking = director.phase === WAVE_PHASE.BREAK;
+    this.state.waveBreak = breaking;
+    if (breaking) {
+      this.state.waveText =
+        director.wave > 0
+          ? `웨이브 ${director.wave} 돌파 · 다음 ${director.getBreakSeconds()}초`
+          : `웨이브 준비 · ${director.getBreakSeconds()}초`;
+    } else {
+      this.state.waveText = `웨이브 ${director.wave} · 남은 적 ${director.remaining}`;
+    }
+    this.state.objectiveText = this.getSurvivalObjectiveText();
+  }
+
   updateObjectives(delta) {
     if (!this.isRunning || this.isGameOver) {
       return;
     }
 
+    if (this.isSurvivalMode()) {
+      this.updateSurvival(delta);
+      return;
+    }
+    if (this.isEditorMode()) {
+      return;
+    }
+
     if (this.activeMatchMode === "online") {
       if (this.onlineCenterFlagCloth) {
         this.onlineCenterFlagPulse += delta * 4.1;
         this.onlineCenterFlagCloth.rotation.y = Math.sin(this.onlineCenterFlagPulse) * 0.17;
       }
+      if (this.controlBeacon?.visible) {
+        const contested = this.onlineCtf.hill.contested;
+        this.objective.controlPulse += delta * (contested ? 7.2 : 2.4 + this.objective.controlProgress * 2);
+        this.controlBeacon.rotation.y += delta * 0.4;
+        this.applyControlVisual((Math.sin(this.objective.controlPulse) + 1) * 0.5);
+      }
       this.state.objectiveText = this.getOnlineObjectiveText();
       this.updateFlagInteractUi();
       return;
@@ -5100,10 +5306,9 @@ export class Game {
         const kills = Math.max(0, Math.trunc(Number(player?.kills ?? 0)));
         const deaths = Math.max(0, Math.trunc(Number(player?.deaths ?? 0)));
         const captures = Math.max(0, Math.trunc(Number(player?.captures ?? 0)));
-        meta.textContent =
-          String(player?.id ?? "") === myId
-            ? `K ${kills} / D ${deaths} / C ${captures} | YOU`
-            : `K ${kills} / D ${deaths} / C ${captures}`;
+        const headshots = Math.max(0, Math.trunc(Number(player?.headshots ?? 0)));
+        const stats = `K ${kills} / D ${deaths} / C ${captures} / HS ${headshots}`;
+        meta.textContent = String(player?.id ?? "") === myId ? `${stats} | YOU` : stats;
         row.appendChild(meta);
 
         listEl.appendChild(row);
@@ -5136,6 +5341,13 @@ export class Game {
       this.ctfScoreBravoEl.textContent = String(bravo);
       this.scoreHudState.bravo = bravo;
     }
+
+    const roundInfo = this.onlineRoundEnded ? "" : this.getOnlineModeAdapter().getHudInfoText(this);
+    if (this.ctfRoundInfoEl && this.scoreHudState.roundInfo !== roundInfo) {
+      this.ctfRoundInfoEl.textContent = roundInfo;
+      this.ctfRoundInfoEl.classList.toggle("hidden", !roundInfo);
+      this.scoreHudState.roundInfo = roundInfo;
+    }
   }
 
   canLocalPickupCenterFlag() {
@@ -5148,7 +5360,7 @@ export class Game {
     ) {
       return false;
     }
-    if (normalizeGameMode(this.onlineCtf.mode) !== GAME_MODE.CTF) {
+    if (!this.getOnlineModeAdapter().usesFlags) {
       return false;
     }
 
@@ -5261,12 +5473,97 @@ export class Game {
       targetScore,
       announce: true
     });
+    this.setMapVoteState(payload?.vote ?? null);
     this.leftMouseDown = false;
     this.rightMouseAiming = false;
     this.isAiming = false;
     this.handlePrimaryActionUp();
   }
 
+  setMapVoteState(vote = null) {
+    const options = Array.isArray(vote?.options) ? vote.options.slice(0, MAP_VOTE_OPTION_COUNT) : [];
+    if (options.length === 0) {
+      this.mapVote = null;
+      this.mapVoteChoice = null;
+      this.renderMapVote();
+      return;
+    }
+
+    const normalizedOptions = options.map((option) => ({
+      id: Math.trunc(Number(option?.id) || 0),
+      mapId: normalizeMapId(option?.mapId),
+      mode: normalizeGameMode(option?.mode)
+    }));
+    const optionKey = normalizedOptions.map((option) => `${option.id}:${option.mapId}:${option.mode}`).join(",");
+    if (this.mapVote?.optionKey !== optionKey) {
+      this.mapVoteChoice = null;
+    }
+    this.mapVote = {
+      optionKey,
+      options: normalizedOptions,
+      counts: normalizedOptions.map((_, index) => Math.max(0, Math.trunc(Number(vote?.counts?.[index]) || 0)))
+    };
+    this.renderMapVote();
+  }
+
+  renderMapVote() {
+    if (!this.mapVoteEl) {
+      return;
+    }
+
+    const visible = Boolean(this.mapVote) && this.activeMatchMode === "online";
+    this.mapVoteEl.classList.toggle("show", visible);
+    this.mapVoteEl.setAttribute("aria-hidden", visible ? "false" : "true");
+    this.mapVoteButtons.forEach((button, index) => {
+      const option = visible ? this.mapVote.options[index] : null;
+      button.hidden = !option;
+      if (!option) {
+        return;
+      }
+      const count = this.mapVote.counts[index] ?? 0;
+      button.textContent = `${index + 1}. ${getMapName(option.mapId)} · ${getGameModeLabel(option.mode)} (${count}표)`;
+      button.classList.toggle("is-active", this.mapVoteChoice === option.id);
+    });
+  }
+
+  castMapVote(index) {
+    const option = this.mapVote?.options[index];
+    const socket = this.chat?.socket;
+    if (!option || !socket || !socket.connected) {
+      return false;
+    }
+
+    socket.emit("vote:cast", { optionId: option.id }, (response = {}) => {
+      if (!response.ok) {
+        this.hud.setStatus(response.error ?? "투표에 실패했습니다.", true, 0.8);
+        return;
+      }
+      this.mapVoteChoice = option.id;
+      this.renderMapVote();
+      this.hud.setStatus(`투표: ${getMapName(option.mapId)} · ${getGameModeLabel(option.mode)}`, false, 0.7);
+    });
+    return true;
+  }
+
+  handleMapVoteResult(payload = {}) {
+    if (!payload.code || this.lobbyState.roomCode !== payload.code) {
+      return;
+    }
+
+    const mapId = normalizeMapId(payload.mapId);
+    const mode = normalizeGameMode(payload.mode);
+    this.lobbyState.mapId = mapId;
+    this.lobbyState.selectedMapId = mapId;
+    this.lobbyState.selectedMode = mode;
+    this.setMapVoteState(null);
+    this.updateLobbyControls();
+    const sourceText = payload.source === "vote" ? "투표 결과" : "로테이션";
+    this.chat?.addSystemMessage(
+      `${sourceText}: 다음 라운드는 ${getMapName(mapId)} · ${getGameModeLabel(mode)}`,
+      "system"
+    );
+  }
+
   setRespawnBanner(message = "", visible = false) {
     if (!this.respawnBannerEl) {
       return;
@@ -5284,11 +5581,25 @@ export class Game {
     this.respawnBannerEl.setAttribute("aria-hidden", "false");
   }
 
+  isSpectatingUntilNextRound() {
+    return (
+      this.activeMatchMode === "online" &&
+      this.isRespawning &&
+      this.respawnEndAt <= 0 &&
+      !this.getOnlineModeAdapter().allowsRespawn
+    );
+  }
+
   beginRespawnCountdown(respawnAtRaw = null) {
     const parsedRespawnAt = Number(respawnAtRaw);
+    const eliminated =
+      this.activeMatchMode === "online" &&
+      !this.getOnlineModeAdapter().allowsRespawn &&
+      !(parsedRespawnAt > 0);
     this.isRespawning = true;
-    this.respawnEndAt =
-      Number.isFinite(parsedRespawnAt) && parsedRespawnAt > Date.now()
+    this.respawnEndAt = eliminated
+      ? 0
+      : Number.isFinite(parsedRespawnAt) && parsedRespawnAt > Date.now()
         ? parsedRespawnAt
         : Date.now() + PVP_RESPAWN_MS;
     this.respawnLastSecond = -1;
@@ -5299,6 +5610,13 @@ export class Game {
     this.isAiming = false;
     this.handlePrimaryActionUp();
 
+    if (eliminated) {
+      const message = "탈락 - 다음 라운드까지 관전합니다";
+      this.setRespawnBanner(message, true);
+      this.hud.setStatus(message, true, 1.2);
+      return;
+    }
+
     const initialSeconds = Math.max(1, Math.ceil((this.respawnEndAt - Date.now()) / 1000));
     const message = `사망 - ${initialSeconds}초 후 부활합니다`;
     this.setRespawnBanner(message, true);
@@ -5310,6 +5628,9 @@ export class Game {
       this.setRespawnBanner("", false);
       return;
     }
+    if (this.isSpectatingUntilNextRound()) {
+      return;
+    }
 
     const remainingMs = this.respawnEndAt - Date.now();
     if (remainingMs <= 0) {
@@ -5349,6 +5670,7 @@ export class Game {
 
     if (id === myId) {
       this.state.health = hp;
+      this.refillExplosives();
       this.state.killStreak = 0;
       this.hud.setKillStreak(0);
       this.isRespawning = false;
@@ -5408,6 +5730,32 @@ export class Game {
     }
   }
 
+  handlePlayerCorrection(payload = {}) {
+    if (this.activeMatchMode !== "online" || !this.isRunning) {
+      return;
+    }
+
+    const x = Number(payload?.state?.x);
+    const y = Number(payload?.state?.y);
+    const z = Number(payload?.state?.z);
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
+      return;
+    }
+
+    this.playerPosition.set(x, y, z);
+    if (this.isPlayerCollidingAt(x, y, z)) {
+      const safeSpawn = this.findSafeSpawnPlacement(x, z, y);
+      if (safeSpawn) {
+        this.playerPosition.set(safeSpawn.x, safeSpawn.y, safeSpawn.z);
+      }
+    }
+    this.verticalVelocity = 0;
+    this.fallStartY = this.playerPosition.y;
+    this.camera.position.copy(this.playerPosition);
+    this.remoteSyncClock = 0;
+    this.hud.setStatus("서버 기준 위치로 보정되었습니다", true, 0.6);
+  }
+
   isEnemyTeam(team) {
     const myTeam = this.getMyTeam();
     return Boolean(myTeam && team && team !== myTeam);
@@ -5627,6 +5975,7 @@ export class Game {
       shoeR,
       targetPosition: new THREE.Vector3(),
       targetYaw: 0,
+      snapshots: new SnapshotBuffer(),
       yaw: 0,
       prevPosition: new THREE.Vector3(Number.NaN, Number.NaN, Number.NaN),
       walkPhase: 0,
@@ -5732,11 +6081,92 @@ export class Game {
     remote.targetPosition.set(x, y - PLAYER_HEIGHT, z);
     remote.targetYaw = Number.isFinite(yaw) ? yaw : 0;
 
+    const updatedAt = Number(state.updatedAt);
+    this.serverClock.observe(updatedAt);
+    const snapshot = {
+      at: Number.isFinite(updatedAt) && updatedAt > 0 ? updatedAt : this.serverClock.now(),
+      x,
+      y: y - PLAYER_HEIGHT,
+      z,
+      yaw: remote.targetYaw
+    };
+
     if (snap) {
+      remote.snapshots.reset(snapshot);
       remote.group.position.copy(remote.targetPosition);
       remote.yaw = remote.targetYaw;
       remote.group.rotation.y = remote.yaw;
+    } else {
+      remote.snapshots.push(snapshot, this.getRemoteRenderTime());
+    }
+  }
+
+  getRemoteRenderTime() {
+    return this.serverClock.now() - REMOTE_INTERP_DELAY_MS;
+  }
+
+  updateServerClockSync() {
+    const socket = this.chat?.socket;
+    if (!socket?.connected || this.clockSyncPending) {
+      return;
+    }
+
+    const now = Date.now();
+    if (now < this.clockSyncNextAt) {
+      return;
+    }
+
+    this.clockSyncPending = true;
+    socket.emit("time:sync", { clientSentAt: now }, (response = {}) => {
+      this.clockSyncPending = false;
+      if (response.ok) {
+        this.serverClock.addSample(response.clientSentAt, response.serverTime, Date.now());
+      }
+    });
+    const warmingUp = this.serverClock.samples < CLOCK_SYNC_WARMUP_SAMPLES;
+    this.clockSyncNextAt = now + (warmingUp ? CLOCK_SYNC_WARMUP_INTERVAL_MS : CLOCK_SYNC_INTERVAL_MS);
+  }
+
+  updateNetDebugOverlay() {
+    if (!this.netDebugEnabled) {
+      return;
+    }
+
+    const now = Date.now();
+    if (now < this.netDebugNextAt) {
+      return;
+    }
+    this.netDebugNextAt = now + NET_DEBUG_REFRESH_MS;
+
+    if (this.activeMatchMode !== "online") {
+      this.hud.setNetDebug("");
+      return;
     }
+
+    const renderTime = this.getRemoteRenderTime();
+    let depthTotal = 0;
+    let depthMin = Infinity;
+    let latePackets = 0;
+    let extrapolating = 0;
+    for (const remote of this.remotePlayers.values()) {
+      const depth = remote.snapshots.getDepth(renderTime);
+      depthTotal += depth;
+      depthMin = Math.min(depthMin, depth);
+      latePackets += remote.snapshots.latePackets;
+      extrapolating += remote.snapshots.extrapolating ? 1 : 0;
+    }
+
+    const count = this.remotePlayers.size;
+    const clock = this.serverClock;
+    this.hud.setNetDebug(
+      [
+        `clock ${clock.synced ? `${Math.round(clock.offsetMs)}ms` : "미동기화"} · rtt ${Math.round(clock.rttMs)}ms`,
+        `원격 ${count}명 · 버퍼 평균 ${count > 0 ? (depthTotal / count).toFixed(1) : "0"} / 최소 ${
+          count > 0 ? depthMin : 0
+        }`,
+        `지연 패킷 ${latePackets} · 외삽 중 ${extrapolating}`
+      ].join("\n")
+    );
   }
 
   setRemoteDowned(remote, respawnAtRaw = 0) {
@@ -5851,6 +6281,7 @@ export class Game {
       const pose = this.getLobbyRemotePreviewTransform(previewIndex);
       remote.targetPosition.set(pose.x, pose.y - PLAYER_HEIGHT, pose.z);
       remote.targetYaw = pose.yaw;
+      remote.snapshots.clear();
       this.clearRemoteDowned(remote);
       previewIndex += 1;
     }
@@ -5914,6 +6345,51 @@ export class Game {
     this.applyRemoteState(remote, payload.state, false);
   }
 
+  getMyNetId() {
+    const myId = this.getMySocketId();
+    const me = this.lobbyState.players.find((player) => String(player?.id ?? "") === myId);
+    return Number(me?.netId) || 0;
+  }
+
+  handleBinaryPlayerBatch(data) {
+    const updates = this.netChannel.readPlayers(data);
+    if (updates.length === 0) {
+      return;
+    }
+
+    const playersByNetId = new Map();
+    for (const player of this.lobbyState.players) {
+      const netId = Number(player?.netId) || 0;
+      if (netId > 0) {
+        playersByNetId.set(netId, player);
+      }
+    }
+
+    for (const update of updates) {
+      const player = playersByNetId.get(update.netId);
+      if (!player) {
+        continue;
+      }
+      this.handleRemotePlayerSync({
+        id: player.id,
+        name: player.name,
+        team: player.team ?? null,
+        state: update.state
+      });
+    }
+  }
+
+  handleBinaryBlockBatch(data) {
+    const myNetId = this.getMyNetId();
+    for (const entry of this.netChannel.readBlocks(data)) {
+      if (myNetId > 0 && entry.actorNetId === myNetId) {
+        continue;
+      }
+      const { actorNetId, ...update } = entry;
+      this.applyRemoteBlockUpdate(update);
+    }
+  }
+
   updateRemotePlayers(delta) {
     if (this.activeMatchMode !== "online") {
       return;
@@ -5941,6 +6417,8 @@ export class Game {
     }
 
     const smooth = THREE.MathUtils.clamp(effectiveDelta * 11, 0.08, 0.92);
+    const renderTime = this.getRemoteRenderTime();
+    const sample = this.remoteSample;
 
     for (const remote of this.remotePlayers.values()) {
       if (!Number.isFinite(remote.prevPosition.x)) {
@@ -5948,14 +6426,19 @@ export class Game {
       }
       const prevX = remote.group.position.x;
       const prevZ = remote.group.position.z;
-      remote.group.position.lerp(remote.targetPosition, smooth);
-      const yawDiff = Math.atan2(
-        Math.sin(remote.targetYaw - remote.yaw),
-        Math.cos(remote.targetYaw - remote.yaw)
-      );
-      remote.yaw += yawDiff * smooth;
-      remote.group.rotation.y = remote.yaw;
-      remote.group.rotation.x = 0;
+      if (!lobbyPreviewActive && remote.snapshots.sample(renderTime, sample)) {
+        remote.group.position.set(sample.x, sample.y, sample.z);
+        remote.yaw = sample.yaw;
+      } else {
+        remote.group.position.lerp(remote.targetPosition, smooth);
+        const yawDiff = Math.atan2(
+          Math.sin(remote.targetYaw - remote.yaw),
+          Math.cos(remote.targetYaw - remote.yaw)
+        );
+        remote.yaw += yawDiff * smooth;
+      }
+      remote.group.rotation.y = remote.yaw;
+      remote.group.rotation.x = 0;
       if (lobbyPreviewActive) {
         remote.group.rotation.z = 0;
         remote.prevPosition.set(remote.group.position.x, remote.group.position.y, remote.group.position.z);
@@ -6211,13 +6694,18 @@ export class Game {
     }
     this.remoteSyncClock = 0;
 
-    socket.emit("player:sync", {
+    const state = {
       x: Number(this.playerPosition.x.toFixed(3)),
       y: Number(this.playerPosition.y.toFixed(3)),
       z: Number(this.playerPosition.z.toFixed(3)),
       yaw: Number(this.yaw.toFixed(4)),
       pitch: Number(this.pitch.toFixed(4))
-    });
+    };
+    if (this.chat?.netProtocol) {
+      socket.emit("player:sync:bin", this.netChannel.encodeLocalSync(state));
+      return;
+    }
+    socket.emit("player:sync", state);
   }
 
   findOnlineShotTarget(maxDistance) {
@@ -6243,14 +6731,14 @@ export class Game {
 
       const base = remote.group.position;
       this._pvpBoxMin.set(
-        base.x - PVP_REMOTE_HITBOX_HALF_WIDTH,
-        base.y + PVP_REMOTE_HITBOX_FOOT_OFFSET,
-        base.z - PVP_REMOTE_HITBOX_HALF_WIDTH
+        base.x - PVP_HITBOX_HALF_WIDTH,
+        base.y + PVP_HITBOX_FOOT_OFFSET,
+        base.z - PVP_HITBOX_HALF_WIDTH
       );
       this._pvpBoxMax.set(
-        base.x + PVP_REMOTE_HITBOX_HALF_WIDTH,
-        base.y + PLAYER_HEIGHT + PVP_REMOTE_HITBOX_TOP_OFFSET,
-        base.z + PVP_REMOTE_HITBOX_HALF_WIDTH
+        base.x + PVP_HITBOX_HALF_WIDTH,
+        base.y + PLAYER_HEIGHT + PVP_HITBOX_TOP_OFFSET,
+        base.z + PVP_HITBOX_HALF_WIDTH
       );
       this._pvpBox.set(this._pvpBoxMin, this._pvpBoxMax);
 
@@ -6268,14 +6756,19 @@ export class Game {
       best = {
         id: remote.id,
         distance,
-        point: hitPoint.clone()
+        point: hitPoint.clone(),
+        hitZone: classifyHitZone(hitPoint.y - base.y)
       };
     }
 
     return best;
   }
 
-  emitPvpShot(targetId) {
+  emitPvpShot(
+    targetId,
+    ray = this.raycaster.ray,
+    { pellets = null, shotAt = Math.round(this.getRemoteRenderTime()) } = {}
+  ) {
     if (!targetId || this.activeMatchMode !== "online") {
       return;
     }
@@ -6285,7 +6778,70 @@ export class Game {
       return;
     }
 
-    socket.emit("pvp:shoot", { targetId });
+    const packDirection = (direction) => ({
+      x: Number(direction.x.toFixed(5)),
+      y: Number(direction.y.toFixed(5)),
+      z: Number(direction.z.toFixed(5))
+    });
+    socket.emit("pvp:shoot", {
+      targetId,
+      origin: {
+        x: Number(ray.origin.x.toFixed(3)),
+        y: Number(ray.origin.y.toFixed(3)),
+        z: Number(ray.origin.z.toFixed(3))
+      },
+      direction: packDirection(ray.direction),
+      pellets: Array.isArray(pellets) ? pellets.map(packDirection) : undefined,
+      shotAt
+    });
+  }
+
+  // Pellets that stopped at a block; the server repeats the raycast and applies the damage.
+  emitBlockShot(origin, directions, shotAt) {
+    const socket = this.chat?.socket;
+    if (this.activeMatchMode !== "online" || !socket?.connected || !this.lobbyState.roomCode) {
+      return;
+    }
+
+    const packDirection = (direction) => ({
+      x: Number(direction.x.toFixed(5)),
+      y: Number(direction.y.toFixed(5)),
+      z: Number(direction.z.toFixed(5))
+    });
+    socket.emit("block:shoot", {
+      origin: {
+        x: Number(origin.x.toFixed(3)),
+        y: Number(origin.y.toFixed(3)),
+        z: Number(origin.z.toFixed(3))
+      },
+      direction: packDirection(directions[0]),
+      pellets: directions.length > 1 ? directions.map(packDirection) : undefined,
+      shotAt
+    });
+  }
+
+  handleBlockDamage(payload = {}) {
+    if (this.activeMatchMode !== "online" || !Array.isArray(payload.blocks)) {
+      return;
+    }
+
+    for (const block of payload.blocks) {
+      const x = Math.trunc(Number(block?.x));
+      const y = Math.trunc(Number(block?.y));
+      const z = Math.trunc(Number(block?.z));
+      if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
+        continue;
+      }
+      if (!block.broken) {
+        this.voxelWorld.setBlockDamage(x, y, z, block.damage);
+        continue;
+      }
+      const typeId = this.voxelWorld.getBlockType(x, y, z);
+      this.pendingRemoteBlocks.delete(toBlockKey(x, y, z));
+      if (typeId !== null && this.voxelWorld.removeBlock(x, y, z)) {
+        this.spawnBlockBreakBurst({ x, y, z }, typeId);
+      }
+    }
   }
 
   handlePvpImmune(payload = {}) {
@@ -6318,6 +6874,8 @@ export class Game {
     const victimHealth = Number(payload.victimHealth);
     const respawnAt = Number(payload.respawnAt);
     const hazardReason = String(payload.hazardReason ?? "").trim();
+    const headshot = payload.hitZone === HIT_ZONE.HEAD;
+    const explosive = getExplosiveDefinition(payload.explosiveType);
     const myId = this.getMySocketId();
     const teamScore = payload?.teamScore ?? null;
     const teamCaptures = payload?.teamCaptures ?? null;
@@ -6369,6 +6927,13 @@ export class Game {
       });
     }
 
+    const attackerHeadshots = Number(payload.attackerHeadshots);
+    if (Number.isFinite(attackerHeadshots)) {
+      updateLobbyPlayer(attackerId, (player) => {
+        player.headshots = Math.max(0, Math.trunc(attackerHeadshots));
+      });
+    }
+
     const victimDeaths = Number(payload.victimDeaths);
     if (Number.isFinite(victimDeaths)) {
       updateLobbyPlayer(victimId, (player) => {
@@ -6402,12 +6967,19 @@ export class Game {
       }
     }
 
+    if (killed && attackerId && !hazardReason) {
+      const attackerName = this.getPlayerNameById(attackerId);
+      const victimName = this.getPlayerNameById(victimId);
+      const suffix = explosive ? ` (${explosive.name})` : headshot ? " (헤드샷)" : "";
+      this.addChatMessage(`${attackerName} ▶ ${victimName}${suffix}`, "kill");
+    }
+
     if (attackerId === myId) {
       if (killed) {
         this.state.kills += 1;
         this.state.score += PVP_KILL_SCORE;
-        this.hud.pulseHitmarker();
-        this.hud.setStatus(`+${PVP_KILL_SCORE} 처치`, false, 0.55);
+        this.hud.pulseHitmarker({ headshot });
+        this.hud.setStatus(`+${PVP_KILL_SCORE} ${headshot ? "헤드샷 처치" : "처치"}`, false, 0.55);
 
         const now = this.clock.getElapsedTime();
         if (now - this.state.lastKillTime < 4.0) {
@@ -6419,7 +6991,7 @@ export class Game {
         this.hud.setKillStreak(this.state.killStreak);
       } else if (damage > 0) {
         this.state.score += PVP_HIT_SCORE;
-        this.hud.pulseHitmarker();
+        this.hud.pulseHitmarker({ headshot });
       }
     }
 
@@ -6439,8 +7011,12 @@ export class Game {
         this.state.health = Math.min(this.state.health, clampedServerHealth);
         if (hazardReason === "fall") {
           this.hud.setStatus(`낙하 피해 -${damage}`, true, 0.45);
+        } else if (hazardReason === "debris") {
+          this.hud.setStatus(`잔해 피해 -${damage}`, true, 0.6);
         } else if (hazardReason === "void") {
           this.hud.setStatus("낙사 피해", true, 0.7);
+        } else if (hazardReason === "explosive" || explosive) {
+          this.hud.setStatus(`폭발 피해 -${damage}`, true, 0.5);
         } else {
           this.hud.setStatus(`피해 -${damage}`, true, 0.35);
         }
@@ -6483,6 +7059,8 @@ export class Game {
       this.addChatMessage("낙사!", "warning");
     } else if (reason === "fall") {
       this.hud.setStatus(`낙하 피해 -${amount}`, true, 0.45);
+    } else if (reason === "explosive") {
+      this.hud.setStatus(`폭발 피해 -${amount}`, true, 0.5);
     } else {
       this.hud.setStatus(`피해 -${amount}`, true, 0.35);
     }
@@ -6515,7 +7093,12 @@ export class Game {
   }
 
   handleLocalBlockChanged(change) {
+    if (Array.isArray(change?.blocks)) {
+      this.handleLocalBlockBatch(change.blocks);
+      return;
+    }
     if (this.activeMatchMode !== "online") {
+      this.enemyManager.reportNoise({ x: change.x + 0.5, y: change.y + 0.5, z: change.z + 0.5 }, "block");
       return;
     }
 
@@ -6579,6 +7162,48 @@ export class Game {
     });
   }
 
+  // Line, wall, floor and stamp placements go out as one block:update; the server takes or
+  // refuses the whole batch, so a refusal rolls every block back.
+  handleLocalBlockBatch(blocks) {
+    if (blocks.length === 0) {
+      return;
+    }
+    if (this.activeMatchMode !== "online") {
+      const first = blocks[0];
+      this.enemyManager.reportNoise({ x: first.x + 0.5, y: first.y + 0.5, z: first.z + 0.5 }, "block");
+      return;
+    }
+
+    const socket = this.chat?.socket;
+    if (!socket?.connected || !this.lobbyState.roomCode) {
+      return;
+    }
+
+    const payload = {
+      action: "place",
+      blocks: blocks.map((block) => ({
+        x: Math.trunc(block.x),
+        y: Math.trunc(block.y),
+        z: Math.trunc(block.z),
+        typeId: Math.trunc(block.typeId)
+      }))
+    };
+    socket.emit("block:update", payload, (response = {}) => {
+      this.applyInventorySnapshot(response?.stock, { quiet: true });
+      if (response?.ok === true) {
+        return;
+      }
+
+      for (const block of payload.blocks) {
+        if (this.voxelWorld.getTypeAt(block.x, block.y, block.z) === block.typeId) {
+          this.voxelWorld.removeBlock(block.x, block.y, block.z);
+        }
+      }
+      const text = String(response?.error ?? "블록 동기화에 실패했습니다.");
+      this.hud.setStatus(text, true, 0.9);
+    });
+  }
+
   normalizeRemoteBlockUpdate(payload = {}) {
     const action = payload.action === "place" ? "place" : payload.action === "remove" ? "remove" : null;
     if (!action) {
@@ -6700,11 +7325,23 @@ export class Game {
       return false;
     }
 
+    if (payload.action === "collapse") {
+      return this.applyStructureCollapse(payload.blocks);
+    }
+
     const sourceId = String(payload.id ?? "");
     if (sourceId && sourceId === this.getMySocketId()) {
       return false;
     }
 
+    if (Array.isArray(payload.blocks)) {
+      let applied = false;
+      for (const block of payload.blocks) {
+        applied = this.applyRemoteBlockUpdate({ ...block, action: payload.action }, { allowQueue }) || applied;
+      }
+      return applied;
+    }
+
     const update = this.normalizeRemoteBlockUpdate(payload);
     if (!update) {
       return false;
@@ -6806,14 +7443,23 @@ export class Game {
     }
 
     if (this.buildSystem.isBuildMode()) {
-      this.buildSystem.handlePointerAction(0, (x, y, z) =>
-        !this.isPlayerIntersectingBlock(x, y, z)
-      );
+      this.handleBuildPointerAction(0);
       return;
     }
 
     this.leftMouseDown = true;
-    this.fire();
+    this.fire({ triggerPressed: true });
+  }
+
+  handleBuildPointerAction(button) {
+    if (this.isEditorMode() && this.mapEditor.handlePointerAction(button, this.buildSystem.getSelectedType().id)) {
+      return;
+    }
+    this.buildSystem.handlePointerAction(button, this.canPlaceLocalBlock);
+  }
+
+  handleBuildPointerRelease(button) {
+    this.buildSystem.handlePointerRelease(button, this.canPlaceLocalBlock);
   }
 
   handlePrimaryActionUp() {
@@ -6946,6 +7592,7 @@ export class Game {
       }
       this.mobileState.firePointerId = null;
       this.handlePrimaryActionUp();
+      this.handleBuildPointerRelease(0);
       if (this.mobileFireButtonEl.hasPointerCapture?.(event.pointerId)) {
         this.mobileFireButtonEl.releasePointerCapture(event.pointerId);
       }
@@ -7192,6 +7839,9 @@ export class Game {
       "ShiftLeft",
       "ShiftRight",
       "KeyR",
+      "KeyB",
+      "KeyG",
+      "KeyC",
       "Digit1",
       "Digit2",
       "Digit3",
@@ -7283,6 +7933,31 @@ export class Game {
         return;
       }
 
+      // While the restart vote is open the number keys pick an option instead of a build mode.
+      const voteKeyMatch = /^(?:Digit|Numpad)([1-9])$/.exec(event.code);
+      if (voteKeyMatch && this.mapVote && Number(voteKeyMatch[1]) <= this.mapVote.options.length) {
+        event.preventDefault();
+        this.castMapVote(Number(voteKeyMatch[1]) - 1);
+        return;
+      }
+
+      if (this.isEditorMode() && event.code === "KeyM") {
+        event.preventDefault();
+        this.keys.clear();
+        if (this.pointerLockSupported && document.pointerLockElement === this.renderer.domElement) {
+          document.exitPointerLock();
+        }
+        return;
+      }
+
+      if (!lobbyActive && this.mapEditor.handleKeyDown(event)) {
+        event.preventDefault();
+        if (this.buildSystem.isGunMode()) {
+          this.buildSystem.setToolMode("place", { silentStatus: true });
+        }
+        return;
+      }
+
       if (!lobbyActive && this.buildSystem.handleKeyDown(event)) {
         event.preventDefault();
         return;
@@ -7293,6 +7968,23 @@ export class Game {
       }
       this.keys.add(event.code);
 
+      const weaponSlotMatch = /^Digit([4-8])$/.exec(event.code);
+      if (weaponSlotMatch && !lobbyActive && this.buildSystem.isGunMode()) {
+        this.equipWeapon(WEAPON_ORDER[Number(weaponSlotMatch[1]) - 4]);
+      }
+
+      if (event.code === "KeyB" && !lobbyActive && this.buildSystem.isGunMode() && this.weapon.cycleFireMode()) {
+        this.hud.setStatus(`사격 모드: ${this.weapon.getState().fireModeLabel}`, false, 0.6);
+      }
+
+      if (event.code === "KeyG" && !lobbyActive) {
+        this.useExplosive(EXPLOSIVE_TYPE.GRENADE);
+      }
+
+      if (event.code === "KeyC" && !lobbyActive) {
+        this.useExplosive(EXPLOSIVE_TYPE.CHARGE);
+      }
+
       if (event.code === "KeyR") {
         if (!this.buildSystem.isGunMode()) {
           this.hud.setStatus("3번 키로 총 모드로 전환하세요.", true, 0.9);
@@ -7440,6 +8132,15 @@ export class Game {
         }
         if (this.buildSystem.handleWheel(event)) {
           event.preventDefault();
+          return;
+        }
+        if (this.buildSystem.isGunMode() && !this.isLobby3DActive()) {
+          event.preventDefault();
+          const now = performance.now();
+          if (now >= this.weaponWheelCooldownUntil) {
+            this.weaponWheelCooldownUntil = now + WEAPON_WHEEL_COOLDOWN_MS;
+            this.cycleWeapon(event.deltaY > 0 ? 1 : -1);
+          }
         }
       },
       { passive: false }
@@ -7456,7 +8157,7 @@ export class Game {
       }
       if (
         target.closest(
-          "#start-overlay.show, #pause-overlay.show, #gameover-overlay.show, #chat-panel, #quick-settings-panel, #quick-settings-btn, #mobile-controls"
+          "#start-overlay.show, #pause-overlay.show, #gameover-overlay.show, #chat-panel, #quick-settings-panel, #quick-settings-btn, #mobile-controls, #map-editor-panel"
         )
       ) {
         return true;
@@ -7522,9 +8223,7 @@ export class Game {
 
       if (this.buildSystem.isBuildMode()) {
         if (event.button === 0 || event.button === 2) {
-          this.buildSystem.handlePointerAction(event.button, (x, y, z) =>
-            !this.isPlayerIntersectingBlock(x, y, z)
-          );
+          this.handleBuildPointerAction(event.button);
           return;
         }
       }
@@ -7552,6 +8251,7 @@ export class Game {
         this.handlePrimaryActionUp();
       }
       if (this.buildSystem.isBuildMode()) {
+        this.handleBuildPointerRelease(event.button);
         return;
       }
 
@@ -7599,6 +8299,18 @@ export class Game {
       this.applyLobbyNickname({ source: "menu", syncToServer: false });
       this.start({ mode: "single" });
     });
+    this.survivalButton?.addEventListener("click", () => {
+      this.applyLobbyNickname({ source: "menu", syncToServer: false });
+      this.start({ mode: "single", singleMode: "survival" });
+    });
+    this.editorButton?.addEventListener("click", () => {
+      this.applyLobbyNickname({ source: "menu", syncToServer: false });
+      this.start({ mode: "single", singleMode: "editor" });
+    });
+    this.singleMapSelect?.addEventListener("change", () => {
+      this.singleMapId = normalizeMapId(this.singleMapSelect.value);
+    });
+    this.renderSingleMapOptions();
 
     this.mpCreateBtn?.addEventListener("click", () => {
       this.applyLobbyNickname({ source: "menu", syncToServer: false });
@@ -7647,6 +8359,8 @@ export class Game {
     };
 
     bindUiInputFocus(this.mpNameInput);
+    bindUiInputFocus(this.mpCodeInput);
+    bindUiInputFocus(this.mpPasswordInput);
     bindUiInputFocus(this.lobbyQuickNameInput);
 
     const commitLobbyNicknameFrom = (source, inputEl) => {
@@ -7685,6 +8399,28 @@ export class Game {
     this.mpCodeInput?.addEventListener("input", () => {
       this.mpCodeInput.value = this.mpCodeInput.value.toUpperCase().replace(/[^A-Z0-9]/g, "");
     });
+    this.mpCodeInput?.addEventListener("keydown", (event) => {
+      if (event.code !== "Enter") {
+        return;
+      }
+      event.preventDefault();
+      this.applyLobbyNickname({ source: "menu", syncToServer: false });
+      this.joinRoomByInputCode();
+    });
+    this.mpRoomListEl?.addEventListener("click", (event) => {
+      const button = event.target?.closest?.("[data-room-code]");
+      if (!button) {
+        return;
+      }
+      this.joinRoom(button.dataset.roomCode);
+    });
+    this.mpPlayerListEl?.addEventListener("click", (event) => {
+      const button = event.target?.closest?.("[data-kick-id]");
+      if (!button) {
+        return;
+      }
+      this.kickPlayer(button.dataset.kickId);
+    });
 
     this.mpLeaveBtn?.addEventListener("click", () => {
       this.leaveRoom();
@@ -7698,9 +8434,43 @@ export class Game {
     this.mpTeamBravoBtn?.addEventListener("click", () => {
       this.setTeam("bravo");
     });
+    for (const button of this.mpModeButtons) {
+      button.addEventListener("click", () => {
+        this.setGameMode(button.dataset.mode);
+      });
+    }
+    this.mpStructureBtn?.addEventListener("click", () => {
+      this.setStructuralIntegrity(!this.lobbyState.structuralIntegrity);
+    });
+    for (const button of this.mpMapButtons) {
+      button.addEventListener("click", () => {
+        this.setMap(button.dataset.mapId);
+      });
+    }
+    this.mpSeedApplyBtn?.addEventListener("click", () => {
+      this.applyMapSeedInput();
+    });
+    this.mpMapSeedInput?.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") {
+        event.preventDefault();
+        this.applyMapSeedInput();
+      }
+    });
+    this.mpSeedRerollBtn?.addEventListener("click", () => {
+      this.setMapSeed({ reroll: true });
+    });
+    this.mpCopyMapCodeBtn?.addEventListener("click", () => {
+      this.copyCurrentMapCode();
+    });
+
+    this.mapVoteButtons.forEach((button, index) => {
+      button.addEventListener("click", () => {
+        this.castMapVote(index);
+      });
+    });
 
     this.restartButton?.addEventListener("click", () => {
-      this.start({ mode: this.activeMatchMode });
+      this.start({ mode: this.activeMatchMode, singleMode: this.singleMode });
     });
 
     this.optionsContinueBtn?.addEventListener("click", () => {
@@ -7789,6 +8559,10 @@ export class Game {
   start(options = {}) {
     const mode = options.mode ?? this.menuMode;
     this.activeMatchMode = mode === "online" ? "online" : "single";
+    this.singleMode =
+      this.activeMatchMode === "single" && (options.singleMode === "survival" || options.singleMode === "editor")
+        ? options.singleMode
+        : "ctf";
     this.setLobby3DActive(false, { reposition: false });
     this.resetState();
     this.setTabScoreboardVisible(false);
@@ -7826,19 +8600,34 @@ export class Game {
     }
 
     this.addChatMessage("작전 시작. 생존하면서 목표를 수행하세요.", "info");
-    this.addChatMessage("목표: 적 기지 깃발을 탈취해 아군 거점으로 복귀하세요.", "info");
-    this.addChatMessage("조작: WASD, SPACE, 1/2/3, R, NumPad1-8", "info");
+    if (this.isEditorMode()) {
+      this.addChatMessage("맵 에디터: 블록 수 제한 없이 짓고 마커로 기지/깃발/거점/스폰 위치를 지정하세요.", "info");
+    } else if (this.isSurvivalMode()) {
+      this.addChatMessage("목표: 몰려오는 적 웨이브를 최대한 오래 버티세요. 휴식 시간에 보급과 건설을 하세요.", "info");
+    } else {
+      this.addChatMessage("목표: 적 기지 깃발을 탈취해 아군 거점으로 복귀하세요.", "info");
+    }
+    this.addChatMessage("조작: WASD, SPACE, 1/2/3, 4-8/휠 무기, B 사격 모드, R, NumPad1-8", "info");
     if (this.activeMatchMode === "online") {
+      this.mapId = normalizeMapId(this.lobbyState.mapId);
+      this.mapSeed = normalizeMapSeed(this.lobbyState.mapSeed);
       this.rebuildArenaWorld({ preserveLobbyGeometry: false });
-      this.hud.setStatus("온라인 매치 시작: AI 비활성화", false, 0.9);
+      this.hud.setStatus(`온라인 매치 시작 (${getMapName(this.mapId)}): AI 비활성화`, false, 0.9);
       this.requestRoomSnapshot();
       this.setOnlineSpawnFromLobby();
       this.syncRemotePlayersFromLobby();
       this.state.objectiveText = this.getOnlineObjectiveText();
       this.emitLocalPlayerSync(REMOTE_SYNC_INTERVAL, true);
     } else {
+      this.mapId = normalizeMapId(this.singleMapId);
+      this.mapSeed = getDefaultMapSeed();
       this.rebuildArenaWorld({ preserveLobbyGeometry: false });
       this.setSingleSpawnFromTraining();
+      if (this.isSurvivalMode()) {
+        this.startSurvival();
+      } else if (this.isEditorMode()) {
+        this.startEditor();
+      }
     }
     if (!this.isLobby3DActive()) {
       this.updateTeamScoreHud();
@@ -7922,8 +8711,13 @@ export class Game {
     this.scoreHudState.show = null;
     this.scoreHudState.alpha = null;
     this.scoreHudState.bravo = null;
+    this.scoreHudState.roundInfo = null;
     this.weapon.reset();
     this.enemyManager.reset();
+    this.enemyManager.autoSpawn = true;
+    this.waveDirector.reset();
+    this.state.waveText = "";
+    this.state.waveBreak = false;
     this.playerPosition.set(0, PLAYER_HEIGHT, 0);
     this.verticalVelocity = 0;
     this.onGround = true;
@@ -7937,9 +8731,13 @@ export class Game {
     this.leftMouseDown = false;
     this.aimBlend = 0;
     this.buildSystem.setToolMode("gun", { silentStatus: true });
+    this.buildSystem.cancelShapeDrag();
     if (this.activeMatchMode === "single") {
       this.buildSystem.resetStockToDefault();
     }
+    this.mapEditor.setActive(false);
+    this.buildSystem.setUnlimitedStock(this.isEditorMode());
+    this.buildSystem.maxReach = this.isEditorMode() ? this.mapEditor.getReach() : BLOCK_REACH;
     this.updateVisualMode(this.buildSystem.getToolMode());
     this.camera.fov = DEFAULT_FOV;
     this.camera.updateProjectionMatrix();
@@ -7950,6 +8748,8 @@ export class Game {
       spark.sprite.material.dispose();
     }
     this.hitSparks.length = 0;
+    this.clearFallingDebris();
+    this.explosives.clear();
 
     this.state.health = 100;
     this.state.score = 0;
@@ -7960,6 +8760,7 @@ export class Game {
     this.state.objectiveText = this.getObjectiveText();
     this.state.killStreak = 0;
     this.state.lastKillTime = 0;
+    this.refillExplosives();
     this._wasReloading = false;
     this.lastDryFireAt = -10;
     this.chatIntroShown = false;
@@ -7978,7 +8779,7 @@ export class Game {
     }
   }
 
-  fire() {
+  fire({ triggerPressed = false } = {}) {
     if (
       !this.isRunning ||
       this.isGameOver ||
@@ -7999,7 +8800,7 @@ export class Game {
       return;
     }
 
-    const shot = this.weapon.tryShoot();
+    const shot = this.weapon.tryShoot({ triggerPressed });
     if (!shot.success) {
       if (shot.reason === "empty") {
         const now = this.clock.getElapsedTime();
@@ -8017,39 +8818,322 @@ export class Game {
     this.sound.play("shot", { rateJitter: 0.035 });
     this.duckCenterAdAudio();
     this.hud.pulseCrosshair();
+    if (this.activeMatchMode !== "online") {
+      this.enemyManager.reportNoise(this.playerPosition, "gunshot");
+    }
     this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
-    const blockHit = this.voxelWorld.raycast(this.raycaster, 120);
-    const maxEnemyDistance = blockHit ? Math.max(0, blockHit.distance - 0.001) : Infinity;
 
-    if (this.activeMatchMode === "online") {
-      if (!this.getMyTeam()) {
-        this.hud.setStatus("공격 전에 팀을 먼저 선택하세요.", true, 0.7);
-        if (blockHit?.point) {
-          this.spawnHitSpark(blockHit.point);
-        }
-        return;
+    const definition = this.weapon.definition;
+    const spread = THREE.MathUtils.lerp(definition.spread.hip, definition.spread.aim, this.aimBlend);
+    const baseRay = this.raycaster.ray.clone();
+
+    if (this.activeMatchMode === "online" && !this.getMyTeam()) {
+      this.hud.setStatus("공격 전에 팀을 먼저 선택하세요.", true, 0.7);
+      const blockHit = this.voxelWorld.raycast(this.raycaster, definition.range);
+      if (blockHit?.point) {
+        this.spawnHitSpark(blockHit.point);
       }
+      return;
+    }
 
-      const remoteHit = this.findOnlineShotTarget(maxEnemyDistance);
-      if (!remoteHit) {
-        if (blockHit?.point) {
-          this.spawnHitSpark(blockHit.point);
+    const remoteHits = new Map();
+    const blockShotDirections = [];
+    for (let pellet = 0; pellet < definition.pellets; pellet += 1) {
+      this.raycaster.ray.origin.copy(baseRay.origin);
+      this.applyShotSpread(this.raycaster.ray.direction.copy(baseRay.direction), spread);
+      const blockHit = this.voxelWorld.raycast(this.raycaster, definition.range);
+      const maxTargetDistance = blockHit ? Math.max(0, blockHit.distance - 0.001) : definition.range;
+
+      if (this.activeMatchMode === "online") {
+        const remoteHit = this.findOnlineShotTarget(maxTargetDistance);
+        if (!remoteHit) {
+          if (blockHit?.point) {
+            this.spawnHitSpark(blockHit.point);
+            blockShotDirections.push(this.raycaster.ray.direction.clone());
+          }
+          continue;
         }
+
+        this.spawnHitSpark(remoteHit.point, {
+          color: remoteHit.hitZone === HIT_ZONE.HEAD ? 0xff8a6a : 0xffd58a,
+          scale: 0.95,
+          lift: 0.3,
+          ttl: 0.22
+        });
+        const directions = remoteHits.get(remoteHit.id) ?? [];
+        directions.push(this.raycaster.ray.direction.clone());
+        remoteHits.set(remoteHit.id, directions);
+        continue;
+      }
+
+      const result = this.enemyManager.handleShot(this.raycaster, maxTargetDistance, {
+        damageAt: (distance, hitZone) =>
+          Math.round(getWeaponDamage(definition.id, distance, hitZone) * PVE_DAMAGE_SCALE)
+      });
+      this.applyPveShotResult(result, blockHit);
+      if (!result.didHit && blockHit) {
+        this.applyLocalBlockDamage(blockHit, getWeaponDamage(definition.id, blockHit.distance, HIT_ZONE.TORSO));
+      }
+    }
+
+    const shotAt = Math.round(this.getRemoteRenderTime());
+    for (const [targetId, directions] of remoteHits) {
+      this.emitPvpShot(targetId, new THREE.Ray(baseRay.origin, directions[0]), {
+        pellets: definition.pellets > 1 ? directions : null,
+        shotAt
+      });
+    }
+    if (blockShotDirections.length > 0) {
+      this.emitBlockShot(baseRay.origin, blockShotDirections, shotAt);
+    }
+  }
+
+  // Offline only: online rooms wait for the server's block:damage instead.
+  applyLocalBlockDamage(hit, damage) {
+    const result = this.voxelWorld.damageBlock(hit.x, hit.y, hit.z, damage);
+    if (result?.broken) {
+      this.spawnBlockBreakBurst(hit, result.typeId);
+      this.enemyManager.reportNoise({ x: hit.x + 0.5, y: hit.y + 0.5, z: hit.z + 0.5 }, "block");
+    }
+    return result;
+  }
+
+  // Enemy rounds that miss the player chew into the first block between the muzzle and the aim point.
+  damageBlockAlong(from, to, damage) {
+    const hit = this.voxelWorld.raycastBetween(from, to);
+    return Boolean(hit && this.applyLocalBlockDamage(hit, damage));
+  }
+
+  spawnBlockBreakBurst(block, typeId) {
+    const center = new THREE.Vector3(block.x + 0.5, block.y + 0.2, block.z + 0.5);
+    this.spawnHitSpark(center, {
+      color: this.voxelWorld.materials[typeId]?.color ?? 0xd6eeff,
+      scale: 1.6,
+      lift: 0.3,
+      ttl: 0.32
+    });
+  }
+
+  refillExplosives() {
+    this.state.grenades = getExplosiveDefinition(EXPLOSIVE_TYPE.GRENADE).carry;
+    this.state.charges = getExplosiveDefinition(EXPLOSIVE_TYPE.CHARGE).carry;
+  }
+
+  getExplosiveStockKey(type) {
+    return type === EXPLOSIVE_TYPE.GRENADE ? "grenades" : "charges";
+  }
+
+  // G throws a grenade along the view; C sticks a charge to the block under the crosshair.
+  useExplosive(type) {
+    const definition = getExplosiveDefinition(type);
+    if (
+      !definition ||
+      !this.isRunning ||
+      this.isGameOver ||
+      this.optionsMenuOpen ||
+      this.isRespawning ||
+      (this.activeMatchMode === "online" && this.onlineRoundEnded) ||
+      this.isUiInputFocused()
+    ) {
+      return;
+    }
+
+    const stockKey = this.getExplosiveStockKey(definition.id);
+    if (this.state[stockKey] <= 0) {
+      this.hud.setStatus(`${definition.name}이(가) 없습니다`, true, 0.6);
+      return;
+    }
+
+    this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
+    const ray = this.raycaster.ray;
+    let chargeHit = null;
+    if (definition.id === EXPLOSIVE_TYPE.CHARGE) {
+      chargeHit = this.voxelWorld.raycast(this.raycaster, BLOCK_REACH);
+      if (!chargeHit) {
+        this.hud.setStatus("폭약을 붙일 블록이 없습니다", true, 0.6);
         return;
       }
+    }
+
+    if (this.activeMatchMode === "online") {
+      this.emitExplosiveUse(definition, ray);
+      return;
+    }
 
-      this.spawnHitSpark(remoteHit.point, {
-        color: 0xffd58a,
-        scale: 0.95,
-        lift: 0.3,
-        ttl: 0.22
+    this.state[stockKey] -= 1;
+    if (chargeHit) {
+      this.explosives.spawn({
+        type: definition.id,
+        position: chargeHit.point.clone().addScaledVector(chargeHit.normal, 0.08),
+        normal: chargeHit.normal,
+        local: true
       });
-      this.emitPvpShot(remoteHit.id);
+      this.hud.setStatus(`${definition.name} 설치`, false, 0.5);
+      return;
+    }
+
+    this.explosives.spawn({
+      type: definition.id,
+      position: ray.origin,
+      velocity: getGrenadeLaunchVelocity(ray.direction),
+      local: true
+    });
+    this.hud.setStatus(`${definition.name} 투척`, false, 0.5);
+  }
+
+  emitExplosiveUse(definition, ray) {
+    const socket = this.chat?.socket;
+    if (!socket?.connected || !this.lobbyState.roomCode) {
+      return;
+    }
+    if (!this.getMyTeam()) {
+      this.hud.setStatus("공격 전에 팀을 먼저 선택하세요.", true, 0.7);
+      return;
+    }
+
+    const stockKey = this.getExplosiveStockKey(definition.id);
+    socket.emit(
+      "explosive:use",
+      {
+        type: definition.id,
+        origin: {
+          x: Number(ray.origin.x.toFixed(3)),
+          y: Number(ray.origin.y.toFixed(3)),
+          z: Number(ray.origin.z.toFixed(3))
+        },
+        direction: {
+          x: Number(ray.direction.x.toFixed(5)),
+          y: Number(ray.direction.y.toFixed(5)),
+          z: Number(ray.direction.z.toFixed(5))
+        }
+      },
+      (response = {}) => {
+        if (!response.ok) {
+          this.hud.setStatus(response.error ?? `${definition.name} 사용 실패`, true, 0.7);
+          return;
+        }
+        const remaining = Number(response.remaining);
+        if (Number.isFinite(remaining)) {
+          this.state[stockKey] = Math.max(0, Math.trunc(remaining));
+        }
+        const verb = definition.id === EXPLOSIVE_TYPE.GRENADE ? "투척" : "설치";
+        this.hud.setStatus(`${definition.name} ${verb}`, false, 0.5);
+      }
+    );
+  }
+
+  // Offline only: carves the blast and hurts the player and nearby enemies.
+  detonateLocalExplosive(explosive, center) {
+    const definition = getExplosiveDefinition(explosive.type);
+    const blastCenter = new THREE.Vector3(center.x, center.y, center.z);
+    this.playExplosionSound(blastCenter);
+
+    const cells = getBlastCells(
+      blastCenter,
+      definition.blastRadius,
+      (x, y, z) => !this.isLobby3DProtectedBlockCoord(x, y, z)
+    );
+    for (const cell of cells) {
+      const typeId = this.voxelWorld.getBlockType(cell.x, cell.y, cell.z);
+      if (typeId && this.voxelWorld.removeBlock(cell.x, cell.y, cell.z)) {
+        this.spawnBlockBreakBurst(cell, typeId);
+      }
+    }
+    this.enemyManager.reportNoise(blastCenter, "explosion");
+
+    const playerDistance = this.playerPosition.distanceTo(blastCenter);
+    const selfDamage = getBlastDamage(definition.id, playerDistance);
+    if (selfDamage > 0 && this.voxelWorld.hasLineOfSight(blastCenter, this.playerPosition)) {
+      this.applyLocalHazardDamage(selfDamage, "explosive");
+    }
+
+    const results = this.enemyManager.applyBlast(blastCenter, (distance) =>
+      Math.round(getBlastDamage(definition.id, distance) * PVE_DAMAGE_SCALE)
+    );
+    for (const result of results) {
+      this.applyPveShotResult(result, null);
+    }
+  }
+
+  playExplosionSound(center) {
+    const distance = this.playerPosition.distanceTo(center);
+    this.sound.play("explosion", {
+      gain: THREE.MathUtils.clamp(1.2 - distance / 60, 0.2, 1),
+      rate: 0.55,
+      rateJitter: 0.05
+    });
+    this.duckCenterAdAudio(240);
+  }
+
+  handleExplosiveSpawn(payload = {}) {
+    if (this.activeMatchMode !== "online" || this.isLobby3DActive()) {
+      return;
+    }
+
+    const id = String(payload.id ?? "");
+    const origin = payload.origin ?? payload.position;
+    const x = Number(origin?.x);
+    const y = Number(origin?.y);
+    const z = Number(origin?.z);
+    if (!id || !Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
+      return;
+    }
+
+    const fuseMs = Number(payload.fuseMs);
+    this.explosives.spawn({
+      id,
+      type: payload.type,
+      position: { x, y, z },
+      velocity: payload.velocity ?? null,
+      normal: payload.normal ?? null,
+      fuseSeconds: Number.isFinite(fuseMs) ? Math.max(0, fuseMs) / 1000 : null
+    });
+  }
+
+  handleExplosiveDetonate(payload = {}) {
+    if (this.activeMatchMode !== "online" || this.isLobby3DActive()) {
       return;
     }
 
-    const result = this.enemyManager.handleShot(this.raycaster, maxEnemyDistance);
+    const center = new THREE.Vector3(Number(payload.x), Number(payload.y), Number(payload.z));
+    if (!Number.isFinite(center.x) || !Number.isFinite(center.y) || !Number.isFinite(center.z)) {
+      return;
+    }
+
+    this.explosives.detonate(String(payload.id ?? ""), center, payload.type);
+    this.playExplosionSound(center);
+    for (const block of Array.isArray(payload.blocks) ? payload.blocks : []) {
+      const x = Math.trunc(Number(block?.x));
+      const y = Math.trunc(Number(block?.y));
+      const z = Math.trunc(Number(block?.z));
+      if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
+        continue;
+      }
+      const typeId = this.voxelWorld.getBlockType(x, y, z);
+      this.pendingRemoteBlocks.delete(toBlockKey(x, y, z));
+      if (typeId && this.voxelWorld.removeBlock(x, y, z)) {
+        this.spawnBlockBreakBurst({ x, y, z }, typeId);
+      }
+    }
+  }
 
+  applyShotSpread(direction, spread) {
+    if (!(spread > 0)) {
+      return direction;
+    }
+
+    const helper = Math.abs(direction.y) < 0.99 ? this._spreadUp.set(0, 1, 0) : this._spreadUp.set(1, 0, 0);
+    const right = this._spreadRight.crossVectors(direction, helper).normalize();
+    const up = this._spreadUp.crossVectors(right, direction).normalize();
+    const angle = Math.random() * Math.PI * 2;
+    const radius = spread * Math.sqrt(Math.random());
+    return direction
+      .addScaledVector(right, Math.cos(angle) * radius)
+      .addScaledVector(up, Math.sin(angle) * radius)
+      .normalize();
+  }
+
+  applyPveShotResult(result, blockHit) {
     if (!result.didHit) {
       if (blockHit?.point) {
         this.spawnHitSpark(blockHit.point);
@@ -8057,13 +9141,20 @@ export class Game {
       return;
     }
 
-    this.hud.pulseHitmarker();
+    const headshot = result.hitZone === HIT_ZONE.HEAD;
+    this.hud.pulseHitmarker({ headshot });
     if (result.hitPoint) {
       this.spawnHitSpark(result.hitPoint);
     }
     this.state.score += result.points;
+    if (this.isSurvivalMode()) {
+      this.waveDirector.recordScore(result.points);
+    }
 
     if (result.didKill) {
+      if (this.isSurvivalMode()) {
+        this.waveDirector.recordKill();
+      }
       this.state.kills += 1;
       const now = this.clock.getElapsedTime();
       if (now - this.state.lastKillTime < 4.0) {
@@ -8072,7 +9163,7 @@ export class Game {
         this.state.killStreak = 1;
       }
       this.state.lastKillTime = now;
-      this.hud.setStatus("+100 처치", false, 0.45);
+      this.hud.setStatus(headshot ? `+${result.points} 헤드샷 처치` : `+${result.points} 처치`, false, 0.45);
       this.hud.setKillStreak(this.state.killStreak);
 
       if (this.state.killStreak >= 3) {
@@ -8081,11 +9172,35 @@ export class Game {
           "streak"
         );
       } else {
-        this.addChatMessage(`적 처치 +100 (총 처치 ${this.state.kills})`, "kill");
+        this.addChatMessage(`적 처치 +${result.points} (총 처치 ${this.state.kills})`, "kill");
       }
     }
   }
 
+  cycleWeapon(step) {
+    const index = WEAPON_ORDER.indexOf(this.weapon.weaponId);
+    const total = WEAPON_ORDER.length;
+    return this.equipWeapon(WEAPON_ORDER[(index + step + total) % total]);
+  }
+
+  equipWeapon(weaponId) {
+    if (!this.weapon.equip(weaponId)) {
+      return false;
+    }
+    this.handlePrimaryActionUp();
+    this.hud.setStatus(`${this.weapon.definition.name} 장착`, false, 0.6);
+    this.emitWeaponEquip();
+    return true;
+  }
+
+  emitWeaponEquip() {
+    const socket = this.chat?.socket;
+    if (!socket?.connected || !this.lobbyState.roomCode) {
+      return;
+    }
+    socket.emit("weapon:equip", { weaponId: this.weapon.weaponId });
+  }
+
   applyMovement(delta) {
     if (
       this.optionsMenuOpen ||
@@ -8093,6 +9208,10 @@ export class Game {
     ) {
       return;
     }
+    if (this.isEditorMode()) {
+      this.applyEditorFlight(delta);
+      return;
+    }
     const wasOnGround = this.onGround;
     if (wasOnGround) {
       this.fallStartY = this.playerPosition.y;
@@ -8243,6 +9362,50 @@ export class Game {
     this.onGround = false;
   }
 
+  // Editor fly camera: no gravity or collisions, SPACE rises and SHIFT sinks.
+  applyEditorFlight(delta) {
+    const forward =
+      (this.keys.has("KeyW") || this.keys.has("ArrowUp") ? 1 : 0) -
+      (this.keys.has("KeyS") || this.keys.has("ArrowDown") ? 1 : 0) +
+      (this.mobileEnabled ? this.mobileState.moveForward : 0);
+    const strafe =
+      (this.keys.has("KeyD") ? 1 : 0) -
+      (this.keys.has("KeyA") || this.keys.has("ArrowLeft") ? 1 : 0) +
+      (this.mobileEnabled ? this.mobileState.moveStrafe : 0);
+    const rise =
+      (this.keys.has("Space") ? 1 : 0) -
+      (this.keys.has("ShiftLeft") || this.keys.has("ShiftRight") ? 1 : 0);
+
+    const sinYaw = Math.sin(this.yaw);
+    const cosYaw = Math.cos(this.yaw);
+    this.moveVec
+      .set(0, 0, 0)
+      .addScaledVector(this.moveForwardVec.set(-sinYaw, 0, -cosYaw), THREE.MathUtils.clamp(forward, -1, 1))
+      .addScaledVector(this.moveRightVec.set(cosYaw, 0, -sinYaw), THREE.MathUtils.clamp(strafe, -1, 1));
+    if (this.moveVec.lengthSq() > 1) {
+      this.moveVec.normalize();
+    }
+
+    this.playerPosition.x = THREE.MathUtils.clamp(
+      this.playerPosition.x + this.moveVec.x * EDITOR_FLY_SPEED * delta,
+      -WORLD_LIMIT,
+      WORLD_LIMIT
+    );
+    this.playerPosition.z = THREE.MathUtils.clamp(
+      this.playerPosition.z + this.moveVec.z * EDITOR_FLY_SPEED * delta,
+      -WORLD_LIMIT,
+      WORLD_LIMIT
+    );
+    this.playerPosition.y = THREE.MathUtils.clamp(
+      this.playerPosition.y + rise * EDITOR_FLY_VERTICAL_SPEED * delta,
+      EDITOR_FLY_MIN_Y,
+      EDITOR_FLY_MAX_Y
+    );
+    this.verticalVelocity = 0;
+    this.onGround = false;
+    this.fallStartY = this.playerPosition.y;
+  }
+
   updateCamera(delta) {
     const gunMode = this.buildSystem.isGunMode();
     const digMode = this.buildSystem.isDigMode();
@@ -8393,18 +9556,12 @@ export class Game {
     const lobbyActive = this.isLobby3DActive();
     this.syncRuntimePerformanceBudget(lobbyActive);
 
-    this._bucketOptimizeCooldown -= delta;
-    if (this._bucketOptimizeCooldown <= 0) {
-      this._bucketOptimizeCooldown = BUCKET_OPTIMIZE_INTERVAL;
-      if (this.voxelWorld.bucketOptimizeDirty) {
-        this.voxelWorld.optimizeBucketRendering();
-      }
-    }
-
     this.updateTeamScoreHud();
     this.updateFlagInteractUi();
 
     this.updateSparks(delta);
+    this.updateFallingDebris(delta);
+    this.explosives.update(delta);
     this.updatePortalFx(delta);
     if (!lobbyActive) {
       this.updateSky(delta);
@@ -8424,12 +9581,14 @@ export class Game {
     }
 
     if (this.activeMatchMode === "online") {
+      this.updateServerClockSync();
       this.updateRemotePlayers(delta);
       if (!lobbyActive) {
         this.processPendingRemoteBlocks(delta);
       }
       this.emitLocalPlayerSync(delta);
     }
+    this.updateNetDebugOverlay();
 
     this.updateOnlineRoundCountdown();
     this.updateRespawnCountdown();
@@ -8445,7 +9604,8 @@ export class Game {
       this.hud.update(delta, {
         ...this.state,
         ...this.weapon.getState(),
-        enemyCount: aiEnabled ? this.enemyManager.enemies.length : 0
+        enemyCount: aiEnabled ? this.enemyManager.enemies.length : 0,
+        threat: null
       });
       return;
     }
@@ -8456,7 +9616,8 @@ export class Game {
       this.hud.update(delta, {
         ...this.state,
         ...this.weapon.getState(),
-        enemyCount: aiEnabled ? this.enemyManager.enemies.length : 0
+        enemyCount: aiEnabled ? this.enemyManager.enemies.length : 0,
+        threat: aiEnabled ? this.enemyManager.threat : null
       });
       return;
     }
@@ -8469,18 +9630,23 @@ export class Game {
       this.hud.update(delta, {
         ...this.state,
         ...this.weapon.getState(),
-        enemyCount: aiEnabled ? this.enemyManager.enemies.length : 0
+        enemyCount: aiEnabled ? this.enemyManager.enemies.length : 0,
+        threat: aiEnabled ? this.enemyManager.threat : null
       });
       return;
     }
 
-    if (gunMode && this.leftMouseDown) {
-      this.fire();
+    if (gunMode && (this.leftMouseDown || this.weapon.hasPendingBurst())) {
+      this.fire({ triggerPressed: false });
     }
 
     this.applyMovement(delta);
     this.updateCamera(delta);
     this.updateObjectives(delta);
+    if (this.isEditorMode()) {
+      this.mapEditor.update();
+    }
+    this.buildSystem.update(this.canPlaceLocalBlock);
 
     const weapState = this.weapon.getState();
     if (gunMode && !this._wasReloading && weapState.reloading) {
@@ -8490,14 +9656,17 @@ export class Game {
     this._wasReloading = gunMode ? weapState.reloading : false;
 
     if (aiEnabled) {
-      const combatResult = this.enemyManager.update(delta, this.playerPosition, {
-        alphaBase: this.objective.alphaBase,
-        bravoBase: this.objective.bravoBase,
-        controlPoint: this.objective.controlPoint,
-        controlRadius: this.objective.controlRadius,
-        controlOwner: this.objective.controlOwner,
-        playerHasEnemyFlag: this.objective.playerHasEnemyFlag
-      });
+      const objectiveContext = this.isSurvivalMode()
+        ? null
+        : {
+            alphaBase: this.objective.alphaBase,
+            bravoBase: this.objective.bravoBase,
+            controlPoint: this.objective.controlPoint,
+            controlRadius: this.objective.controlRadius,
+            controlOwner: this.objective.controlOwner,
+            playerHasEnemyFlag: this.objective.playerHasEnemyFlag
+          };
+      const combatResult = this.enemyManager.update(delta, this.playerPosition, objectiveContext);
 
       const damage = combatResult.damage ?? 0;
       if (damage > 0) {
@@ -8508,6 +9677,10 @@ export class Game {
         if (this.state.health <= 25 && this.state.health > 0) {
           this.addChatMessage("체력이 낮습니다", "warning");
         }
+      } else if (combatResult.blocksBroken > 0) {
+        this.hud.setStatus("적 공병이 방벽을 파괴하고 있습니다", true, 0.7);
+      } else if (combatResult.blocksPlaced > 0) {
+        this.hud.setStatus("적이 엄폐물을 쌓고 있습니다", false, 0.6);
       } else if (combatResult.firedShots > 0) {
         this.hud.setStatus("아쉽습니다! 탄환이 빗나갔습니다", true, 0.16);
       }
@@ -8526,7 +9699,7 @@ export class Game {
         }
       }
       this.addChatMessage("작전 실패. 다시 배치 후 전선을 회복하세요.", "warning");
-      this.hud.showGameOver(this.state.score);
+      this.hud.showGameOver(this.state.score, this.isSurvivalMode() ? this.waveDirector.history : null);
       this.syncCursorVisibility();
       if (document.pointerLockElement === this.renderer.domElement) {
         document.exitPointerLock();
@@ -8536,7 +9709,8 @@ export class Game {
     this.hud.update(delta, {
       ...this.state,
       ...weapState,
-      enemyCount: aiEnabled ? this.enemyManager.enemies.length : 0
+      enemyCount: aiEnabled ? this.enemyManager.enemies.length : 0,
+      threat: aiEnabled ? this.enemyManager.threat : null
     });
   }
 
@@ -8594,7 +9768,7 @@ export class Game {
     const delta = Math.min(this.clock.getDelta(), 0.05);
     this.trackFrameTiming(delta);
     this.tick(delta);
-    this.voxelWorld.flushDirtyBounds();
+    this.voxelWorld.flushDirtyChunks();
     this.renderer.render(this.scene, this.camera);
     requestAnimationFrame(() => this.loop());
   }
@@ -8815,6 +9989,81 @@ export class Game {
     }
   }
 
+  // The server already removed these blocks; they only fall as debris meshes until they land.
+  applyStructureCollapse(blocks) {
+    if (!Array.isArray(blocks) || blocks.length === 0) {
+      return false;
+    }
+
+    const removed = [];
+    for (const block of blocks) {
+      const update = this.normalizeRemoteBlockUpdate({ ...block, action: "remove" });
+      if (!update) {
+        continue;
+      }
+      const typeId = this.voxelWorld.getBlockType(update.x, update.y, update.z);
+      this.pendingRemoteBlocks.delete(toBlockKey(update.x, update.y, update.z));
+      if (typeId !== null && this.voxelWorld.removeBlock(update.x, update.y, update.z)) {
+        removed.push({ ...update, typeId });
+      }
+    }
+    for (const block of removed) {
+      this.spawnFallingDebris(block);
+    }
+    return removed.length > 0;
+  }
+
+  spawnFallingDebris({ x, y, z, typeId }) {
+    if (this.fallingDebris.length >= MAX_FALLING_DEBRIS) {
+      return;
+    }
+
+    this.debrisGeometry ??= new THREE.BoxGeometry(0.9, 0.9, 0.9);
+    const mesh = new THREE.Mesh(this.debrisGeometry, this.voxelWorld.materials[typeId]);
+    mesh.position.set(x + 0.5, y + 0.5, z + 0.5);
+    mesh.castShadow = true;
+    this.scene.add(mesh);
+
+    let floorY = y - 1;
+    while (floorY > y - 48 && !this.voxelWorld.hasBlock(x, floorY, z)) {
+      floorY -= 1;
+    }
+    this.fallingDebris.push({
+      mesh,
+      velocity: 0,
+      spin: new THREE.Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5),
+      landY: floorY + 1.45,
+      life: DEBRIS_MAX_SECONDS
+    });
+  }
+
+  updateFallingDebris(delta) {
+    for (let i = this.fallingDebris.length - 1; i >= 0; i -= 1) {
+      const debris = this.fallingDebris[i];
+      debris.life -= delta;
+      debris.velocity += DEBRIS_GRAVITY * delta;
+      debris.mesh.position.y -= debris.velocity * delta;
+      debris.mesh.rotation.x += debris.spin.x * 6 * delta;
+      debris.mesh.rotation.y += debris.spin.y * 6 * delta;
+      debris.mesh.rotation.z += debris.spin.z * 6 * delta;
+
+      if (debris.mesh.position.y <= debris.landY || debris.life <= 0) {
+        if (debris.life > 0) {
+          this.spawnHitSpark(debris.mesh.position, { color: 0xc9b79a, scale: 1.1, lift: 0.1, ttl: 0.3 });
+        }
+        this.scene.remove(debris.mesh);
+        this.fallingDebris.splice(i, 1);
+      }
+    }
+  }
+
+  clearFallingDebris() {
+    for (const debris of this.fallingDebris) {
+      this.scene.remove(debris.mesh);
+    }
+    this.fallingDebris.length = 0;
+  }
+
   addChatMessage(text, type = "info") {
     if (!this.chat) {
       return;
@@ -8835,6 +10084,10 @@ export class Game {
     this._lobbySocketBound = true;
 
     socket.on("connect", () => {
+      this.serverClock.reset();
+      this.netChannel.reset();
+      this.clockSyncNextAt = 0;
+      this.clockSyncPending = false;
       this.syncLobbyNicknameInputs(this.chat?.playerName ?? "", { force: false });
       this.refreshOnlineStatus();
       this.requestRoomList();
@@ -8882,6 +10135,34 @@ export class Game {
       this.applyRemoteBlockUpdate(payload);
     });
 
+    socket.on("net:ack", (seq) => {
+      this.netChannel.acknowledge(Number(seq));
+    });
+
+    socket.on("net:resync", () => {
+      this.netChannel.resync();
+    });
+
+    socket.on("net:players", (data) => {
+      this.handleBinaryPlayerBatch(data);
+    });
+
+    socket.on("net:blocks", (data) => {
+      this.handleBinaryBlockBatch(data);
+    });
+
+    socket.on("block:damage", (payload) => {
+      this.handleBlockDamage(payload);
+    });
+
+    socket.on("explosive:spawn", (payload) => {
+      this.handleExplosiveSpawn(payload);
+    });
+
+    socket.on("explosive:detonate", (payload) => {
+      this.handleExplosiveDetonate(payload);
+    });
+
     socket.on("pvp:damage", (payload) => {
       this.handlePvpDamage(payload);
     });
@@ -8894,6 +10175,10 @@ export class Game {
       this.handlePlayerRespawn(payload);
     });
 
+    socket.on("player:correction", (payload) => {
+      this.handlePlayerCorrection(payload);
+    });
+
     socket.on("ctf:update", (payload) => {
       this.applyOnlineStatePayload(payload, { showEvent: true, applyAd: false });
     });
@@ -8905,6 +10190,16 @@ export class Game {
       this.handleOnlineMatchEnd(payload);
     });
 
+    socket.on("vote:update", (payload = {}) => {
+      if (payload.code && this.lobbyState.roomCode === payload.code) {
+        this.setMapVoteState(payload);
+      }
+    });
+
+    socket.on("vote:result", (payload) => {
+      this.handleMapVoteResult(payload);
+    });
+
     socket.on("room:started", ({ code, startedAt }) => {
       if (!code || this.lobbyState.roomCode !== code) {
         return;
@@ -8920,6 +10215,9 @@ export class Game {
 
       const alreadyRunningOnline =
         this.activeMatchMode === "online" && this.isRunning && !this.onlineRoundEnded;
+      this.explosives.clear();
+      this.refillExplosives();
+      this.setMapVoteState(null);
       this.setOnlineRoundState({
         ended: false,
         winnerTeam: null,
@@ -8936,6 +10234,12 @@ export class Game {
       this.start({ mode: "online" });
     });
 
+    socket.on("room:kicked", (payload = {}) => {
+      this.setLobbyState(payload.room ?? null);
+      this.requestRoomList();
+      this.hud.setStatus(`방장이 ${String(payload.code ?? "")} 방에서 강퇴했습니다.`, true, 1.4);
+    });
+
     socket.on("room:error", (message) => {
       const text = String(message ?? "로비 오류");
       this.hud.setStatus(text, true, 1.2);
@@ -8981,7 +10285,7 @@ export class Game {
       return;
     }
 
-    if (this.lobbyState.roomCode === ONLINE_ROOM_CODE) {
+    if (this.lobbyState.roomCode) {
       return;
     }
 
@@ -9022,22 +10326,59 @@ export class Game {
       return;
     }
 
-    const globalRoom =
-      list.find((room) => String(room.code ?? "").toUpperCase() === ONLINE_ROOM_CODE) ??
-      list[0] ??
-      null;
-    if (!globalRoom) {
+    if (list.length === 0) {
       this.mpRoomListEl.innerHTML = '<div class="mp-empty">GLOBAL 방 정보를 불러오지 못했습니다.</div>';
       return;
     }
 
-    const playerCount = Number(globalRoom.count ?? this.lobbyState.players.length ?? 0);
-    this.mpRoomListEl.innerHTML =
-      `<div class="mp-room-row is-single">` +
-      `<div class="mp-room-label">${ONLINE_ROOM_CODE}  ${playerCount}/${ONLINE_MAX_PLAYERS}` +
-      `<span class="mp-room-host">24시간 운영</span>` +
-      `</div>` +
-      `</div>`;
+    this.mpRoomListEl.innerHTML = "";
+    for (const room of list) {
+      const code = String(room.code ?? "").toUpperCase();
+      if (!code) {
+        continue;
+      }
+      const persistent = code === ONLINE_ROOM_CODE || Boolean(room.persistent);
+      const count = Number(room.count ?? 0);
+      const capacity = Number(room.capacity ?? ONLINE_MAX_PLAYERS);
+      const isCurrent = code === this.lobbyState.roomCode;
+
+      const row = document.createElement("div");
+      row.className = "mp-room-row";
+      row.classList.toggle("is-current", isCurrent);
+
+      const label = document.createElement("div");
+      label.className = "mp-room-label";
+      label.textContent = `${code}  ${count}/${capacity}`;
+      if (normalizeGameMode(room.mode) !== DEFAULT_GAME_MODE) {
+        label.append(` ${getGameModeLabel(room.mode)}`);
+      }
+      if (normalizeMapId(room.mapId) !== getDefaultMapId()) {
+        label.append(` ${getMapName(room.mapId)}`);
+      }
+      if (room.locked) {
+        const lockTag = document.createElement("span");
+        lockTag.className = "mp-tag lock-tag";
+        lockTag.textContent = "비밀번호";
+        label.append(" ", lockTag);
+      }
+      const host = document.createElement("span");
+      host.className = "mp-room-host";
+      host.textContent = persistent
+        ? "24시간 운영"
+        : `방장 ${room.hostName ?? "-"}${room.started ? " | 경기 중" : ""}`;
+      label.appendChild(host);
+      row.appendChild(label);
+
+      const joinBtn = document.createElement("button");
+      joinBtn.type = "button";
+      joinBtn.className = "mp-icon-btn";
+      joinBtn.dataset.roomCode = code;
+      joinBtn.textContent = isCurrent ? "참가 중" : "참가";
+      joinBtn.disabled = isCurrent || count >= capacity;
+      row.appendChild(joinBtn);
+
+      this.mpRoomListEl.appendChild(row);
+    }
   }
 
   syncLobbyNicknameInputs(name, { force = false } = {}) {
@@ -9187,7 +10528,7 @@ export class Game {
         nextText = "GLOBAL 자동 참가 중...";
       } else {
         nextText =
-          `대기 인원 ${count}/${ONLINE_MAX_PLAYERS} | 블루 ${alphaCount} 레드 ${bravoCount} | TAB 순위`;
+          `대기 인원 ${count}/${this.lobbyState.capacity} | 블루 ${alphaCount} 레드 ${bravoCount} | TAB 순위`;
       }
       if (nextText !== this._lastLobbyQuickCountText) {
         this.lobbyQuickCountEl.textContent = nextText;
@@ -9318,8 +10659,17 @@ export class Game {
       this.applyDailyLeaderboardPayload(null);
       this.lobbyState.roomCode = null;
       this.lobbyState.hostId = null;
+      this.lobbyState.capacity = ONLINE_MAX_PLAYERS;
+      this.lobbyState.persistent = true;
+      this.lobbyState.locked = false;
       this.lobbyState.players = [];
       this.lobbyState.selectedTeam = null;
+      this.lobbyState.selectedMode = DEFAULT_GAME_MODE;
+      this.lobbyState.mapId = getDefaultMapId();
+      this.lobbyState.selectedMapId = getDefaultMapId();
+      this.lobbyState.mapSeed = getDefaultMapSeed();
+      this.lobbyState.selectedMapSeed = getDefaultMapSeed();
+      this.lobbyState.structuralIntegrity = false;
       this.lastRoomStartedAt = 0;
       this.latestRoomSnapshot = null;
       this.pendingRemoteBlocks.clear();
@@ -9359,24 +10709,49 @@ export class Game {
       return;
     }
 
-    this.lobbyState.roomCode = String(room.code ?? "");
+    const nextRoomCode = String(room.code ?? "");
+    const previousRoomCode = this.lobbyState.roomCode;
+    if (previousRoomCode && previousRoomCode !== nextRoomCode) {
+      if (this.activeMatchMode === "online" && this.isRunning) {
+        this.exitOnlineMatchToLobby3D();
+      }
+      this.lastRoomStartedAt = 0;
+      this.latestRoomSnapshot = null;
+      this.pendingRemoteBlocks.clear();
+      this.clearRemotePlayers();
+    }
+
+    this.lobbyState.roomCode = nextRoomCode;
     this.lobbyState.hostId = String(room.hostId ?? "");
+    this.lobbyState.capacity = Number(room.capacity) > 0 ? Number(room.capacity) : ONLINE_MAX_PLAYERS;
+    this.lobbyState.persistent = nextRoomCode === ONLINE_ROOM_CODE || Boolean(room.persistent);
+    this.lobbyState.locked = Boolean(room.locked);
     this.lobbyState.players = Array.isArray(room.players) ? room.players : [];
+    this.lobbyState.selectedMode = normalizeGameMode(room.selectedMode ?? room.mode);
+    this.lobbyState.mapId = normalizeMapId(room.mapId);
+    this.lobbyState.selectedMapId = normalizeMapId(room.selectedMapId ?? room.mapId);
+    this.lobbyState.mapSeed = normalizeMapSeed(room.mapSeed);
+    this.lobbyState.selectedMapSeed = normalizeMapSeed(room.selectedMapSeed ?? room.mapSeed);
+    this.lobbyState.structuralIntegrity = Boolean(room.structuralIntegrity);
     this.applyDailyLeaderboardPayload(room.dailyLeaderboard ?? null);
 
     const myId = this.chat?.socket?.id ?? "";
     const me = this.lobbyState.players.find((player) => player.id === myId) ?? null;
     this.lobbyState.selectedTeam = me?.team ?? null;
     this.applyInventorySnapshot(me?.stock ?? null, { quiet: true });
+    if (me && me.weaponId !== this.weapon.weaponId) {
+      this.emitWeaponEquip();
+    }
     if (me?.name) {
       this.chat?.setPlayerName?.(me.name);
       this.syncLobbyNicknameInputs(me.name, { force: false });
     }
 
     if (this.mpRoomTitleEl) {
-      this.mpRoomTitleEl.textContent = `${this.lobbyState.roomCode} (${this.lobbyState.players.length}/${ONLINE_MAX_PLAYERS})`;
+      this.mpRoomTitleEl.textContent = `${this.lobbyState.roomCode} (${this.lobbyState.players.length}/${this.lobbyState.capacity})`;
     }
 
+    const canKick = !this.lobbyState.persistent && !!myId && this.lobbyState.hostId === myId;
     if (this.mpPlayerListEl) {
       this.mpPlayerListEl.innerHTML = "";
       for (const player of this.lobbyState.players) {
@@ -9412,6 +10787,15 @@ export class Game {
           line.appendChild(hostTag);
         }
 
+        if (canKick && player.id !== myId) {
+          const kickBtn = document.createElement("button");
+          kickBtn.type = "button";
+          kickBtn.className = "mp-danger-btn";
+          kickBtn.dataset.kickId = player.id;
+          kickBtn.textContent = "강퇴";
+          line.appendChild(kickBtn);
+        }
+
         this.mpPlayerListEl.appendChild(line);
       }
 
@@ -9430,7 +10814,14 @@ export class Game {
     }
 
     if (this.mpRoomSubtitleEl) {
-      this.mpRoomSubtitleEl.textContent = `24시간 GLOBAL 방 | ${this.lobbyState.players.length}/${ONLINE_MAX_PLAYERS}`;
+      const countText = `${this.lobbyState.players.length}/${this.lobbyState.capacity}`;
+      const mapText = `${getMapName(this.lobbyState.mapId)} ${getMapShareCode(
+        this.lobbyState.mapId,
+        this.lobbyState.mapSeed
+      )}`;
+      this.mpRoomSubtitleEl.textContent = this.lobbyState.persistent
+        ? `24시간 GLOBAL 방 | ${mapText} | ${countText}`
+        : `${this.lobbyState.locked ? "비밀번호 " : ""}비공개 방 | ${mapText} | ${countText}`;
     }
 
     this.mpTeamAlphaBtn?.classList.toggle("is-active", this.lobbyState.selectedTeam === "alpha");
@@ -9440,6 +10831,17 @@ export class Game {
       showEvent: false,
       applyAd: !(this.activeMatchMode === "online" && this.isRunning)
     });
+    if (
+      this.activeMatchMode === "online" &&
+      this.isRunning &&
+      !this.isRespawning &&
+      !this.getOnlineModeAdapter().allowsRespawn &&
+      me &&
+      Number(me.hp) <= 0
+    ) {
+      this.state.health = 0;
+      this.beginRespawnCountdown(Number(me.respawnAt) || 0);
+    }
     this.syncRemotePlayersFromLobby();
     if (this.isLobby3DActive() && !this.isRunning) {
       this.applyLobbyRemotePreviewTargets();
@@ -9499,17 +10901,84 @@ export class Game {
 
   createRoom() {
     this.applyLobbyNickname({ source: "menu", syncToServer: false });
-    this.joinDefaultRoom();
+    const socket = this.chat?.socket;
+    if (!socket || !socket.connected) {
+      this.hud.setStatus("서버가 오프라인입니다.", true, 1);
+      return;
+    }
+
+    const payload = {
+      name: this.chat?.playerName,
+      password: String(this.mpPasswordInput?.value ?? "").trim(),
+      capacity: Number(this.mpCapacitySelect?.value ?? 0) || undefined
+    };
+    socket.emit("room:create", payload, (response = {}) => {
+      if (!response.ok) {
+        this.hud.setStatus(response.error ?? "방 만들기에 실패했습니다.", true, 1);
+        return;
+      }
+      this.setLobbyState(response.room ?? null);
+      this.requestRoomSnapshot();
+      this.requestRoomList();
+      this.hud.setStatus(`방 생성 완료: ${response.room?.code ?? ""}`, false, 1);
+    });
   }
 
   joinRoomByInputCode() {
     this.applyLobbyNickname({ source: "menu", syncToServer: false });
-    this.joinDefaultRoom();
+    const code = String(this.mpCodeInput?.value ?? "").trim().toUpperCase();
+    if (!code) {
+      this.hud.setStatus("참가할 방 코드를 입력하세요.", true, 0.9);
+      return;
+    }
+    this.joinRoom(code);
   }
 
-  joinRoom(_code) {
+  joinRoom(code) {
     this.applyLobbyNickname({ source: "menu", syncToServer: false });
-    this.joinDefaultRoom();
+    const socket = this.chat?.socket;
+    if (!socket || !socket.connected) {
+      this.hud.setStatus("서버가 오프라인입니다.", true, 1);
+      return;
+    }
+
+    const roomCode = String(code ?? "").trim().toUpperCase();
+    if (!roomCode || roomCode === this.lobbyState.roomCode) {
+      return;
+    }
+
+    const payload = {
+      code: roomCode,
+      name: this.chat?.playerName,
+      password: String(this.mpPasswordInput?.value ?? "").trim()
+    };
+    socket.emit("room:join", payload, (response = {}) => {
+      if (!response.ok) {
+        this.hud.setStatus(response.error ?? "방 참가에 실패했습니다.", true, 1);
+        this.requestRoomList();
+        return;
+      }
+      this.setLobbyState(response.room ?? null);
+      this.requestRoomSnapshot();
+      this.requestRoomList();
+      this.hud.setStatus(`${response.room?.code ?? roomCode} 방에 참가했습니다.`, false, 0.9);
+    });
+  }
+
+  kickPlayer(playerId) {
+    const socket = this.chat?.socket;
+    const targetId = String(playerId ?? "");
+    if (!socket || !socket.connected || !targetId) {
+      return;
+    }
+
+    socket.emit("room:kick", { targetId }, (response = {}) => {
+      if (!response.ok) {
+        this.hud.setStatus(response.error ?? "강퇴에 실패했습니다.", true, 1);
+        return;
+      }
+      this.hud.setStatus("플레이어를 강퇴했습니다.", false, 0.8);
+    });
   }
 
   leaveRoom() {
@@ -9527,8 +10996,119 @@ export class Game {
       }
 
       this.setLobbyState(response.room ?? null);
+      this.requestRoomSnapshot();
       this.requestRoomList();
-      this.hud.setStatus("로비 상태를 새로고침했습니다.", false, 0.75);
+      this.hud.setStatus("GLOBAL 방으로 돌아왔습니다.", false, 0.75);
+    });
+  }
+
+  setGameMode(mode) {
+    const nextMode = normalizeGameMode(mode);
+    const socket = this.chat?.socket;
+    if (!socket || !socket.connected || !this.lobbyState.roomCode) {
+      this.hud.setStatus("모드 선택 전에 먼저 방에 참가하세요.", true, 0.8);
+      return;
+    }
+
+    socket.emit("room:set-mode", { mode: nextMode }, (response = {}) => {
+      if (!response.ok) {
+        this.hud.setStatus(response.error ?? "모드 변경에 실패했습니다.", true, 1);
+        return;
+      }
+
+      this.lobbyState.selectedMode = normalizeGameMode(response.mode ?? nextMode);
+      this.updateLobbyControls();
+      this.hud.setStatus(`게임 모드: ${getGameModeLabel(this.lobbyState.selectedMode)}`, false, 0.7);
+    });
+  }
+
+  setMap(mapId) {
+    const nextMapId = normalizeMapId(mapId);
+    const socket = this.chat?.socket;
+    if (!socket || !socket.connected || !this.lobbyState.roomCode) {
+      this.hud.setStatus("맵 선택 전에 먼저 방에 참가하세요.", true, 0.8);
+      return;
+    }
+
+    socket.emit("room:set-map", { mapId: nextMapId }, (response = {}) => {
+      if (!response.ok) {
+        this.hud.setStatus(response.error ?? "맵 변경에 실패했습니다.", true, 1);
+        return;
+      }
+
+      this.lobbyState.selectedMapId = normalizeMapId(response.mapId ?? nextMapId);
+      this.updateLobbyControls();
+      const pending = this.lobbyState.selectedMapId !== normalizeMapId(response.activeMapId);
+      this.hud.setStatus(
+        `맵: ${getMapName(this.lobbyState.selectedMapId)}${pending ? " (다음 라운드부터)" : ""}`,
+        false,
+        0.7
+      );
+    });
+  }
+
+  applyMapSeedInput() {
+    const text = String(this.mpMapSeedInput?.value ?? "").trim();
+    if (parseMapShareCode(text)) {
+      this.setMapSeed({ code: text });
+    } else if (/^\d{1,10}$/.test(text) && normalizeMapSeed(Number(text)) === Number(text)) {
+      this.setMapSeed({ seed: Number(text) });
+    } else {
+      this.hud.setStatus("맵 코드(예: F-MCBE5) 또는 시드 숫자를 입력하세요.", true, 1);
+    }
+  }
+
+  setMapSeed(payload) {
+    const socket = this.chat?.socket;
+    if (!socket || !socket.connected || !this.lobbyState.roomCode) {
+      this.hud.setStatus("시드 변경 전에 먼저 방에 참가하세요.", true, 0.8);
+      return;
+    }
+
+    socket.emit("room:set-seed", payload, (response = {}) => {
+      if (!response.ok) {
+        this.hud.setStatus(response.error ?? "맵 시드 변경에 실패했습니다.", true, 1);
+        return;
+      }
+
+      this.lobbyState.selectedMapId = normalizeMapId(response.mapId);
+      this.lobbyState.selectedMapSeed = normalizeMapSeed(response.mapSeed);
+      if (this.mpMapSeedInput) {
+        this.mpMapSeedInput.value = "";
+      }
+      this.updateLobbyControls();
+      const pending = response.mapCode !== response.activeMapCode;
+      this.hud.setStatus(
+        `맵 코드: ${response.mapCode} (${getMapName(response.mapId)})${pending ? " (다음 라운드부터)" : ""}`,
+        false,
+        0.9
+      );
+    });
+  }
+
+  async copyCurrentMapCode() {
+    const code = getMapShareCode(this.lobbyState.mapId, this.lobbyState.mapSeed);
+    if (await this.writeClipboardText(code)) {
+      this.hud.setStatus(`맵 코드 복사 완료: ${code}`, false, 0.8);
+    }
+  }
+
+  setStructuralIntegrity(enabled) {
+    const socket = this.chat?.socket;
+    if (!socket || !socket.connected || !this.lobbyState.roomCode) {
+      this.hud.setStatus("설정 변경 전에 먼저 방에 참가하세요.", true, 0.8);
+      return;
+    }
+
+    socket.emit("room:set-structure", { enabled: Boolean(enabled) }, (response = {}) => {
+      if (!response.ok) {
+        this.hud.setStatus(response.error ?? "구조 붕괴 설정 변경에 실패했습니다.", true, 1);
+        return;
+      }
+
+      this.lobbyState.structuralIntegrity = Boolean(response.enabled);
+      this.updateLobbyControls();
+      this.hud.setStatus(`구조 붕괴: ${this.lobbyState.structuralIntegrity ? "켬" : "끔"}`, false, 0.7);
     });
   }
 
@@ -9595,20 +11175,27 @@ export class Game {
       return;
     }
 
+    if (await this.writeClipboardText(code)) {
+      this.hud.setStatus(`방 코드 복사 완료: ${code}`, false, 0.8);
+    }
+  }
+
+  async writeClipboardText(text) {
     try {
       if (navigator.clipboard?.writeText) {
-        await navigator.clipboard.writeText(code);
+        await navigator.clipboard.writeText(text);
       } else {
         const temp = document.createElement("textarea");
-        temp.value = code;
+        temp.value = text;
         document.body.appendChild(temp);
         temp.select();
         document.execCommand("copy");
         document.body.removeChild(temp);
       }
-      this.hud.setStatus(`방 코드 복사 완료: ${code}`, false, 0.8);
+      return true;
     } catch {
       this.hud.setStatus("복사에 실패했습니다.", true, 0.9);
+      return false;
     }
   }
 
@@ -9622,9 +11209,43 @@ export class Game {
     const isHost = !!inRoom && !!myId && !!hostId && myId === hostId;
     const canStart = connected && inRoom;
 
+    const inPrivateRoom = inRoom && !this.lobbyState.persistent;
+    // The shared GLOBAL world only changes map or mode through the end-of-round vote.
+    const canSetMode = connected && inPrivateRoom && (isHost || !hostId);
+    for (const button of this.mpModeButtons) {
+      button.disabled = !canSetMode;
+      button.classList.toggle("is-active", button.dataset.mode === this.lobbyState.selectedMode);
+    }
+    for (const button of this.mpMapButtons) {
+      button.disabled = !canSetMode;
+      button.classList.toggle("is-active", button.dataset.mapId === this.lobbyState.selectedMapId);
+    }
+    for (const control of [this.mpMapSeedInput, this.mpSeedApplyBtn, this.mpSeedRerollBtn]) {
+      if (control) {
+        control.disabled = !canSetMode;
+      }
+    }
+    if (this.mpMapSeedInput) {
+      this.mpMapSeedInput.placeholder = getMapShareCode(this.lobbyState.selectedMapId, this.lobbyState.selectedMapSeed);
+    }
+    if (this.mpCopyMapCodeBtn) {
+      this.mpCopyMapCodeBtn.disabled = !inRoom;
+    }
+    if (this.mpStructureBtn) {
+      const structureOn = Boolean(this.lobbyState.structuralIntegrity);
+      this.mpStructureBtn.disabled = !canSetMode;
+      this.mpStructureBtn.classList.toggle("is-active", structureOn);
+      this.mpStructureBtn.textContent = `구조 붕괴: ${structureOn ? "켬" : "끔"}`;
+    }
     if (this.mpCreateBtn) {
-      this.mpCreateBtn.disabled = true;
-      this.mpCreateBtn.classList.add("hidden");
+      this.mpCreateBtn.disabled = !connected;
+      this.mpCreateBtn.classList.remove("hidden");
+    }
+    if (this.mpCapacitySelect) {
+      this.mpCapacitySelect.disabled = !connected;
+    }
+    if (this.mpPasswordInput) {
+      this.mpPasswordInput.disabled = !connected;
     }
     if (this.mpNameInput) {
       this.mpNameInput.disabled = false;
@@ -9639,12 +11260,12 @@ export class Game {
       this.lobbyQuickNameSaveBtn.disabled = false;
     }
     if (this.mpJoinBtn) {
-      this.mpJoinBtn.disabled = true;
-      this.mpJoinBtn.classList.add("hidden");
+      this.mpJoinBtn.disabled = !connected;
+      this.mpJoinBtn.classList.remove("hidden");
     }
     if (this.mpCodeInput) {
-      this.mpCodeInput.disabled = true;
-      this.mpCodeInput.classList.add("hidden");
+      this.mpCodeInput.disabled = !connected;
+      this.mpCodeInput.classList.remove("hidden");
     }
     if (this.mpStartBtn) {
       this.mpStartBtn.disabled = !canStart;
@@ -9661,12 +11282,12 @@ export class Game {
       }
     }
     if (this.mpLeaveBtn) {
-      this.mpLeaveBtn.disabled = true;
-      this.mpLeaveBtn.classList.add("hidden");
+      this.mpLeaveBtn.disabled = !connected || !inPrivateRoom;
+      this.mpLeaveBtn.classList.toggle("hidden", !inPrivateRoom);
     }
     if (this.mpCopyCodeBtn) {
-      this.mpCopyCodeBtn.disabled = true;
-      this.mpCopyCodeBtn.classList.add("hidden");
+      this.mpCopyCodeBtn.disabled = !inPrivateRoom;
+      this.mpCopyCodeBtn.classList.toggle("hidden", !inPrivateRoom);
     }
     if (this.mpTeamAlphaBtn) {
       this.mpTeamAlphaBtn.disabled = !inRoom;
@@ -9727,7 +11348,7 @@ export class Game {
     }
 
     if (this.lobbyState.roomCode) {
-      this.mpStatusEl.textContent = `서버: 온라인 | ${this.lobbyState.roomCode} (${this.lobbyState.players.length}/${ONLINE_MAX_PLAYERS})`;
+      this.mpStatusEl.textContent = `서버: 온라인 | ${this.lobbyState.roomCode} (${this.lobbyState.players.length}/${this.lobbyState.capacity})`;
       this.mpStatusEl.dataset.state = "online";
       this.updateLobbyControls();
       return;
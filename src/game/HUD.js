@@ -18,7 +18,10 @@ export class HUD {
     this.scoreEl = document.getElementById("hud-score");
     this.ammoEl = document.getElementById("hud-ammo");
     this.reserveEl = document.getElementById("hud-reserve");
+    this.weaponEl = document.getElementById("hud-weapon");
+    this.explosivesEl = document.getElementById("hud-explosives");
     this.statusEl = document.getElementById("hud-status");
+    this.netDebugEl = document.getElementById("net-debug");
 
     this.healthBarEl = document.getElementById("hud-health-bar");
     this.killsEl = document.getElementById("hud-kills");
@@ -28,6 +31,7 @@ export class HUD {
     this.objectiveEl = document.getElementById("hud-objective");
     this.threatEl = document.getElementById("hud-threat");
     this.streakEl = document.getElementById("hud-streak");
+    this.waveEl = document.getElementById("hud-wave");
 
     this.crosshairEl = document.getElementById("crosshair");
     this.hitmarkerEl = document.getElementById("hitmarker");
@@ -37,6 +41,7 @@ export class HUD {
     this.pauseOverlayEl = document.getElementById("pause-overlay");
     this.gameOverOverlayEl = document.getElementById("gameover-overlay");
     this.finalScoreEl = document.getElementById("final-score");
+    this.finalWaveBreakdownEl = document.getElementById("final-wave-breakdown");
 
     this.statusTimer = 0;
     this.damageOverlayTimeout = null;
@@ -48,6 +53,10 @@ export class HUD {
     setText(this.scoreEl, `${state.score}`);
     setText(this.ammoEl, `${state.ammo}`);
     setText(this.reserveEl, `${state.reserve}`);
+    if (state.weaponName) {
+      setText(this.weaponEl, `${state.weaponName} · ${state.fireModeLabel}`);
+    }
+    setText(this.explosivesEl, `수류탄 ${state.grenades ?? 0} · 폭약 ${state.charges ?? 0}`);
     setText(this.killsEl, `${state.kills ?? 0}`);
     setText(this.enemiesEl, `${state.enemyCount ?? 0}`);
     setText(this.capturesEl, `${state.captures ?? 0}`);
@@ -71,8 +80,22 @@ export class HUD {
       }
     }
 
-    const threat = Math.min(5, Math.floor((state.score ?? 0) / 500) + 1);
-    setText(this.threatEl, `위협 단계 ${THREAT_LABELS[threat]}`);
+    setText(this.waveEl, state.waveText ?? "");
+    toggleClass(this.waveEl, "hidden", !state.waveText);
+    toggleClass(this.waveEl, "is-break", !!state.waveBreak);
+
+    const threat = state.threat;
+    toggleClass(this.threatEl, "hidden", !threat);
+    if (threat) {
+      const level =
+        threat.aware >= 6 ? 5 : threat.aware >= 3 ? 4 : threat.aware > 0 ? 3 : threat.searching > 0 ? 2 : 1;
+      setText(
+        this.threatEl,
+        `위협 ${THREAT_LABELS[level]} · 발각 ${threat.aware} · 수색 ${threat.searching}`
+      );
+      toggleClass(this.threatEl, "is-alert", threat.aware > 0);
+      toggleClass(this.threatEl, "is-searching", threat.aware === 0 && threat.searching > 0);
+    }
 
     if (state.reloading) {
       setText(this.statusEl, "재장전 중...");
@@ -91,6 +114,11 @@ export class HUD {
     this.statusTimer = duration;
   }
 
+  setNetDebug(text) {
+    setText(this.netDebugEl, text);
+    toggleClass(this.netDebugEl, "hidden", !text);
+  }
+
   setKillStreak(streak) {
     if (streak >= 3) {
       setText(this.streakEl, `${streak}연속 처치`);
@@ -110,8 +138,20 @@ export class HUD {
     }
   }
 
-  showGameOver(score) {
+  showGameOver(score, waveBreakdown = null) {
     setText(this.finalScoreEl, `${score}`);
+    if (this.finalWaveBreakdownEl) {
+      this.finalWaveBreakdownEl.replaceChildren();
+      for (const entry of waveBreakdown ?? []) {
+        const itemEl = document.createElement("li");
+        const label = entry.boss ? `웨이브 ${entry.wave} (보스)` : `웨이브 ${entry.wave}`;
+        const result = entry.cleared ? "돌파" : "실패";
+        itemEl.textContent = `${label} · 처치 ${entry.kills} · ${entry.score}점 · ${result}`;
+        itemEl.classList.toggle("is-boss", entry.boss);
+        this.finalWaveBreakdownEl.append(itemEl);
+      }
+      toggleClass(this.finalWaveBreakdownEl, "hidden", !waveBreakdown?.length);
+    }
     this.gameOverOverlayEl?.classList.add("show");
   }
 
@@ -128,10 +168,11 @@ export class HUD {
     this.crosshairEl.classList.add("pulse");
   }
 
-  pulseHitmarker() {
+  pulseHitmarker({ headshot = false } = {}) {
     if (!this.hitmarkerEl) {
       return;
     }
+    this.hitmarkerEl.classList.toggle("is-headshot", headshot);
     this.hitmarkerEl.classList.remove("show");
     this.hitmarkerEl.offsetWidth;
     this.hitmarkerEl.classList.add("show");
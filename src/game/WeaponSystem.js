@@ -1,22 +1,121 @@
+import {
+  DEFAULT_WEAPON_ID,
+  FIRE_MODE,
+  FIRE_MODE_LABEL,
+  WEAPON_ORDER,
+  WEAPON_SWITCH_MS,
+  getWeaponDefinition,
+  normalizeWeaponId
+} from "../shared/weapons.js";
+
+const SWITCH_DURATION = WEAPON_SWITCH_MS / 1000;
+
 export class WeaponSystem {
-  constructor() {
-    this.magazineSize = 30;
-    this.defaultReserve = 150;
-    this.reloadDuration = 1.25;
-    this.shotCooldown = 0.1;
+  constructor(weaponId = DEFAULT_WEAPON_ID) {
+    this.weaponId = normalizeWeaponId(weaponId);
+    this.slots = new Map();
     this.reset();
   }
 
+  get definition() {
+    return getWeaponDefinition(this.weaponId);
+  }
+
+  get magazineSize() {
+    return this.definition.magazineSize;
+  }
+
+  get defaultReserve() {
+    return this.definition.reserve;
+  }
+
+  get reloadDuration() {
+    return this.definition.reloadSeconds;
+  }
+
+  get shotCooldown() {
+    return this.definition.shotInterval;
+  }
+
+  get ammo() {
+    return this.currentSlot.ammo;
+  }
+
+  set ammo(value) {
+    this.currentSlot.ammo = value;
+  }
+
+  get reserve() {
+    return this.currentSlot.reserve;
+  }
+
+  set reserve(value) {
+    this.currentSlot.reserve = value;
+  }
+
+  get fireMode() {
+    return this.currentSlot.fireMode;
+  }
+
+  get currentSlot() {
+    return this.slots.get(this.weaponId);
+  }
+
   reset() {
-    this.ammo = this.magazineSize;
-    this.reserve = this.defaultReserve;
+    this.slots.clear();
+    for (const weaponId of WEAPON_ORDER) {
+      const definition = getWeaponDefinition(weaponId);
+      this.slots.set(weaponId, {
+        ammo: definition.magazineSize,
+        reserve: definition.reserve,
+        fireMode: definition.fireModes[0]
+      });
+    }
     this.cooldownTimer = 0;
     this.reloadTimer = 0;
     this.reloading = false;
+    this.switchTimer = 0;
+    this.burstRemaining = 0;
+  }
+
+  refillReserves() {
+    for (const [weaponId, slot] of this.slots) {
+      slot.reserve = Math.max(slot.reserve, getWeaponDefinition(weaponId).reserve);
+    }
+  }
+
+  equip(weaponId) {
+    const nextId = normalizeWeaponId(weaponId);
+    if (nextId === this.weaponId) {
+      return false;
+    }
+
+    this.weaponId = nextId;
+    this.reloading = false;
+    this.reloadTimer = 0;
+    this.burstRemaining = 0;
+    this.switchTimer = SWITCH_DURATION;
+    return true;
+  }
+
+  cycleFireMode() {
+    const modes = this.definition.fireModes;
+    if (modes.length <= 1) {
+      return false;
+    }
+    const index = modes.indexOf(this.fireMode);
+    this.currentSlot.fireMode = modes[(index + 1) % modes.length];
+    this.burstRemaining = 0;
+    return true;
+  }
+
+  hasPendingBurst() {
+    return this.burstRemaining > 0;
   }
 
   update(delta) {
     this.cooldownTimer = Math.max(0, this.cooldownTimer - delta);
+    this.switchTimer = Math.max(0, this.switchTimer - delta);
 
     if (!this.reloading) {
       return;
@@ -35,28 +134,49 @@ export class WeaponSystem {
     this.reloadTimer = 0;
   }
 
-  tryShoot() {
+  tryShoot({ triggerPressed = true } = {}) {
     if (this.reloading) {
       return { success: false, reason: "reloading" };
     }
 
+    if (this.switchTimer > 0) {
+      return { success: false, reason: "switching" };
+    }
+
     if (this.cooldownTimer > 0) {
       return { success: false, reason: "cooldown" };
     }
 
+    const continuingBurst = this.burstRemaining > 0;
+    if (!continuingBurst && this.fireMode !== FIRE_MODE.AUTO && !triggerPressed) {
+      return { success: false, reason: "trigger" };
+    }
+
     if (this.ammo <= 0) {
+      this.burstRemaining = 0;
       this.startReload();
       return { success: false, reason: "empty" };
     }
 
+    if (!continuingBurst && this.fireMode === FIRE_MODE.BURST) {
+      this.burstRemaining = this.definition.burstCount;
+    }
+
     this.ammo -= 1;
     this.cooldownTimer = this.shotCooldown;
+    if (this.burstRemaining > 0) {
+      this.burstRemaining -= 1;
+      if (this.burstRemaining === 0) {
+        this.cooldownTimer += this.definition.burstDelay;
+      }
+    }
 
     if (this.ammo === 0 && this.reserve > 0) {
+      this.burstRemaining = 0;
       this.startReload();
     }
 
-    return { success: true };
+    return { success: true, weaponId: this.weaponId };
   }
 
   startReload() {
@@ -73,8 +193,10 @@ export class WeaponSystem {
     return {
       ammo: this.ammo,
       reserve: this.reserve,
-      reloading: this.reloading
+      reloading: this.reloading,
+      weaponId: this.weaponId,
+      weaponName: this.definition.name,
+      fireModeLabel: FIRE_MODE_LABEL[this.fireMode]
     };
   }
 }
-
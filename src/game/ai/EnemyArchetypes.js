@@ -0,0 +1,103 @@
+export const ENEMY_ARCHETYPE = Object.freeze({
+  RUSHER: "rusher",
+  RIFLEMAN: "rifleman",
+  SNIPER: "sniper",
+  HEAVY: "heavy",
+  BOSS: "boss"
+});
+
+export const DEFAULT_ENEMY_ARCHETYPE = ENEMY_ARCHETYPE.RIFLEMAN;
+
+// Ranges are [min, max] and rolled per soldier. `armor` soaks that share of body and limb
+// damage (headshots ignore it); `accuracy` scales the distance-based hit chance.
+export const ENEMY_ARCHETYPES = Object.freeze({
+  [ENEMY_ARCHETYPE.RUSHER]: Object.freeze({
+    label: "돌격병",
+    health: 28,
+    armor: 0,
+    speed: [3.9, 4.7],
+    fireInterval: [0.8, 1.1],
+    shotDamage: [2, 4],
+    accuracy: 0.6,
+    shootRange: [16, 20],
+    preferredDistance: [1.5, 2.5],
+    keepDistance: [0.4, 0.8],
+    strafeStrength: [0.14, 0.24],
+    meleeDamage: 14,
+    scale: 0.92,
+    uniformColor: 0x6b4a22,
+    points: 80
+  }),
+  [ENEMY_ARCHETYPE.RIFLEMAN]: Object.freeze({
+    label: "소총병",
+    health: 40,
+    armor: 0,
+    speed: [2, 3.4],
+    fireInterval: [0.52, 0.86],
+    shotDamage: [2, 6],
+    accuracy: 1,
+    shootRange: [34, 41],
+    preferredDistance: [11, 16],
+    keepDistance: [6, 8.4],
+    strafeStrength: [0.36, 0.62],
+    meleeDamage: 7,
+    scale: 1,
+    uniformColor: 0x4b5320,
+    points: 100
+  }),
+  [ENEMY_ARCHETYPE.SNIPER]: Object.freeze({
+    label: "저격병",
+    health: 32,
+    armor: 0,
+    speed: [1.8, 2.4],
+    fireInterval: [2, 2.6],
+    shotDamage: [14, 22],
+    accuracy: 1.5,
+    shootRange: [58, 66],
+    preferredDistance: [28, 36],
+    keepDistance: [18, 22],
+    strafeStrength: [0.1, 0.2],
+    meleeDamage: 5,
+    scale: 1,
+    uniformColor: 0x3d4a52,
+    points: 150
+  }),
+  [ENEMY_ARCHETYPE.HEAVY]: Object.freeze({
+    label: "중화기병",
+    health: 90,
+    armor: 0.35,
+    speed: [1.4, 1.8],
+    fireInterval: [0.22, 0.32],
+    shotDamage: [2, 5],
+    accuracy: 0.7,
+    shootRange: [28, 32],
+    preferredDistance: [9, 13],
+    keepDistance: [5, 7],
+    strafeStrength: [0.12, 0.2],
+    meleeDamage: 12,
+    scale: 1.14,
+    uniformColor: 0x2f3327,
+    points: 220
+  }),
+  [ENEMY_ARCHETYPE.BOSS]: Object.freeze({
+    label: "지휘관",
+    health: 520,
+    armor: 0.45,
+    speed: [1.6, 1.8],
+    fireInterval: [0.16, 0.22],
+    shotDamage: [4, 8],
+    accuracy: 0.85,
+    shootRange: [36, 40],
+    preferredDistance: [10, 14],
+    keepDistance: [5, 6],
+    strafeStrength: [0.2, 0.3],
+    meleeDamage: 24,
+    scale: 1.3,
+    uniformColor: 0x5a1f1f,
+    points: 1500
+  })
+});
+
+export function getEnemyArchetype(id) {
+  return ENEMY_ARCHETYPES[id] ?? ENEMY_ARCHETYPES[DEFAULT_ENEMY_ARCHETYPE];
+}
@@ -0,0 +1,69 @@
+export const ENEMY_AWARENESS = Object.freeze({
+  UNAWARE: "unaware",
+  SEARCHING: "searching",
+  ALERT: "alert"
+});
+
+export const SIGHT_RANGE = 48;
+// How long a squad keeps hunting a last known position before giving up on it.
+export const TARGET_MEMORY_SECONDS = 14;
+export const AWARENESS_DECAY = 0.08;
+
+const SIGHT_HALF_ANGLE = (55 * Math.PI) / 180;
+const PERIPHERAL_HALF_ANGLE = (85 * Math.PI) / 180;
+const SIGHT_GAIN_NEAR = 4.5;
+const SIGHT_GAIN_FAR = 0.35;
+const PERIPHERAL_GAIN_SCALE = 0.3;
+
+export const NOISE_PROFILES = Object.freeze({
+  gunshot: Object.freeze({ radius: 56, awareness: 0.85, error: 0.12 }),
+  block: Object.freeze({ radius: 16, awareness: 0.45, error: 0.2 }),
+  explosion: Object.freeze({ radius: 64, awareness: 0.7, error: 0.18 })
+});
+
+// Awareness per second gained by a soldier facing `yaw` (model rotation.y) from a target at
+// (dx, dz): fast up close and dead ahead, slow at range or in the corner of the eye, zero
+// behind. Walls are the caller's business.
+export function getSightGain(yaw, dx, dz, range = SIGHT_RANGE) {
+  const distance = Math.hypot(dx, dz);
+  if (distance >= range) {
+    return 0;
+  }
+  if (distance < 0.001) {
+    return SIGHT_GAIN_NEAR;
+  }
+
+  const facing = (Math.sin(yaw) * dx + Math.cos(yaw) * dz) / distance;
+  const angle = Math.acos(Math.max(-1, Math.min(1, facing)));
+  if (angle > PERIPHERAL_HALF_ANGLE) {
+    return 0;
+  }
+
+  const closeness = 1 - distance / range;
+  const gain = SIGHT_GAIN_FAR + (SIGHT_GAIN_NEAR - SIGHT_GAIN_FAR) * closeness * closeness;
+  return angle > SIGHT_HALF_ANGLE ? gain * PERIPHERAL_GAIN_SCALE : gain;
+}
+
+// Awareness a noise of `kind` adds to a listener `distance` away, fading out at the profile radius.
+export function getNoiseAwareness(kind, distance) {
+  const profile = NOISE_PROFILES[kind];
+  if (!profile || distance >= profile.radius) {
+    return 0;
+  }
+  return profile.awareness * (1 - distance / profile.radius);
+}
+
+// How far off a heard position may be: the farther the noise, the vaguer the guess.
+export function getNoiseError(kind, distance) {
+  return (NOISE_PROFILES[kind]?.error ?? 0) * distance;
+}
+
+export function getAwarenessState({ awareness, seesTarget, memoryAge }) {
+  if (seesTarget && awareness >= 1) {
+    return ENEMY_AWARENESS.ALERT;
+  }
+  if (memoryAge < TARGET_MEMORY_SECONDS) {
+    return ENEMY_AWARENESS.SEARCHING;
+  }
+  return ENEMY_AWARENESS.UNAWARE;
+}
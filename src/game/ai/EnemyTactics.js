@@ -0,0 +1,128 @@
+export const ENEMY_TACTIC = Object.freeze({
+  ADVANCE: "advance",
+  COVER: "cover",
+  SUPPRESS: "suppress",
+  FLANK: "flank",
+  RETREAT: "retreat"
+});
+
+export const SQUAD_MIN_SIZE = 3;
+export const SQUAD_MAX_SIZE = 5;
+
+const TACTIC_STICKINESS = 0.15;
+const FLANK_SIDE_OFFSET = 9;
+const FLANK_SHORT_OFFSET = 3;
+
+// Utility weights per role. Every tactic scores how well the situation fits it (0..~1.5),
+// then the role's weight scales that score; the highest wins.
+export const ENEMY_ROLE_PROFILES = Object.freeze({
+  defender: Object.freeze({
+    weights: Object.freeze({ advance: 0.8, cover: 1.2, suppress: 1.1, flank: 0.5, retreat: 1 }),
+    retreatHealth: 0.35
+  }),
+  raider: Object.freeze({
+    weights: Object.freeze({ advance: 1, cover: 0.8, suppress: 0.9, flank: 1.2, retreat: 0.8 }),
+    retreatHealth: 0.25
+  }),
+  sapper: Object.freeze({
+    weights: Object.freeze({ advance: 1.2, cover: 0.5, suppress: 0.4, flank: 0.5, retreat: 0.6 }),
+    retreatHealth: 0.2
+  }),
+  builder: Object.freeze({
+    weights: Object.freeze({ advance: 0.8, cover: 1.3, suppress: 1, flank: 0.3, retreat: 0.9 }),
+    retreatHealth: 0.3
+  })
+});
+
+export function getRoleProfile(role) {
+  return ENEMY_ROLE_PROFILES[role] ?? ENEMY_ROLE_PROFILES.raider;
+}
+
+// situation: { healthRatio, underFire, seesPlayer, playerDistance, preferredDistance,
+//              isSuppressor, isFlanker, canRetreat, current }
+export function scoreTactics(role, situation) {
+  const { weights, retreatHealth } = getRoleProfile(role);
+  const hurt = 1 - Math.max(0, Math.min(1, situation.healthRatio));
+  const far = situation.playerDistance > situation.preferredDistance;
+
+  const scores = {
+    [ENEMY_TACTIC.ADVANCE]: (0.5 + (far ? 0.4 : 0) - hurt * 0.4) * weights.advance,
+    [ENEMY_TACTIC.COVER]:
+      (0.15 + (situation.underFire ? 0.55 : 0) + hurt * 0.45 - (far ? 0.2 : 0)) * weights.cover,
+    [ENEMY_TACTIC.SUPPRESS]: situation.isSuppressor
+      ? (0.7 + (situation.seesPlayer ? 0.5 : 0.1)) * weights.suppress
+      : 0,
+    [ENEMY_TACTIC.FLANK]: situation.isFlanker ? (0.95 + (far ? 0 : 0.2)) * weights.flank : 0,
+    [ENEMY_TACTIC.RETREAT]:
+      situation.canRetreat && situation.healthRatio <= retreatHealth ? 1.4 * weights.retreat : 0
+  };
+  if (situation.current && scores[situation.current] > 0) {
+    scores[situation.current] += TACTIC_STICKINESS;
+  }
+  return scores;
+}
+
+export function chooseTactic(role, situation) {
+  const scores = scoreTactics(role, situation);
+  let best = ENEMY_TACTIC.ADVANCE;
+  for (const tactic of Object.values(ENEMY_TACTIC)) {
+    if (scores[tactic] > scores[best]) {
+      best = tactic;
+    }
+  }
+  return best;
+}
+
+export function createSquad(id, role) {
+  return {
+    id,
+    role,
+    members: [],
+    suppressor: null,
+    flanker: null,
+    flankSide: Math.random() < 0.5 ? -1 : 1,
+    // Shared memory of where the player was last seen or heard, and a rough hunting area
+    // for when nobody in the squad has a clue.
+    target: { x: 0, y: 0, z: 0, known: false, at: -Infinity },
+    hunt: { x: 0, z: 0, nextAt: -Infinity }
+  };
+}
+
+// The healthiest long-range member lays down fire; the fastest other member takes the flank.
+export function assignSquadDuties(squad) {
+  const candidates = squad.members.filter((member) => member.role !== "sapper" && member.health > 0);
+  squad.suppressor = null;
+  squad.flanker = null;
+  if (candidates.length < 2) {
+    return squad;
+  }
+
+  squad.suppressor = candidates.reduce((best, member) =>
+    member.health * member.shootRange > best.health * best.shootRange ? member : best
+  );
+  const flankers = candidates.filter((member) => member !== squad.suppressor);
+  squad.flanker = flankers.reduce((best, member) => (member.speed > best.speed ? member : best));
+  return squad;
+}
+
+// A point off to the squad's chosen side of the target, slightly short of it.
+export function getFlankPoint(squad, target, out) {
+  let centerX = 0;
+  let centerZ = 0;
+  for (const member of squad.members) {
+    centerX += member.hitbox.position.x;
+    centerZ += member.hitbox.position.z;
+  }
+  centerX /= Math.max(1, squad.members.length);
+  centerZ /= Math.max(1, squad.members.length);
+
+  let dirX = target.x - centerX;
+  let dirZ = target.z - centerZ;
+  const length = Math.hypot(dirX, dirZ) || 1;
+  dirX /= length;
+  dirZ /= length;
+
+  out.x = target.x - dirZ * squad.flankSide * FLANK_SIDE_OFFSET - dirX * FLANK_SHORT_OFFSET;
+  out.z = target.z + dirX * squad.flankSide * FLANK_SIDE_OFFSET - dirZ * FLANK_SHORT_OFFSET;
+  return out;
+}
@@ -66,6 +66,10 @@ export class SoundSystem {
       "portal",
       buildClipPool("/assets/audio/weapons/gun_reload_lock_or_click_sound.mp3", 4, 0.34)
     );
+    this.clips.set(
+      "explosion",
+      buildClipPool("/assets/audio/weapons/gunshot_0.mp3", 4, 0.78)
+    );
   }
 
   unlock() {
@@ -137,7 +141,7 @@ export class SoundSystem {
 
     const gain = options.gain ?? 1;
     const rateJitter = Math.max(0, options.rateJitter ?? 0);
-    const rate = 1 + (Math.random() * 2 - 1) * rateJitter;
+    const rate = (options.rate ?? 1) + (Math.random() * 2 - 1) * rateJitter;
 
     safeResetAudio(audio);
     audio.volume = clamp(clip.baseVolume * gain * this.effectsVolumeScale, 0, 1);
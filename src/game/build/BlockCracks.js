@@ -0,0 +1,83 @@
+import * as THREE from "three";
+
+export const CRACK_STAGE_COUNT = 3;
+
+const CRACK_TEXTURE_SIZE = 16;
+// Cracks drawn at each stage; every stage keeps the cracks of the one before it.
+const CRACKS_PER_STAGE = Object.freeze([0, 2, 5, 9]);
+const CRACK_SEED = 0x2f6b1d;
+
+// 0 for an intact block, then 1..CRACK_STAGE_COUNT as the damage closes in on its health.
+export function getCrackStage(damage, maxHealth) {
+  if (!(damage > 0) || !(maxHealth > 0)) {
+    return 0;
+  }
+  return Math.max(1, Math.min(CRACK_STAGE_COUNT, Math.ceil((damage / maxHealth) * CRACK_STAGE_COUNT)));
+}
+
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 0x100000000;
+  };
+}
+
+// Each crack is a short random walk from a point near the middle towards an edge, in texels.
+function planCracks(count) {
+  const random = createRandom(CRACK_SEED);
+  const cracks = [];
+  for (let i = 0; i < count; i += 1) {
+    const angle = random() * Math.PI * 2;
+    let x = CRACK_TEXTURE_SIZE / 2 + (random() - 0.5) * 6;
+    let y = CRACK_TEXTURE_SIZE / 2 + (random() - 0.5) * 6;
+    const texels = [];
+    const length = 4 + Math.floor(random() * 7);
+    for (let step = 0; step < length; step += 1) {
+      texels.push([Math.floor(x), Math.floor(y)]);
+      const wobble = angle + (random() - 0.5) * 1.4;
+      x += Math.cos(wobble);
+      y += Math.sin(wobble);
+    }
+    cracks.push(texels);
+  }
+  return cracks;
+}
+
+function createCrackTexture(cracks) {
+  const data = new Uint8Array(CRACK_TEXTURE_SIZE * CRACK_TEXTURE_SIZE * 4);
+  for (const texels of cracks) {
+    for (const [x, y] of texels) {
+      if (x < 0 || y < 0 || x >= CRACK_TEXTURE_SIZE || y >= CRACK_TEXTURE_SIZE) {
+        continue;
+      }
+      const offset = (y * CRACK_TEXTURE_SIZE + x) * 4;
+      data[offset] = 24;
+      data[offset + 1] = 20;
+      data[offset + 2] = 18;
+      data[offset + 3] = 210;
+    }
+  }
+  const texture = new THREE.DataTexture(data, CRACK_TEXTURE_SIZE, CRACK_TEXTURE_SIZE, THREE.RGBAFormat);
+  texture.magFilter = THREE.NearestFilter;
+  texture.minFilter = THREE.NearestFilter;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+// Indexed by crack stage; index 0 (intact) has no material.
+export function createCrackMaterials() {
+  const cracks = planCracks(CRACKS_PER_STAGE[CRACK_STAGE_COUNT]);
+  const materials = [null];
+  for (let stage = 1; stage <= CRACK_STAGE_COUNT; stage += 1) {
+    materials[stage] = new THREE.MeshBasicMaterial({
+      map: createCrackTexture(cracks.slice(0, CRACKS_PER_STAGE[stage])),
+      transparent: true,
+      depthWrite: false,
+      polygonOffset: true,
+      polygonOffsetFactor: -1,
+      polygonOffsetUnits: -1
+    });
+  }
+  return materials;
+}
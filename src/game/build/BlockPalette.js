@@ -1,64 +1,108 @@
+// `support` is used when a room plays with structural integrity: every block sideways from the
+// column holding it up costs one point, and a block left with none falls. Sand (1) can only be
+// stacked; metal reaches seven blocks out.
+// `health` is how much gunfire a block soaks up before it breaks; a rifle round does 24-34.
 export const BLOCK_TYPES = [
   {
     id: 1,
     key: "grass",
     name: "Grass",
     texture: "/assets/graphics/world/blocks/kenney/grass.png",
-    color: "#5fae45"
+    color: "#5fae45",
+    digSeconds: 0.6,
+    support: 2,
+    health: 50
   },
   {
     id: 2,
     key: "dirt",
     name: "Dirt",
     texture: "/assets/graphics/world/blocks/kenney/dirt.png",
-    color: "#7b5a3b"
+    color: "#7b5a3b",
+    digSeconds: 0.7,
+    support: 2,
+    health: 60
   },
   {
     id: 3,
     key: "stone",
     name: "Stone",
     texture: "/assets/graphics/world/blocks/kenney/stone.png",
-    color: "#858d95"
+    color: "#858d95",
+    digSeconds: 2.2,
+    support: 4,
+    health: 200
   },
   {
     id: 4,
     key: "sand",
     name: "Sand",
     texture: "/assets/graphics/world/blocks/kenney/sand.png",
-    color: "#cfbe7e"
+    color: "#cfbe7e",
+    digSeconds: 0.55,
+    support: 1,
+    health: 40
   },
   {
     id: 5,
     key: "clay",
     name: "Clay",
     texture: "/assets/graphics/world/blocks/kenney/clay.png",
-    color: "#a67957"
+    color: "#a67957",
+    digSeconds: 1.1,
+    support: 3,
+    health: 100
   },
   {
     id: 6,
     key: "brick",
     name: "Brick",
     texture: "/assets/graphics/world/blocks/kenney/brick.png",
-    color: "#9b4d3f"
+    color: "#9b4d3f",
+    digSeconds: 1.8,
+    support: 4,
+    health: 240
   },
   {
     id: 7,
     key: "ice",
     name: "Ice",
     texture: "/assets/graphics/world/blocks/kenney/ice.png",
-    color: "#9fd9ff"
+    color: "#9fd9ff",
+    digSeconds: 1.0,
+    support: 2,
+    health: 80
   },
   {
     id: 8,
     key: "metal",
     name: "Metal",
     texture: "/assets/graphics/world/blocks/kenney/metal.png",
-    color: "#6d7685"
+    color: "#6d7685",
+    digSeconds: 3.6,
+    support: 8,
+    health: 480
   }
 ];
 
 export const BLOCK_TYPE_BY_ID = new Map(BLOCK_TYPES.map((type) => [type.id, type]));
 
+const DEFAULT_DIG_SECONDS = 1;
+const DEFAULT_SUPPORT = 2;
+const DEFAULT_HEALTH = 60;
+
+export function getBlockDigSeconds(typeId) {
+  return BLOCK_TYPE_BY_ID.get(typeId)?.digSeconds ?? DEFAULT_DIG_SECONDS;
+}
+
+export function getBlockSupport(typeId) {
+  return BLOCK_TYPE_BY_ID.get(typeId)?.support ?? DEFAULT_SUPPORT;
+}
+
+export function getBlockMaxHealth(typeId) {
+  return BLOCK_TYPE_BY_ID.get(typeId)?.health ?? DEFAULT_HEALTH;
+}
+
 export function getBlockTypeBySlot(slot) {
   return BLOCK_TYPES[Math.max(0, Math.min(BLOCK_TYPES.length - 1, slot - 1))];
 }
@@ -1,5 +1,18 @@
 import * as THREE from "three";
 import { BLOCK_TYPES, getBlockTypeBySlot } from "./BlockPalette.js";
+import { BLOCK_REACH } from "../../shared/voxelRaycast.js";
+import {
+  BUILD_SHAPE,
+  BUILD_SHAPE_LABELS,
+  BUILD_SHAPE_ORDER,
+  MAX_BUILD_BATCH,
+  clampBuildEnd,
+  copyStamp,
+  countBlocksByType,
+  getShapeCells,
+  getStampCells,
+  rotateStamp
+} from "../../shared/buildShapes.js";
 
 const CENTER = new THREE.Vector2(0, 0);
 const TOOL_LABELS = {
@@ -11,10 +24,18 @@ const DEFAULT_SLOT_STOCK = 32;
 const MAX_SLOT_STOCK = 999;
 const DRAG_START_DISTANCE = 8;
 const DRAG_DISCARD_DISTANCE = 42;
+const GHOST_INVALID_COLOR = new THREE.Color(0xff5a4f);
+const GHOST_COLORS = new Map(BLOCK_TYPES.map((type) => [type.id, new THREE.Color(type.color)]));
+const _ghostMatrix = new THREE.Matrix4();
+const _aimPlane = new THREE.Plane();
+const _aimNormal = new THREE.Vector3();
+const _aimPoint = new THREE.Vector3();
+const _reachPoint = new THREE.Vector3();
 
 export class BuildSystem {
   constructor({
     world,
+    scene = null,
     camera,
     raycaster,
     onModeChanged = null,
@@ -32,14 +53,21 @@ export class BuildSystem {
 
     this.toolMode = "gun";
     this.selectedSlot = 1;
-    this.maxReach = 12;
+    this.maxReach = BLOCK_REACH;
 
     this.modeBadgeEl = document.getElementById("build-mode-badge");
     this.hotbarEl = document.getElementById("block-hotbar");
     this.hotbarSlots = Array.from(document.querySelectorAll(".hotbar-slot"));
     this.slotStock = new Map();
     this.slotCountEls = new Map();
+    // The map editor builds without counting blocks: nothing is spent or collected.
+    this.unlimitedStock = false;
     this.dragState = null;
+    this.buildShape = BUILD_SHAPE.SINGLE;
+    // { start, end, copy } while a line, wall, floor or stamp copy is being dragged out.
+    this.shapeDrag = null;
+    this.stamp = null;
+    this.createShapePreview(scene);
     this.initSlotStock();
     this.applySwatchPalette();
     this.bindHotbarInteractions();
@@ -70,6 +98,81 @@ export class BuildSystem {
     return getBlockTypeBySlot(this.selectedSlot);
   }
 
+  createShapePreview(scene) {
+    this.ghostMesh = new THREE.InstancedMesh(
+      new THREE.BoxGeometry(1.02, 1.02, 1.02),
+      new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.4, depthWrite: false }),
+      MAX_BUILD_BATCH
+    );
+    for (let i = 0; i < MAX_BUILD_BATCH; i += 1) {
+      this.ghostMesh.setColorAt(i, GHOST_INVALID_COLOR);
+    }
+    this.ghostMesh.count = 0;
+    this.ghostMesh.frustumCulled = false;
+    this.ghostMesh.renderOrder = 9;
+    this.ghostMesh.visible = false;
+
+    this.copyBox = new THREE.LineSegments(
+      new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1)),
+      new THREE.LineBasicMaterial({ color: 0x7fd4ff, depthTest: false })
+    );
+    this.copyBox.renderOrder = 10;
+    this.copyBox.visible = false;
+    scene?.add(this.ghostMesh, this.copyBox);
+  }
+
+  getBuildShape() {
+    return this.buildShape;
+  }
+
+  getShapeHint() {
+    if (this.buildShape === BUILD_SHAPE.LINE) {
+      return "선 설치 (좌클릭을 누른 채 끌었다 놓기)";
+    }
+    if (this.buildShape === BUILD_SHAPE.WALL) {
+      return "벽 설치 (좌클릭을 누른 채 옆과 위로 끌기)";
+    }
+    if (this.buildShape === BUILD_SHAPE.FLOOR) {
+      return "바닥 설치 (좌클릭을 누른 채 끌기)";
+    }
+    if (this.buildShape === BUILD_SHAPE.STAMP) {
+      return this.stamp
+        ? "스탬프 붙여넣기 (좌클릭 설치 / Y 회전 / 우클릭 비우기)"
+        : "스탬프 복사 (좌클릭을 누른 채 영역 끌기)";
+    }
+    return "단일 설치 (좌클릭 1칸)";
+  }
+
+  setBuildShape(shape) {
+    if (!BUILD_SHAPE_ORDER.includes(shape) || this.buildShape === shape) {
+      return;
+    }
+    this.buildShape = shape;
+    this.cancelShapeDrag();
+    this.renderUi();
+    this.onStatus?.(this.getShapeHint(), false, 1.1);
+  }
+
+  cycleBuildShape() {
+    const index = BUILD_SHAPE_ORDER.indexOf(this.buildShape);
+    this.setBuildShape(BUILD_SHAPE_ORDER[(index + 1) % BUILD_SHAPE_ORDER.length]);
+  }
+
+  cancelShapeDrag() {
+    this.shapeDrag = null;
+    this.hideShapePreview();
+  }
+
+  turnStamp() {
+    if (!this.stamp) {
+      this.onStatus?.("회전할 스탬프가 없습니다", true, 0.45);
+      return false;
+    }
+    this.stamp = rotateStamp(this.stamp);
+    this.onStatus?.("스탬프 90° 회전", false, 0.4);
+    return true;
+  }
+
   initSlotStock() {
     for (const slotEl of this.hotbarSlots) {
       const slot = Number(slotEl.dataset.slot ?? "0");
@@ -113,6 +216,18 @@ export class BuildSystem {
     this.renderUi();
   }
 
+  topUpStock(minimum = DEFAULT_SLOT_STOCK) {
+    for (let slot = 1; slot <= BLOCK_TYPES.length; slot += 1) {
+      this.setSlotStock(slot, Math.max(this.getSlotStock(slot), minimum));
+    }
+    this.renderUi();
+  }
+
+  setUnlimitedStock(enabled) {
+    this.unlimitedStock = Boolean(enabled);
+    this.renderUi();
+  }
+
   getSlotStock(slot) {
     const key = Math.max(1, Math.min(BLOCK_TYPES.length, Math.trunc(Number(slot) || 1)));
     return Math.max(0, Math.trunc(this.slotStock.get(key) ?? 0));
@@ -134,6 +249,9 @@ export class BuildSystem {
   }
 
   consumeSelectedStock(amount = 1) {
+    if (this.unlimitedStock) {
+      return true;
+    }
     const need = Math.max(1, Math.trunc(Number(amount) || 1));
     const current = this.getSlotStock(this.selectedSlot);
     if (current < need) {
@@ -151,7 +269,7 @@ export class BuildSystem {
 
   collectByTypeId(typeId, amount = 1) {
     const slot = this.resolveSlotByTypeId(typeId);
-    if (!slot) {
+    if (!slot || this.unlimitedStock) {
       return 0;
     }
     const before = this.getSlotStock(slot);
@@ -326,6 +444,7 @@ export class BuildSystem {
     }
 
     this.toolMode = mode;
+    this.cancelShapeDrag();
     this.renderUi();
     this.onModeChanged?.(this.toolMode);
 
@@ -334,7 +453,7 @@ export class BuildSystem {
     }
 
     if (this.toolMode === "place") {
-      this.onStatus?.("설치 모드 (좌클릭 설치 / 슬롯 드래그 버리기)", false, 0.95);
+      this.onStatus?.("설치 모드 (좌클릭 설치 / N 도형 / 슬롯 드래그 버리기)", false, 0.95);
       return;
     }
     if (this.toolMode === "dig") {
@@ -408,6 +527,15 @@ export class BuildSystem {
       this.setToolMode("gun");
       return true;
     }
+    if (event.code === "KeyN") {
+      this.setToolMode("place", { silentStatus: true });
+      this.cycleBuildShape();
+      return true;
+    }
+    if (event.code === "KeyY" && this.isPlaceMode() && this.buildShape === BUILD_SHAPE.STAMP) {
+      this.turnStamp();
+      return true;
+    }
 
     const numpadMatch = /^Numpad([1-8])$/.exec(event.code);
     if (numpadMatch) {
@@ -427,6 +555,10 @@ export class BuildSystem {
       return false;
     }
 
+    if (this.isPlaceMode() && this.buildShape !== BUILD_SHAPE.SINGLE) {
+      return this.handleShapePointerDown(button, canPlace);
+    }
+
     if (button === 2) {
       return true;
     }
@@ -443,7 +575,7 @@ export class BuildSystem {
     }
 
     if (this.isPlaceMode()) {
-      if (this.getSlotStock(this.selectedSlot) <= 0) {
+      if (!this.unlimitedStock && this.getSlotStock(this.selectedSlot) <= 0) {
         this.onStatus?.("선택한 블록이 없습니다. 삽 모드로 블록을 회수하세요", true, 0.7);
         return true;
       }
@@ -486,18 +618,258 @@ export class BuildSystem {
     return false;
   }
 
+  // Shapes start on press and place on release; a stamp copies on release and pastes on press.
+  handleShapePointerDown(button, canPlace) {
+    if (button === 2) {
+      if (this.shapeDrag) {
+        this.cancelShapeDrag();
+        this.onStatus?.("건설 취소", false, 0.35);
+      } else if (this.buildShape === BUILD_SHAPE.STAMP && this.stamp) {
+        this.stamp = null;
+        this.hideShapePreview();
+        this.onStatus?.("스탬프를 비웠습니다", false, 0.45);
+      }
+      return true;
+    }
+
+    this.raycaster.setFromCamera(CENTER, this.camera);
+    const hit = this.world.raycast(this.raycaster, this.maxReach);
+    if (!hit) {
+      this.onStatus?.("설치 기준 블록이 범위 안에 없습니다", true, 0.2);
+      return true;
+    }
+
+    const adjacent = {
+      x: hit.x + Math.round(hit.normal.x),
+      y: hit.y + Math.round(hit.normal.y),
+      z: hit.z + Math.round(hit.normal.z)
+    };
+    if (this.buildShape === BUILD_SHAPE.STAMP && this.stamp) {
+      this.placeBatch(getStampCells(this.stamp, adjacent), canPlace);
+      return true;
+    }
+
+    const copy = this.buildShape === BUILD_SHAPE.STAMP;
+    const start = copy ? { x: hit.x, y: hit.y, z: hit.z } : adjacent;
+    const direction = this.raycaster.ray.direction;
+    this.shapeDrag = {
+      start,
+      end: { ...start },
+      copy,
+      // Walls stand across the view direction they were started with.
+      wallNormal: Math.abs(direction.x) >= Math.abs(direction.z) ? "x" : "z"
+    };
+    return true;
+  }
+
+  handlePointerRelease(button, canPlace = null) {
+    const drag = this.shapeDrag;
+    if (button !== 0 || !drag) {
+      return false;
+    }
+
+    this.raycaster.setFromCamera(CENTER, this.camera);
+    drag.end = this.getDragEnd(drag);
+    this.cancelShapeDrag();
+    if (drag.copy) {
+      this.copyRegion(drag.start, drag.end);
+    } else {
+      this.placeBatch(this.getDragCells(drag), canPlace);
+    }
+    return true;
+  }
+
+  // Floors follow the aim across the start layer, walls across the upright plane through the
+  // start, and lines and copies at the start's distance from the camera.
+  getDragEnd(drag) {
+    const ray = this.raycaster.ray;
+    _aimPoint.set(drag.start.x + 0.5, drag.start.y + 0.5, drag.start.z + 0.5);
+    if (!drag.copy && (this.buildShape === BUILD_SHAPE.FLOOR || this.buildShape === BUILD_SHAPE.WALL)) {
+      if (this.buildShape === BUILD_SHAPE.FLOOR) {
+        _aimNormal.set(0, 1, 0);
+      } else if (drag.wallNormal === "x") {
+        _aimNormal.set(1, 0, 0);
+      } else {
+        _aimNormal.set(0, 0, 1);
+      }
+      _aimPlane.setFromNormalAndCoplanarPoint(_aimNormal, _aimPoint);
+      if (!ray.intersectPlane(_aimPlane, _aimPoint)) {
+        return drag.end;
+      }
+      return clampBuildEnd(drag.start, _aimPoint);
+    }
+
+    const hit = drag.copy ? this.world.raycast(this.raycaster, this.maxReach) : null;
+    if (hit) {
+      return clampBuildEnd(drag.start, hit);
+    }
+    ray.at(ray.origin.distanceTo(_aimPoint), _aimPoint);
+    return clampBuildEnd(drag.start, _aimPoint);
+  }
+
+  getDragCells(drag) {
+    const typeId = this.getSelectedType().id;
+    return getShapeCells(this.buildShape, drag.start, drag.end).map((cell) => ({ ...cell, typeId }));
+  }
+
+  getPlaceableCells(blocks, canPlace = null) {
+    return blocks.filter(
+      (block) =>
+        !this.world.hasBlock(block.x, block.y, block.z) &&
+        (!canPlace || canPlace(block.x, block.y, block.z))
+    );
+  }
+
+  // The server refuses a batch with any block out of reach, so the preview does too.
+  isWithinReach(blocks) {
+    const eye = this.camera.position;
+    return blocks.every(
+      (block) => eye.distanceTo(_reachPoint.set(block.x + 0.5, block.y + 0.5, block.z + 0.5)) <= this.maxReach
+    );
+  }
+
+  hasStockFor(blocks) {
+    if (this.unlimitedStock) {
+      return true;
+    }
+    for (const [typeId, count] of countBlocksByType(blocks)) {
+      const slot = this.resolveSlotByTypeId(typeId);
+      if (!slot || this.getSlotStock(slot) < count) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  copyRegion(from, to) {
+    const stamp = copyStamp((x, y, z) => this.world.getTypeAt(x, y, z), from, to);
+    if (!stamp) {
+      this.onStatus?.("복사할 블록이 없습니다", true, 0.5);
+      return false;
+    }
+    if (stamp.blocks.length > MAX_BUILD_BATCH) {
+      this.onStatus?.(`스탬프에는 블록을 최대 ${MAX_BUILD_BATCH}개까지 담을 수 있습니다`, true, 0.8);
+      return false;
+    }
+    this.stamp = stamp;
+    this.onStatus?.(`스탬프 복사: 블록 ${stamp.blocks.length}개 (Y 회전 / 우클릭 비우기)`, false, 1);
+    return true;
+  }
+
+  // All or nothing, like the server: every free cell is placed or none is.
+  placeBatch(cells, canPlace = null) {
+    const blocks = this.getPlaceableCells(cells, canPlace);
+    if (blocks.length === 0) {
+      this.onStatus?.("설치할 수 있는 칸이 없습니다", true, 0.4);
+      return false;
+    }
+    if (blocks.length > MAX_BUILD_BATCH) {
+      this.onStatus?.(`한 번에 최대 ${MAX_BUILD_BATCH}개까지 설치할 수 있습니다`, true, 0.7);
+      return false;
+    }
+    if (!this.isWithinReach(blocks)) {
+      this.onStatus?.("블록이 너무 멀리 있습니다", true, 0.7);
+      return false;
+    }
+    if (!this.hasStockFor(blocks)) {
+      this.onStatus?.("보유한 블록이 부족합니다", true, 0.7);
+      return false;
+    }
+
+    const placed = blocks.filter((block) => this.world.setBlock(block.x, block.y, block.z, block.typeId));
+    if (!this.unlimitedStock) {
+      for (const [typeId, count] of countBlocksByType(placed)) {
+        this.changeSlotStock(this.resolveSlotByTypeId(typeId), -count);
+      }
+    }
+    if (placed.length > 0) {
+      this.onBlockChanged?.({ action: "place", blocks: placed });
+      this.onStatus?.(`블록 ${placed.length}개 설치`, false, 0.4);
+    }
+    this.renderUi();
+    return placed.length > 0;
+  }
+
+  update(canPlace = null) {
+    if (!this.isPlaceMode() || this.buildShape === BUILD_SHAPE.SINGLE) {
+      this.hideShapePreview();
+      return;
+    }
+
+    this.raycaster.setFromCamera(CENTER, this.camera);
+    const drag = this.shapeDrag;
+    if (drag) {
+      drag.end = this.getDragEnd(drag);
+      if (drag.copy) {
+        this.showCopyBox(drag.start, drag.end);
+      } else {
+        this.showGhost(this.getPlaceableCells(this.getDragCells(drag), canPlace));
+      }
+      return;
+    }
+
+    const hit = this.stamp ? this.world.raycast(this.raycaster, this.maxReach) : null;
+    if (this.buildShape !== BUILD_SHAPE.STAMP || !hit) {
+      this.hideShapePreview();
+      return;
+    }
+    const origin = {
+      x: hit.x + Math.round(hit.normal.x),
+      y: hit.y + Math.round(hit.normal.y),
+      z: hit.z + Math.round(hit.normal.z)
+    };
+    this.showGhost(this.getPlaceableCells(getStampCells(this.stamp, origin), canPlace));
+  }
+
+  // Ghost blocks take their block's colour, or all turn red when the batch cannot be placed.
+  showGhost(blocks) {
+    const valid = blocks.length <= MAX_BUILD_BATCH && this.isWithinReach(blocks) && this.hasStockFor(blocks);
+    const count = Math.min(blocks.length, MAX_BUILD_BATCH);
+    for (let i = 0; i < count; i += 1) {
+      const block = blocks[i];
+      _ghostMatrix.makeTranslation(block.x + 0.5, block.y + 0.5, block.z + 0.5);
+      this.ghostMesh.setMatrixAt(i, _ghostMatrix);
+      const color = valid ? GHOST_COLORS.get(block.typeId) : null;
+      this.ghostMesh.setColorAt(i, color ?? GHOST_INVALID_COLOR);
+    }
+    this.ghostMesh.count = count;
+    this.ghostMesh.instanceMatrix.needsUpdate = true;
+    this.ghostMesh.instanceColor.needsUpdate = true;
+    this.ghostMesh.visible = count > 0;
+    this.copyBox.visible = false;
+  }
+
+  showCopyBox(from, to) {
+    this.copyBox.scale.set(
+      Math.abs(to.x - from.x) + 1.02,
+      Math.abs(to.y - from.y) + 1.02,
+      Math.abs(to.z - from.z) + 1.02
+    );
+    this.copyBox.position.set((from.x + to.x + 1) / 2, (from.y + to.y + 1) / 2, (from.z + to.z + 1) / 2);
+    this.copyBox.visible = true;
+    this.ghostMesh.visible = false;
+  }
+
+  hideShapePreview() {
+    this.ghostMesh.visible = false;
+    this.copyBox.visible = false;
+  }
+
   renderUi() {
     if (this.modeBadgeEl) {
-      this.modeBadgeEl.textContent = `모드: ${TOOL_LABELS[this.toolMode]}`;
+      const shape = this.isPlaceMode() && this.buildShape !== BUILD_SHAPE.SINGLE;
+      this.modeBadgeEl.textContent = shape
+        ? `모드: ${TOOL_LABELS[this.toolMode]} · ${BUILD_SHAPE_LABELS[this.buildShape]}`
+        : `모드: ${TOOL_LABELS[this.toolMode]}`;
     }
 
     for (const slotEl of this.hotbarSlots) {
       const slotValue = Number(slotEl.dataset.slot ?? "0");
       slotEl.classList.toggle("is-selected", slotValue === this.selectedSlot);
-      slotEl.classList.toggle("is-empty", this.getSlotStock(slotValue) <= 0);
+      slotEl.classList.toggle("is-empty", !this.unlimitedStock && this.getSlotStock(slotValue) <= 0);
       const countEl = this.slotCountEls.get(slotValue);
       if (countEl) {
-        countEl.textContent = String(this.getSlotStock(slotValue));
+        countEl.textContent = this.unlimitedStock ? "∞" : String(this.getSlotStock(slotValue));
       }
     }
   }
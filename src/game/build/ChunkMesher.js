@@ -0,0 +1,169 @@
+import * as THREE from "three";
+import { CHUNK_SIZE, getChunkIndex } from "./VoxelChunk.js";
+
+const PADDED_SIZE = CHUNK_SIZE + 2;
+const SIDES = Object.freeze([1, -1]);
+
+function getPaddedIndex(x, y, z) {
+  return ((y + 1) * PADDED_SIZE + (z + 1)) * PADDED_SIZE + (x + 1);
+}
+
+// Copies the chunk plus a one-block border from its neighbours, so face tests never leave the array.
+function fillPadded(chunk, getTypeAt, padded) {
+  for (let y = -1; y <= CHUNK_SIZE; y += 1) {
+    for (let z = -1; z <= CHUNK_SIZE; z += 1) {
+      for (let x = -1; x <= CHUNK_SIZE; x += 1) {
+        const inside =
+          x >= 0 && x < CHUNK_SIZE && y >= 0 && y < CHUNK_SIZE && z >= 0 && z < CHUNK_SIZE;
+        padded[getPaddedIndex(x, y, z)] = inside
+          ? chunk.types[getChunkIndex(x, y, z)]
+          : getTypeAt(chunk.originX + x, chunk.originY + y, chunk.originZ + z);
+      }
+    }
+  }
+}
+
+function pushQuad(quads, d, u, v, plane, a, b, w, h, side, origin) {
+  const corners =
+    side > 0
+      ? [
+          [0, 0],
+          [w, 0],
+          [w, h],
+          [0, h]
+        ]
+      : [
+          [0, 0],
+          [0, h],
+          [w, h],
+          [w, 0]
+        ];
+  const point = [0, 0, 0];
+  const normal = [0, 0, 0];
+  normal[d] = side;
+  for (const [du, dv] of corners) {
+    point[d] = plane + origin[d];
+    point[u] = a + du + origin[u];
+    point[v] = b + dv + origin[v];
+    quads.positions.push(point[0], point[1], point[2]);
+    quads.normals.push(normal[0], normal[1], normal[2]);
+  }
+}
+
+// Greedy meshing: for every face direction and layer, exposed faces of the same block type are
+// merged into the largest rectangles that fit, and faces between two solid blocks are dropped.
+// Returns null for a chunk with nothing visible. Geometry groups use the block type id as the
+// material index.
+export function buildChunkGeometry(chunk, getTypeAt) {
+  const padded = new Uint8Array(PADDED_SIZE * PADDED_SIZE * PADDED_SIZE);
+  fillPadded(chunk, getTypeAt, padded);
+
+  const origin = [chunk.originX, chunk.originY, chunk.originZ];
+  const mask = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE);
+  const cell = [0, 0, 0];
+  const quadsByType = new Map();
+
+  for (let d = 0; d < 3; d += 1) {
+    const u = (d + 1) % 3;
+    const v = (d + 2) % 3;
+    for (const side of SIDES) {
+      for (let layer = 0; layer < CHUNK_SIZE; layer += 1) {
+        for (let b = 0; b < CHUNK_SIZE; b += 1) {
+          for (let a = 0; a < CHUNK_SIZE; a += 1) {
+            cell[d] = layer;
+            cell[u] = a;
+            cell[v] = b;
+            const typeId = padded[getPaddedIndex(cell[0], cell[1], cell[2])];
+            let face = 0;
+            if (typeId !== 0) {
+              cell[d] = layer + side;
+              if (padded[getPaddedIndex(cell[0], cell[1], cell[2])] === 0) {
+                face = typeId;
+              }
+            }
+            mask[b * CHUNK_SIZE + a] = face;
+          }
+        }
+
+        const plane = side > 0 ? layer + 1 : layer;
+        for (let b = 0; b < CHUNK_SIZE; b += 1) {
+          for (let a = 0; a < CHUNK_SIZE; ) {
+            const typeId = mask[b * CHUNK_SIZE + a];
+            if (typeId === 0) {
+              a += 1;
+              continue;
+            }
+
+            let w = 1;
+            while (a + w < CHUNK_SIZE && mask[b * CHUNK_SIZE + a + w] === typeId) {
+              w += 1;
+            }
+            let h = 1;
+            grow: while (b + h < CHUNK_SIZE) {
+              for (let k = 0; k < w; k += 1) {
+                if (mask[(b + h) * CHUNK_SIZE + a + k] !== typeId) {
+                  break grow;
+                }
+              }
+              h += 1;
+            }
+            for (let row = 0; row < h; row += 1) {
+              mask.fill(0, (b + row) * CHUNK_SIZE + a, (b + row) * CHUNK_SIZE + a + w);
+            }
+
+            let quads = quadsByType.get(typeId);
+            if (!quads) {
+              quads = { positions: [], normals: [] };
+              quadsByType.set(typeId, quads);
+            }
+            pushQuad(quads, d, u, v, plane, a, b, w, h, side, origin);
+            a += w;
+          }
+        }
+      }
+    }
+  }
+
+  if (quadsByType.size === 0) {
+    return null;
+  }
+
+  let vertexCount = 0;
+  for (const quads of quadsByType.values()) {
+    vertexCount += quads.positions.length / 3;
+  }
+  const positions = new Float32Array(vertexCount * 3);
+  const normals = new Float32Array(vertexCount * 3);
+  const IndexArray = vertexCount > 65535 ? Uint32Array : Uint16Array;
+  const indices = new IndexArray(vertexCount * 1.5);
+  const geometry = new THREE.BufferGeometry();
+
+  let vertexOffset = 0;
+  let indexOffset = 0;
+  const typeIds = [...quadsByType.keys()].sort((left, right) => left - right);
+  for (const typeId of typeIds) {
+    const quads = quadsByType.get(typeId);
+    positions.set(quads.positions, vertexOffset * 3);
+    normals.set(quads.normals, vertexOffset * 3);
+    const quadCount = quads.positions.length / 12;
+    geometry.addGroup(indexOffset, quadCount * 6, typeId);
+    for (let q = 0; q < quadCount; q += 1) {
+      const first = vertexOffset + q * 4;
+      indices[indexOffset] = first;
+      indices[indexOffset + 1] = first + 1;
+      indices[indexOffset + 2] = first + 2;
+      indices[indexOffset + 3] = first;
+      indices[indexOffset + 4] = first + 2;
+      indices[indexOffset + 5] = first + 3;
+      indexOffset += 6;
+    }
+    vertexOffset += quadCount * 4;
+  }
+
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute("normal", new THREE.BufferAttribute(normals, 3));
+  geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+  geometry.computeBoundingBox();
+  geometry.computeBoundingSphere();
+  return geometry;
+}
@@ -0,0 +1,484 @@
+import * as THREE from "three";
+import {
+  CUSTOM_MAP_MARKER_KEYS,
+  createBlankCustomMap,
+  encodeCustomMap,
+  normalizeCustomMapName,
+  parseCustomMap
+} from "../world/maps/customMap.js";
+import { CUSTOM_MAP_ID_PREFIX, registerCustomMap, unregisterCustomMap } from "../world/MapRegistry.js";
+
+const CENTER = new THREE.Vector2(0, 0);
+const CUSTOM_MAPS_STORAGE_KEY = "reclaim_custom_maps";
+const EDITOR_REACH = 40;
+// Largest box the fill/clear tools touch in one go (32^3), so a stray click cannot stall a frame.
+const MAX_BOX_VOLUME = 32768;
+const TOOL_LABELS = {
+  fill: "상자 채우기",
+  clear: "상자 비우기",
+  marker: "마커"
+};
+const MARKER_DEFS = Object.freeze({
+  alphaBase: { label: "알파 기지", color: 0x3f8cff },
+  bravoBase: { label: "브라보 기지", color: 0xff5a4f },
+  alphaFlag: { label: "알파 깃발", color: 0x8fc2ff },
+  bravoFlag: { label: "브라보 깃발", color: 0xffa39b },
+  mid: { label: "중앙 거점", color: 0xffd447 },
+  trainingSpawn: { label: "스폰 지점", color: 0x6fe08a }
+});
+
+function readSavedMaps() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(CUSTOM_MAPS_STORAGE_KEY) ?? "{}");
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeSavedMaps(maps) {
+  try {
+    window.localStorage.setItem(CUSTOM_MAPS_STORAGE_KEY, JSON.stringify(maps));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Single-player map editor: box fill/clear and objective marker tools on top of BuildSystem's
+// place/dig, plus saving maps to this browser, JSON export and import. Saved maps are
+// registered with MapRegistry so they can be played like the built-in maps.
+export class MapEditor {
+  constructor({ world, scene, camera, raycaster, onStatus = null, onLoadMap = null, onLibraryChanged = null }) {
+    this.world = world;
+    this.camera = camera;
+    this.raycaster = raycaster;
+    this.onStatus = onStatus;
+    this.onLoadMap = onLoadMap;
+    this.onLibraryChanged = onLibraryChanged;
+
+    this.active = false;
+    this.tool = null;
+    this.markerIndex = 0;
+    this.boxStart = null;
+    this.reach = EDITOR_REACH;
+    this.markers = {};
+    this.markersDirty = false;
+    // Markers stand on the surface of their column, which any block edit can move.
+    world.addChangeListener(() => {
+      this.markersDirty = this.active;
+    });
+
+    this.group = new THREE.Group();
+    this.group.name = "map-editor";
+    this.group.visible = false;
+    scene.add(this.group);
+
+    this.markerMeshes = new Map();
+    const markerGeometry = new THREE.CylinderGeometry(0.3, 0.3, 2.4, 10);
+    for (const key of CUSTOM_MAP_MARKER_KEYS) {
+      const material = new THREE.MeshBasicMaterial({
+        color: MARKER_DEFS[key].color,
+        transparent: true,
+        opacity: 0.72
+      });
+      const mesh = new THREE.Mesh(markerGeometry, material);
+      this.markerMeshes.set(key, mesh);
+      this.group.add(mesh);
+    }
+
+    this.preview = new THREE.LineSegments(
+      new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1)),
+      new THREE.LineBasicMaterial({ color: 0xffffff, depthTest: false })
+    );
+    this.preview.visible = false;
+    this.preview.renderOrder = 10;
+    this.group.add(this.preview);
+
+    this.panelEl = document.getElementById("map-editor-panel");
+    this.toolEl = document.getElementById("map-editor-tool");
+    this.nameInput = document.getElementById("map-editor-name");
+    this.savedSelect = document.getElementById("map-editor-saved");
+    this.fileInput = document.getElementById("map-editor-file");
+    this.bindPanel();
+    this.registerSavedMaps();
+  }
+
+  isActive() {
+    return this.active;
+  }
+
+  getReach() {
+    return this.reach;
+  }
+
+  setActive(active, { arenaMeta = null, name = "" } = {}) {
+    this.active = Boolean(active);
+    this.tool = null;
+    this.boxStart = null;
+    this.group.visible = this.active;
+    this.preview.visible = false;
+    this.panelEl?.classList.toggle("hidden", !this.active);
+    if (this.active) {
+      this.setMarkers(arenaMeta);
+      if (this.nameInput) {
+        this.nameInput.value = normalizeCustomMapName(name);
+      }
+      this.renderSavedMaps();
+    }
+    this.renderTool();
+  }
+
+  setMarkers(arenaMeta) {
+    for (const key of CUSTOM_MAP_MARKER_KEYS) {
+      const point = arenaMeta?.[key] ?? { x: 0, y: 0, z: 0 };
+      this.markers[key] = { x: point.x, y: point.y, z: point.z };
+    }
+    this.renderMarkers();
+  }
+
+  getMarkers() {
+    const markers = {};
+    for (const key of CUSTOM_MAP_MARKER_KEYS) {
+      markers[key] = { ...this.markers[key] };
+    }
+    return markers;
+  }
+
+  renderMarkers() {
+    this.markersDirty = false;
+    for (const [key, mesh] of this.markerMeshes) {
+      const point = this.markers[key];
+      mesh.visible = Boolean(point);
+      if (point) {
+        const surfaceY = this.world.getSurfaceYAt(point.x, point.z) ?? point.y;
+        mesh.position.set(point.x, surfaceY + 1.2, point.z);
+      }
+    }
+  }
+
+  setTool(tool) {
+    this.tool = tool;
+    this.boxStart = null;
+    this.renderTool();
+    if (tool === "marker") {
+      this.onStatus?.(`마커: ${this.getMarkerLabel()} (V 키로 다음 마커)`, false, 0.9);
+    } else if (tool) {
+      this.onStatus?.(`${TOOL_LABELS[tool]}: 두 모서리를 차례로 클릭 (우클릭 취소)`, false, 0.9);
+    }
+  }
+
+  getMarkerKey() {
+    return CUSTOM_MAP_MARKER_KEYS[this.markerIndex];
+  }
+
+  getMarkerLabel() {
+    return MARKER_DEFS[this.getMarkerKey()].label;
+  }
+
+  renderTool() {
+    if (!this.toolEl) {
+      return;
+    }
+    if (this.tool === "marker") {
+      this.toolEl.textContent = `도구: 마커 - ${this.getMarkerLabel()}`;
+    } else {
+      this.toolEl.textContent = `도구: ${TOOL_LABELS[this.tool] ?? "설치/제거 (1/2)"}`;
+    }
+  }
+
+  // Z/X/V pick the editor tools; 1/2/3 fall through to BuildSystem and drop the editor tool.
+  handleKeyDown(event) {
+    if (!this.active) {
+      return false;
+    }
+    if (event.code === "KeyZ") {
+      this.setTool("fill");
+      return true;
+    }
+    if (event.code === "KeyX") {
+      this.setTool("clear");
+      return true;
+    }
+    if (event.code === "KeyV") {
+      if (this.tool === "marker") {
+        this.markerIndex = (this.markerIndex + 1) % CUSTOM_MAP_MARKER_KEYS.length;
+      }
+      this.setTool("marker");
+      return true;
+    }
+    if (/^Digit[1-3]$/.test(event.code) && this.tool) {
+      this.setTool(null);
+    }
+    return false;
+  }
+
+  hasTool() {
+    return this.active && this.tool !== null;
+  }
+
+  // The cell a click would act on: the block under the crosshair for clearing, the empty cell
+  // in front of it for filling and markers.
+  getTargetCell() {
+    this.raycaster.setFromCamera(CENTER, this.camera);
+    const hit = this.world.raycast(this.raycaster, this.reach);
+    if (!hit) {
+      return null;
+    }
+    if (this.tool === "clear") {
+      return { x: hit.x, y: hit.y, z: hit.z };
+    }
+    return {
+      x: hit.x + Math.round(hit.normal.x),
+      y: hit.y + Math.round(hit.normal.y),
+      z: hit.z + Math.round(hit.normal.z)
+    };
+  }
+
+  handlePointerAction(button, typeId) {
+    if (!this.hasTool()) {
+      return false;
+    }
+    if (button === 2) {
+      if (this.boxStart) {
+        this.boxStart = null;
+        this.onStatus?.("선택 취소", false, 0.4);
+      }
+      return true;
+    }
+    if (button !== 0) {
+      return false;
+    }
+
+    const cell = this.getTargetCell();
+    if (!cell) {
+      this.onStatus?.("대상 블록이 범위 안에 없습니다", true, 0.4);
+      return true;
+    }
+
+    if (this.tool === "marker") {
+      const key = this.getMarkerKey();
+      this.markers[key] = { ...cell };
+      this.renderMarkers();
+      this.onStatus?.(`${this.getMarkerLabel()} 위치 지정 (${cell.x}, ${cell.y}, ${cell.z})`, false, 0.7);
+      return true;
+    }
+
+    if (!this.boxStart) {
+      this.boxStart = cell;
+      this.onStatus?.("첫 모서리 지정: 반대쪽 모서리를 클릭하세요", false, 0.8);
+      return true;
+    }
+
+    const box = this.getBox(this.boxStart, cell);
+    const volume = (box.maxX - box.minX + 1) * (box.maxY - box.minY + 1) * (box.maxZ - box.minZ + 1);
+    if (volume > MAX_BOX_VOLUME) {
+      this.onStatus?.(`상자가 너무 큽니다 (${volume}칸, 최대 ${MAX_BOX_VOLUME}칸)`, true, 0.9);
+      return true;
+    }
+
+    this.boxStart = null;
+    const changed = this.tool === "fill" ? this.fillBox(box, typeId) : this.clearBox(box);
+    this.onStatus?.(`${TOOL_LABELS[this.tool]}: 블록 ${changed}개`, false, 0.7);
+    return true;
+  }
+
+  getBox(from, to) {
+    return {
+      minX: Math.min(from.x, to.x),
+      maxX: Math.max(from.x, to.x),
+      minY: Math.min(from.y, to.y),
+      maxY: Math.max(from.y, to.y),
+      minZ: Math.min(from.z, to.z),
+      maxZ: Math.max(from.z, to.z)
+    };
+  }
+
+  fillBox(box, typeId) {
+    let changed = 0;
+    for (let y = box.minY; y <= box.maxY; y += 1) {
+      for (let z = box.minZ; z <= box.maxZ; z += 1) {
+        for (let x = box.minX; x <= box.maxX; x += 1) {
+          if (this.world.getTypeAt(x, y, z) !== typeId && this.world.setBlock(x, y, z, typeId)) {
+            changed += 1;
+          }
+        }
+      }
+    }
+    return changed;
+  }
+
+  clearBox(box) {
+    let changed = 0;
+    for (let y = box.minY; y <= box.maxY; y += 1) {
+      for (let z = box.minZ; z <= box.maxZ; z += 1) {
+        for (let x = box.minX; x <= box.maxX; x += 1) {
+          if (this.world.removeBlock(x, y, z)) {
+            changed += 1;
+          }
+        }
+      }
+    }
+    return changed;
+  }
+
+  update() {
+    if (this.markersDirty) {
+      this.renderMarkers();
+    }
+    if (!this.active || (this.tool !== "fill" && this.tool !== "clear")) {
+      this.preview.visible = false;
+      return;
+    }
+    const cell = this.getTargetCell();
+    if (!cell) {
+      this.preview.visible = this.boxStart !== null;
+      return;
+    }
+    const box = this.getBox(this.boxStart ?? cell, cell);
+    this.preview.visible = true;
+    this.preview.material.color.setHex(this.tool === "fill" ? 0xffe066 : 0xff5a4f);
+    this.preview.scale.set(box.maxX - box.minX + 1.02, box.maxY - box.minY + 1.02, box.maxZ - box.minZ + 1.02);
+    this.preview.position.set((box.minX + box.maxX + 1) / 2, (box.minY + box.maxY + 1) / 2, (box.minZ + box.maxZ + 1) / 2);
+  }
+
+  exportCurrentMap() {
+    return encodeCustomMap(this.world, {
+      name: this.nameInput?.value,
+      markers: this.getMarkers(),
+      halfExtent: this.world.arenaMeta?.halfExtent
+    });
+  }
+
+  registerSavedMaps() {
+    for (const data of Object.values(readSavedMaps())) {
+      const customMap = parseCustomMap(data);
+      if (customMap) {
+        registerCustomMap(customMap);
+      }
+    }
+  }
+
+  saveCurrentMap() {
+    const data = this.exportCurrentMap();
+    const maps = readSavedMaps();
+    maps[data.name] = data;
+    if (!writeSavedMaps(maps)) {
+      this.onStatus?.("저장 공간이 부족해 맵을 저장하지 못했습니다", true, 1.2);
+      return null;
+    }
+    const mapId = registerCustomMap(parseCustomMap(data));
+    this.renderSavedMaps(data.name);
+    this.onLibraryChanged?.();
+    this.onStatus?.(`맵 저장: ${data.name}`, false, 1);
+    return mapId;
+  }
+
+  loadSavedMap(name) {
+    const customMap = parseCustomMap(readSavedMaps()[name]);
+    if (!customMap) {
+      this.onStatus?.("저장된 맵을 읽을 수 없습니다", true, 1);
+      return;
+    }
+    this.onLoadMap?.(customMap);
+  }
+
+  deleteSavedMap(name) {
+    const maps = readSavedMaps();
+    if (!Object.hasOwn(maps, name)) {
+      return;
+    }
+    delete maps[name];
+    writeSavedMaps(maps);
+    unregisterCustomMap(`${CUSTOM_MAP_ID_PREFIX}${name}`);
+    this.renderSavedMaps();
+    this.onLibraryChanged?.();
+    this.onStatus?.(`맵 삭제: ${name}`, false, 0.9);
+  }
+
+  renderSavedMaps(selectedName = this.savedSelect?.value) {
+    if (!this.savedSelect) {
+      return;
+    }
+    const names = Object.keys(readSavedMaps()).sort();
+    this.savedSelect.replaceChildren(
+      ...names.map((name) => {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = name;
+        return option;
+      })
+    );
+    if (names.includes(selectedName)) {
+      this.savedSelect.value = selectedName;
+    }
+  }
+
+  downloadCurrentMap() {
+    const data = this.exportCurrentMap();
+    const blob = new Blob([JSON.stringify(data)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${data.name}.reclaim-map.json`;
+    link.click();
+    window.setTimeout(() => URL.revokeObjectURL(url), 0);
+    this.onStatus?.(`맵 내보내기: ${link.download}`, false, 1);
+  }
+
+  async importMapFile(file) {
+    let text = "";
+    try {
+      text = await file.text();
+    } catch {
+      text = "";
+    }
+    const customMap = parseCustomMap(text);
+    if (!customMap) {
+      this.onStatus?.("맵 파일을 읽을 수 없습니다", true, 1.2);
+      return;
+    }
+    if (this.nameInput) {
+      this.nameInput.value = customMap.name;
+    }
+    this.onLoadMap?.(customMap);
+  }
+
+  bindPanel() {
+    const bindClick = (id, action) => {
+      document.getElementById(id)?.addEventListener("click", (event) => {
+        event.preventDefault();
+        if (this.active) {
+          action();
+        }
+      });
+    };
+
+    bindClick("map-editor-save", () => this.saveCurrentMap());
+    bindClick("map-editor-load", () => {
+      if (this.savedSelect?.value) {
+        this.loadSavedMap(this.savedSelect.value);
+        if (this.nameInput) {
+          this.nameInput.value = this.savedSelect.value;
+        }
+      }
+    });
+    bindClick("map-editor-delete", () => {
+      if (this.savedSelect?.value) {
+        this.deleteSavedMap(this.savedSelect.value);
+      }
+    });
+    bindClick("map-editor-new", () => {
+      this.onLoadMap?.(createBlankCustomMap(this.nameInput?.value));
+    });
+    bindClick("map-editor-export", () => this.downloadCurrentMap());
+    bindClick("map-editor-import", () => this.fileInput?.click());
+    this.fileInput?.addEventListener("change", () => {
+      const file = this.fileInput.files?.[0];
+      this.fileInput.value = "";
+      if (file && this.active) {
+        void this.importMapFile(file);
+      }
+    });
+  }
+}
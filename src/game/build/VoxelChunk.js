@@ -0,0 +1,74 @@
+export const CHUNK_SHIFT = 4;
+export const CHUNK_SIZE = 1 << CHUNK_SHIFT;
+export const CHUNK_MASK = CHUNK_SIZE - 1;
+export const CHUNK_VOLUME = CHUNK_SIZE * CHUNK_SIZE * CHUNK_SIZE;
+
+// Chunk coordinates are packed into one number so lookups never build string keys.
+const CHUNK_KEY_OFFSET = 1 << 15;
+const CHUNK_KEY_SPAN = 1 << 16;
+
+export function getChunkKey(cx, cy, cz) {
+  return (
+    ((cx + CHUNK_KEY_OFFSET) * CHUNK_KEY_SPAN + (cy + CHUNK_KEY_OFFSET)) * CHUNK_KEY_SPAN +
+    (cz + CHUNK_KEY_OFFSET)
+  );
+}
+
+export function getChunkIndex(lx, ly, lz) {
+  return (ly * CHUNK_SIZE + lz) * CHUNK_SIZE + lx;
+}
+
+// FNV-1a over every non-empty chunk in key order, so two stores holding the same blocks hash
+// the same no matter how they were filled. Server and clients compare it to catch terrain drift.
+export function hashChunkBlocks(chunks) {
+  const ordered = Array.from(chunks.values())
+    .filter((chunk) => chunk.count > 0)
+    .sort((a, b) => a.key - b.key);
+  let hash = 0x811c9dc5;
+  for (const chunk of ordered) {
+    for (const coord of [chunk.cx, chunk.cy, chunk.cz]) {
+      hash = Math.imul(hash ^ (coord & 0xff), 0x01000193);
+      hash = Math.imul(hash ^ ((coord >> 8) & 0xff), 0x01000193);
+    }
+    for (const typeId of chunk.types) {
+      hash = Math.imul(hash ^ typeId, 0x01000193);
+    }
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+// 16^3 blocks of one block type id each (0 = air).
+export class VoxelChunk {
+  constructor(cx, cy, cz) {
+    this.cx = cx;
+    this.cy = cy;
+    this.cz = cz;
+    this.key = getChunkKey(cx, cy, cz);
+    this.originX = cx * CHUNK_SIZE;
+    this.originY = cy * CHUNK_SIZE;
+    this.originZ = cz * CHUNK_SIZE;
+    this.types = new Uint8Array(CHUNK_VOLUME);
+    this.count = 0;
+    this.mesh = null;
+  }
+
+  get(lx, ly, lz) {
+    return this.types[getChunkIndex(lx, ly, lz)];
+  }
+
+  // Returns the type that was there before.
+  set(lx, ly, lz, typeId) {
+    const index = getChunkIndex(lx, ly, lz);
+    const previous = this.types[index];
+    if (previous === typeId) {
+      return previous;
+    }
+    this.types[index] = typeId;
+    if (previous === 0) {
+      this.count += 1;
+    } else if (typeId === 0) {
+      this.count -= 1;
+    }
+    return previous;
+  }
+}
@@ -0,0 +1,68 @@
+import { BLOCK_TYPE_BY_ID } from "./BlockPalette.js";
+import { CHUNK_MASK, CHUNK_SHIFT, VoxelChunk, getChunkKey, hashChunkBlocks } from "./VoxelChunk.js";
+
+// Block storage without rendering, for code that needs a map's blocks but no scene (the server).
+// Speaks the same builder API as VoxelWorld, so map generators can fill it.
+export class VoxelGrid {
+  constructor() {
+    this.chunks = new Map();
+    this.blockCount = 0;
+  }
+
+  getChunk(x, y, z, create = false) {
+    const key = getChunkKey(x >> CHUNK_SHIFT, y >> CHUNK_SHIFT, z >> CHUNK_SHIFT);
+    let chunk = this.chunks.get(key);
+    if (!chunk && create) {
+      chunk = new VoxelChunk(x >> CHUNK_SHIFT, y >> CHUNK_SHIFT, z >> CHUNK_SHIFT);
+      this.chunks.set(key, chunk);
+    }
+    return chunk ?? null;
+  }
+
+  getTypeAt(x, y, z) {
+    const chunk = this.getChunk(x, y, z);
+    return chunk ? chunk.get(x & CHUNK_MASK, y & CHUNK_MASK, z & CHUNK_MASK) : 0;
+  }
+
+  hasBlock(x, y, z) {
+    return this.getTypeAt(x, y, z) !== 0;
+  }
+
+  setBlock(x, y, z, typeId) {
+    if (!BLOCK_TYPE_BY_ID.has(typeId)) {
+      return false;
+    }
+    const chunk = this.getChunk(x, y, z, true);
+    if (chunk.set(x & CHUNK_MASK, y & CHUNK_MASK, z & CHUNK_MASK, typeId) === 0) {
+      this.blockCount += 1;
+    }
+    return true;
+  }
+
+  removeBlock(x, y, z) {
+    const chunk = this.getChunk(x, y, z);
+    if (!chunk || chunk.set(x & CHUNK_MASK, y & CHUNK_MASK, z & CHUNK_MASK, 0) === 0) {
+      return false;
+    }
+    this.blockCount -= 1;
+    if (chunk.count === 0) {
+      this.chunks.delete(chunk.key);
+    }
+    return true;
+  }
+
+  getBlockHash() {
+    return hashChunkBlocks(this.chunks);
+  }
+
+  getSurfaceYAt(worldX, worldZ, minY = -32, maxY = 48) {
+    const x = Math.floor(worldX);
+    const z = Math.floor(worldZ);
+    for (let y = maxY; y >= minY; y -= 1) {
+      if (this.hasBlock(x, y, z)) {
+        return y + 1;
+      }
+    }
+    return null;
+  }
+}
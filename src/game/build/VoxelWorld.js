@@ -1,8 +1,19 @@
 import * as THREE from "three";
-import { BLOCK_TYPE_BY_ID } from "./BlockPalette.js";
-import { buildSelectedMap, getDefaultMapId } from "../world/MapRegistry.js";
+import { BLOCK_TYPES, BLOCK_TYPE_BY_ID, getBlockMaxHealth } from "./BlockPalette.js";
+import { createCrackMaterials, getCrackStage } from "./BlockCracks.js";
+import { buildChunkGeometry } from "./ChunkMesher.js";
+import { CHUNK_MASK, CHUNK_SHIFT, VoxelChunk, getChunkKey, hashChunkBlocks } from "./VoxelChunk.js";
+import {
+  buildSelectedMap,
+  getDefaultMapId,
+  getDefaultMapSeed,
+  normalizeMapId,
+  normalizeMapSeed
+} from "../world/MapRegistry.js";
+import { raycastVoxels } from "../../shared/voxelRaycast.js";
 
 const KEY_SEPARATOR = "|";
+const DEFAULT_BLOCK_COLOR = "#9aa3ad";
 
 export class VoxelWorld {
   constructor(scene, textureLoader) {
@@ -13,39 +24,62 @@ export class VoxelWorld {
     this.group.name = "voxel-world";
     this.scene.add(this.group);
 
-    this.blockGeometry = new THREE.BoxGeometry(1, 1, 1);
-    this.tmpMatrix = new THREE.Matrix4();
-    this.blockMap = new Map();
-    this.buckets = new Map();
+    this.materials = this.createBlockMaterials();
+    this.crackMaterials = null;
+    this.crackGeometry = null;
+    this.chunks = new Map();
+    this.dirtyChunks = new Set();
+    this.blockCount = 0;
+    this.blockDamage = new Map();
     this.surfaceCache = new Map();
-    this.raycastTargets = [];
-    this.maxInstancesPerType = 130000;
     this.arenaMeta = null;
     this.activeMapId = getDefaultMapId();
+    this.activeMapSeed = getDefaultMapSeed();
+    this.terrainHash = "";
+    this._lastChunk = null;
+    this._getTypeAt = (x, y, z) => this.getTypeAt(x, y, z);
     this._losDirection = new THREE.Vector3();
-    this._losPoint = new THREE.Vector3();
-    this._losRaycaster = new THREE.Raycaster();
-    this.dirtyBoundsBuckets = new Set();
-    this.bucketOptimizeDirty = true;
+    this.changeListeners = new Set();
+    this.suppressChangeEvents = false;
+  }
+
+  addChangeListener(listener) {
+    this.changeListeners.add(listener);
+    return () => this.changeListeners.delete(listener);
+  }
+
+  emitChange(event) {
+    if (this.suppressChangeEvents) {
+      return;
+    }
+    for (const listener of this.changeListeners) {
+      listener(event);
+    }
   }
 
   clear() {
-    this.blockMap.clear();
-    this.surfaceCache.clear();
-    this.arenaMeta = null;
+    for (const chunk of this.chunks.values()) {
+      if (chunk.mesh) {
+        this.group.remove(chunk.mesh);
+        chunk.mesh.geometry.dispose();
+      }
+    }
 
-    for (const bucket of this.buckets.values()) {
-      this.group.remove(bucket.mesh);
-      bucket.mesh.material.dispose();
+    for (const entry of this.blockDamage.values()) {
+      this.group.remove(entry.mesh);
     }
 
-    this.buckets.clear();
-    this.raycastTargets.length = 0;
-    this.dirtyBoundsBuckets.clear();
-    this.bucketOptimizeDirty = true;
+    this.chunks.clear();
+    this.dirtyChunks.clear();
+    this.blockCount = 0;
+    this.blockDamage.clear();
+    this.surfaceCache.clear();
+    this._lastChunk = null;
+    this.arenaMeta = null;
+    this.emitChange({ type: "reset" });
   }
 
-  key(x, y, z) {
+  blockKey(x, y, z) {
     return `${x}${KEY_SEPARATOR}${y}${KEY_SEPARATOR}${z}`;
   }
 
@@ -53,11 +87,6 @@ export class VoxelWorld {
     return `${x}${KEY_SEPARATOR}${z}`;
   }
 
-  parseKey(key) {
-    const [x, y, z] = key.split(KEY_SEPARATOR).map((value) => Number(value));
-    return { x, y, z };
-  }
-
   loadBlockTexture(url) {
     const texture = this.textureLoader.load(url);
     texture.colorSpace = THREE.SRGBColorSpace;
@@ -69,137 +98,135 @@ export class VoxelWorld {
     return texture;
   }
 
-  ensureBucket(typeId) {
-    const existing = this.buckets.get(typeId);
-    if (existing) {
-      return existing;
-    }
-
-    const type = BLOCK_TYPE_BY_ID.get(typeId);
-    if (!type) {
-      return null;
-    }
-
-    const baseColor = type.color ?? "#9aa3ad";
-    const material = new THREE.MeshStandardMaterial({
-      color: baseColor,
-      roughness: typeId === 7 ? 0.18 : 0.82,
-      metalness: typeId === 8 ? 0.24 : typeId === 7 ? 0.08 : 0.03,
-      flatShading: true
-    });
-
-    const capacity = this.getBucketCapacity(typeId);
-    const mesh = new THREE.InstancedMesh(this.blockGeometry, material, capacity);
-    mesh.count = 0;
-    mesh.castShadow = true;
-    mesh.receiveShadow = true;
-    mesh.frustumCulled = true;
-    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
-    mesh.userData.typeId = typeId;
-    mesh.userData.isVoxelBucket = true;
-
-    const bucket = {
-      typeId,
-      capacity,
-      mesh,
-      keys: [],
-      indexByKey: new Map()
-    };
-
-    this.buckets.set(typeId, bucket);
-    this.group.add(mesh);
-    this.raycastTargets.push(mesh);
-    return bucket;
+  // Indexed by block type id, which is also the material index of every chunk geometry group.
+  createBlockMaterials() {
+    const materials = [new THREE.MeshStandardMaterial({ color: DEFAULT_BLOCK_COLOR, flatShading: true })];
+    for (const type of BLOCK_TYPES) {
+      materials[type.id] = new THREE.MeshStandardMaterial({
+        color: type.color ?? DEFAULT_BLOCK_COLOR,
+        roughness: type.id === 7 ? 0.18 : 0.82,
+        metalness: type.id === 8 ? 0.24 : type.id === 7 ? 0.08 : 0.03,
+        flatShading: true
+      });
+    }
+    for (let id = 0; id < materials.length; id += 1) {
+      materials[id] ??= materials[0];
+    }
+    return materials;
   }
 
-  markBucketBoundsDirty(bucket) {
-    if (!bucket) {
-      return;
+  getChunk(x, y, z, create = false) {
+    const cx = x >> CHUNK_SHIFT;
+    const cy = y >> CHUNK_SHIFT;
+    const cz = z >> CHUNK_SHIFT;
+    const last = this._lastChunk;
+    if (last && last.cx === cx && last.cy === cy && last.cz === cz) {
+      return last;
     }
-    bucket.boundsDirty = true;
-    this.dirtyBoundsBuckets.add(bucket);
-  }
 
-  flushDirtyBounds() {
-    if (this.dirtyBoundsBuckets.size === 0) {
-      return;
-    }
-
-    for (const bucket of this.dirtyBoundsBuckets) {
-      if (!bucket?.mesh) {
-        continue;
+    let chunk = this.chunks.get(getChunkKey(cx, cy, cz));
+    if (!chunk) {
+      if (!create) {
+        return null;
       }
-      bucket.mesh.computeBoundingSphere();
-      bucket.mesh.computeBoundingBox();
-      bucket.boundsDirty = false;
+      chunk = new VoxelChunk(cx, cy, cz);
+      this.chunks.set(chunk.key, chunk);
     }
-
-    this.dirtyBoundsBuckets.clear();
+    this._lastChunk = chunk;
+    return chunk;
   }
 
-  optimizeBucketRendering(force = false) {
-    if (!force && !this.bucketOptimizeDirty) {
-      return false;
-    }
+  // Block type id at (x, y, z), or 0 for air.
+  getTypeAt(x, y, z) {
+    const chunk = this.getChunk(x, y, z);
+    return chunk ? chunk.get(x & CHUNK_MASK, y & CHUNK_MASK, z & CHUNK_MASK) : 0;
+  }
 
-    for (const bucket of this.buckets.values()) {
-      if (!bucket?.mesh) {
-        continue;
+  // A block on a chunk face also changes which faces the neighbouring chunk has to draw.
+  markBlockDirty(chunk, x, y, z) {
+    this.dirtyChunks.add(chunk);
+    const lx = x & CHUNK_MASK;
+    const ly = y & CHUNK_MASK;
+    const lz = z & CHUNK_MASK;
+    const markNeighbor = (nx, ny, nz) => {
+      const neighbor = this.chunks.get(getChunkKey(nx, ny, nz));
+      if (neighbor) {
+        this.dirtyChunks.add(neighbor);
       }
-
-      const heavyBucket = bucket.mesh.count >= 48000;
-      bucket.mesh.castShadow = !heavyBucket;
-      bucket.mesh.receiveShadow = true;
+    };
+    if (lx === 0) {
+      markNeighbor(chunk.cx - 1, chunk.cy, chunk.cz);
+    } else if (lx === CHUNK_MASK) {
+      markNeighbor(chunk.cx + 1, chunk.cy, chunk.cz);
+    }
+    if (ly === 0) {
+      markNeighbor(chunk.cx, chunk.cy - 1, chunk.cz);
+    } else if (ly === CHUNK_MASK) {
+      markNeighbor(chunk.cx, chunk.cy + 1, chunk.cz);
+    }
+    if (lz === 0) {
+      markNeighbor(chunk.cx, chunk.cy, chunk.cz - 1);
+    } else if (lz === CHUNK_MASK) {
+      markNeighbor(chunk.cx, chunk.cy, chunk.cz + 1);
     }
-
-    this.bucketOptimizeDirty = false;
-    return true;
   }
 
-  getBucketCapacity(typeId) {
-    if (typeId === 3) {
-      return this.maxInstancesPerType;
-    }
-    if (typeId === 2) {
-      return 60000;
+  // Re-meshes every chunk touched since the last call. Runs before each frame; raycasts read the
+  // chunk data directly and never wait for it.
+  flushDirtyChunks() {
+    if (this.dirtyChunks.size === 0) {
+      return;
     }
-    if (typeId === 1) {
-      return 40000;
+    for (const chunk of this.dirtyChunks) {
+      this.rebuildChunkMesh(chunk);
     }
-    if (typeId === 4 || typeId === 5) {
-      return 25000;
+    this.dirtyChunks.clear();
+  }
+
+  rebuildChunkMesh(chunk) {
+    const geometry = chunk.count > 0 ? buildChunkGeometry(chunk, this._getTypeAt) : null;
+    if (chunk.mesh) {
+      chunk.mesh.geometry.dispose();
+      if (geometry) {
+        chunk.mesh.geometry = geometry;
+      } else {
+        this.group.remove(chunk.mesh);
+        chunk.mesh = null;
+      }
+    } else if (geometry) {
+      const mesh = new THREE.Mesh(geometry, this.materials);
+      mesh.castShadow = true;
+      mesh.receiveShadow = true;
+      mesh.matrixAutoUpdate = false;
+      mesh.userData.isVoxelChunk = true;
+      chunk.mesh = mesh;
+      this.group.add(mesh);
+    }
+
+    if (chunk.count === 0) {
+      this.chunks.delete(chunk.key);
+      if (this._lastChunk === chunk) {
+        this._lastChunk = null;
+      }
     }
-    return 15000;
   }
 
   setBlock(x, y, z, typeId) {
-    const key = this.key(x, y, z);
-    const previous = this.blockMap.get(key);
-    if (previous?.typeId === typeId) {
+    if (!BLOCK_TYPE_BY_ID.has(typeId)) {
       return false;
     }
-
-    if (previous) {
-      this.removeBlock(x, y, z);
-    }
-
-    const bucket = this.ensureBucket(typeId);
-    if (!bucket || bucket.mesh.count >= bucket.capacity) {
+    const chunk = this.getChunk(x, y, z, true);
+    const previous = chunk.set(x & CHUNK_MASK, y & CHUNK_MASK, z & CHUNK_MASK, typeId);
+    if (previous === typeId) {
       return false;
     }
-
-    const index = bucket.mesh.count;
-    bucket.mesh.count += 1;
-    this.bucketOptimizeDirty = true;
-
-    this.tmpMatrix.makeTranslation(x + 0.5, y + 0.5, z + 0.5);
-    bucket.mesh.setMatrixAt(index, this.tmpMatrix);
-    bucket.mesh.instanceMatrix.needsUpdate = true;
-    this.markBucketBoundsDirty(bucket);
-
-    bucket.keys[index] = key;
-    bucket.indexByKey.set(key, index);
-    this.blockMap.set(key, { x, y, z, typeId });
+    if (previous === 0) {
+      this.blockCount += 1;
+    } else {
+      this.clearBlockDamage(x, y, z);
+    }
+    this.markBlockDirty(chunk, x, y, z);
+    this.emitChange({ type: "block", x, y, z });
 
     const columnKey = this.columnKey(x, z);
     const nextSurface = y + 1;
@@ -212,45 +239,17 @@ export class VoxelWorld {
   }
 
   removeBlock(x, y, z) {
-    const key = this.key(x, y, z);
-    const block = this.blockMap.get(key);
-    if (!block) {
+    const chunk = this.getChunk(x, y, z);
+    if (!chunk) {
       return false;
     }
-
-    const bucket = this.buckets.get(block.typeId);
-    if (!bucket) {
-      this.blockMap.delete(key);
+    const previous = chunk.set(x & CHUNK_MASK, y & CHUNK_MASK, z & CHUNK_MASK, 0);
+    if (previous === 0) {
       return false;
     }
-
-    const removeIndex = bucket.indexByKey.get(key);
-    if (removeIndex === undefined) {
-      this.blockMap.delete(key);
-      return false;
-    }
-
-    const lastIndex = bucket.mesh.count - 1;
-    if (lastIndex < 0) {
-      this.blockMap.delete(key);
-      return false;
-    }
-
-    if (removeIndex !== lastIndex) {
-      const lastKey = bucket.keys[lastIndex];
-      bucket.mesh.getMatrixAt(lastIndex, this.tmpMatrix);
-      bucket.mesh.setMatrixAt(removeIndex, this.tmpMatrix);
-      bucket.keys[removeIndex] = lastKey;
-      bucket.indexByKey.set(lastKey, removeIndex);
-    }
-
-    bucket.keys.pop();
-    bucket.indexByKey.delete(key);
-    bucket.mesh.count = lastIndex;
-    this.bucketOptimizeDirty = true;
-    bucket.mesh.instanceMatrix.needsUpdate = true;
-    this.markBucketBoundsDirty(bucket);
-    this.blockMap.delete(key);
+    this.blockCount -= 1;
+    this.clearBlockDamage(x, y, z);
+    this.markBlockDirty(chunk, x, y, z);
 
     const columnKey = this.columnKey(x, z);
     const cachedSurface = this.surfaceCache.get(columnKey);
@@ -258,11 +257,93 @@ export class VoxelWorld {
       this.surfaceCache.delete(columnKey);
     }
 
+    this.emitChange({ type: "block", x, y, z });
     return true;
   }
 
   hasBlock(x, y, z) {
-    return this.blockMap.has(this.key(x, y, z));
+    return this.getTypeAt(x, y, z) !== 0;
+  }
+
+  getBlockType(x, y, z) {
+    return this.getTypeAt(x, y, z) || null;
+  }
+
+  getBlockDamage(x, y, z) {
+    return this.blockDamage.get(this.blockKey(x, y, z))?.damage ?? 0;
+  }
+
+  // Damage is kept below the block's health; breaking a block goes through damageBlock or removeBlock.
+  setBlockDamage(x, y, z, damage) {
+    const typeId = this.getTypeAt(x, y, z);
+    const maxHealth = getBlockMaxHealth(typeId);
+    const nextDamage = Math.min(maxHealth - 1, Math.trunc(Number(damage) || 0));
+    if (!typeId || nextDamage <= 0) {
+      this.clearBlockDamage(x, y, z);
+      return 0;
+    }
+
+    const key = this.blockKey(x, y, z);
+    let entry = this.blockDamage.get(key);
+    if (!entry) {
+      this.crackMaterials ??= createCrackMaterials();
+      this.crackGeometry ??= new THREE.BoxGeometry(1.002, 1.002, 1.002);
+      const mesh = new THREE.Mesh(this.crackGeometry, this.crackMaterials[1]);
+      mesh.position.set(x + 0.5, y + 0.5, z + 0.5);
+      mesh.renderOrder = 1;
+      mesh.userData.isBlockCrack = true;
+      this.group.add(mesh);
+      entry = { damage: 0, mesh };
+      this.blockDamage.set(key, entry);
+    }
+    entry.damage = nextDamage;
+    entry.mesh.material = this.crackMaterials[getCrackStage(nextDamage, maxHealth)];
+    return nextDamage;
+  }
+
+  clearBlockDamage(x, y, z) {
+    if (this.blockDamage.size === 0) {
+      return;
+    }
+    const key = this.blockKey(x, y, z);
+    const entry = this.blockDamage.get(key);
+    if (entry) {
+      this.group.remove(entry.mesh);
+      this.blockDamage.delete(key);
+    }
+  }
+
+  // Returns { typeId, damage, broken } for the block that took the hit, or null for air.
+  damageBlock(x, y, z, amount) {
+    const typeId = this.getTypeAt(x, y, z);
+    if (!typeId) {
+      return null;
+    }
+    const damage = this.getBlockDamage(x, y, z) + Math.max(0, Math.trunc(Number(amount) || 0));
+    if (damage >= getBlockMaxHealth(typeId)) {
+      this.removeBlock(x, y, z);
+      return { typeId, damage, broken: true };
+    }
+    return { typeId, damage: this.setBlockDamage(x, y, z, damage), broken: false };
+  }
+
+  // Calls visit(x, y, z, typeId) for every block, chunk by chunk.
+  forEachBlock(visit) {
+    for (const chunk of this.chunks.values()) {
+      if (chunk.count === 0) {
+        continue;
+      }
+      const types = chunk.types;
+      for (let index = 0; index < types.length; index += 1) {
+        if (types[index] === 0) {
+          continue;
+        }
+        const lx = index & CHUNK_MASK;
+        const lz = (index >> CHUNK_SHIFT) & CHUNK_MASK;
+        const ly = index >> (CHUNK_SHIFT * 2);
+        visit(chunk.originX + lx, chunk.originY + ly, chunk.originZ + lz, types[index]);
+      }
+    }
   }
 
   hasBlockAtWorld(worldX, worldY, worldZ) {
@@ -304,100 +385,33 @@ export class VoxelWorld {
       return true;
     }
 
-    const point = this._losPoint;
-    const epsilon = Math.max(0.03, Number(step) || 0.03);
-    const startTravel = Math.min(distance * 0.5, epsilon);
-    const endTravel = Math.max(0, distance - epsilon);
-
-    if (startTravel > 0) {
-      point.copy(start).addScaledVector(direction, startTravel / distance);
-      if (this.hasBlockAtWorld(point.x, point.y, point.z)) {
-        return false;
-      }
-    }
-    if (endTravel > 0) {
-      point.copy(start).addScaledVector(direction, endTravel / distance);
-      if (this.hasBlockAtWorld(point.x, point.y, point.z)) {
-        return false;
-      }
-    }
-
-    if (this.raycastTargets.length === 0) {
-      return true;
-    }
-
-    this.flushDirtyBounds();
-    const raycaster = this._losRaycaster;
-    direction.multiplyScalar(1 / distance);
-    raycaster.set(start, direction);
-    raycaster.near = epsilon;
-    raycaster.far = Math.max(epsilon, distance - epsilon);
-    const hits = raycaster.intersectObjects(this.raycastTargets, false);
-    return hits.length === 0;
+    // Both ends are pulled in a little so a ray from a face or towards a block's surface does
+    // not count the block it starts on or aims at.
+    const epsilon = Math.min(distance * 0.5, Math.max(0.03, Number(step) || 0.03));
+    const far = Math.max(epsilon, distance - epsilon);
+    return raycastVoxels(start, direction, far, this._getTypeAt, epsilon) === null;
   }
 
-  raycast(raycaster, maxDistance = 8) {
-    this.flushDirtyBounds();
-    const previousFar = raycaster.far;
-    raycaster.far = maxDistance;
-    const hits = raycaster.intersectObjects(this.raycastTargets, false);
-    raycaster.far = previousFar;
-
-    if (hits.length === 0) {
-      return null;
-    }
-
-    const hit = hits[0];
-    const mesh = hit.object;
-    const typeId = mesh.userData.typeId;
-    const bucket = this.buckets.get(typeId);
-    if (!bucket || hit.instanceId === undefined) {
+  // First block on the segment from start to end, as { x, y, z, typeId, ... }, or null.
+  raycastBetween(start, end) {
+    const direction = this._losDirection.subVectors(end, start);
+    const distance = direction.length();
+    if (distance <= 0.0001) {
       return null;
     }
+    return raycastVoxels(start, direction, distance, this._getTypeAt);
+  }
 
-    const key = bucket.keys[hit.instanceId];
-    if (!key) {
+  raycast(raycaster, maxDistance = 8) {
+    const hit = raycastVoxels(raycaster.ray.origin, raycaster.ray.direction, maxDistance, this._getTypeAt);
+    if (!hit) {
       return null;
     }
 
-    const coords = this.parseKey(key);
-    const normal = hit.face
-      ? hit.face.normal.clone().transformDirection(mesh.matrixWorld)
-      : new THREE.Vector3(0, 1, 0);
-
-    if (normal.lengthSq() < 1e-6) {
-      const lx = hit.point.x - (coords.x + 0.5);
-      const ly = hit.point.y - (coords.y + 0.5);
-      const lz = hit.point.z - (coords.z + 0.5);
-      const ax = Math.abs(lx);
-      const ay = Math.abs(ly);
-      const az = Math.abs(lz);
-      if (ax >= ay && ax >= az) {
-        normal.set(Math.sign(lx) || 1, 0, 0);
-      } else if (ay >= ax && ay >= az) {
-        normal.set(0, Math.sign(ly) || 1, 0);
-      } else {
-        normal.set(0, 0, Math.sign(lz) || 1);
-      }
-    } else {
-      const ax = Math.abs(normal.x);
-      const ay = Math.abs(normal.y);
-      const az = Math.abs(normal.z);
-      if (ax >= ay && ax >= az) {
-        normal.set(Math.sign(normal.x) || 1, 0, 0);
-      } else if (ay >= ax && ay >= az) {
-        normal.set(0, Math.sign(normal.y) || 1, 0);
-      } else {
-        normal.set(0, 0, Math.sign(normal.z) || 1);
-      }
-    }
-
     return {
-      ...coords,
-      typeId,
-      distance: hit.distance,
-      point: hit.point.clone(),
-      normal
+      ...hit,
+      point: new THREE.Vector3(hit.point.x, hit.point.y, hit.point.z),
+      normal: new THREE.Vector3(hit.normal.x, hit.normal.y, hit.normal.z)
     };
   }
 
@@ -515,12 +529,15 @@ export class VoxelWorld {
   }
 
   generateTerrain(options = {}) {
+    this.suppressChangeEvents = true;
     this.clear();
 
     const mapResult = buildSelectedMap(this, options);
-    this.activeMapId = String(options.mapId ?? getDefaultMapId());
-    this.flushDirtyBounds();
-    this.optimizeBucketRendering();
+    this.activeMapId = normalizeMapId(options.mapId);
+    this.activeMapSeed = normalizeMapSeed(options.seed);
+    // Hashed before any edits or lobby geometry land, so it matches the server's base terrain.
+    this.terrainHash = hashChunkBlocks(this.chunks);
+    this.flushDirtyChunks();
 
     this.arenaMeta =
       mapResult?.arenaMeta ?? {
@@ -532,6 +549,8 @@ export class VoxelWorld {
         trainingSpawn: { x: -35, y: 0, z: 0 },
         halfExtent: 60
       };
+    this.suppressChangeEvents = false;
+    this.emitChange({ type: "reset" });
   }
 
   decorateArena() {
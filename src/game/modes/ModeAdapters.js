@@ -0,0 +1,267 @@
+import { GAME_MODE, normalizeGameMode } from "../../shared/gameModes.js";
+import { formatTeamLabel, getEnemyTeamId, normalizeTeamId } from "../teams.js";
+
+function readCoord(value, fallback) {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+}
+
+function readRoundNumber(event) {
+  return Math.max(1, Math.trunc(Number(event.roundNumber) || 1));
+}
+
+function formatClock(remainingMs) {
+  const minutes = Math.floor(remainingMs / 60000);
+  const seconds = Math.floor((remainingMs % 60000) / 1000);
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+}
+
+const CTF_ADAPTER = Object.freeze({
+  id: GAME_MODE.CTF,
+  usesFlags: true,
+  usesControlPoint: false,
+  allowsRespawn: true,
+
+  applyState(game, payload) {
+    const flagsPayload = payload?.flags && typeof payload.flags === "object" ? payload.flags : null;
+    const legacyCenterFlagPayload =
+      !flagsPayload && payload?.flag && typeof payload.flag === "object" ? payload.flag : null;
+
+    for (const team of ["alpha", "bravo"]) {
+      const target = game.onlineCtf.flags[team];
+      const homeFallback = team === "alpha" ? game.objective.alphaFlagHome : game.objective.bravoFlagHome;
+      const flagPayload = flagsPayload ? flagsPayload[team] ?? null : legacyCenterFlagPayload;
+
+      if (flagPayload?.home) {
+        target.home.set(
+          readCoord(flagPayload.home.x, homeFallback.x),
+          readCoord(flagPayload.home.y, homeFallback.y),
+          readCoord(flagPayload.home.z, homeFallback.z)
+        );
+      } else {
+        target.home.copy(homeFallback);
+      }
+
+      if (flagPayload?.at) {
+        target.at.set(
+          readCoord(flagPayload.at.x, target.home.x),
+          readCoord(flagPayload.at.y, target.home.y),
+          readCoord(flagPayload.at.z, target.home.z)
+        );
+      } else {
+        target.at.copy(target.home);
+      }
+
+      const carrierId = String(flagPayload?.carrierId ?? "").trim();
+      target.carrierId = carrierId || null;
+    }
+  },
+
+  getObjectiveText(game) {
+    const myTeam = normalizeTeamId(game.getMyTeam());
+    if (!myTeam) {
+      return "목표: 블루팀 또는 레드팀을 먼저 선택하세요";
+    }
+    const enemyTeam = getEnemyTeamId(myTeam);
+    if (!enemyTeam) {
+      return "목표: 팀 정보를 확인할 수 없습니다";
+    }
+
+    const myId = game.getMySocketId();
+    const flags = game.onlineCtf.flags ?? {};
+    const myFlag = flags[myTeam];
+    const enemyFlag = flags[enemyTeam];
+
+    if (enemyFlag?.carrierId === myId) {
+      return "목표: 적 기지 깃발을 아군 거점으로 운반하세요";
+    }
+    if (enemyFlag?.carrierId) {
+      const carrierTeam = game.getPlayerTeamById(enemyFlag.carrierId);
+      if (carrierTeam && carrierTeam === myTeam) {
+        return "목표: 아군 깃발 운반자를 엄호하세요";
+      }
+    }
+    if (myFlag?.carrierId) {
+      const carrierTeam = game.getPlayerTeamById(myFlag.carrierId);
+      if (!carrierTeam || carrierTeam !== myTeam) {
+        return "목표: 아군 깃발을 탈취한 적을 저지하세요";
+      }
+    }
+
+    return `목표: 적 기지 깃발 탈취 (승리 조건 ${game.onlineTargetScore}점)`;
+  },
+
+  getHudInfoText() {
+    return "";
+  },
+
+  describeEvent(game, event) {
+    const byPlayerId = String(event.byPlayerId ?? "");
+    const byName = game.getPlayerNameById(byPlayerId);
+    const byTeam = normalizeTeamId(event.byTeam);
+    const flagTeam = normalizeTeamId(event.flagTeam);
+    const isMine = byPlayerId && byPlayerId === game.getMySocketId();
+
+    if (event.type === "pickup") {
+      return {
+        text: isMine
+          ? "적 깃발 탈취 성공! 아군 거점으로 복귀하세요"
+          : `${byName}이(가) ${formatTeamLabel(flagTeam)} 깃발을 탈취했습니다 (${formatTeamLabel(byTeam)})`,
+        duration: 1.1
+      };
+    }
+    if (event.type === "capture") {
+      return {
+        text: isMine ? "깃발 점수 +1 획득" : `${byName}이(가) 깃발 점수 +1 획득`,
+        duration: 1.3
+      };
+    }
+    if (event.type === "reset") {
+      return { text: "깃발이 원래 위치로 복귀했습니다", warn: true, duration: 0.9 };
+    }
+    if (event.type === "start") {
+      return { text: "깃발전 시작: 적 기지 깃발을 탈취하세요", duration: 0.9 };
+    }
+    return null;
+  }
+});
+
+const ELIMINATION_ADAPTER = Object.freeze({
+  id: GAME_MODE.ELIMINATION,
+  usesFlags: false,
+  usesControlPoint: false,
+  allowsRespawn: false,
+
+  applyState(game, payload) {
+    for (const team of ["alpha", "bravo"]) {
+      const alive = Number(payload?.alive?.[team]);
+      if (Number.isFinite(alive)) {
+        game.onlineCtf.alive[team] = Math.max(0, Math.trunc(alive));
+      }
+    }
+  },
+
+  getObjectiveText() {
+    return "목표: 적 팀을 제압하세요";
+  },
+
+  getHudInfoText(game) {
+    const roundNumber = Math.max(1, game.onlineCtf.roundNumber);
+    const alive = game.onlineCtf.alive;
+    const now = Date.now();
+    if (game.onlineCtf.intermissionUntil > now) {
+      const seconds = Math.ceil((game.onlineCtf.intermissionUntil - now) / 1000);
+      return `R${roundNumber} 종료 · 다음 라운드 ${seconds}초`;
+    }
+
+    const clock = formatClock(Math.max(0, game.onlineCtf.roundEndsAt - now));
+    return `R${roundNumber} · 생존 ${alive.alpha} vs ${alive.bravo} · ${clock}`;
+  },
+
+  describeEvent(game, event) {
+    if (event.type === "round_start") {
+      return { text: `라운드 ${readRoundNumber(event)} 시작: 적 팀을 전멸시키세요`, duration: 1.0 };
+    }
+    if (event.type === "round_end") {
+      const winnerTeam = normalizeTeamId(event.winnerTeam);
+      const roundNumber = readRoundNumber(event);
+      return {
+        text: winnerTeam
+          ? `라운드 ${roundNumber} 종료: ${formatTeamLabel(winnerTeam)} 승리`
+          : `라운드 ${roundNumber} 종료: 무승부`,
+        warn: !winnerTeam,
+        duration: 1.2
+      };
+    }
+    if (event.type === "start") {
+      return { text: "섬멸전 시작: 부활 없이 적 팀을 전멸시키세요", duration: 0.9 };
+    }
+    return null;
+  }
+});
+
+const KOTH_ADAPTER = Object.freeze({
+  id: GAME_MODE.KOTH,
+  usesFlags: false,
+  usesControlPoint: true,
+  allowsRespawn: true,
+
+  applyState(game, payload) {
+    const hillPayload = payload?.hill && typeof payload.hill === "object" ? payload.hill : null;
+    const hill = game.onlineCtf.hill;
+    if (!hillPayload) {
+      return;
+    }
+    hill.owner = normalizeTeamId(hillPayload.owner);
+    hill.capturingTeam = normalizeTeamId(hillPayload.capturingTeam);
+    hill.progress = Math.max(0, Math.min(1, readCoord(hillPayload.progress, 0)));
+    hill.contested = Boolean(hillPayload.contested);
+    hill.overtime = Boolean(hillPayload.overtime);
+  },
+
+  getObjectiveText(game) {
+    const myTeam = normalizeTeamId(game.getMyTeam());
+    if (!myTeam) {
+      return "목표: 블루팀 또는 레드팀을 먼저 선택하세요";
+    }
+
+    const hill = game.onlineCtf.hill;
+    if (hill.contested) {
+      return "목표: 중앙 거점 교전 중 - 적을 몰아내세요";
+    }
+    if (hill.capturingTeam === myTeam) {
+      return `목표: 중앙 거점 점령 중 ${Math.round(hill.progress * 100)}%`;
+    }
+    if (hill.owner === myTeam) {
+      return `목표: 중앙 거점을 사수하세요 (승리 조건 ${game.onlineTargetScore}점)`;
+    }
+    if (hill.owner) {
+      return "목표: 적이 점령한 중앙 거점을 탈환하세요";
+    }
+    return `목표: 중앙 거점을 점령하세요 (승리 조건 ${game.onlineTargetScore}점)`;
+  },
+
+  getHudInfoText(game) {
+    const hill = game.onlineCtf.hill;
+    let hillText = hill.owner ? `${formatTeamLabel(hill.owner)} 점령` : "중립 거점";
+    if (hill.contested) {
+      hillText = "거점 교전 중";
+    } else if (hill.capturingTeam) {
+      hillText = `${formatTeamLabel(hill.capturingTeam)} 점령 ${Math.round(hill.progress * 100)}%`;
+    }
+
+    if (hill.overtime) {
+      return `${hillText} · 연장전`;
+    }
+    return `${hillText} · ${formatClock(Math.max(0, game.onlineCtf.roundEndsAt - Date.now()))}`;
+  },
+
+  describeEvent(game, event) {
+    if (event.type === "hill_captured") {
+      const byTeam = normalizeTeamId(event.byTeam);
+      const isMyTeam = byTeam && byTeam === normalizeTeamId(game.getMyTeam());
+      return {
+        text: isMyTeam ? "중앙 거점 점령! 거점을 사수하세요" : `${formatTeamLabel(byTeam)}이 중앙 거점을 점령했습니다`,
+        warn: !isMyTeam,
+        duration: 1.2
+      };
+    }
+    if (event.type === "hill_overtime") {
+      return { text: "연장전: 먼저 앞서는 팀이 승리합니다", warn: true, duration: 1.2 };
+    }
+    if (event.type === "start") {
+      return { text: "점령전 시작: 중앙 거점을 점령하고 유지하세요", duration: 0.9 };
+    }
+    return null;
+  }
+});
+
+const MODE_ADAPTERS = Object.freeze({
+  [CTF_ADAPTER.id]: CTF_ADAPTER,
+  [ELIMINATION_ADAPTER.id]: ELIMINATION_ADAPTER,
+  [KOTH_ADAPTER.id]: KOTH_ADAPTER
+});
+
+export function getModeAdapter(mode) {
+  return MODE_ADAPTERS[normalizeGameMode(mode)];
+}
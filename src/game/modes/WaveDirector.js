@@ -0,0 +1,151 @@
+import { ENEMY_ARCHETYPE } from "../ai/EnemyArchetypes.js";
+
+export const WAVE_PHASE = Object.freeze({
+  IDLE: "idle",
+  BREAK: "break",
+  ACTIVE: "active"
+});
+
+export const WAVE_FIRST_BREAK_SECONDS = 8;
+export const WAVE_BREAK_SECONDS = 18;
+export const WAVE_BOSS_INTERVAL = 5;
+
+const WAVE_SQUAD_MIN = 3;
+const WAVE_SQUAD_MAX = 5;
+const WAVE_SQUAD_INTERVAL = 4.5;
+
+// Wave n brings more riflemen every time and unlocks the heavier archetypes as it goes;
+// every fifth wave is led by a boss with a heavy escort.
+export function buildWavePlan(number) {
+  const wave = Math.max(1, Math.trunc(number) || 1);
+  const boss = wave % WAVE_BOSS_INTERVAL === 0;
+  const counts = {
+    [ENEMY_ARCHETYPE.RIFLEMAN]: 3 + wave,
+    [ENEMY_ARCHETYPE.RUSHER]: wave >= 2 ? Math.floor(wave * 0.8) : 0,
+    [ENEMY_ARCHETYPE.SNIPER]: wave >= 3 ? Math.floor((wave - 1) / 2) : 0,
+    [ENEMY_ARCHETYPE.HEAVY]: wave >= 4 ? Math.floor((wave - 1) / 3) : 0,
+    [ENEMY_ARCHETYPE.BOSS]: boss ? Math.floor(wave / WAVE_BOSS_INTERVAL) : 0
+  };
+  if (boss) {
+    counts[ENEMY_ARCHETYPE.HEAVY] += 2;
+  }
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  return {
+    number: wave,
+    boss,
+    counts,
+    total,
+    maxAlive: Math.min(36, 8 + wave * 2)
+  };
+}
+
+export class WaveDirector {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.phase = WAVE_PHASE.IDLE;
+    this.wave = 0;
+    this.plan = null;
+    this.timer = 0;
+    this.squadTimer = 0;
+    this.queue = [];
+    this.remaining = 0;
+    this.history = [];
+  }
+
+  start() {
+    this.reset();
+    this.phase = WAVE_PHASE.BREAK;
+    this.timer = WAVE_FIRST_BREAK_SECONDS;
+  }
+
+  get active() {
+    return this.phase !== WAVE_PHASE.IDLE;
+  }
+
+  get current() {
+    return this.history[this.history.length - 1] ?? null;
+  }
+
+  // Returns { type: "wave-start" | "wave-clear", wave, boss } when the phase changes, else null.
+  update(delta) {
+    if (this.phase === WAVE_PHASE.BREAK) {
+      this.timer -= delta;
+      if (this.timer <= 0) {
+        return this.beginWave();
+      }
+      return null;
+    }
+    if (this.phase === WAVE_PHASE.ACTIVE) {
+      this.squadTimer -= delta;
+      if (this.remaining <= 0 && this.queue.length === 0) {
+        this.phase = WAVE_PHASE.BREAK;
+        this.timer = WAVE_BREAK_SECONDS;
+        this.current.cleared = true;
+        return { type: "wave-clear", wave: this.wave, boss: this.plan.boss };
+      }
+    }
+    return null;
+  }
+
+  beginWave() {
+    this.wave += 1;
+    this.plan = buildWavePlan(this.wave);
+    this.queue = [];
+    for (const [archetype, count] of Object.entries(this.plan.counts)) {
+      for (let i = 0; i < count; i += 1) {
+        this.queue.push(archetype);
+      }
+    }
+    // Shuffle so squads mix archetypes, but keep bosses in the last squad out.
+    for (let i = this.queue.length - 1; i > 0; i -= 1) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [this.queue[i], this.queue[j]] = [this.queue[j], this.queue[i]];
+    }
+    this.queue.sort((a, b) => (a === ENEMY_ARCHETYPE.BOSS) - (b === ENEMY_ARCHETYPE.BOSS));
+
+    this.remaining = this.plan.total;
+    this.squadTimer = 0;
+    this.phase = WAVE_PHASE.ACTIVE;
+    this.history.push({ wave: this.wave, boss: this.plan.boss, kills: 0, score: 0, cleared: false });
+    return { type: "wave-start", wave: this.wave, boss: this.plan.boss };
+  }
+
+  // Next squad's archetypes when it is time to send one and there is room, otherwise null.
+  takeSquad(aliveCount) {
+    if (this.phase !== WAVE_PHASE.ACTIVE || this.queue.length === 0 || this.squadTimer > 0) {
+      return null;
+    }
+    const room = this.plan.maxAlive - aliveCount;
+    if (room < Math.min(WAVE_SQUAD_MIN, this.queue.length)) {
+      return null;
+    }
+    const size = Math.min(
+      room,
+      this.queue.length,
+      WAVE_SQUAD_MIN + Math.floor(Math.random() * (WAVE_SQUAD_MAX - WAVE_SQUAD_MIN + 1))
+    );
+    this.squadTimer = WAVE_SQUAD_INTERVAL;
+    return this.queue.splice(0, size);
+  }
+
+  recordKill() {
+    this.remaining = Math.max(0, this.remaining - 1);
+    if (this.current) {
+      this.current.kills += 1;
+    }
+  }
+
+  recordScore(points) {
+    if (this.current && points > 0) {
+      this.current.score += points;
+    }
+  }
+
+  getBreakSeconds() {
+    return this.phase === WAVE_PHASE.BREAK ? Math.max(0, Math.ceil(this.timer)) : 0;
+  }
+}
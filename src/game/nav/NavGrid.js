@@ -0,0 +1,254 @@
+import { getBlockDigSeconds } from "../build/BlockPalette.js";
+
+export const NAV_NO_FLOOR = -32768;
+export const NAV_CLEARANCE = 3;
+export const NAV_MAX_STEP = 1;
+export const NAV_MAX_DROP = 3;
+
+export const NAV_LINK = Object.freeze({
+  WALK: "walk",
+  STEP: "step",
+  DROP: "drop",
+  JUMP: "jump",
+  DIG: "dig"
+});
+
+// Tunnelling is priced so a sapper still prefers a long detour over breaking a wall.
+const NAV_DIG_BASE_COST = 14;
+const NAV_DIG_COST_PER_SECOND = 6;
+
+const NAV_MIN_Y = -12;
+const NAV_MAX_Y = 40;
+const DEFAULT_HALF_EXTENT = 72;
+const ORTHOGONAL_DIRS = Object.freeze([
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1]
+]);
+const DIAGONAL_DIRS = Object.freeze([
+  [1, 1],
+  [1, -1],
+  [-1, 1],
+  [-1, -1]
+]);
+
+// One walkable floor per column: the lowest surface with enough headroom for a soldier.
+// Floors are rebuilt lazily, and block edits only recompute the touched column.
+export class NavGrid {
+  constructor(world, options = {}) {
+    this.world = world;
+    this.minY = options.minY ?? NAV_MIN_Y;
+    this.maxY = options.maxY ?? NAV_MAX_Y;
+    this.fixedHalfExtent = options.halfExtent ?? null;
+    this.halfExtent = 0;
+    this.size = 0;
+    this.floors = new Int16Array(0);
+    this.dirtyColumns = new Set();
+    this.built = false;
+    this.revision = 0;
+
+    this.world?.addChangeListener?.((event) => {
+      if (event.type === "reset") {
+        this.invalidate();
+        return;
+      }
+      if (this.built) {
+        const index = this.getIndex(event.x, event.z);
+        if (index >= 0) {
+          this.dirtyColumns.add(index);
+        }
+      }
+    });
+  }
+
+  invalidate() {
+    this.built = false;
+    this.dirtyColumns.clear();
+    this.revision += 1;
+  }
+
+  ensureReady() {
+    if (!this.built) {
+      this.rebuild();
+      return;
+    }
+    if (this.dirtyColumns.size === 0) {
+      return;
+    }
+
+    let changed = false;
+    for (const index of this.dirtyColumns) {
+      const x = (index % this.size) - this.halfExtent;
+      const z = Math.floor(index / this.size) - this.halfExtent;
+      const floor = this.computeFloor(x, z);
+      if (floor !== this.floors[index]) {
+        this.floors[index] = floor;
+        changed = true;
+      }
+    }
+    this.dirtyColumns.clear();
+    if (changed) {
+      this.revision += 1;
+    }
+  }
+
+  rebuild() {
+    this.halfExtent = this.fixedHalfExtent ?? this.world?.getArenaMeta?.()?.halfExtent ?? DEFAULT_HALF_EXTENT;
+    this.size = this.halfExtent * 2 + 1;
+    this.floors = new Int16Array(this.size * this.size);
+    for (let z = -this.halfExtent; z <= this.halfExtent; z += 1) {
+      for (let x = -this.halfExtent; x <= this.halfExtent; x += 1) {
+        this.floors[this.getIndex(x, z)] = this.computeFloor(x, z);
+      }
+    }
+    this.dirtyColumns.clear();
+    this.built = true;
+    this.revision += 1;
+  }
+
+  computeFloor(x, z) {
+    let floor = NAV_NO_FLOOR;
+    let open = 0;
+    for (let y = this.minY; y <= this.maxY + NAV_CLEARANCE; y += 1) {
+      if (this.world.hasBlock(x, y, z)) {
+        floor = y + 1;
+        open = 0;
+        continue;
+      }
+      if (floor !== NAV_NO_FLOOR) {
+        open += 1;
+        if (open >= NAV_CLEARANCE) {
+          return floor <= this.maxY ? floor : NAV_NO_FLOOR;
+        }
+      }
+    }
+    return NAV_NO_FLOOR;
+  }
+
+  getIndex(x, z) {
+    const gx = x + this.halfExtent;
+    const gz = z + this.halfExtent;
+    if (gx < 0 || gz < 0 || gx >= this.size || gz >= this.size) {
+      return -1;
+    }
+    return gz * this.size + gx;
+  }
+
+  getCellX(index) {
+    return (index % this.size) - this.halfExtent;
+  }
+
+  getCellZ(index) {
+    return Math.floor(index / this.size) - this.halfExtent;
+  }
+
+  getFloor(x, z) {
+    const index = this.getIndex(x, z);
+    return index >= 0 ? this.floors[index] : NAV_NO_FLOOR;
+  }
+
+  getFloorAtWorld(worldX, worldZ) {
+    const floor = this.getFloor(Math.floor(worldX), Math.floor(worldZ));
+    return floor === NAV_NO_FLOOR ? null : floor;
+  }
+
+  getFloorAtIndex(index) {
+    return index >= 0 && index < this.floors.length ? this.floors[index] : NAV_NO_FLOOR;
+  }
+
+  // Calls visit(neighborIndex, cost, link) for every move a soldier can make out of `index`.
+  // `floor` overrides the stored floor for cells a planned tunnel has not opened yet.
+  forEachLink(index, visit, floor = this.floors[index]) {
+    if (floor === NAV_NO_FLOOR) {
+      return;
+    }
+    const x = this.getCellX(index);
+    const z = this.getCellZ(index);
+
+    for (const [dx, dz] of ORTHOGONAL_DIRS) {
+      const next = this.getIndex(x + dx, z + dz);
+      if (next < 0) {
+        continue;
+      }
+      const nextFloor = this.floors[next];
+      if (nextFloor === NAV_NO_FLOOR) {
+        continue;
+      }
+
+      const rise = nextFloor - floor;
+      if (rise === 0) {
+        visit(next, 1, NAV_LINK.WALK);
+      } else if (rise > 0 && rise <= NAV_MAX_STEP) {
+        if (!this.world.hasBlock(x, floor + NAV_CLEARANCE, z)) {
+          visit(next, 2.5, NAV_LINK.STEP);
+        }
+      } else if (rise < 0 && -rise <= NAV_MAX_DROP) {
+        visit(next, 1.5, NAV_LINK.DROP);
+      }
+
+      if (rise <= -2) {
+        // A trench at least two deep: leaping it beats climbing back out the other side.
+        const landing = this.getIndex(x + dx * 2, z + dz * 2);
+        const landingFloor = landing >= 0 ? this.floors[landing] : NAV_NO_FLOOR;
+        if (landingFloor !== NAV_NO_FLOOR && landingFloor <= floor && landingFloor >= floor - 1) {
+          visit(landing, 4, NAV_LINK.JUMP);
+        }
+      }
+    }
+
+    // Diagonals only across flat ground so soldiers never clip a corner.
+    for (const [dx, dz] of DIAGONAL_DIRS) {
+      const next = this.getIndex(x + dx, z + dz);
+      if (next < 0 || this.floors[next] !== floor) {
+        continue;
+      }
+      if (this.getFloor(x + dx, z) !== floor || this.getFloor(x, z + dz) !== floor) {
+        continue;
+      }
+      visit(next, Math.SQRT2, NAV_LINK.WALK);
+    }
+  }
+
+  // Blocks a soldier standing at `floor` would have to break to walk into column (x, z).
+  getDigBlocks(x, z, floor) {
+    const blocks = [];
+    for (let y = floor + NAV_CLEARANCE - 1; y >= floor; y -= 1) {
+      const typeId = this.world.getBlockType(x, y, z);
+      if (typeId !== null) {
+        blocks.push({ x, y, z, typeId });
+      }
+    }
+    return blocks;
+  }
+
+  // Calls visit(neighborIndex, cost, NAV_LINK.DIG) for walls next to `index` worth tunnelling.
+  forEachDigLink(index, visit, floor = this.floors[index]) {
+    if (floor === NAV_NO_FLOOR) {
+      return;
+    }
+    const x = this.getCellX(index);
+    const z = this.getCellZ(index);
+
+    for (const [dx, dz] of ORTHOGONAL_DIRS) {
+      const next = this.getIndex(x + dx, z + dz);
+      if (next < 0) {
+        continue;
+      }
+      const nextFloor = this.floors[next];
+      if (nextFloor !== NAV_NO_FLOOR && nextFloor - floor <= NAV_MAX_STEP) {
+        continue;
+      }
+      if (!this.world.hasBlock(x + dx, floor - 1, z + dz)) {
+        continue;
+      }
+
+      const blocks = this.getDigBlocks(x + dx, z + dz, floor);
+      if (blocks.length === 0) {
+        continue;
+      }
+      const seconds = blocks.reduce((total, block) => total + getBlockDigSeconds(block.typeId), 0);
+      visit(next, NAV_DIG_BASE_COST + seconds * NAV_DIG_COST_PER_SECOND, NAV_LINK.DIG);
+    }
+  }
+}
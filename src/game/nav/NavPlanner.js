@@ -0,0 +1,274 @@
+import { NAV_LINK, NAV_NO_FLOOR } from "./NavGrid.js";
+
+export const NAV_PLAN_BUDGET_MS = 1.5;
+export const NAV_MAX_EXPANSIONS = 5000;
+
+const EXPANSIONS_PER_SLICE = 48;
+
+function getNowMs() {
+  if (typeof performance !== "undefined" && typeof performance.now === "function") {
+    return performance.now();
+  }
+  return Date.now();
+}
+
+function octile(ax, az, bx, bz) {
+  const dx = Math.abs(ax - bx);
+  const dz = Math.abs(az - bz);
+  return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+}
+
+// A* over the nav grid, one search at a time and resumable across frames so a burst of
+// path requests never costs more than the per-frame budget.
+export class NavPlanner {
+  constructor(grid, options = {}) {
+    this.grid = grid;
+    this.budgetMs = options.budgetMs ?? NAV_PLAN_BUDGET_MS;
+    this.maxExpansions = options.maxExpansions ?? NAV_MAX_EXPANSIONS;
+    this.queue = [];
+    this.active = null;
+    this.stamp = 0;
+    this.capacity = 0;
+    this.openStamp = new Uint32Array(0);
+    this.closedStamp = new Uint32Array(0);
+    this.gScore = new Float32Array(0);
+    this.parent = new Int32Array(0);
+    this.nodeFloor = new Int16Array(0);
+    this.parentLink = [];
+    this.heap = [];
+    this.heapScore = [];
+  }
+
+  // With `dig`, walls next to the route may be tunnelled through (sappers only).
+  request(start, goal, { dig = false } = {}) {
+    const request = {
+      startX: Math.floor(start.x),
+      startZ: Math.floor(start.z),
+      goalX: Math.floor(goal.x),
+      goalZ: Math.floor(goal.z),
+      dig,
+      done: false,
+      cancelled: false,
+      partial: false,
+      path: null
+    };
+    this.queue.push(request);
+    return request;
+  }
+
+  cancel(request) {
+    if (request && !request.done) {
+      request.cancelled = true;
+    }
+  }
+
+  clear() {
+    for (const request of this.queue) {
+      request.cancelled = true;
+    }
+    this.queue.length = 0;
+    if (this.active) {
+      this.active.request.cancelled = true;
+      this.active = null;
+    }
+  }
+
+  get pending() {
+    return this.queue.length + (this.active ? 1 : 0);
+  }
+
+  update(budgetMs = this.budgetMs) {
+    if (!this.active && this.queue.length === 0) {
+      return;
+    }
+    this.grid.ensureReady();
+    if (this.active && this.grid.size * this.grid.size !== this.capacity) {
+      // The world was regenerated under a running search; start it over on the new grid.
+      this.queue.unshift(this.active.request);
+      this.active = null;
+    }
+
+    const startedAt = getNowMs();
+    do {
+      if (!this.active) {
+        const request = this.queue.shift();
+        if (!request) {
+          return;
+        }
+        if (!request.cancelled) {
+          this.begin(request);
+        }
+        continue;
+      }
+      if (this.active.request.cancelled) {
+        this.active = null;
+        continue;
+      }
+      this.step(EXPANSIONS_PER_SLICE);
+    } while (getNowMs() - startedAt < budgetMs);
+  }
+
+  begin(request) {
+    const grid = this.grid;
+    const cells = grid.size * grid.size;
+    if (this.capacity !== cells) {
+      this.capacity = cells;
+      this.openStamp = new Uint32Array(cells);
+      this.closedStamp = new Uint32Array(cells);
+      this.gScore = new Float32Array(cells);
+      this.parent = new Int32Array(cells);
+      this.nodeFloor = new Int16Array(cells);
+      this.parentLink = new Array(cells);
+      this.stamp = 0;
+    }
+    this.stamp += 1;
+    this.heap.length = 0;
+    this.heapScore.length = 0;
+
+    const startIndex = grid.getIndex(request.startX, request.startZ);
+    if (startIndex < 0 || grid.getFloorAtIndex(startIndex) === NAV_NO_FLOOR) {
+      this.finish(request, null, false);
+      return;
+    }
+
+    this.active = {
+      request,
+      goalIndex: grid.getIndex(request.goalX, request.goalZ),
+      startIndex,
+      expansions: 0,
+      bestIndex: startIndex,
+      bestH: octile(request.startX, request.startZ, request.goalX, request.goalZ)
+    };
+    this.openStamp[startIndex] = this.stamp;
+    this.gScore[startIndex] = 0;
+    this.parent[startIndex] = -1;
+    this.nodeFloor[startIndex] = grid.getFloorAtIndex(startIndex);
+    this.parentLink[startIndex] = NAV_LINK.WALK;
+    this.push(startIndex, this.active.bestH);
+  }
+
+  step(maxExpansions) {
+    const search = this.active;
+    const { request } = search;
+    const grid = this.grid;
+
+    for (let i = 0; i < maxExpansions; i += 1) {
+      const current = this.pop();
+      if (current < 0 || search.expansions >= this.maxExpansions) {
+        this.finish(request, this.buildPath(search.bestIndex), true);
+        return;
+      }
+      if (this.closedStamp[current] === this.stamp) {
+        continue;
+      }
+      this.closedStamp[current] = this.stamp;
+      search.expansions += 1;
+
+      if (current === search.goalIndex) {
+        this.finish(request, this.buildPath(current), false);
+        return;
+      }
+
+      const h = octile(grid.getCellX(current), grid.getCellZ(current), request.goalX, request.goalZ);
+      if (h < search.bestH) {
+        search.bestH = h;
+        search.bestIndex = current;
+      }
+
+      const currentG = this.gScore[current];
+      const currentFloor = this.nodeFloor[current];
+      const visit = (next, cost, link) => {
+        if (this.closedStamp[next] === this.stamp) {
+          return;
+        }
+        const g = currentG + cost;
+        if (this.openStamp[next] === this.stamp && g >= this.gScore[next]) {
+          return;
+        }
+        this.openStamp[next] = this.stamp;
+        this.gScore[next] = g;
+        this.parent[next] = current;
+        this.parentLink[next] = link;
+        this.nodeFloor[next] = link === NAV_LINK.DIG ? currentFloor : grid.getFloorAtIndex(next);
+        this.push(next, g + octile(grid.getCellX(next), grid.getCellZ(next), request.goalX, request.goalZ));
+      };
+      grid.forEachLink(current, visit, currentFloor);
+      if (request.dig) {
+        grid.forEachDigLink(current, visit, currentFloor);
+      }
+    }
+  }
+
+  finish(request, path, partial) {
+    request.done = true;
+    request.path = path;
+    request.partial = partial;
+    this.active = null;
+  }
+
+  buildPath(endIndex) {
+    const grid = this.grid;
+    const path = [];
+    for (let index = endIndex; index >= 0; index = this.parent[index]) {
+      path.push({
+        x: grid.getCellX(index) + 0.5,
+        y: this.nodeFloor[index],
+        z: grid.getCellZ(index) + 0.5,
+        index,
+        link: this.parentLink[index]
+      });
+    }
+    return path.reverse();
+  }
+
+  push(index, score) {
+    const heap = this.heap;
+    const scores = this.heapScore;
+    let i = heap.length;
+    heap.push(index);
+    scores.push(score);
+    while (i > 0) {
+      const parentIndex = (i - 1) >> 1;
+      if (scores[parentIndex] <= score) {
+        break;
+      }
+      heap[i] = heap[parentIndex];
+      scores[i] = scores[parentIndex];
+      i = parentIndex;
+    }
+    heap[i] = index;
+    scores[i] = score;
+  }
+
+  pop() {
+    const heap = this.heap;
+    const scores = this.heapScore;
+    if (heap.length === 0) {
+      return -1;
+    }
+    const top = heap[0];
+    const lastIndex = heap.pop();
+    const lastScore = scores.pop();
+    if (heap.length > 0) {
+      let i = 0;
+      const length = heap.length;
+      while (true) {
+        const left = i * 2 + 1;
+        if (left >= length) {
+          break;
+        }
+        const right = left + 1;
+        const child = right < length && scores[right] < scores[left] ? right : left;
+        if (scores[child] >= lastScore) {
+          break;
+        }
+        heap[i] = heap[child];
+        scores[i] = scores[child];
+        i = child;
+      }
+      heap[i] = lastIndex;
+      scores[i] = lastScore;
+    }
+    return top;
+  }
+}
@@ -0,0 +1,88 @@
+import {
+  NET_NO_BASE,
+  decodeBlockBatch,
+  decodeBlockList,
+  decodePlayerBatch,
+  dequantizePlayerState,
+  encodePlayerSync,
+  quantizePlayerState
+} from "../../shared/netCodec.js";
+
+const SENT_HISTORY_MAX = 64;
+
+export class BinaryNetChannel {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.seq = 0;
+    this.sent = new Map();
+    this.ackedSeq = NET_NO_BASE;
+    this.ackedState = null;
+    this.playerBases = new Map();
+  }
+
+  // Deltas go against the newest state the server acknowledged, never against unconfirmed sends.
+  encodeLocalSync(state) {
+    const quantized = quantizePlayerState(state);
+    this.seq = (this.seq + 1) % NET_NO_BASE;
+    const bytes = encodePlayerSync({
+      seq: this.seq,
+      baseSeq: this.ackedSeq,
+      quantized,
+      base: this.ackedState
+    });
+
+    this.sent.set(this.seq, quantized);
+    while (this.sent.size > SENT_HISTORY_MAX) {
+      this.sent.delete(this.sent.keys().next().value);
+    }
+    return bytes;
+  }
+
+  acknowledge(seq) {
+    const state = this.sent.get(seq);
+    if (!state) {
+      return;
+    }
+    this.ackedSeq = seq;
+    this.ackedState = state;
+    for (const key of this.sent.keys()) {
+      if (key === seq) {
+        break;
+      }
+      this.sent.delete(key);
+    }
+  }
+
+  resync() {
+    this.ackedSeq = NET_NO_BASE;
+    this.ackedState = null;
+  }
+
+  readPlayers(data) {
+    const batch = decodePlayerBatch(data, (netId) => this.playerBases.get(netId) ?? null);
+    if (!batch) {
+      return [];
+    }
+    if (batch.keyframe) {
+      this.playerBases.clear();
+    }
+    return batch.entries.map((entry) => {
+      this.playerBases.set(entry.netId, entry.quantized);
+      return {
+        netId: entry.netId,
+        state: { ...dequantizePlayerState(entry.quantized), updatedAt: entry.updatedAt }
+      };
+    });
+  }
+
+  readBlocks(data) {
+    return decodeBlockBatch(data)?.entries ?? [];
+  }
+
+  readBlockList(data) {
+    return decodeBlockList(data);
+  }
+}
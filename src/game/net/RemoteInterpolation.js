@@ -0,0 +1,155 @@
+export const REMOTE_INTERP_DELAY_MS = 100;
+export const REMOTE_EXTRAPOLATE_MAX_MS = 220;
+
+const SNAPSHOT_BUFFER_MAX = 24;
+const CLOCK_FAST_BLEND = 0.35;
+const CLOCK_SLOW_BLEND = 0.05;
+const CLOCK_RTT_DECAY = 1.02;
+
+function lerpAngle(from, to, t) {
+  const diff = Math.atan2(Math.sin(to - from), Math.cos(to - from));
+  return from + diff * t;
+}
+
+export class ServerClock {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.offsetMs = 0;
+    this.rttMs = 0;
+    this.bestRttMs = Infinity;
+    this.samples = 0;
+    this.synced = false;
+  }
+
+  // Samples close to the best observed round trip are the least skewed by queueing delay.
+  addSample(clientSentAt, serverTime, clientReceivedAt = Date.now()) {
+    const sentAt = Number(clientSentAt);
+    const serverAt = Number(serverTime);
+    if (!Number.isFinite(sentAt) || !Number.isFinite(serverAt)) {
+      return;
+    }
+
+    const rtt = Math.max(0, clientReceivedAt - sentAt);
+    const offset = serverAt + rtt * 0.5 - clientReceivedAt;
+    this.bestRttMs = Math.min(this.bestRttMs * CLOCK_RTT_DECAY, rtt);
+    if (!this.synced) {
+      this.offsetMs = offset;
+      this.synced = true;
+    } else {
+      const blend = rtt <= this.bestRttMs * 1.5 ? CLOCK_FAST_BLEND : CLOCK_SLOW_BLEND;
+      this.offsetMs += (offset - this.offsetMs) * blend;
+    }
+    this.rttMs = rtt;
+    this.samples += 1;
+  }
+
+  // Until a round trip completes, the newest server timestamp is the best guess we have.
+  observe(serverTime, clientNow = Date.now()) {
+    const serverAt = Number(serverTime);
+    if (this.synced || !Number.isFinite(serverAt)) {
+      return;
+    }
+    this.offsetMs = Math.max(this.offsetMs, serverAt - clientNow);
+  }
+
+  now(clientNow = Date.now()) {
+    return clientNow + this.offsetMs;
+  }
+}
+
+export class SnapshotBuffer {
+  constructor() {
+    this.snapshots = [];
+    this.latePackets = 0;
+    this.extrapolating = false;
+  }
+
+  clear() {
+    this.snapshots.length = 0;
+    this.extrapolating = false;
+  }
+
+  reset(snapshot) {
+    this.clear();
+    this.snapshots.push({ ...snapshot });
+  }
+
+  push(snapshot, renderTime = Number.NEGATIVE_INFINITY) {
+    const at = Number(snapshot?.at);
+    if (!Number.isFinite(at)) {
+      return false;
+    }
+
+    const list = this.snapshots;
+    const newest = list[list.length - 1];
+    if (newest && at <= newest.at) {
+      return false;
+    }
+    if (at < renderTime) {
+      this.latePackets += 1;
+    }
+
+    list.push({ ...snapshot, at });
+    if (list.length > SNAPSHOT_BUFFER_MAX) {
+      list.shift();
+    }
+    return true;
+  }
+
+  getDepth(renderTime) {
+    let depth = 0;
+    for (let i = this.snapshots.length - 1; i >= 0; i -= 1) {
+      if (this.snapshots[i].at < renderTime) {
+        break;
+      }
+      depth += 1;
+    }
+    return depth;
+  }
+
+  sample(renderTime, out) {
+    const list = this.snapshots;
+    if (list.length === 0) {
+      return false;
+    }
+
+    while (list.length > 2 && list[1].at <= renderTime) {
+      list.shift();
+    }
+
+    const first = list[0];
+    if (list.length === 1 || renderTime <= first.at) {
+      this.extrapolating = list.length === 1 && renderTime > first.at;
+      out.x = first.x;
+      out.y = first.y;
+      out.z = first.z;
+      out.yaw = first.yaw;
+      return true;
+    }
+
+    const second = list[1];
+    const span = Math.max(1, second.at - first.at);
+    if (renderTime <= second.at) {
+      const t = (renderTime - first.at) / span;
+      this.extrapolating = false;
+      out.x = first.x + (second.x - first.x) * t;
+      out.y = first.y + (second.y - first.y) * t;
+      out.z = first.z + (second.z - first.z) * t;
+      out.yaw = lerpAngle(first.yaw, second.yaw, t);
+      return true;
+    }
+
+    // Late packet: keep moving along the last known velocity for a bounded time, then hold.
+    const aheadMs = Math.min(renderTime - second.at, REMOTE_EXTRAPOLATE_MAX_MS);
+    const t = aheadMs / span;
+    this.extrapolating = true;
+    out.x = second.x + (second.x - first.x) * t;
+    out.y = second.y + (second.y - first.y) * t;
+    out.z = second.z + (second.z - first.z) * t;
+    out.yaw = second.yaw;
+    return true;
+  }
+}
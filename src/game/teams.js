@@ -0,0 +1,23 @@
+export function normalizeTeamId(team) {
+  return team === "alpha" || team === "bravo" ? team : null;
+}
+
+export function getEnemyTeamId(team) {
+  if (team === "alpha") {
+    return "bravo";
+  }
+  if (team === "bravo") {
+    return "alpha";
+  }
+  return null;
+}
+
+export function formatTeamLabel(team) {
+  if (team === "alpha") {
+    return "블루팀";
+  }
+  if (team === "bravo") {
+    return "레드팀";
+  }
+  return "중립";
+}
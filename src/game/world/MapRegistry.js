@@ -1,21 +1,123 @@
+import { VoxelGrid } from "../build/VoxelGrid.js";
 import { createMapBuilder } from "./MapBuilder.js";
+import { generateCustomMap } from "./maps/customMap.js";
+import { generateDesertCanyonMap } from "./maps/desertCanyonMap.js";
 import { generateForestFrontlineMap } from "./maps/forestFrontlineMap.js";
+import { generateFrozenLakeMap } from "./maps/frozenLakeMap.js";
+import { generateUrbanGridMap } from "./maps/urbanGridMap.js";
+import { DEFAULT_MAP_SEED } from "./maps/mapCommon.js";
 
 const DEFAULT_MAP_ID = "forest_frontline";
+const MAP_SEED_MAX = 0xffffffff;
+const MAP_SEED_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+const CUSTOM_MAP_CODE = "C";
+export const CUSTOM_MAP_ID_PREFIX = "custom:";
 
-const MAP_GENERATORS = Object.freeze({
-  [DEFAULT_MAP_ID]: generateForestFrontlineMap
+const MAP_DEFS = Object.freeze({
+  [DEFAULT_MAP_ID]: Object.freeze({ name: "숲 전선", code: "F", generate: generateForestFrontlineMap }),
+  desert_canyon: Object.freeze({ name: "사막 협곡", code: "D", generate: generateDesertCanyonMap }),
+  frozen_lake: Object.freeze({ name: "얼음 호수", code: "L", generate: generateFrozenLakeMap }),
+  urban_grid: Object.freeze({ name: "도심", code: "U", generate: generateUrbanGridMap })
 });
 
+export const MAP_IDS = Object.freeze(Object.keys(MAP_DEFS));
+
+// Maps made in the editor, registered at runtime on this client only. They never join MAP_IDS,
+// so the server, votes and rotations only ever see the built-in maps.
+const customMapDefs = new Map();
+
+function getMapDef(mapId) {
+  return customMapDefs.get(mapId) ?? MAP_DEFS[normalizeMapId(mapId)];
+}
+
 export function getDefaultMapId() {
   return DEFAULT_MAP_ID;
 }
 
+export function normalizeMapId(value) {
+  const mapId = String(value ?? "").trim();
+  return Object.hasOwn(MAP_DEFS, mapId) || customMapDefs.has(mapId) ? mapId : DEFAULT_MAP_ID;
+}
+
+export function getMapName(mapId) {
+  return getMapDef(mapId).name;
+}
+
+export function isCustomMapId(mapId) {
+  return customMapDefs.has(mapId);
+}
+
+export function getCustomMapIds() {
+  return Array.from(customMapDefs.keys());
+}
+
+// `customMap` is the result of parseCustomMap(); registering the same name again replaces it.
+export function registerCustomMap(customMap) {
+  const mapId = `${CUSTOM_MAP_ID_PREFIX}${customMap.name}`;
+  customMapDefs.set(
+    mapId,
+    Object.freeze({
+      name: customMap.name,
+      code: CUSTOM_MAP_CODE,
+      generate: (builder) => generateCustomMap(builder, { customMap })
+    })
+  );
+  return mapId;
+}
+
+export function unregisterCustomMap(mapId) {
+  return customMapDefs.delete(mapId);
+}
+
+export function getDefaultMapSeed() {
+  return DEFAULT_MAP_SEED;
+}
+
+export function normalizeMapSeed(value) {
+  const seed = typeof value === "string" && value.trim() === "" ? NaN : Number(value);
+  return Number.isInteger(seed) && seed >= 0 && seed <= MAP_SEED_MAX ? seed : DEFAULT_MAP_SEED;
+}
+
+export function createRandomMapSeed() {
+  return Math.floor(Math.random() * (MAP_SEED_MAX + 1));
+}
+
+// Share codes look like "F-MCBE5": the map's letter, a dash, then the seed in base 32 without
+// the look-alike characters 0/1/I/O.
+export function getMapShareCode(mapId, seed) {
+  let value = normalizeMapSeed(seed);
+  let digits = "";
+  do {
+    digits = MAP_SEED_ALPHABET[value % 32] + digits;
+    value = Math.floor(value / 32);
+  } while (value > 0);
+  return `${getMapDef(mapId).code}-${digits}`;
+}
+
+export function parseMapShareCode(value) {
+  const match = /^([A-Z])-([2-9A-HJ-NP-Z]{1,7})$/.exec(String(value ?? "").trim().toUpperCase());
+  const mapId = match ? MAP_IDS.find((id) => MAP_DEFS[id].code === match[1]) : null;
+  if (!mapId) {
+    return null;
+  }
+
+  let seed = 0;
+  for (const digit of match[2]) {
+    seed = seed * 32 + MAP_SEED_ALPHABET.indexOf(digit);
+  }
+  return seed <= MAP_SEED_MAX ? { mapId, seed } : null;
+}
+
 export function buildSelectedMap(world, options = {}) {
-  const mapId = String(options.mapId ?? DEFAULT_MAP_ID);
-  const generator = MAP_GENERATORS[mapId] ?? MAP_GENERATORS[DEFAULT_MAP_ID];
+  const generator = getMapDef(options.mapId).generate;
   const builder = createMapBuilder(world);
-  const result = generator(builder, options);
+  const result = generator(builder, { ...options, seed: normalizeMapSeed(options.seed) });
   return result && typeof result === "object" ? result : null;
 }
 
+// The selected map's blocks without a scene, e.g. for the server's structural checks.
+export function buildSelectedMapGrid(options = {}) {
+  const grid = new VoxelGrid();
+  const result = buildSelectedMap(grid, options);
+  return { grid, arenaMeta: result?.arenaMeta ?? null };
+}
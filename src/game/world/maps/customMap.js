@@ -0,0 +1,324 @@
+import { BLOCK, MAP_BOTTOM_Y, MAP_HALF_EXTENT, clamp, createArenaMeta } from "./mapCommon.js";
+
+export const CUSTOM_MAP_FORMAT = "reclaim-map";
+export const CUSTOM_MAP_VERSION = 1;
+export const CUSTOM_MAP_NAME_MAX_LENGTH = 32;
+// Custom maps share the procedural maps' limits: nothing below the map floor or up in the lobby.
+export const CUSTOM_MAP_MAX_Y = 16;
+export const CUSTOM_MAP_MARKER_KEYS = Object.freeze([
+  "alphaBase",
+  "bravoBase",
+  "alphaFlag",
+  "bravoFlag",
+  "mid",
+  "trainingSpawn"
+]);
+
+const MIN_HALF_EXTENT = 16;
+const DEFAULT_MAP_NAME = "사용자 맵";
+const BLOCK_IDS = new Set(Object.values(BLOCK));
+
+export function normalizeCustomMapName(value) {
+  const name = String(value ?? "").trim().slice(0, CUSTOM_MAP_NAME_MAX_LENGTH);
+  return name || DEFAULT_MAP_NAME;
+}
+
+function getVolume(bounds) {
+  return (
+    (bounds.maxX - bounds.minX + 1) * (bounds.maxY - bounds.minY + 1) * (bounds.maxZ - bounds.minZ + 1)
+  );
+}
+
+// Blocks are walked x fastest, then z, then y.
+function getVolumeIndex(bounds, x, y, z) {
+  const sizeX = bounds.maxX - bounds.minX + 1;
+  const sizeZ = bounds.maxZ - bounds.minZ + 1;
+  return ((y - bounds.minY) * sizeZ + (z - bounds.minZ)) * sizeX + (x - bounds.minX);
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Runs of one block type: the type id byte, then the run length as a LEB128 varint.
+function encodeRuns(types) {
+  const bytes = [];
+  let i = 0;
+  while (i < types.length) {
+    const typeId = types[i];
+    let run = 1;
+    while (i + run < types.length && types[i + run] === typeId) {
+      run += 1;
+    }
+    bytes.push(typeId);
+    let rest = run;
+    while (rest >= 0x80) {
+      bytes.push((rest & 0x7f) | 0x80);
+      rest = Math.floor(rest / 0x80);
+    }
+    bytes.push(rest);
+    i += run;
+  }
+  return Uint8Array.from(bytes);
+}
+
+function decodeRuns(bytes, volume) {
+  const types = new Uint8Array(volume);
+  let offset = 0;
+  let cursor = 0;
+  while (cursor < bytes.length) {
+    const typeId = bytes[cursor];
+    cursor += 1;
+    if (typeId !== 0 && !BLOCK_IDS.has(typeId)) {
+      return null;
+    }
+
+    let run = 0;
+    let scale = 1;
+    let byte = 0x80;
+    while (byte & 0x80) {
+      if (cursor >= bytes.length || scale > 0x80 ** 4) {
+        return null;
+      }
+      byte = bytes[cursor];
+      cursor += 1;
+      run += (byte & 0x7f) * scale;
+      scale *= 0x80;
+    }
+    if (run <= 0 || offset + run > volume) {
+      return null;
+    }
+    types.fill(typeId, offset, offset + run);
+    offset += run;
+  }
+  return offset === volume ? types : null;
+}
+
+function isInsideMapLimits(x, y, z, halfExtent) {
+  return (
+    y >= MAP_BOTTOM_Y &&
+    y <= CUSTOM_MAP_MAX_Y &&
+    Math.abs(x) <= halfExtent &&
+    Math.abs(z) <= halfExtent
+  );
+}
+
+function findBlockBounds(chunks, halfExtent) {
+  let bounds = null;
+  for (const chunk of chunks.values()) {
+    if (chunk.count <= 0) {
+      continue;
+    }
+    for (let index = 0; index < chunk.types.length; index += 1) {
+      if (chunk.types[index] === 0) {
+        continue;
+      }
+      const x = chunk.originX + (index & 15);
+      const z = chunk.originZ + ((index >> 4) & 15);
+      const y = chunk.originY + (index >> 8);
+      if (!isInsideMapLimits(x, y, z, halfExtent)) {
+        continue;
+      }
+      if (!bounds) {
+        bounds = { minX: x, maxX: x, minY: y, maxY: y, minZ: z, maxZ: z };
+        continue;
+      }
+      bounds.minX = Math.min(bounds.minX, x);
+      bounds.maxX = Math.max(bounds.maxX, x);
+      bounds.minY = Math.min(bounds.minY, y);
+      bounds.maxY = Math.max(bounds.maxY, y);
+      bounds.minZ = Math.min(bounds.minZ, z);
+      bounds.maxZ = Math.max(bounds.maxZ, z);
+    }
+  }
+  return bounds;
+}
+
+function normalizeMarker(value, fallback, halfExtent) {
+  const x = Number(value?.x);
+  const y = Number(value?.y);
+  const z = Number(value?.z);
+  if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
+    return { ...fallback };
+  }
+  return {
+    x: clamp(Math.round(x), -halfExtent, halfExtent),
+    y: clamp(Math.round(y), MAP_BOTTOM_Y, CUSTOM_MAP_MAX_Y + 1),
+    z: clamp(Math.round(z), -halfExtent, halfExtent)
+  };
+}
+
+function normalizeMarkers(markers, halfExtent) {
+  const defaults = createArenaMeta(halfExtent);
+  const result = {};
+  for (const key of CUSTOM_MAP_MARKER_KEYS) {
+    result[key] = normalizeMarker(markers?.[key], defaults[key], halfExtent);
+  }
+  return result;
+}
+
+// Export of any block store with a `chunks` map (VoxelWorld or VoxelGrid) plus the objective
+// markers, as plain JSON: { format, version, name, halfExtent, bounds, markers, blocks }.
+export function encodeCustomMap(world, { name, markers = null, halfExtent = MAP_HALF_EXTENT } = {}) {
+  const extent = clamp(Math.trunc(Number(halfExtent) || MAP_HALF_EXTENT), MIN_HALF_EXTENT, MAP_HALF_EXTENT);
+  const bounds = findBlockBounds(world.chunks, extent);
+  let blocks = "";
+  if (bounds) {
+    const types = new Uint8Array(getVolume(bounds));
+    for (let y = bounds.minY; y <= bounds.maxY; y += 1) {
+      for (let z = bounds.minZ; z <= bounds.maxZ; z += 1) {
+        for (let x = bounds.minX; x <= bounds.maxX; x += 1) {
+          types[getVolumeIndex(bounds, x, y, z)] = world.getTypeAt(x, y, z);
+        }
+      }
+    }
+    blocks = bytesToBase64(encodeRuns(types));
+  }
+
+  return {
+    format: CUSTOM_MAP_FORMAT,
+    version: CUSTOM_MAP_VERSION,
+    name: normalizeCustomMapName(name),
+    halfExtent: extent,
+    bounds,
+    markers: normalizeMarkers(markers, extent),
+    blocks
+  };
+}
+
+function parseBounds(value, halfExtent) {
+  if (!value || typeof value !== "object") {
+    return null;
+  }
+  const bounds = {};
+  for (const key of ["minX", "maxX", "minY", "maxY", "minZ", "maxZ"]) {
+    if (!Number.isInteger(value[key])) {
+      return null;
+    }
+    bounds[key] = value[key];
+  }
+  const valid =
+    bounds.minX <= bounds.maxX &&
+    bounds.minY <= bounds.maxY &&
+    bounds.minZ <= bounds.maxZ &&
+    isInsideMapLimits(bounds.minX, bounds.minY, bounds.minZ, halfExtent) &&
+    isInsideMapLimits(bounds.maxX, bounds.maxY, bounds.maxZ, halfExtent);
+  return valid ? bounds : null;
+}
+
+// Accepts the exported object or its JSON text. Returns { name, halfExtent, bounds, markers,
+// types } with the blocks unpacked, or null when the data is not a map this version can read.
+export function parseCustomMap(value) {
+  let data = value;
+  if (typeof value === "string") {
+    try {
+      data = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  if (!data || typeof data !== "object" || data.format !== CUSTOM_MAP_FORMAT) {
+    return null;
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > CUSTOM_MAP_VERSION) {
+    return null;
+  }
+
+  const halfExtent = Number.isInteger(data.halfExtent)
+    ? clamp(data.halfExtent, MIN_HALF_EXTENT, MAP_HALF_EXTENT)
+    : MAP_HALF_EXTENT;
+  let bounds = null;
+  let types = new Uint8Array(0);
+  if (data.bounds !== null || data.blocks !== "") {
+    bounds = parseBounds(data.bounds, halfExtent);
+    if (!bounds || typeof data.blocks !== "string") {
+      return null;
+    }
+    let bytes = null;
+    try {
+      bytes = base64ToBytes(data.blocks);
+    } catch {
+      return null;
+    }
+    types = decodeRuns(bytes, getVolume(bounds));
+    if (!types) {
+      return null;
+    }
+  }
+
+  return {
+    name: normalizeCustomMapName(data.name),
+    halfExtent,
+    bounds,
+    markers: normalizeMarkers(data.markers, halfExtent),
+    types
+  };
+}
+
+// Grass over dirt over stone down to the map floor, with the usual objective layout.
+export function createBlankCustomMap(name) {
+  const halfExtent = MAP_HALF_EXTENT;
+  const bounds = {
+    minX: -halfExtent,
+    maxX: halfExtent,
+    minY: MAP_BOTTOM_Y,
+    maxY: -1,
+    minZ: -halfExtent,
+    maxZ: halfExtent
+  };
+  const types = new Uint8Array(getVolume(bounds));
+  for (let y = bounds.minY; y <= bounds.maxY; y += 1) {
+    const typeId = y === -1 ? BLOCK.grass : y >= -3 ? BLOCK.dirt : BLOCK.stone;
+    const start = getVolumeIndex(bounds, bounds.minX, y, bounds.minZ);
+    const end = getVolumeIndex(bounds, bounds.maxX, y, bounds.maxZ) + 1;
+    types.fill(typeId, start, end);
+  }
+  return {
+    name: normalizeCustomMapName(name),
+    halfExtent,
+    bounds,
+    markers: normalizeMarkers(null, halfExtent),
+    types
+  };
+}
+
+// Map generator for a parsed custom map passed as `options.customMap`; the seed is ignored.
+export function generateCustomMap(builder, options = {}) {
+  const map = options.customMap;
+  const bounds = map?.bounds;
+  if (bounds) {
+    let index = 0;
+    for (let y = bounds.minY; y <= bounds.maxY; y += 1) {
+      for (let z = bounds.minZ; z <= bounds.maxZ; z += 1) {
+        for (let x = bounds.minX; x <= bounds.maxX; x += 1) {
+          const typeId = map.types[index];
+          index += 1;
+          if (typeId !== 0) {
+            builder.setBlock(x, y, z, typeId);
+          }
+        }
+      }
+    }
+  }
+
+  const halfExtent = map?.halfExtent ?? MAP_HALF_EXTENT;
+  const markers = normalizeMarkers(map?.markers, halfExtent);
+  const arenaMeta = { halfExtent };
+  for (const key of CUSTOM_MAP_MARKER_KEYS) {
+    arenaMeta[key] = { ...markers[key] };
+  }
+  return { arenaMeta };
+}
@@ -0,0 +1,132 @@
+import { createNoise2D } from "simplex-noise";
+import {
+  BLOCK,
+  MAP_BOTTOM_Y,
+  MAP_HALF_EXTENT,
+  buildFlagFortresses,
+  clamp,
+  clearRectVolume,
+  createArenaMeta,
+  flattenArenaLanes,
+  hash2D,
+  isNearArenaObjective,
+  mulberry32,
+  resolveMapSeed
+} from "./mapCommon.js";
+
+const MESA_STEP = 3;
+
+// Canyon walls alternate two layers of sand with two of clay, counted up from the map floor.
+function getStrataType(y) {
+  return ((y - MAP_BOTTOM_Y) >> 1) % 2 === 0 ? BLOCK.sand : BLOCK.clay;
+}
+
+function buildCanyonOutpost(builder) {
+  builder.fillRect(-8, 8, -1, 0, -8, 8, BLOCK.sand);
+  builder.fillRect(-4, 4, 0, 0, -4, 4, BLOCK.clay);
+
+  builder.fillRect(-1, 1, 1, 4, -1, 1, BLOCK.brick);
+  clearRectVolume(builder, 0, 0, 1, 2, -1, 1);
+
+  // Broken ring of half walls: each side keeps its two ends and loses the middle.
+  for (const sign of [-1, 1]) {
+    builder.fillRect(-7, -3, 1, 2, sign * 7, sign * 7, BLOCK.clay);
+    builder.fillRect(3, 7, 1, 2, sign * 7, sign * 7, BLOCK.clay);
+    builder.fillRect(sign * 7, sign * 7, 1, 2, -7, -5, BLOCK.clay);
+    builder.fillRect(sign * 7, sign * 7, 1, 2, 5, 7, BLOCK.clay);
+  }
+}
+
+function placeCactus(builder, x, y, z, seed) {
+  const height = 2 + Math.floor(hash2D(x - 3, z + 5, seed) * 3);
+  for (let i = 1; i <= height; i += 1) {
+    builder.setBlock(x, y + i, z, BLOCK.grass);
+  }
+  if (height >= 3) {
+    const armX = hash2D(x + 9, z, seed) < 0.25 ? -1 : 1;
+    builder.setBlock(x + armX, y + 2, z, BLOCK.grass);
+    builder.setBlock(x + armX, y + 3, z, BLOCK.grass);
+  }
+}
+
+function placeBoulder(builder, x, y, z, seed) {
+  builder.fillRect(x, x + 1, y + 1, y + 1, z, z + 1, BLOCK.clay);
+  if (hash2D(x, z - 7, seed) < 0.25) {
+    builder.setBlock(x, y + 2, z, BLOCK.sand);
+  }
+}
+
+function scatterDesertProps(builder, halfExtent, surfaceMap, seed) {
+  for (let x = -halfExtent + 5; x <= halfExtent - 5; x += 2) {
+    for (let z = -halfExtent + 5; z <= halfExtent - 5; z += 2) {
+      if (Math.abs(z) <= 4 || isNearArenaObjective(x, z)) {
+        continue;
+      }
+
+      const topY = surfaceMap.get(builder.key(x, z));
+      if (!Number.isFinite(topY) || topY > 1) {
+        continue;
+      }
+
+      const rnd = hash2D(x, z, seed);
+      if (rnd < 0.03) {
+        placeCactus(builder, x, topY, z, seed);
+      } else if (rnd < 0.05) {
+        placeBoulder(builder, x, topY, z, seed);
+      }
+    }
+  }
+}
+
+export function generateDesertCanyonMap(builder, options = {}) {
+  const seed = resolveMapSeed(options);
+  const random = mulberry32(seed);
+  const noise2D = createNoise2D(random);
+
+  const halfExtent = MAP_HALF_EXTENT;
+  const surfaceMap = new Map();
+
+  for (let x = -halfExtent; x <= halfExtent; x += 1) {
+    for (let z = -halfExtent; z <= halfExtent; z += 1) {
+      const edgeDistance = halfExtent - Math.max(Math.abs(x), Math.abs(z));
+      const edgeAlpha = clamp((16 - edgeDistance) / 16, 0, 1);
+
+      const mesaNoise = noise2D(x * 0.034, z * 0.034);
+      const dune = noise2D(x * 0.09 + 12.3, z * 0.09 - 4.1);
+      // The main canyon runs along the lane and a dry wash crosses it at mid, both wobbling a little.
+      const canyonHalfWidth = 7 + Math.round(noise2D(x * 0.05, 40.2) * 2);
+      const washHalfWidth = 4 + Math.round(noise2D(-40.2, z * 0.05) * 2);
+      const inCanyon = Math.abs(z) <= canyonHalfWidth || Math.abs(x) <= washHalfWidth;
+
+      let topY = -1 + Math.round(dune * 1.2);
+      const mesaMask = mesaNoise + edgeAlpha * 1.1;
+      if (!inCanyon && mesaMask > 0.2) {
+        const tier = clamp(Math.floor((mesaMask - 0.2) * 8), 0, 3);
+        topY = MESA_STEP + tier * MESA_STEP;
+      }
+      topY = clamp(flattenArenaLanes(x, z, topY, halfExtent), -2, 14);
+      surfaceMap.set(builder.key(x, z), topY);
+
+      for (let y = MAP_BOTTOM_Y; y <= topY; y += 1) {
+        let typeId = y <= -5 ? BLOCK.stone : getStrataType(y);
+        if (y === topY && topY <= 0) {
+          typeId = BLOCK.sand;
+        }
+        builder.setBlock(x, y, z, typeId);
+      }
+    }
+  }
+
+  builder.fillRect(-halfExtent + 2, halfExtent - 2, -1, -1, -2, 2, BLOCK.clay);
+  buildCanyonOutpost(builder);
+
+  buildFlagFortresses(
+    builder,
+    { wallType: BLOCK.clay, floorType: BLOCK.sand, accentType: BLOCK.brick },
+    { wallType: BLOCK.brick, floorType: BLOCK.sand, accentType: BLOCK.clay }
+  );
+
+  scatterDesertProps(builder, halfExtent, surfaceMap, seed);
+
+  return { arenaMeta: createArenaMeta(halfExtent) };
+}
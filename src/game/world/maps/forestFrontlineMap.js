@@ -1,108 +1,18 @@
 import { createNoise2D } from "simplex-noise";
-
-const BLOCK = Object.freeze({
-  grass: 1,
-  dirt: 2,
-  stone: 3,
-  sand: 4,
-  clay: 5,
-  brick: 6,
-  ice: 7,
-  metal: 8
-});
-
-const DEFAULT_MAP_SEED = 20260227;
-
-function clamp(value, min, max) {
-  return Math.min(max, Math.max(min, value));
-}
-
-function mulberry32(seed) {
-  let t = seed >>> 0;
-  return () => {
-    t += 0x6d2b79f5;
-    let r = Math.imul(t ^ (t >>> 15), 1 | t);
-    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
-    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
-function hash2D(x, z, seed) {
-  let n = (x * 374761393 + z * 668265263 + seed * 1442695041) >>> 0;
-  n = (n ^ (n >> 13)) >>> 0;
-  n = Math.imul(n, 1274126177) >>> 0;
-  return ((n ^ (n >> 16)) >>> 0) / 4294967296;
-}
-
-function clearRectVolume(builder, minX, maxX, minY, maxY, minZ, maxZ) {
-  for (let y = minY; y <= maxY; y += 1) {
-    builder.carveRect(minX, maxX, y, minZ, maxZ);
-  }
-}
-
-function buildFlagFortress(
-  builder,
-  {
-    centerX,
-    centerZ,
-    gateDirection,
-    wallType = BLOCK.clay,
-    floorType = BLOCK.dirt,
-    accentType = BLOCK.brick
-  }
-) {
-  const half = 8;
-  const minX = centerX - half;
-  const maxX = centerX + half;
-  const minZ = centerZ - half;
-  const maxZ = centerZ + half;
-
-  builder.fillRect(minX, maxX, -1, 0, minZ, maxZ, floorType);
-  builder.fillRect(centerX - 3, centerX + 3, 0, 0, centerZ - 3, centerZ + 3, BLOCK.dirt);
-
-  for (let y = 1; y <= 5; y += 1) {
-    for (let x = minX; x <= maxX; x += 1) {
-      for (let z = minZ; z <= maxZ; z += 1) {
-        const border = x === minX || x === maxX || z === minZ || z === maxZ;
-        if (!border) {
-          continue;
-        }
-
-        const gateEast =
-          gateDirection === "east" && x === maxX && Math.abs(z - centerZ) <= 2 && y <= 3;
-        const gateWest =
-          gateDirection === "west" && x === minX && Math.abs(z - centerZ) <= 2 && y <= 3;
-
-        if (gateEast || gateWest) {
-          continue;
-        }
-
-        builder.setBlock(x, y, z, wallType);
-      }
-    }
-  }
-
-  clearRectVolume(builder, minX + 1, maxX - 1, 1, 4, minZ + 1, maxZ - 1);
-
-  const corners = [
-    [minX, minZ],
-    [minX, maxZ],
-    [maxX, minZ],
-    [maxX, maxZ]
-  ];
-  for (const [tx, tz] of corners) {
-    builder.fillRect(tx - 1, tx + 1, 1, 7, tz - 1, tz + 1, accentType);
-  }
-
-  // Keep spawn base platforms low so only the center objective reads as a flag monument.
-  builder.fillRect(centerX - 2, centerX + 2, 1, 1, centerZ - 2, centerZ + 2, accentType);
-
-  if (gateDirection === "east") {
-    builder.fillRect(maxX + 1, maxX + 7, -1, 0, centerZ - 2, centerZ + 2, floorType);
-  } else {
-    builder.fillRect(minX - 7, minX - 1, -1, 0, centerZ - 2, centerZ + 2, floorType);
-  }
-}
+import {
+  BLOCK,
+  MAP_BOTTOM_Y,
+  MAP_HALF_EXTENT,
+  buildFlagFortresses,
+  clamp,
+  clearRectVolume,
+  createArenaMeta,
+  flattenArenaLanes,
+  hash2D,
+  isNearArenaObjective,
+  mulberry32,
+  resolveMapSeed
+} from "./mapCommon.js";
 
 function buildControlHub(builder) {
   builder.fillRect(-8, 8, -1, 0, -8, 8, BLOCK.dirt);
@@ -158,17 +68,12 @@ function plantTree(builder, x, y, z, seed, variant = 0) {
 }
 
 function plantForest(builder, halfExtent, surfaceMap, seed) {
-  const baseOffset = 44;
-
   for (let x = -halfExtent + 5; x <= halfExtent - 5; x += 2) {
     for (let z = -halfExtent + 5; z <= halfExtent - 5; z += 2) {
       if (Math.abs(z) <= 5 && Math.abs(x) <= halfExtent - 6) {
         continue;
       }
-      if (Math.abs(x) <= 12 && Math.abs(z) <= 12) {
-        continue;
-      }
-      if ((Math.abs(x + baseOffset) <= 14 || Math.abs(x - baseOffset) <= 14) && Math.abs(z) <= 14) {
+      if (isNearArenaObjective(x, z)) {
         continue;
       }
 
@@ -204,13 +109,11 @@ function carvePathing(builder, halfExtent) {
 }
 
 export function generateForestFrontlineMap(builder, options = {}) {
-  const seed = Number.isFinite(options.seed) ? Math.trunc(options.seed) : DEFAULT_MAP_SEED;
+  const seed = resolveMapSeed(options);
   const random = mulberry32(seed);
   const noise2D = createNoise2D(random);
 
-  const halfExtent = 60;
-  const minY = -8;
-  const baseOffset = 44;
+  const halfExtent = MAP_HALF_EXTENT;
   const surfaceMap = new Map();
 
   for (let x = -halfExtent; x <= halfExtent; x += 1) {
@@ -226,20 +129,10 @@ export function generateForestFrontlineMap(builder, options = {}) {
       const corridorFlatten = Math.round(corridor * 1.5);
       const mountainLift = Math.round(edgeAlpha * edgeAlpha * (8 + ridgeNoise * 8));
 
-      let topY = -1 + rolling - corridorFlatten + mountainLift;
-      if (Math.abs(z) <= 2 && Math.abs(x) <= halfExtent - 6) {
-        topY = Math.min(topY, -1);
-      }
-      if ((Math.abs(x + baseOffset) <= 11 || Math.abs(x - baseOffset) <= 11) && Math.abs(z) <= 11) {
-        topY = Math.min(topY, 0);
-      }
-      if (Math.abs(x) <= 10 && Math.abs(z) <= 10) {
-        topY = Math.min(topY, 0);
-      }
-      topY = clamp(topY, -2, 14);
+      const topY = clamp(flattenArenaLanes(x, z, -1 + rolling - corridorFlatten + mountainLift, halfExtent), -2, 14);
       surfaceMap.set(builder.key(x, z), topY);
 
-      for (let y = minY; y <= topY; y += 1) {
+      for (let y = MAP_BOTTOM_Y; y <= topY; y += 1) {
         let typeId = BLOCK.stone;
         if (y >= topY - 2) {
           typeId = BLOCK.dirt;
@@ -255,34 +148,13 @@ export function generateForestFrontlineMap(builder, options = {}) {
   carvePathing(builder, halfExtent);
   buildControlHub(builder);
 
-  buildFlagFortress(builder, {
-    centerX: -baseOffset,
-    centerZ: 0,
-    gateDirection: "east",
-    wallType: BLOCK.clay,
-    floorType: BLOCK.dirt,
-    accentType: BLOCK.brick
-  });
-  buildFlagFortress(builder, {
-    centerX: baseOffset,
-    centerZ: 0,
-    gateDirection: "west",
-    wallType: BLOCK.brick,
-    floorType: BLOCK.dirt,
-    accentType: BLOCK.clay
-  });
+  buildFlagFortresses(
+    builder,
+    { wallType: BLOCK.clay, floorType: BLOCK.dirt, accentType: BLOCK.brick },
+    { wallType: BLOCK.brick, floorType: BLOCK.dirt, accentType: BLOCK.clay }
+  );
 
   plantForest(builder, halfExtent, surfaceMap, seed);
 
-  return {
-    arenaMeta: {
-      alphaBase: { x: -35, y: 0, z: 0 },
-      bravoBase: { x: 35, y: 0, z: 0 },
-      alphaFlag: { x: -baseOffset, y: 0, z: 0 },
-      bravoFlag: { x: baseOffset, y: 0, z: 0 },
-      mid: { x: 0, y: 0, z: 0 },
-      trainingSpawn: { x: -35, y: 0, z: 0 },
-      halfExtent
-    }
-  };
+  return { arenaMeta: createArenaMeta(halfExtent) };
 }
@@ -0,0 +1,165 @@
+import { createNoise2D } from "simplex-noise";
+import {
+  BLOCK,
+  MAP_BOTTOM_Y,
+  MAP_HALF_EXTENT,
+  buildFlagFortresses,
+  clamp,
+  clearRectVolume,
+  createArenaMeta,
+  flattenArenaLanes,
+  hash2D,
+  isNearArenaObjective,
+  mulberry32,
+  resolveMapSeed
+} from "./mapCommon.js";
+
+const LAKE_RADIUS_X = 27;
+const LAKE_RADIUS_Z = 22;
+const LAKE_SURFACE_Y = -2;
+const ICE_SHEET_DEPTH = 2;
+
+const OUTPOSTS = Object.freeze([
+  { x: -20, z: 28, doorSign: -1 },
+  { x: 20, z: -28, doorSign: 1 },
+  { x: 6, z: 30, doorSign: -1 },
+  { x: -6, z: -30, doorSign: 1 }
+]);
+
+function buildIcePlatform(builder) {
+  builder.fillRect(-6, 6, -1, -1, -6, 6, BLOCK.metal);
+  builder.fillRect(-4, 4, -1, -1, -4, 4, BLOCK.ice);
+
+  builder.fillRect(-1, 1, 0, 3, -1, 1, BLOCK.metal);
+  clearRectVolume(builder, 0, 0, 0, 1, -1, 1);
+
+  const barricades = [
+    [-6, -4, -6, -6],
+    [4, 6, 6, 6],
+    [-6, -6, 4, 6],
+    [6, 6, -6, -4]
+  ];
+  for (const [minX, maxX, minZ, maxZ] of barricades) {
+    builder.fillRect(minX, maxX, 0, 1, minZ, maxZ, BLOCK.metal);
+  }
+}
+
+// Metal hut on a stone plinth that reaches the map floor, so the hut never hangs off a slope.
+function buildOutpost(builder, { x, z, doorSign }, surfaceMap) {
+  const floorY = clamp(surfaceMap.get(builder.key(x, z)) ?? 0, -1, 4);
+  builder.fillRect(x - 3, x + 3, MAP_BOTTOM_Y, floorY, z - 3, z + 3, BLOCK.stone);
+  clearRectVolume(builder, x - 3, x + 3, floorY + 1, floorY + 5, z - 3, z + 3);
+
+  for (let y = floorY + 1; y <= floorY + 3; y += 1) {
+    for (let dx = -3; dx <= 3; dx += 1) {
+      for (let dz = -3; dz <= 3; dz += 1) {
+        if (Math.abs(dx) !== 3 && Math.abs(dz) !== 3) {
+          continue;
+        }
+        const door = dz === 3 * doorSign && Math.abs(dx) <= 1 && y <= floorY + 2;
+        const slit = y === floorY + 2 && Math.abs(dx) === 3 && Math.abs(dz) <= 1;
+        if (!door && !slit) {
+          builder.setBlock(x + dx, y, z + dz, BLOCK.metal);
+        }
+      }
+    }
+  }
+  builder.fillRect(x - 3, x + 3, floorY + 4, floorY + 4, z - 3, z + 3, BLOCK.metal);
+  builder.fillRect(x + 3, x + 3, floorY + 5, floorY + 7, z + 3, z + 3, BLOCK.metal);
+
+  // A short ramp of stone steps down from the door towards the lake.
+  for (let step = 1; step <= 4; step += 1) {
+    const stepY = floorY - step + 1;
+    if (stepY <= LAKE_SURFACE_Y) {
+      break;
+    }
+    const stepZ = z + doorSign * (3 + step);
+    builder.fillRect(x - 1, x + 1, MAP_BOTTOM_Y, stepY, stepZ, stepZ, BLOCK.stone);
+    clearRectVolume(builder, x - 1, x + 1, stepY + 1, stepY + 3, stepZ, stepZ);
+  }
+}
+
+// Pressure ridges: short crooked lines of ice shoved up out of the lake, used as low cover.
+function raisePressureRidges(builder, surfaceMap, random) {
+  for (let ridge = 0; ridge < 7; ridge += 1) {
+    let x = Math.round((random() * 2 - 1) * (LAKE_RADIUS_X - 6));
+    let z = Math.round((random() * 2 - 1) * (LAKE_RADIUS_Z - 6));
+    const alongX = random() < 0.5;
+    const length = 5 + Math.floor(random() * 5);
+    for (let i = 0; i < length; i += 1) {
+      const onLake = surfaceMap.get(builder.key(x, z)) === LAKE_SURFACE_Y;
+      if (onLake && Math.abs(z) > 3 && !isNearArenaObjective(x, z, -4)) {
+        const height = i > 0 && i < length - 1 && random() < 0.45 ? 2 : 1;
+        builder.fillRect(x, x, LAKE_SURFACE_Y + 1, LAKE_SURFACE_Y + height, z, z, BLOCK.ice);
+      }
+      if (alongX) {
+        x += 1;
+        z += random() < 0.3 ? (random() < 0.5 ? -1 : 1) : 0;
+      } else {
+        z += 1;
+        x += random() < 0.3 ? (random() < 0.5 ? -1 : 1) : 0;
+      }
+    }
+  }
+}
+
+export function generateFrozenLakeMap(builder, options = {}) {
+  const seed = resolveMapSeed(options);
+  const random = mulberry32(seed);
+  const noise2D = createNoise2D(random);
+
+  const halfExtent = MAP_HALF_EXTENT;
+  const surfaceMap = new Map();
+
+  for (let x = -halfExtent; x <= halfExtent; x += 1) {
+    for (let z = -halfExtent; z <= halfExtent; z += 1) {
+      const edgeDistance = halfExtent - Math.max(Math.abs(x), Math.abs(z));
+      const edgeAlpha = clamp((18 - edgeDistance) / 18, 0, 1);
+
+      const n1 = noise2D(x * 0.05, z * 0.05);
+      const n2 = noise2D(x * 0.12 - 7.7, z * 0.12 + 23.1);
+      const ridgeNoise = Math.max(0, noise2D(x * 0.03 + 5.2, z * 0.03 - 8.8));
+      const shoreWobble = noise2D(x * 0.08 + 61.5, z * 0.08) * 0.16;
+      const lakeDistance = (x / LAKE_RADIUS_X) ** 2 + (z / LAKE_RADIUS_Z) ** 2 + shoreWobble;
+      const onLake = lakeDistance < 1;
+
+      let topY = LAKE_SURFACE_Y;
+      if (!onLake) {
+        const shoreRise = clamp((lakeDistance - 1) * 3, 0, 2);
+        const rolling = Math.round(n1 * 2.2 + n2 * 1.1 + shoreRise);
+        const mountainLift = Math.round(edgeAlpha * edgeAlpha * (9 + ridgeNoise * 7));
+        topY = clamp(-1 + rolling + mountainLift, -1, 14);
+      }
+      topY = clamp(flattenArenaLanes(x, z, topY, halfExtent), -2, 14);
+      surfaceMap.set(builder.key(x, z), topY);
+
+      for (let y = MAP_BOTTOM_Y; y <= topY; y += 1) {
+        let typeId = BLOCK.stone;
+        if (onLake) {
+          typeId = y > topY - ICE_SHEET_DEPTH ? BLOCK.ice : BLOCK.stone;
+        } else if (y === topY) {
+          typeId = topY >= 6 || hash2D(x, z, seed) < 0.14 ? BLOCK.ice : BLOCK.stone;
+        } else if (y >= topY - 2) {
+          typeId = BLOCK.dirt;
+        }
+        builder.setBlock(x, y, z, typeId);
+      }
+    }
+  }
+
+  builder.fillRect(-halfExtent + 2, -LAKE_RADIUS_X, -1, -1, -2, 2, BLOCK.stone);
+  builder.fillRect(LAKE_RADIUS_X, halfExtent - 2, -1, -1, -2, 2, BLOCK.stone);
+  buildIcePlatform(builder);
+  raisePressureRidges(builder, surfaceMap, random);
+  for (const outpost of OUTPOSTS) {
+    buildOutpost(builder, outpost, surfaceMap);
+  }
+
+  buildFlagFortresses(
+    builder,
+    { wallType: BLOCK.stone, floorType: BLOCK.stone, accentType: BLOCK.metal },
+    { wallType: BLOCK.metal, floorType: BLOCK.stone, accentType: BLOCK.ice }
+  );
+
+  return { arenaMeta: createArenaMeta(halfExtent) };
+}
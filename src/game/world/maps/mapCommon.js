@@ -0,0 +1,153 @@
+import { STRUCTURE_GROUND_Y } from "../../../shared/structuralIntegrity.js";
+
+export const BLOCK = Object.freeze({
+  grass: 1,
+  dirt: 2,
+  stone: 3,
+  sand: 4,
+  clay: 5,
+  brick: 6,
+  ice: 7,
+  metal: 8
+});
+
+export const DEFAULT_MAP_SEED = 20260227;
+export const MAP_BOTTOM_Y = STRUCTURE_GROUND_Y;
+export const MAP_HALF_EXTENT = 60;
+// Flags sit at ±BASE_OFFSET on the x axis; the server's spawn zones are fixed at ±35.
+export const BASE_OFFSET = 44;
+
+export function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+export function mulberry32(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t += 0x6d2b79f5;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function hash2D(x, z, seed) {
+  let n = (x * 374761393 + z * 668265263 + seed * 1442695041) >>> 0;
+  n = (n ^ (n >> 13)) >>> 0;
+  n = Math.imul(n, 1274126177) >>> 0;
+  return ((n ^ (n >> 16)) >>> 0) / 4294967296;
+}
+
+export function resolveMapSeed(options = {}) {
+  return Number.isFinite(options.seed) ? Math.trunc(options.seed) : DEFAULT_MAP_SEED;
+}
+
+export function clearRectVolume(builder, minX, maxX, minY, maxY, minZ, maxZ) {
+  for (let y = minY; y <= maxY; y += 1) {
+    builder.carveRect(minX, maxX, y, minZ, maxZ);
+  }
+}
+
+// Terrain heights that every map keeps low: the flag fortresses, the mid objective and the
+// lane between them, so spawns and objectives stay reachable whatever the noise does.
+export function flattenArenaLanes(x, z, topY, halfExtent = MAP_HALF_EXTENT) {
+  let next = topY;
+  if (Math.abs(z) <= 2 && Math.abs(x) <= halfExtent - 6) {
+    next = Math.min(next, -1);
+  }
+  if ((Math.abs(x + BASE_OFFSET) <= 11 || Math.abs(x - BASE_OFFSET) <= 11) && Math.abs(z) <= 11) {
+    next = Math.min(next, 0);
+  }
+  if (Math.abs(x) <= 10 && Math.abs(z) <= 10) {
+    next = Math.min(next, 0);
+  }
+  return next;
+}
+
+export function isNearArenaObjective(x, z, margin = 0) {
+  if ((Math.abs(x + BASE_OFFSET) <= 14 + margin || Math.abs(x - BASE_OFFSET) <= 14 + margin) && Math.abs(z) <= 14 + margin) {
+    return true;
+  }
+  return Math.abs(x) <= 12 + margin && Math.abs(z) <= 12 + margin;
+}
+
+export function buildFlagFortress(
+  builder,
+  {
+    centerX,
+    centerZ,
+    gateDirection,
+    wallType = BLOCK.clay,
+    floorType = BLOCK.dirt,
+    accentType = BLOCK.brick
+  }
+) {
+  const half = 8;
+  const minX = centerX - half;
+  const maxX = centerX + half;
+  const minZ = centerZ - half;
+  const maxZ = centerZ + half;
+
+  builder.fillRect(minX, maxX, -1, 0, minZ, maxZ, floorType);
+  builder.fillRect(centerX - 3, centerX + 3, 0, 0, centerZ - 3, centerZ + 3, BLOCK.dirt);
+
+  for (let y = 1; y <= 5; y += 1) {
+    for (let x = minX; x <= maxX; x += 1) {
+      for (let z = minZ; z <= maxZ; z += 1) {
+        const border = x === minX || x === maxX || z === minZ || z === maxZ;
+        if (!border) {
+          continue;
+        }
+
+        const gateEast =
+          gateDirection === "east" && x === maxX && Math.abs(z - centerZ) <= 2 && y <= 3;
+        const gateWest =
+          gateDirection === "west" && x === minX && Math.abs(z - centerZ) <= 2 && y <= 3;
+
+        if (gateEast || gateWest) {
+          continue;
+        }
+
+        builder.setBlock(x, y, z, wallType);
+      }
+    }
+  }
+
+  clearRectVolume(builder, minX + 1, maxX - 1, 1, 4, minZ + 1, maxZ - 1);
+
+  const corners = [
+    [minX, minZ],
+    [minX, maxZ],
+    [maxX, minZ],
+    [maxX, maxZ]
+  ];
+  for (const [tx, tz] of corners) {
+    builder.fillRect(tx - 1, tx + 1, 1, 7, tz - 1, tz + 1, accentType);
+  }
+
+  // Keep spawn base platforms low so only the center objective reads as a flag monument.
+  builder.fillRect(centerX - 2, centerX + 2, 1, 1, centerZ - 2, centerZ + 2, accentType);
+
+  if (gateDirection === "east") {
+    builder.fillRect(maxX + 1, maxX + 7, -1, 0, centerZ - 2, centerZ + 2, floorType);
+  } else {
+    builder.fillRect(minX - 7, minX - 1, -1, 0, centerZ - 2, centerZ + 2, floorType);
+  }
+}
+
+export function buildFlagFortresses(builder, alphaStyle, bravoStyle) {
+  buildFlagFortress(builder, { centerX: -BASE_OFFSET, centerZ: 0, gateDirection: "east", ...alphaStyle });
+  buildFlagFortress(builder, { centerX: BASE_OFFSET, centerZ: 0, gateDirection: "west", ...bravoStyle });
+}
+
+export function createArenaMeta(halfExtent = MAP_HALF_EXTENT) {
+  return {
+    alphaBase: { x: -35, y: 0, z: 0 },
+    bravoBase: { x: 35, y: 0, z: 0 },
+    alphaFlag: { x: -BASE_OFFSET, y: 0, z: 0 },
+    bravoFlag: { x: BASE_OFFSET, y: 0, z: 0 },
+    mid: { x: 0, y: 0, z: 0 },
+    trainingSpawn: { x: -35, y: 0, z: 0 },
+    halfExtent
+  };
+}
@@ -0,0 +1,211 @@
+import { createNoise2D } from "simplex-noise";
+import {
+  BLOCK,
+  MAP_BOTTOM_Y,
+  MAP_HALF_EXTENT,
+  buildFlagFortresses,
+  clamp,
+  clearRectVolume,
+  createArenaMeta,
+  flattenArenaLanes,
+  hash2D,
+  isNearArenaObjective,
+  mulberry32,
+  resolveMapSeed
+} from "./mapCommon.js";
+
+// Streets run every BLOCK_PITCH blocks on both axes; the lane at z = 0 is one of them.
+const BLOCK_PITCH = 16;
+const ROAD_HALF_WIDTH = 2;
+const STREET_Y = -1;
+const MAX_ROOF_Y = 12;
+
+function getStreetOffset(value) {
+  return Math.abs(value - Math.round(value / BLOCK_PITCH) * BLOCK_PITCH);
+}
+
+function getStreetSurfaceType(x, z) {
+  const offset = Math.min(getStreetOffset(x), getStreetOffset(z));
+  if (offset <= ROAD_HALF_WIDTH) {
+    return BLOCK.stone;
+  }
+  return offset === ROAD_HALF_WIDTH + 1 ? BLOCK.clay : null;
+}
+
+function buildWalls(builder, minX, maxX, minZ, maxZ, topY, wallType, keepBlock = null) {
+  for (let y = STREET_Y + 1; y <= topY; y += 1) {
+    for (let x = minX; x <= maxX; x += 1) {
+      for (let z = minZ; z <= maxZ; z += 1) {
+        const border = x === minX || x === maxX || z === minZ || z === maxZ;
+        if (border && (!keepBlock || keepBlock(x, y, z))) {
+          builder.setBlock(x, y, z, wallType);
+        }
+      }
+    }
+  }
+}
+
+// Hollow brick block with a door on every side, window holes on each storey and, when tall
+// enough, a stair up to a first-floor slab.
+function buildBuilding(builder, minX, maxX, minZ, maxZ, roofY) {
+  const centerX = Math.round((minX + maxX) / 2);
+  const centerZ = Math.round((minZ + maxZ) / 2);
+  buildWalls(builder, minX, maxX, minZ, maxZ, roofY, BLOCK.brick);
+  builder.fillRect(minX, maxX, roofY, roofY, minZ, maxZ, BLOCK.brick);
+
+  for (let y = STREET_Y + 2; y + 1 < roofY; y += 4) {
+    for (let x = minX + 2; x <= maxX - 2; x += 3) {
+      clearRectVolume(builder, x, x, y, y + 1, minZ, minZ);
+      clearRectVolume(builder, x, x, y, y + 1, maxZ, maxZ);
+    }
+    for (let z = minZ + 2; z <= maxZ - 2; z += 3) {
+      clearRectVolume(builder, minX, minX, y, y + 1, z, z);
+      clearRectVolume(builder, maxX, maxX, y, y + 1, z, z);
+    }
+  }
+
+  clearRectVolume(builder, centerX, centerX, STREET_Y + 1, STREET_Y + 2, minZ, minZ);
+  clearRectVolume(builder, centerX, centerX, STREET_Y + 1, STREET_Y + 2, maxZ, maxZ);
+  clearRectVolume(builder, minX, minX, STREET_Y + 1, STREET_Y + 2, centerZ, centerZ);
+  clearRectVolume(builder, maxX, maxX, STREET_Y + 1, STREET_Y + 2, centerZ, centerZ);
+
+  // The stair hugs the west wall's south end so it never blocks the west door.
+  const slabY = STREET_Y + 4;
+  if (roofY - slabY < 4) {
+    return;
+  }
+  builder.fillRect(minX + 1, maxX - 1, slabY, slabY, minZ + 1, maxZ - 1, BLOCK.metal);
+  for (let step = 0; step < 3; step += 1) {
+    const stepZ = minZ + 1 + step;
+    builder.fillRect(minX + 1, minX + 1, STREET_Y + 1, STREET_Y + 1 + step, stepZ, stepZ, BLOCK.clay);
+    builder.removeBlock(minX + 1, slabY, stepZ);
+  }
+}
+
+function buildRuin(builder, minX, maxX, minZ, maxZ, seed) {
+  buildWalls(builder, minX, maxX, minZ, maxZ, STREET_Y + 5, BLOCK.brick, (x, y, z) => {
+    const standing = 1 + Math.floor(hash2D(x * 3 + z, z * 5 - x, seed) * 8);
+    return y - STREET_Y <= standing;
+  });
+  const rubbleX = Math.round((minX + maxX) / 2) - 1;
+  const rubbleZ = Math.round((minZ + maxZ) / 2) - 1;
+  builder.fillRect(rubbleX, rubbleX + 2, STREET_Y + 1, STREET_Y + 1, rubbleZ, rubbleZ + 2, BLOCK.brick);
+  builder.setBlock(rubbleX + 1, STREET_Y + 2, rubbleZ + 1, BLOCK.stone);
+}
+
+function buildPark(builder, minX, maxX, minZ, maxZ) {
+  builder.fillRect(minX, maxX, STREET_Y, STREET_Y, minZ, maxZ, BLOCK.grass);
+  const treeX = Math.round((minX + maxX) / 2);
+  const treeZ = Math.round((minZ + maxZ) / 2);
+  builder.fillRect(treeX, treeX, STREET_Y + 1, STREET_Y + 3, treeZ, treeZ, BLOCK.dirt);
+  builder.fillRect(treeX - 1, treeX + 1, STREET_Y + 4, STREET_Y + 5, treeZ - 1, treeZ + 1, BLOCK.grass);
+}
+
+function buildCityBlocks(builder, halfExtent, seed, random) {
+  const firstLot = -Math.floor(halfExtent / BLOCK_PITCH);
+  for (let lotX = firstLot; lotX * BLOCK_PITCH < halfExtent; lotX += 1) {
+    for (let lotZ = firstLot; lotZ * BLOCK_PITCH < halfExtent; lotZ += 1) {
+      const minX = lotX * BLOCK_PITCH + ROAD_HALF_WIDTH + 2;
+      const maxX = (lotX + 1) * BLOCK_PITCH - ROAD_HALF_WIDTH - 2;
+      const minZ = lotZ * BLOCK_PITCH + ROAD_HALF_WIDTH + 2;
+      const maxZ = (lotZ + 1) * BLOCK_PITCH - ROAD_HALF_WIDTH - 2;
+      if (Math.max(Math.abs(minX), Math.abs(maxX), Math.abs(minZ), Math.abs(maxZ)) > halfExtent - 6) {
+        continue;
+      }
+      const corners = [
+        [minX, minZ],
+        [minX, maxZ],
+        [maxX, minZ],
+        [maxX, maxZ]
+      ];
+      if (corners.some(([x, z]) => isNearArenaObjective(x, z))) {
+        continue;
+      }
+
+      const rnd = random();
+      if (rnd < 0.62) {
+        const storeys = 1 + Math.floor(random() * 3);
+        buildBuilding(builder, minX, maxX, minZ, maxZ, Math.min(MAX_ROOF_Y, STREET_Y + 1 + storeys * 4));
+      } else if (rnd < 0.85) {
+        buildRuin(builder, minX, maxX, minZ, maxZ, seed);
+      } else {
+        buildPark(builder, minX, maxX, minZ, maxZ);
+      }
+    }
+  }
+}
+
+function buildPlaza(builder) {
+  builder.fillRect(-8, 8, STREET_Y, STREET_Y, -8, 8, BLOCK.clay);
+  builder.fillRect(-3, 3, 0, 0, -3, 3, BLOCK.brick);
+  builder.fillRect(-2, 2, 0, 0, -2, 2, BLOCK.ice);
+  builder.fillRect(0, 0, 1, 3, 0, 0, BLOCK.stone);
+
+  for (const [x, z] of [
+    [-7, -7],
+    [-7, 7],
+    [7, -7],
+    [7, 7]
+  ]) {
+    builder.fillRect(x, x, 0, 3, z, z, BLOCK.metal);
+  }
+}
+
+// Burnt-out car wrecks and barriers left on the cross streets.
+function scatterStreetCover(builder, halfExtent, random) {
+  for (let i = 0; i < 18; i += 1) {
+    const onXStreet = random() < 0.5;
+    const along = Math.round((random() * 2 - 1) * (halfExtent - 10));
+    const street = Math.round((random() * 2 - 1) * Math.floor((halfExtent - 10) / BLOCK_PITCH)) * BLOCK_PITCH;
+    const x = onXStreet ? along : street;
+    const z = onXStreet ? street : along;
+    if (Math.abs(z) <= 4 || isNearArenaObjective(x, z, 2)) {
+      continue;
+    }
+    if (onXStreet) {
+      builder.fillRect(x - 1, x + 1, 0, 0, z, z + 1, BLOCK.metal);
+    } else {
+      builder.fillRect(x, x + 1, 0, 0, z - 1, z + 1, BLOCK.metal);
+    }
+  }
+}
+
+export function generateUrbanGridMap(builder, options = {}) {
+  const seed = resolveMapSeed(options);
+  const random = mulberry32(seed);
+  const noise2D = createNoise2D(random);
+
+  const halfExtent = MAP_HALF_EXTENT;
+
+  for (let x = -halfExtent; x <= halfExtent; x += 1) {
+    for (let z = -halfExtent; z <= halfExtent; z += 1) {
+      const edgeDistance = halfExtent - Math.max(Math.abs(x), Math.abs(z));
+      const edgeAlpha = clamp((10 - edgeDistance) / 10, 0, 1);
+      // Rubble banks ring the city so the streets read as a walled-in district.
+      const rubble = Math.round(edgeAlpha * edgeAlpha * (7 + Math.max(0, noise2D(x * 0.08, z * 0.08)) * 5));
+      const topY = clamp(flattenArenaLanes(x, z, STREET_Y + rubble, halfExtent), -2, 14);
+
+      for (let y = MAP_BOTTOM_Y; y <= topY; y += 1) {
+        let typeId = BLOCK.stone;
+        if (y > STREET_Y) {
+          typeId = y === topY ? BLOCK.brick : BLOCK.stone;
+        } else if (y === STREET_Y) {
+          typeId = getStreetSurfaceType(x, z) ?? BLOCK.dirt;
+        }
+        builder.setBlock(x, y, z, typeId);
+      }
+    }
+  }
+
+  buildCityBlocks(builder, halfExtent, seed, random);
+  buildPlaza(builder);
+  scatterStreetCover(builder, halfExtent, random);
+
+  buildFlagFortresses(
+    builder,
+    { wallType: BLOCK.brick, floorType: BLOCK.stone, accentType: BLOCK.metal },
+    { wallType: BLOCK.clay, floorType: BLOCK.stone, accentType: BLOCK.metal }
+  );
+
+  return { arenaMeta: createArenaMeta(halfExtent) };
+}
@@ -0,0 +1,261 @@
+import { GAME_MODE } from "../../shared/gameModes.js";
+import { CTF_CAPTURE_RADIUS, CTF_PICKUP_RADIUS, CTF_WIN_SCORE } from "../../shared/matchConfig.js";
+import { FLAG_CARRIER_SPEED_MULTIPLIER } from "../../shared/movement.js";
+
+const TEAMS = Object.freeze(["alpha", "bravo"]);
+const DEFAULT_TEAM_FLAG_HOME = Object.freeze({
+  alpha: Object.freeze({ x: -44, y: 0, z: 0 }),
+  bravo: Object.freeze({ x: 44, y: 0, z: 0 })
+});
+
+function clonePoint(point = { x: 0, y: 0, z: 0 }) {
+  return {
+    x: Number(point.x ?? 0),
+    y: Number(point.y ?? 0),
+    z: Number(point.z ?? 0)
+  };
+}
+
+function createDefaultFlag(homePoint) {
+  const home = clonePoint(homePoint);
+  return {
+    home,
+    at: clonePoint(home),
+    carrierId: null
+  };
+}
+
+function createDefaultTeamFlags() {
+  return {
+    alpha: createDefaultFlag(DEFAULT_TEAM_FLAG_HOME.alpha),
+    bravo: createDefaultFlag(DEFAULT_TEAM_FLAG_HOME.bravo)
+  };
+}
+
+function cloneFlagState(flag = null, fallbackHome = { x: 0, y: 0, z: 0 }) {
+  const source = flag && typeof flag === "object" ? flag : {};
+  const home = clonePoint(source.home ?? fallbackHome);
+  return {
+    home,
+    at: clonePoint(source.at ?? home),
+    carrierId: source.carrierId ? String(source.carrierId) : null
+  };
+}
+
+function cloneTeamFlagsState(flags = null) {
+  const source = flags && typeof flags === "object" ? flags : {};
+  return {
+    alpha: cloneFlagState(source.alpha, DEFAULT_TEAM_FLAG_HOME.alpha),
+    bravo: cloneFlagState(source.bravo, DEFAULT_TEAM_FLAG_HOME.bravo)
+  };
+}
+
+function findCarriedFlagTeam(flags, playerId) {
+  const id = String(playerId ?? "").trim();
+  if (!id || !flags || typeof flags !== "object") {
+    return null;
+  }
+  for (const team of TEAMS) {
+    const carrierId = String(flags[team]?.carrierId ?? "").trim();
+    if (carrierId && carrierId === id) {
+      return team;
+    }
+  }
+  return null;
+}
+
+function returnFlagHome(flag, team) {
+  flag.carrierId = null;
+  flag.at = clonePoint(flag.home ?? DEFAULT_TEAM_FLAG_HOME[team]);
+}
+
+function moveFlagWithCarrier(flag, team, playerPos) {
+  flag.at = {
+    x: Number(playerPos.x ?? flag.at?.x ?? flag.home?.x ?? DEFAULT_TEAM_FLAG_HOME[team].x),
+    y: Number(flag.home?.y ?? DEFAULT_TEAM_FLAG_HOME[team].y),
+    z: Number(playerPos.z ?? flag.at?.z ?? flag.home?.z ?? DEFAULT_TEAM_FLAG_HOME[team].z)
+  };
+}
+
+export function createCtfMode(ctx) {
+  const getFlags = (room) => ctx.getRoomState(room).modeState.flags;
+
+  const resetFlagForPlayer = (room, playerId) => {
+    const id = String(playerId ?? "").trim();
+    const flags = getFlags(room);
+    const team = findCarriedFlagTeam(flags, id);
+    if (!team) {
+      return null;
+    }
+    returnFlagHome(flags[team], team);
+    ctx.touchRoomState(room);
+    return team;
+  };
+
+  return Object.freeze({
+    id: GAME_MODE.CTF,
+    targetScore: CTF_WIN_SCORE,
+    allowsRespawn: true,
+
+    createState() {
+      return { flags: createDefaultTeamFlags() };
+    },
+
+    normalizeState(modeState) {
+      return { flags: cloneTeamFlagsState(modeState?.flags) };
+    },
+
+    serializeState(modeState) {
+      const flags = cloneTeamFlagsState(modeState?.flags);
+      return {
+        // Legacy compatibility for older clients/scripts expecting single `flag`.
+        flag: cloneFlagState(flags.bravo, DEFAULT_TEAM_FLAG_HOME.bravo),
+        flags
+      };
+    },
+
+    onRoundStart() {},
+
+    canShoot(room, player) {
+      return !findCarriedFlagTeam(getFlags(room), player.id);
+    },
+
+    getMoveSpeedMultiplier(room, player) {
+      return findCarriedFlagTeam(getFlags(room), player.id) ? FLAG_CARRIER_SPEED_MULTIPLIER : 1;
+    },
+
+    onPlayerSync(room, player) {
+      if (!player?.state) {
+        return null;
+      }
+
+      const state = ctx.getRoomState(room);
+      if (ctx.isRoundEnded(state)) {
+        return null;
+      }
+
+      const team = ctx.normalizeTeam(player.team);
+      const enemyTeam = ctx.getEnemyTeam(team);
+      const enemyFlag = enemyTeam ? state.modeState.flags[enemyTeam] : null;
+      if (!enemyFlag || enemyFlag.carrierId !== player.id) {
+        return null;
+      }
+
+      const playerPos = player.state;
+      let event = null;
+      moveFlagWithCarrier(enemyFlag, enemyTeam, playerPos);
+      if (ctx.distanceXZ(playerPos, ctx.getTeamHome(team)) <= CTF_CAPTURE_RADIUS) {
+        returnFlagHome(enemyFlag, enemyTeam);
+        state.captures[team] = (Number(state.captures[team]) || 0) + 1;
+        state.score[team] = (Number(state.score[team]) || 0) + 1;
+        player.captures = (Number(player.captures) || 0) + 1;
+        event = {
+          type: "capture",
+          byPlayerId: player.id,
+          byTeam: team,
+          flagTeam: enemyTeam,
+          captures: Number(state.captures[team]),
+          teamScore: Number(state.score[team])
+        };
+      }
+
+      ctx.touchRoomState(room);
+      return event;
+    },
+
+    onInteract(room, player) {
+      const state = ctx.getRoomState(room);
+      const team = ctx.normalizeTeam(player.team);
+      const playerPos = player.state;
+      const flags = state.modeState.flags;
+      if (!playerPos || !flags) {
+        return { ok: false, error: "깃발 상태를 확인할 수 없습니다" };
+      }
+      const enemyTeam = ctx.getEnemyTeam(team);
+      const enemyFlag = enemyTeam ? flags[enemyTeam] : null;
+      if (!enemyFlag) {
+        return { ok: false, error: "적 팀 깃발 상태를 확인할 수 없습니다" };
+      }
+
+      if (enemyFlag.carrierId) {
+        const carrier = state.players.get(String(enemyFlag.carrierId));
+        const carrierHp = Number.isFinite(Number(carrier?.hp)) ? Number(carrier.hp) : 100;
+        if (!carrier || carrierHp <= 0) {
+          returnFlagHome(enemyFlag, enemyTeam);
+          ctx.touchRoomState(room);
+          ctx.emitCtfUpdate(room, {
+            type: "reset",
+            reason: "invalid_carrier",
+            flagTeam: enemyTeam
+          });
+        }
+      }
+
+      if (enemyFlag.carrierId) {
+        if (String(enemyFlag.carrierId) === String(player.id)) {
+          return { ok: true, alreadyCarrying: true };
+        }
+        return { ok: false, error: "이미 다른 플레이어가 깃발을 운반 중입니다" };
+      }
+
+      if (findCarriedFlagTeam(flags, player.id)) {
+        return { ok: true, alreadyCarrying: true };
+      }
+
+      if (ctx.distanceXZ(playerPos, enemyFlag.at) > CTF_PICKUP_RADIUS) {
+        return { ok: false, error: "적 기지 깃발 근처에서 상호작용해 주세요" };
+      }
+
+      enemyFlag.carrierId = player.id;
+      moveFlagWithCarrier(enemyFlag, enemyTeam, playerPos);
+      ctx.touchRoomState(room);
+      return {
+        ok: true,
+        event: {
+          type: "pickup",
+          byPlayerId: player.id,
+          byTeam: team,
+          flagTeam: enemyTeam
+        }
+      };
+    },
+
+    onKill(room, { victim }) {
+      const resetTeam = resetFlagForPlayer(room, victim.id);
+      if (!resetTeam) {
+        return null;
+      }
+      return {
+        type: "reset",
+        reason: "carrier_eliminated",
+        byPlayerId: victim.id,
+        flagTeam: resetTeam
+      };
+    },
+
+    onPlayerLeave(room, playerId, { reason = "leave" } = {}) {
+      const resetTeam = resetFlagForPlayer(room, playerId);
+      if (!resetTeam) {
+        return null;
+      }
+      return {
+        type: "reset",
+        reason,
+        byPlayerId: playerId,
+        flagTeam: resetTeam
+      };
+    },
+
+    checkWinCondition(room, { byPlayerId = null } = {}) {
+      const state = ctx.getRoomState(room);
+      if (ctx.isRoundEnded(state)) {
+        return false;
+      }
+      const winnerTeam = TEAMS.find((team) => Number(state.score[team] ?? 0) >= CTF_WIN_SCORE);
+      if (!winnerTeam) {
+        return false;
+      }
+      return ctx.endMatch(room, { winnerTeam, byPlayerId });
+    }
+  });
+}
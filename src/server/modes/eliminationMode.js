@@ -0,0 +1,160 @@
+import { GAME_MODE } from "../../shared/gameModes.js";
+import {
+  ELIMINATION_INTERMISSION_MS,
+  ELIMINATION_ROUNDS_TO_WIN,
+  ELIMINATION_ROUND_MS
+} from "../../shared/matchConfig.js";
+
+function isRoundIntermission(state, now = Date.now()) {
+  return (Number(state?.round?.intermissionUntil) || 0) > now;
+}
+
+export function createEliminationMode(ctx) {
+  const countAlivePlayers = (state) => {
+    const alive = { alpha: 0, bravo: 0 };
+    for (const player of state.players.values()) {
+      const team = ctx.normalizeTeam(player.team);
+      if (team && (Number.isFinite(player.hp) ? player.hp : 100) > 0) {
+        alive[team] += 1;
+      }
+    }
+    return alive;
+  };
+
+  const isRoundLive = (state) =>
+    Number(state.round?.startedAt) > 0 && !ctx.isRoundEnded(state) && !isRoundIntermission(state);
+
+  const startRound = (room, roundNumber, { respawnPlayers = true } = {}) => {
+    const state = ctx.getRoomState(room);
+    state.round.number = roundNumber;
+    state.round.intermissionUntil = 0;
+    state.round.endsAt = Date.now() + ELIMINATION_ROUND_MS;
+    ctx.schedulePhase(room, ELIMINATION_ROUND_MS, () => resolveTimeout(room));
+
+    if (!respawnPlayers) {
+      return;
+    }
+    ctx.respawnPlayers(room, state.players.values());
+    ctx.emitCtfUpdate(room, { type: "round_start", roundNumber });
+  };
+
+  const resolveTimeout = (room) => {
+    const state = ctx.getRoomState(room);
+    if (!isRoundLive(state)) {
+      return;
+    }
+
+    const alive = countAlivePlayers(state);
+    let winnerTeam = null;
+    if (alive.alpha !== alive.bravo) {
+      winnerTeam = alive.alpha > alive.bravo ? "alpha" : "bravo";
+    } else {
+      const health = { alpha: 0, bravo: 0 };
+      for (const player of state.players.values()) {
+        const team = ctx.normalizeTeam(player.team);
+        if (team) {
+          health[team] += Math.max(0, Number(player.hp) || 0);
+        }
+      }
+      if (health.alpha !== health.bravo) {
+        winnerTeam = health.alpha > health.bravo ? "alpha" : "bravo";
+      }
+    }
+
+    finishRound(room, { winnerTeam, reason: "timeout" });
+  };
+
+  const finishRound = (room, { winnerTeam = null, reason = "wipe", byPlayerId = null } = {}) => {
+    const state = ctx.getRoomState(room);
+    ctx.clearPhase(room);
+    const normalizedWinner = ctx.normalizeTeam(winnerTeam);
+    if (normalizedWinner) {
+      state.score[normalizedWinner] = (Number(state.score[normalizedWinner]) || 0) + 1;
+    }
+
+    if (normalizedWinner && state.score[normalizedWinner] >= ELIMINATION_ROUNDS_TO_WIN) {
+      ctx.endMatch(room, { winnerTeam: normalizedWinner, byPlayerId });
+      return;
+    }
+
+    const roundNumber = Number(state.round.number) || 1;
+    state.round.endsAt = 0;
+    state.round.intermissionUntil = Date.now() + ELIMINATION_INTERMISSION_MS;
+    ctx.touchRoomState(room);
+    ctx.emitCtfUpdate(room, {
+      type: "round_end",
+      reason,
+      byPlayerId,
+      winnerTeam: normalizedWinner,
+      roundNumber
+    });
+    ctx.emitRoomUpdate(room);
+
+    ctx.schedulePhase(room, ELIMINATION_INTERMISSION_MS, () => {
+      const liveState = ctx.getRoomState(room);
+      if (ctx.isRoundEnded(liveState) || liveState.mode !== GAME_MODE.ELIMINATION) {
+        return;
+      }
+      startRound(room, roundNumber + 1);
+    });
+  };
+
+  return Object.freeze({
+    id: GAME_MODE.ELIMINATION,
+    targetScore: ELIMINATION_ROUNDS_TO_WIN,
+    allowsRespawn: false,
+
+    createState() {
+      return {};
+    },
+
+    normalizeState(modeState) {
+      return modeState && typeof modeState === "object" ? modeState : {};
+    },
+
+    serializeState(modeState, state) {
+      return { alive: countAlivePlayers(state) };
+    },
+
+    onRoundStart(room) {
+      startRound(room, 1, { respawnPlayers: false });
+    },
+
+    // Elimination joiners sit out until the next round instead of spawning mid-round.
+    shouldJoinAsSpectator(state) {
+      return isRoundLive(state);
+    },
+
+    canShoot(room) {
+      return !isRoundIntermission(ctx.getRoomState(room));
+    },
+
+    onPlayerSync() {
+      return null;
+    },
+
+    onKill() {
+      return null;
+    },
+
+    onPlayerLeave() {
+      return null;
+    },
+
+    checkWinCondition(room, { byPlayerId = null } = {}) {
+      const state = ctx.getRoomState(room);
+      if (!isRoundLive(state)) {
+        return false;
+      }
+
+      const alive = countAlivePlayers(state);
+      if (alive.alpha > 0 && alive.bravo > 0) {
+        return false;
+      }
+
+      const winnerTeam = alive.alpha > 0 ? "alpha" : alive.bravo > 0 ? "bravo" : null;
+      finishRound(room, { winnerTeam, reason: "wipe", byPlayerId });
+      return true;
+    }
+  });
+}
@@ -0,0 +1,16 @@
+import { normalizeGameMode } from "../../shared/gameModes.js";
+import { createCtfMode } from "./ctfMode.js";
+import { createEliminationMode } from "./eliminationMode.js";
+import { createKothMode } from "./kothMode.js";
+
+const MODE_FACTORIES = Object.freeze([createCtfMode, createEliminationMode, createKothMode]);
+
+export function createModeRegistry(ctx) {
+  const modes = new Map();
+  for (const createMode of MODE_FACTORIES) {
+    const mode = createMode(ctx);
+    modes.set(mode.id, mode);
+  }
+
+  return (modeId) => modes.get(normalizeGameMode(modeId));
+}
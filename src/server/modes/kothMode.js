@@ -0,0 +1,222 @@
+import { GAME_MODE } from "../../shared/gameModes.js";
+import {
+  KOTH_CAPTURE_MS,
+  KOTH_HILL_ABOVE,
+  KOTH_HILL_BELOW,
+  KOTH_HILL_RADIUS,
+  KOTH_SCORE_INTERVAL_MS,
+  KOTH_SCORE_LIMIT,
+  KOTH_TIME_LIMIT_MS
+} from "../../shared/matchConfig.js";
+import { PLAYER_HEIGHT } from "../../shared/movement.js";
+
+const TEAMS = Object.freeze(["alpha", "bravo"]);
+const HILL_CENTER = Object.freeze({ x: 0, y: 0, z: 0 });
+const HILL_TICK_MS = 250;
+const HILL_PROGRESS_BROADCAST_STEP = 0.05;
+
+function createHillState() {
+  return {
+    owner: null,
+    capturingTeam: null,
+    progress: 0,
+    contested: false,
+    overtime: false,
+    holdMs: 0,
+    lastTickAt: 0
+  };
+}
+
+// Player states carry the eye height, so the band is measured from the feet.
+function isOnHill(ctx, pos) {
+  const feetY = Number(pos.y) - PLAYER_HEIGHT;
+  return (
+    ctx.distanceXZ(pos, HILL_CENTER) <= KOTH_HILL_RADIUS &&
+    feetY >= HILL_CENTER.y - KOTH_HILL_BELOW &&
+    feetY <= HILL_CENTER.y + KOTH_HILL_ABOVE
+  );
+}
+
+function getHillSignature(hill, score) {
+  return [
+    hill.owner,
+    hill.capturingTeam,
+    hill.contested,
+    hill.overtime,
+    Math.floor(hill.progress / HILL_PROGRESS_BROADCAST_STEP),
+    score.alpha,
+    score.bravo
+  ].join("|");
+}
+
+export function createKothMode(ctx) {
+  const countPlayersOnHill = (state) => {
+    const present = { alpha: 0, bravo: 0 };
+    for (const player of state.players.values()) {
+      const team = ctx.normalizeTeam(player.team);
+      const pos = player.state;
+      if (!team || !pos || (Number.isFinite(player.hp) ? player.hp : 100) <= 0) {
+        continue;
+      }
+      if (isOnHill(ctx, pos)) {
+        present[team] += 1;
+      }
+    }
+    return present;
+  };
+
+  const findWinner = (state, now = Date.now()) => {
+    const leader = TEAMS.find((team) => Number(state.score[team] ?? 0) >= KOTH_SCORE_LIMIT);
+    if (leader) {
+      return leader;
+    }
+    const endsAt = Number(state.round.endsAt) || 0;
+    if (!endsAt || now < endsAt) {
+      return null;
+    }
+    const alpha = Number(state.score.alpha ?? 0);
+    const bravo = Number(state.score.bravo ?? 0);
+    if (alpha === bravo) {
+      return null;
+    }
+    return alpha > bravo ? "alpha" : "bravo";
+  };
+
+  const advanceHill = (state, hill, dt) => {
+    const present = countPlayersOnHill(state);
+    const teamsOnHill = TEAMS.filter((team) => present[team] > 0);
+    hill.contested = teamsOnHill.length > 1;
+    if (teamsOnHill.length !== 1) {
+      return null;
+    }
+
+    const team = teamsOnHill[0];
+    let event = null;
+    if (hill.capturingTeam && hill.capturingTeam !== team) {
+      hill.progress = Math.max(0, hill.progress - dt / KOTH_CAPTURE_MS);
+      if (hill.progress <= 0) {
+        hill.capturingTeam = null;
+      }
+    } else if (hill.owner !== team) {
+      hill.capturingTeam = team;
+      hill.progress = Math.min(1, hill.progress + dt / KOTH_CAPTURE_MS);
+      if (hill.progress >= 1) {
+        hill.owner = team;
+        hill.capturingTeam = null;
+        hill.progress = 0;
+        hill.holdMs = 0;
+        event = { type: "hill_captured", byTeam: team };
+      }
+    }
+
+    if (hill.owner === team) {
+      hill.holdMs += dt;
+      while (hill.holdMs >= KOTH_SCORE_INTERVAL_MS) {
+        hill.holdMs -= KOTH_SCORE_INTERVAL_MS;
+        state.score[team] = (Number(state.score[team]) || 0) + 1;
+      }
+    }
+    return event;
+  };
+
+  const tick = (room) => {
+    const state = ctx.getRoomState(room);
+    if (ctx.isRoundEnded(state) || state.mode !== GAME_MODE.KOTH) {
+      return;
+    }
+
+    const hill = state.modeState.hill;
+    const now = Date.now();
+    const dt = hill.lastTickAt > 0 ? Math.min(HILL_TICK_MS * 4, now - hill.lastTickAt) : 0;
+    hill.lastTickAt = now;
+
+    const before = getHillSignature(hill, state.score);
+    let event = advanceHill(state, hill, dt);
+    const endsAt = Number(state.round.endsAt) || 0;
+    if (!hill.overtime && endsAt > 0 && now >= endsAt && !findWinner(state, now)) {
+      hill.overtime = true;
+      event = event ?? { type: "hill_overtime" };
+    }
+
+    if (getHillSignature(hill, state.score) !== before || event) {
+      ctx.touchRoomState(room);
+      if (checkWinCondition(room)) {
+        return;
+      }
+      ctx.emitCtfUpdate(room, event);
+    }
+    ctx.schedulePhase(room, HILL_TICK_MS, () => tick(room));
+  };
+
+  const checkWinCondition = (room, { byPlayerId = null } = {}) => {
+    const state = ctx.getRoomState(room);
+    if (ctx.isRoundEnded(state) || !(Number(state.round?.startedAt) > 0)) {
+      return false;
+    }
+    const winnerTeam = findWinner(state);
+    if (!winnerTeam) {
+      return false;
+    }
+    return ctx.endMatch(room, { winnerTeam, byPlayerId });
+  };
+
+  return Object.freeze({
+    id: GAME_MODE.KOTH,
+    targetScore: KOTH_SCORE_LIMIT,
+    allowsRespawn: true,
+
+    createState() {
+      return { hill: createHillState() };
+    },
+
+    normalizeState(modeState) {
+      const hill = modeState?.hill && typeof modeState.hill === "object" ? modeState.hill : createHillState();
+      hill.owner = ctx.normalizeTeam(hill.owner);
+      hill.capturingTeam = ctx.normalizeTeam(hill.capturingTeam);
+      hill.progress = Math.max(0, Math.min(1, Number(hill.progress) || 0));
+      return { hill };
+    },
+
+    serializeState(modeState) {
+      const hill = modeState?.hill ?? createHillState();
+      return {
+        hill: {
+          x: HILL_CENTER.x,
+          y: HILL_CENTER.y,
+          z: HILL_CENTER.z,
+          radius: KOTH_HILL_RADIUS,
+          owner: hill.owner,
+          capturingTeam: hill.capturingTeam,
+          progress: Number(hill.progress.toFixed(3)),
+          contested: Boolean(hill.contested),
+          overtime: Boolean(hill.overtime)
+        }
+      };
+    },
+
+    onRoundStart(room) {
+      const state = ctx.getRoomState(room);
+      state.round.endsAt = Date.now() + KOTH_TIME_LIMIT_MS;
+      state.modeState.hill.lastTickAt = Date.now();
+      ctx.schedulePhase(room, HILL_TICK_MS, () => tick(room));
+    },
+
+    canShoot() {
+      return true;
+    },
+
+    onPlayerSync() {
+      return null;
+    },
+
+    onKill() {
+      return null;
+    },
+
+    onPlayerLeave() {
+      return null;
+    },
+
+    checkWinCondition
+  });
+}
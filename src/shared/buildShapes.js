@@ -0,0 +1,180 @@
+export const BUILD_SHAPE = Object.freeze({
+  SINGLE: "single",
+  LINE: "line",
+  WALL: "wall",
+  FLOOR: "floor",
+  STAMP: "stamp"
+});
+
+export const BUILD_SHAPE_ORDER = Object.freeze([
+  BUILD_SHAPE.SINGLE,
+  BUILD_SHAPE.LINE,
+  BUILD_SHAPE.WALL,
+  BUILD_SHAPE.FLOOR,
+  BUILD_SHAPE.STAMP
+]);
+
+export const BUILD_SHAPE_LABELS = Object.freeze({
+  [BUILD_SHAPE.SINGLE]: "단일",
+  [BUILD_SHAPE.LINE]: "선",
+  [BUILD_SHAPE.WALL]: "벽",
+  [BUILD_SHAPE.FLOOR]: "바닥",
+  [BUILD_SHAPE.STAMP]: "스탬프"
+});
+
+// A drag or stamp spans at most MAX_BUILD_SPAN cells along each axis and places at most
+// MAX_BUILD_BATCH blocks; the server holds block:update batches to the same limits.
+export const MAX_BUILD_SPAN = 16;
+export const MAX_BUILD_BATCH = 128;
+
+function clampAxis(value, origin) {
+  return Math.max(origin - MAX_BUILD_SPAN + 1, Math.min(origin + MAX_BUILD_SPAN - 1, value));
+}
+
+export function clampBuildEnd(start, end) {
+  return {
+    x: clampAxis(Math.floor(end.x), start.x),
+    y: clampAxis(Math.floor(end.y), start.y),
+    z: clampAxis(Math.floor(end.z), start.z)
+  };
+}
+
+function getLineCells(start, end) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const dz = end.z - start.z;
+  const steps = Math.max(Math.abs(dx), Math.abs(dy), Math.abs(dz));
+  const cells = [];
+  for (let i = 0; i <= steps; i += 1) {
+    const t = steps === 0 ? 0 : i / steps;
+    cells.push({
+      x: Math.round(start.x + dx * t),
+      y: Math.round(start.y + dy * t),
+      z: Math.round(start.z + dz * t)
+    });
+  }
+  return cells;
+}
+
+// Cells covered by a drag from `start` to `end`, start first. A wall follows the ground line
+// between the two ends and rises to the end's height; a floor stays on the start's layer.
+export function getShapeCells(shape, start, end) {
+  const to = clampBuildEnd(start, end);
+  if (shape === BUILD_SHAPE.LINE) {
+    return getLineCells(start, to);
+  }
+
+  const cells = [];
+  if (shape === BUILD_SHAPE.WALL) {
+    const stepY = to.y >= start.y ? 1 : -1;
+    for (const column of getLineCells(start, { x: to.x, y: start.y, z: to.z })) {
+      for (let y = start.y; y !== to.y + stepY; y += stepY) {
+        cells.push({ x: column.x, y, z: column.z });
+      }
+    }
+    return cells;
+  }
+  if (shape === BUILD_SHAPE.FLOOR) {
+    const stepX = to.x >= start.x ? 1 : -1;
+    const stepZ = to.z >= start.z ? 1 : -1;
+    for (let x = start.x; x !== to.x + stepX; x += stepX) {
+      for (let z = start.z; z !== to.z + stepZ; z += stepZ) {
+        cells.push({ x, y: start.y, z });
+      }
+    }
+    return cells;
+  }
+  return [{ x: start.x, y: start.y, z: start.z }];
+}
+
+export function getBlockBounds(blocks) {
+  if (!Array.isArray(blocks) || blocks.length === 0) {
+    return null;
+  }
+  const bounds = {
+    minX: blocks[0].x,
+    maxX: blocks[0].x,
+    minY: blocks[0].y,
+    maxY: blocks[0].y,
+    minZ: blocks[0].z,
+    maxZ: blocks[0].z
+  };
+  for (const block of blocks) {
+    bounds.minX = Math.min(bounds.minX, block.x);
+    bounds.maxX = Math.max(bounds.maxX, block.x);
+    bounds.minY = Math.min(bounds.minY, block.y);
+    bounds.maxY = Math.max(bounds.maxY, block.y);
+    bounds.minZ = Math.min(bounds.minZ, block.z);
+    bounds.maxZ = Math.max(bounds.maxZ, block.z);
+  }
+  return bounds;
+}
+
+export function isWithinBuildSpan(blocks) {
+  const bounds = getBlockBounds(blocks);
+  return Boolean(
+    bounds &&
+      bounds.maxX - bounds.minX < MAX_BUILD_SPAN &&
+      bounds.maxY - bounds.minY < MAX_BUILD_SPAN &&
+      bounds.maxZ - bounds.minZ < MAX_BUILD_SPAN
+  );
+}
+
+// Block count per type id, for checking a batch against stock in one go.
+export function countBlocksByType(blocks) {
+  const counts = new Map();
+  for (const block of blocks) {
+    counts.set(block.typeId, (counts.get(block.typeId) ?? 0) + 1);
+  }
+  return counts;
+}
+
+// A stamp keeps the solid blocks of a copied box relative to its min corner:
+// { sizeX, sizeY, sizeZ, blocks: [{ dx, dy, dz, typeId }] }. Empty boxes give null.
+export function copyStamp(getTypeAt, from, to) {
+  const end = clampBuildEnd(from, to);
+  const minX = Math.min(from.x, end.x);
+  const minY = Math.min(from.y, end.y);
+  const minZ = Math.min(from.z, end.z);
+  const stamp = {
+    sizeX: Math.abs(end.x - from.x) + 1,
+    sizeY: Math.abs(end.y - from.y) + 1,
+    sizeZ: Math.abs(end.z - from.z) + 1,
+    blocks: []
+  };
+  for (let dy = 0; dy < stamp.sizeY; dy += 1) {
+    for (let dz = 0; dz < stamp.sizeZ; dz += 1) {
+      for (let dx = 0; dx < stamp.sizeX; dx += 1) {
+        const typeId = getTypeAt(minX + dx, minY + dy, minZ + dz);
+        if (typeId) {
+          stamp.blocks.push({ dx, dy, dz, typeId });
+        }
+      }
+    }
+  }
+  return stamp.blocks.length > 0 ? stamp : null;
+}
+
+// Quarter turn about the vertical axis, clockwise seen from above.
+export function rotateStamp(stamp) {
+  return {
+    sizeX: stamp.sizeZ,
+    sizeY: stamp.sizeY,
+    sizeZ: stamp.sizeX,
+    blocks: stamp.blocks.map(({ dx, dy, dz, typeId }) => ({
+      dx: stamp.sizeZ - 1 - dz,
+      dy,
+      dz: dx,
+      typeId
+    }))
+  };
+}
+
+export function getStampCells(stamp, origin) {
+  return stamp.blocks.map(({ dx, dy, dz, typeId }) => ({
+    x: origin.x + dx,
+    y: origin.y + dy,
+    z: origin.z + dz,
+    typeId
+  }));
+}
@@ -0,0 +1,151 @@
+import { STRUCTURE_GROUND_Y } from "./structuralIntegrity.js";
+
+export const EXPLOSIVE_TYPE = Object.freeze({
+  GRENADE: "grenade",
+  CHARGE: "charge"
+});
+
+// `blastRadius` carves blocks, `damageRadius` hurts players and enemies with linear falloff from
+// maxDamage at the centre to minDamage at the edge. `carry` is the count per life.
+export const EXPLOSIVE_DEFS = Object.freeze({
+  [EXPLOSIVE_TYPE.GRENADE]: Object.freeze({
+    id: EXPLOSIVE_TYPE.GRENADE,
+    name: "수류탄",
+    carry: 2,
+    fuseSeconds: 2.2,
+    throwSpeed: 17,
+    blastRadius: 2.4,
+    damageRadius: 6,
+    maxDamage: 110,
+    minDamage: 12
+  }),
+  [EXPLOSIVE_TYPE.CHARGE]: Object.freeze({
+    id: EXPLOSIVE_TYPE.CHARGE,
+    name: "폭약",
+    carry: 1,
+    fuseSeconds: 3,
+    throwSpeed: 0,
+    blastRadius: 3.6,
+    damageRadius: 7,
+    maxDamage: 150,
+    minDamage: 20
+  })
+});
+
+export const GRENADE_STEP_SECONDS = 1 / 60;
+const GRENADE_GRAVITY = 22;
+const GRENADE_RADIUS = 0.12;
+const GRENADE_BOUNCE = 0.38;
+const GRENADE_FRICTION = 0.72;
+const GRENADE_THROW_LIFT = 2.5;
+const GRENADE_REST_SPEED = 0.6;
+// The bottom layer is never carved, so no blast opens a hole into the void.
+const MIN_BLAST_Y = STRUCTURE_GROUND_Y + 1;
+
+export function normalizeExplosiveType(value) {
+  return value === EXPLOSIVE_TYPE.GRENADE || value === EXPLOSIVE_TYPE.CHARGE ? value : null;
+}
+
+export function getExplosiveDefinition(type) {
+  return EXPLOSIVE_DEFS[normalizeExplosiveType(type)] ?? null;
+}
+
+export function createExplosiveStock() {
+  return {
+    [EXPLOSIVE_TYPE.GRENADE]: EXPLOSIVE_DEFS[EXPLOSIVE_TYPE.GRENADE].carry,
+    [EXPLOSIVE_TYPE.CHARGE]: EXPLOSIVE_DEFS[EXPLOSIVE_TYPE.CHARGE].carry
+  };
+}
+
+export function getGrenadeLaunchVelocity(direction) {
+  const length = Math.hypot(direction.x, direction.y, direction.z) || 1;
+  const speed = EXPLOSIVE_DEFS[EXPLOSIVE_TYPE.GRENADE].throwSpeed;
+  return {
+    x: (direction.x / length) * speed,
+    y: (direction.y / length) * speed + GRENADE_THROW_LIFT,
+    z: (direction.z / length) * speed
+  };
+}
+
+// One fixed step of a grenade body { x, y, z, vx, vy, vz }. Each axis moves on its own; running
+// into a solid voxel bounces that axis and drags the other two, so grenades skid to a stop.
+export function stepGrenade(body, getTypeAt, dt = GRENADE_STEP_SECONDS) {
+  body.vy -= GRENADE_GRAVITY * dt;
+  const axes = [
+    ["x", "vx"],
+    ["y", "vy"],
+    ["z", "vz"]
+  ];
+  for (const [axis, velocityKey] of axes) {
+    const velocity = body[velocityKey];
+    if (velocity === 0) {
+      continue;
+    }
+    const next = body[axis] + velocity * dt;
+    const probe = { x: body.x, y: body.y, z: body.z };
+    probe[axis] = next + Math.sign(velocity) * GRENADE_RADIUS;
+    if (!getTypeAt(Math.floor(probe.x), Math.floor(probe.y), Math.floor(probe.z))) {
+      body[axis] = next;
+      continue;
+    }
+    body[velocityKey] = -velocity * GRENADE_BOUNCE;
+    for (const [, otherKey] of axes) {
+      if (otherKey !== velocityKey) {
+        body[otherKey] *= GRENADE_FRICTION;
+      }
+    }
+    if (axis === "y" && Math.abs(body.vy) < GRENADE_REST_SPEED) {
+      body.vy = 0;
+    }
+  }
+  return body;
+}
+
+// Where a grenade thrown from `origin` with `velocity` lies when its fuse runs out. Client and
+// server step it the same way, so both agree as long as they see the same blocks.
+export function simulateGrenade(origin, velocity, seconds, getTypeAt) {
+  const body = { x: origin.x, y: origin.y, z: origin.z, vx: velocity.x, vy: velocity.y, vz: velocity.z };
+  const steps = Math.max(0, Math.round(seconds / GRENADE_STEP_SECONDS));
+  for (let step = 0; step < steps; step += 1) {
+    stepGrenade(body, getTypeAt);
+  }
+  return { x: body.x, y: body.y, z: body.z };
+}
+
+// Cells whose centres lie inside the blast sphere, nearest first. `canCarve(x, y, z)` filters out
+// protected cells; air is left to the caller.
+export function getBlastCells(center, radius, canCarve = null) {
+  const cells = [];
+  const reach = Math.ceil(radius);
+  const cx = Math.floor(center.x);
+  const cy = Math.floor(center.y);
+  const cz = Math.floor(center.z);
+  const radiusSq = radius * radius;
+  for (let y = cy - reach; y <= cy + reach; y += 1) {
+    if (y < MIN_BLAST_Y) {
+      continue;
+    }
+    for (let z = cz - reach; z <= cz + reach; z += 1) {
+      for (let x = cx - reach; x <= cx + reach; x += 1) {
+        const dx = x + 0.5 - center.x;
+        const dy = y + 0.5 - center.y;
+        const dz = z + 0.5 - center.z;
+        const distanceSq = dx * dx + dy * dy + dz * dz;
+        if (distanceSq <= radiusSq && (!canCarve || canCarve(x, y, z))) {
+          cells.push({ x, y, z, distanceSq });
+        }
+      }
+    }
+  }
+  cells.sort((left, right) => left.distanceSq - right.distanceSq);
+  return cells.map(({ x, y, z }) => ({ x, y, z }));
+}
+
+export function getBlastDamage(type, distance) {
+  const definition = getExplosiveDefinition(type);
+  if (!definition || !(distance <= definition.damageRadius)) {
+    return 0;
+  }
+  const t = Math.max(0, distance) / definition.damageRadius;
+  return Math.round(definition.maxDamage + (definition.minDamage - definition.maxDamage) * t);
+}
@@ -1,11 +1,23 @@
 export const GAME_MODE = Object.freeze({
   CTF: "ctf",
-  ELIMINATION: "elimination"
+  ELIMINATION: "elimination",
+  KOTH: "koth"
 });
 
 export const DEFAULT_GAME_MODE = GAME_MODE.CTF;
 
+export const GAME_MODE_LABEL = Object.freeze({
+  [GAME_MODE.CTF]: "깃발전",
+  [GAME_MODE.ELIMINATION]: "섬멸전",
+  [GAME_MODE.KOTH]: "점령전"
+});
+
+const GAME_MODE_IDS = new Set(Object.values(GAME_MODE));
+
 export function normalizeGameMode(value) {
-  return value === GAME_MODE.ELIMINATION ? GAME_MODE.ELIMINATION : GAME_MODE.CTF;
+  return GAME_MODE_IDS.has(value) ? value : DEFAULT_GAME_MODE;
 }
 
+export function getGameModeLabel(mode) {
+  return GAME_MODE_LABEL[normalizeGameMode(mode)];
+}
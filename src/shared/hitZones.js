@@ -0,0 +1,35 @@
+export const HIT_ZONE = Object.freeze({
+  HEAD: "head",
+  TORSO: "torso",
+  LIMBS: "limbs"
+});
+
+export const HIT_ZONE_LABEL = Object.freeze({
+  [HIT_ZONE.HEAD]: "머리",
+  [HIT_ZONE.TORSO]: "몸통",
+  [HIT_ZONE.LIMBS]: "팔다리"
+});
+
+// Heights are measured from the player's feet (eye height is 1.75).
+export const HEAD_ZONE_MIN_HEIGHT = 1.45;
+export const LIMB_ZONE_MAX_HEIGHT = 0.8;
+
+const HIT_ZONE_IDS = new Set(Object.values(HIT_ZONE));
+
+export function normalizeHitZone(value) {
+  return HIT_ZONE_IDS.has(value) ? value : HIT_ZONE.TORSO;
+}
+
+export function classifyHitZone(heightAboveFeet) {
+  const height = Number(heightAboveFeet);
+  if (!Number.isFinite(height)) {
+    return HIT_ZONE.TORSO;
+  }
+  if (height >= HEAD_ZONE_MIN_HEIGHT) {
+    return HIT_ZONE.HEAD;
+  }
+  if (height < LIMB_ZONE_MAX_HEIGHT) {
+    return HIT_ZONE.LIMBS;
+  }
+  return HIT_ZONE.TORSO;
+}
@@ -4,3 +4,21 @@ export const CTF_PICKUP_RADIUS = 3.2;
 export const CTF_CAPTURE_RADIUS = 3.1;
 export const CTF_WIN_SCORE = 3;
 export const ROUND_RESTART_DELAY_MS = 6500;
+export const MAP_VOTE_OPTION_COUNT = 3;
+
+export const PVP_HITBOX_HALF_WIDTH = 0.46;
+export const PVP_HITBOX_FOOT_OFFSET = -0.06;
+export const PVP_HITBOX_TOP_OFFSET = 0.34;
+
+export const ELIMINATION_ROUNDS_TO_WIN = 3;
+export const ELIMINATION_ROUND_MS = 120_000;
+export const ELIMINATION_INTERMISSION_MS = 4000;
+
+export const KOTH_HILL_RADIUS = 6.4;
+// Feet must sit within this band around the hill surface: enough for a jump or a low ledge, not a tower.
+export const KOTH_HILL_BELOW = 1;
+export const KOTH_HILL_ABOVE = 3;
+export const KOTH_CAPTURE_MS = 5000;
+export const KOTH_SCORE_INTERVAL_MS = 1000;
+export const KOTH_SCORE_LIMIT = 120;
+export const KOTH_TIME_LIMIT_MS = 300_000;
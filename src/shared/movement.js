@@ -0,0 +1,103 @@
+export const PLAYER_HEIGHT = 1.75;
+export const PLAYER_SPEED = 7.9;
+export const PLAYER_SPRINT = 11.9;
+export const PLAYER_GRAVITY = -22;
+export const JUMP_FORCE = 9.2;
+export const PLAYER_STEP_UP_HEIGHT = 0.62;
+export const FLAG_CARRIER_SPEED_MULTIPLIER = 0.9;
+
+// Horizontal distance is paid from a budget that refills at the allowed speed, so bunched
+// packets can spend saved-up time but sustained overspeed drains it.
+export const MOVE_CHECK_BURST_MS = 400;
+export const MOVE_CHECK_MAX_WINDOW_MS = 1000;
+export const MOVE_CHECK_LATENCY_SLACK_MS = 150;
+export const MOVE_CHECK_DISTANCE_TOLERANCE = 0.75;
+export const MOVE_CHECK_HEIGHT_TOLERANCE = 0.35;
+
+export const MOVE_VIOLATION = Object.freeze({
+  SPEED: "speed",
+  VERTICAL: "vertical",
+  SOLID: "solid",
+  SPAWN: "spawn"
+});
+
+const WORLD_CEILING_Y = 128;
+// Fastest legitimate descent: free fall from the top of the world.
+const MAX_FALL_SPEED = Math.sqrt(2 * -PLAYER_GRAVITY * WORLD_CEILING_Y);
+const BODY_INSET = 0.1;
+// Highest a jump carries the eye above the ground it left.
+const JUMP_APEX_HEIGHT = (JUMP_FORCE * JUMP_FORCE) / (2 * -PLAYER_GRAVITY);
+// Syncs rarely land on the exact frame of a landing, so feet this close above a block count as on it.
+const GROUND_PROBE_DEPTH = 0.25;
+
+export function isBodyInsideSolid(position, isSolidAt) {
+  if (typeof isSolidAt !== "function") {
+    return false;
+  }
+  const cellX = Math.floor(position.x);
+  const cellZ = Math.floor(position.z);
+  const minY = Math.floor(position.y - PLAYER_HEIGHT + BODY_INSET);
+  const maxY = Math.floor(position.y - BODY_INSET);
+  for (let y = minY; y <= maxY; y += 1) {
+    if (isSolidAt(cellX, y, cellZ)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+export function isStandingOnSolid(position, isSolidAt) {
+  if (typeof isSolidAt !== "function") {
+    return false;
+  }
+  return isSolidAt(
+    Math.floor(position.x),
+    Math.floor(position.y - PLAYER_HEIGHT - GROUND_PROBE_DEPTH),
+    Math.floor(position.z)
+  );
+}
+
+export function getMoveBudgetLimit(speedMultiplier = 1) {
+  return PLAYER_SPRINT * Math.max(0, speedMultiplier) * (MOVE_CHECK_BURST_MS / 1000) + MOVE_CHECK_DISTANCE_TOLERANCE;
+}
+
+export function validateMovementStep(
+  prev,
+  next,
+  elapsedMs,
+  { speedMultiplier = 1, budget = Number.NaN, groundY = Number.NaN, isSolidAt = null } = {}
+) {
+  const seconds = Math.max(0, Number(elapsedMs) || 0) / 1000;
+  const limit = getMoveBudgetLimit(speedMultiplier);
+  const startBudget = Number.isFinite(budget) ? Math.max(0, budget) : limit;
+  const available = Math.min(limit, startBudget + PLAYER_SPRINT * Math.max(0, speedMultiplier) * seconds);
+
+  const horizontal = Math.hypot(next.x - prev.x, next.z - prev.z);
+  if (horizontal > available) {
+    return { ok: false, reason: MOVE_VIOLATION.SPEED };
+  }
+
+  const stuck = isBodyInsideSolid(prev, isSolidAt);
+  const verticalSeconds = (Math.min(seconds * 1000, MOVE_CHECK_MAX_WINDOW_MS) + MOVE_CHECK_LATENCY_SLACK_MS) / 1000;
+  const rise = next.y - prev.y;
+  const maxRise = JUMP_FORCE * verticalSeconds + PLAYER_STEP_UP_HEIGHT + MOVE_CHECK_HEIGHT_TOLERANCE;
+  const maxDrop = MAX_FALL_SPEED * verticalSeconds + MOVE_CHECK_HEIGHT_TOLERANCE;
+  // `groundY` is the eye height at the last ground contact; no airborne stretch climbs past a jump's apex.
+  const baseY = Number.isFinite(groundY) ? groundY : prev.y;
+  const maxHeight = baseY + JUMP_APEX_HEIGHT + PLAYER_STEP_UP_HEIGHT + MOVE_CHECK_HEIGHT_TOLERANCE;
+  // A player buried by a placed block is allowed to pop out upward.
+  if ((!stuck && (rise > maxRise || next.y > maxHeight)) || -rise > maxDrop) {
+    return { ok: false, reason: MOVE_VIOLATION.VERTICAL };
+  }
+
+  if (!stuck && isBodyInsideSolid(next, isSolidAt)) {
+    return { ok: false, reason: MOVE_VIOLATION.SOLID };
+  }
+
+  return {
+    ok: true,
+    reason: null,
+    budget: available - horizontal,
+    groundY: stuck || isStandingOnSolid(next, isSolidAt) ? next.y : baseY
+  };
+}
@@ -0,0 +1,255 @@
+// Compact binary encoding for the hot socket paths (player movement and block edits).
+// Clients opt in with `auth.netProtocol` at connect; everyone else stays on JSON events.
+export const NET_PROTOCOL = "rfps-bin/1";
+
+export const NET_PACKET = Object.freeze({
+  PLAYER_SYNC: 1,
+  PLAYER_BATCH: 2,
+  BLOCK_BATCH: 3
+});
+
+export const NET_NO_BASE = 0xffff;
+
+const POSITION_SCALE = 64;
+const YAW_SCALE = 32767 / Math.PI;
+const PITCH_SCALE = 32767 / (Math.PI * 0.5);
+const FIELDS = Object.freeze(["x", "y", "z", "yaw", "pitch"]);
+const FULL_MASK = (1 << FIELDS.length) - 1;
+const BATCH_KEYFRAME_FLAG = 1;
+const BLOCK_ENTRY_BYTES = 7;
+
+function clampInt16(value) {
+  return Math.max(-32768, Math.min(32767, Math.round(Number(value) || 0)));
+}
+
+function toDataView(data) {
+  if (data instanceof ArrayBuffer) {
+    return new DataView(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new DataView(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return null;
+}
+
+function countBits(mask) {
+  let count = 0;
+  for (let bit = 0; bit < FIELDS.length; bit += 1) {
+    count += (mask >> bit) & 1;
+  }
+  return count;
+}
+
+function getDeltaMask(quantized, base) {
+  if (!base) {
+    return FULL_MASK;
+  }
+  let mask = 0;
+  FIELDS.forEach((field, bit) => {
+    if (quantized[field] !== base[field]) {
+      mask |= 1 << bit;
+    }
+  });
+  return mask;
+}
+
+function writeFields(view, offset, quantized, mask) {
+  let cursor = offset;
+  FIELDS.forEach((field, bit) => {
+    if (mask & (1 << bit)) {
+      view.setInt16(cursor, quantized[field]);
+      cursor += 2;
+    }
+  });
+  return cursor;
+}
+
+function readFields(view, offset, mask, base) {
+  const quantized = { ...(base ?? { x: 0, y: 0, z: 0, yaw: 0, pitch: 0 }) };
+  let cursor = offset;
+  FIELDS.forEach((field, bit) => {
+    if (mask & (1 << bit)) {
+      quantized[field] = view.getInt16(cursor);
+      cursor += 2;
+    }
+  });
+  return { quantized, cursor };
+}
+
+export function quantizePlayerState(state = {}) {
+  return {
+    x: clampInt16(Number(state.x) * POSITION_SCALE),
+    y: clampInt16(Number(state.y) * POSITION_SCALE),
+    z: clampInt16(Number(state.z) * POSITION_SCALE),
+    yaw: clampInt16(Number(state.yaw) * YAW_SCALE),
+    pitch: clampInt16(Number(state.pitch) * PITCH_SCALE)
+  };
+}
+
+export function dequantizePlayerState(quantized) {
+  return {
+    x: quantized.x / POSITION_SCALE,
+    y: quantized.y / POSITION_SCALE,
+    z: quantized.z / POSITION_SCALE,
+    yaw: quantized.yaw / YAW_SCALE,
+    pitch: quantized.pitch / PITCH_SCALE
+  };
+}
+
+// Client -> server. `base` is the quantized state the server last acknowledged.
+export function encodePlayerSync({ seq, baseSeq = NET_NO_BASE, quantized, base = null }) {
+  const mask = baseSeq === NET_NO_BASE ? FULL_MASK : getDeltaMask(quantized, base);
+  const bytes = new Uint8Array(6 + countBits(mask) * 2);
+  const view = new DataView(bytes.buffer);
+  view.setUint8(0, NET_PACKET.PLAYER_SYNC);
+  view.setUint16(1, seq & 0xffff);
+  view.setUint16(3, baseSeq & 0xffff);
+  view.setUint8(5, mask);
+  writeFields(view, 6, quantized, mask);
+  return bytes;
+}
+
+export function decodePlayerSync(data, getBase) {
+  const view = toDataView(data);
+  if (!view || view.byteLength < 6 || view.getUint8(0) !== NET_PACKET.PLAYER_SYNC) {
+    return null;
+  }
+  const seq = view.getUint16(1);
+  const baseSeq = view.getUint16(3);
+  const mask = view.getUint8(5) & FULL_MASK;
+  if (view.byteLength < 6 + countBits(mask) * 2) {
+    return null;
+  }
+
+  const base = baseSeq === NET_NO_BASE ? null : getBase(baseSeq);
+  if (baseSeq !== NET_NO_BASE && !base) {
+    return { seq, baseSeq, quantized: null };
+  }
+  return { seq, baseSeq, quantized: readFields(view, 6, mask, base).quantized };
+}
+
+// Server -> clients. Deltas are against the previous batch; keyframes carry every field.
+export function encodePlayerBatch({ serverTime, keyframe = false, entries = [] }) {
+  const masks = entries.map((entry) => (keyframe ? FULL_MASK : getDeltaMask(entry.quantized, entry.base)));
+  const size = masks.reduce((total, mask) => total + 5 + countBits(mask) * 2, 12);
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  view.setUint8(0, NET_PACKET.PLAYER_BATCH);
+  view.setUint8(1, keyframe ? BATCH_KEYFRAME_FLAG : 0);
+  view.setFloat64(2, serverTime);
+  view.setUint16(10, entries.length);
+
+  let cursor = 12;
+  entries.forEach((entry, index) => {
+    view.setUint16(cursor, entry.netId);
+    view.setUint8(cursor + 2, masks[index]);
+    view.setUint16(cursor + 3, Math.max(0, Math.min(0xffff, Math.round(entry.ageMs ?? 0))));
+    cursor = writeFields(view, cursor + 5, entry.quantized, masks[index]);
+  });
+  return bytes;
+}
+
+export function decodePlayerBatch(data, getBase) {
+  const view = toDataView(data);
+  if (!view || view.byteLength < 12 || view.getUint8(0) !== NET_PACKET.PLAYER_BATCH) {
+    return null;
+  }
+  const keyframe = (view.getUint8(1) & BATCH_KEYFRAME_FLAG) !== 0;
+  const serverTime = view.getFloat64(2);
+  const count = view.getUint16(10);
+  const entries = [];
+
+  let cursor = 12;
+  for (let i = 0; i < count; i += 1) {
+    if (cursor + 5 > view.byteLength) {
+      return null;
+    }
+    const netId = view.getUint16(cursor);
+    const mask = view.getUint8(cursor + 2) & FULL_MASK;
+    const ageMs = view.getUint16(cursor + 3);
+    if (cursor + 5 + countBits(mask) * 2 > view.byteLength) {
+      return null;
+    }
+    const base = keyframe ? null : getBase(netId);
+    const read = readFields(view, cursor + 5, mask, base);
+    cursor = read.cursor;
+    if (!keyframe && !base && mask !== FULL_MASK) {
+      continue;
+    }
+    entries.push({ netId, quantized: read.quantized, updatedAt: serverTime - ageMs });
+  }
+  return { serverTime, keyframe, entries };
+}
+
+function writeBlockEntry(view, offset, entry) {
+  view.setInt16(offset, entry.x);
+  view.setInt16(offset + 2, entry.y);
+  view.setInt16(offset + 4, entry.z);
+  view.setUint8(offset + 6, entry.action === "place" ? Math.max(1, Math.min(255, entry.typeId)) : 0);
+}
+
+function readBlockEntry(view, offset) {
+  const typeId = view.getUint8(offset + 6);
+  const entry = {
+    action: typeId > 0 ? "place" : "remove",
+    x: view.getInt16(offset),
+    y: view.getInt16(offset + 2),
+    z: view.getInt16(offset + 4)
+  };
+  if (typeId > 0) {
+    entry.typeId = typeId;
+  }
+  return entry;
+}
+
+// Block list used in snapshots: 7 bytes per changed block instead of a JSON object.
+export function encodeBlockList(blocks = []) {
+  const bytes = new Uint8Array(blocks.length * BLOCK_ENTRY_BYTES);
+  const view = new DataView(bytes.buffer);
+  blocks.forEach((entry, index) => writeBlockEntry(view, index * BLOCK_ENTRY_BYTES, entry));
+  return bytes;
+}
+
+export function decodeBlockList(data) {
+  const view = toDataView(data);
+  if (!view) {
+    return [];
+  }
+  const blocks = [];
+  for (let offset = 0; offset + BLOCK_ENTRY_BYTES <= view.byteLength; offset += BLOCK_ENTRY_BYTES) {
+    blocks.push(readBlockEntry(view, offset));
+  }
+  return blocks;
+}
+
+export function encodeBlockBatch({ revision = 0, entries = [] }) {
+  const bytes = new Uint8Array(7 + entries.length * (BLOCK_ENTRY_BYTES + 2));
+  const view = new DataView(bytes.buffer);
+  view.setUint8(0, NET_PACKET.BLOCK_BATCH);
+  view.setUint32(1, revision >>> 0);
+  view.setUint16(5, entries.length);
+  entries.forEach((entry, index) => {
+    const offset = 7 + index * (BLOCK_ENTRY_BYTES + 2);
+    view.setUint16(offset, entry.actorNetId ?? 0);
+    writeBlockEntry(view, offset + 2, entry);
+  });
+  return bytes;
+}
+
+export function decodeBlockBatch(data) {
+  const view = toDataView(data);
+  if (!view || view.byteLength < 7 || view.getUint8(0) !== NET_PACKET.BLOCK_BATCH) {
+    return null;
+  }
+  const revision = view.getUint32(1);
+  const count = view.getUint16(5);
+  if (view.byteLength < 7 + count * (BLOCK_ENTRY_BYTES + 2)) {
+    return null;
+  }
+  const entries = [];
+  for (let i = 0; i < count; i += 1) {
+    const offset = 7 + i * (BLOCK_ENTRY_BYTES + 2);
+    entries.push({ actorNetId: view.getUint16(offset), ...readBlockEntry(view, offset + 2) });
+  }
+  return { revision, entries };
+}
@@ -0,0 +1,119 @@
+// Every map fills its columns down to this layer; anything resting on it is on solid ground.
+export const STRUCTURE_GROUND_Y = -8;
+// Bigger overhangs than this are left standing rather than solved on every edit.
+export const MAX_STRUCTURE_SCAN = 4096;
+
+const NEIGHBORS = Object.freeze([
+  [1, 0, 0],
+  [-1, 0, 0],
+  [0, 0, 1],
+  [0, 0, -1],
+  [0, 1, 0],
+  [0, -1, 0]
+]);
+
+function cellKey(x, y, z) {
+  return `${x}|${y}|${z}`;
+}
+
+// Blocks that are no longer held up after the cells in `origins` changed, as { x, y, z, typeId }.
+// A block standing on an unbroken column down to the ground (or one `isAnchored` accepts) carries
+// its type's full support. Support passes straight up, costs one point per block sideways and
+// never hangs from above; whatever ends with no support left falls. Only the overhangs touching
+// `origins` are solved, so the ground itself is never walked.
+export function findUnsupportedBlocks(origins, getTypeAt, options = {}) {
+  const getSupport = options.getSupport ?? (() => 1);
+  const groundY = options.groundY ?? STRUCTURE_GROUND_Y;
+  const isAnchored = options.isAnchored ?? null;
+  const maxScan = options.maxScan ?? MAX_STRUCTURE_SCAN;
+
+  const isGrounded = (x, y, z) => {
+    if (isAnchored?.(x, y, z)) {
+      return true;
+    }
+    for (let cy = y; cy >= groundY; cy -= 1) {
+      if (!getTypeAt(x, cy, z)) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  const loose = new Map();
+  const anchors = new Map();
+  const queue = [];
+  const visit = (x, y, z) => {
+    const key = cellKey(x, y, z);
+    if (loose.has(key) || anchors.has(key)) {
+      return;
+    }
+    const typeId = getTypeAt(x, y, z);
+    if (!typeId) {
+      return;
+    }
+    const cell = { x, y, z, typeId, key, support: 0 };
+    if (isGrounded(x, y, z)) {
+      cell.support = getSupport(typeId);
+      anchors.set(key, cell);
+    } else {
+      loose.set(key, cell);
+      queue.push(cell);
+    }
+  };
+
+  for (const origin of origins) {
+    visit(origin.x, origin.y, origin.z);
+    for (const [dx, dy, dz] of NEIGHBORS) {
+      visit(origin.x + dx, origin.y + dy, origin.z + dz);
+    }
+  }
+  while (queue.length > 0) {
+    if (loose.size > maxScan) {
+      return [];
+    }
+    const cell = queue.pop();
+    for (const [dx, dy, dz] of NEIGHBORS) {
+      visit(cell.x + dx, cell.y + dy, cell.z + dz);
+    }
+  }
+  if (loose.size === 0) {
+    return [];
+  }
+
+  // Widest-path search from the anchors, strongest first, with one bucket per support level.
+  const buckets = [];
+  for (const cell of anchors.values()) {
+    (buckets[cell.support] ??= []).push(cell);
+  }
+  for (let level = buckets.length - 1; level > 0; level -= 1) {
+    const bucket = buckets[level];
+    while (bucket?.length > 0) {
+      const cell = bucket.pop();
+      if (cell.support !== level) {
+        continue;
+      }
+      for (const [dx, dy, dz] of NEIGHBORS) {
+        if (dy < 0) {
+          continue;
+        }
+        const next = loose.get(cellKey(cell.x + dx, cell.y + dy, cell.z + dz));
+        if (!next) {
+          continue;
+        }
+        const carried = Math.min(getSupport(next.typeId), dy > 0 ? level : level - 1);
+        if (carried > next.support) {
+          next.support = carried;
+          (buckets[carried] ??= []).push(next);
+        }
+      }
+    }
+  }
+
+  const fallen = [];
+  for (const cell of loose.values()) {
+    if (cell.support <= 0) {
+      fallen.push({ x: cell.x, y: cell.y, z: cell.z, typeId: cell.typeId });
+    }
+  }
+  return fallen;
+}
@@ -0,0 +1,91 @@
+export const BLOCK_REACH = 12;
+
+// Rays are cut off here so a caller passing Infinity still gets an answer.
+const MAX_RAY_DISTANCE = 1024;
+
+// Amanatides–Woo traversal over unit voxels: visits every cell the ray passes through, in
+// order, and stops at the first one where getTypeAt(x, y, z) is non-zero. `near` skips the
+// start of the ray; distances are still measured from `origin`. Returns
+// { x, y, z, typeId, normal, distance, point } with plain {x, y, z} vectors, or null.
+export function raycastVoxels(origin, direction, maxDistance, getTypeAt, near = 0) {
+  const length = Math.hypot(direction.x, direction.y, direction.z);
+  const start = Math.max(0, Number(near) || 0);
+  const limit = Math.min(Number(maxDistance), MAX_RAY_DISTANCE) - start;
+  if (!(length > 0) || !(limit >= 0)) {
+    return null;
+  }
+
+  const dx = direction.x / length;
+  const dy = direction.y / length;
+  const dz = direction.z / length;
+  const ox = origin.x + dx * start;
+  const oy = origin.y + dy * start;
+  const oz = origin.z + dz * start;
+
+  let x = Math.floor(ox);
+  let y = Math.floor(oy);
+  let z = Math.floor(oz);
+  const stepX = Math.sign(dx);
+  const stepY = Math.sign(dy);
+  const stepZ = Math.sign(dz);
+  const tDeltaX = stepX !== 0 ? Math.abs(1 / dx) : Infinity;
+  const tDeltaY = stepY !== 0 ? Math.abs(1 / dy) : Infinity;
+  const tDeltaZ = stepZ !== 0 ? Math.abs(1 / dz) : Infinity;
+  let tMaxX = stepX > 0 ? (x + 1 - ox) / dx : stepX < 0 ? (x - ox) / dx : Infinity;
+  let tMaxY = stepY > 0 ? (y + 1 - oy) / dy : stepY < 0 ? (y - oy) / dy : Infinity;
+  let tMaxZ = stepZ > 0 ? (z + 1 - oz) / dz : stepZ < 0 ? (z - oz) / dz : Infinity;
+
+  // A ray that starts inside a block hits it at once; the normal then faces back along the
+  // ray's main axis.
+  const ax = Math.abs(dx);
+  const ay = Math.abs(dy);
+  const az = Math.abs(dz);
+  let normal =
+    ax >= ay && ax >= az
+      ? { x: -stepX, y: 0, z: 0 }
+      : ay >= az
+        ? { x: 0, y: -stepY, z: 0 }
+        : { x: 0, y: 0, z: -stepZ };
+  let t = 0;
+
+  for (;;) {
+    const typeId = getTypeAt(x, y, z);
+    if (typeId) {
+      return {
+        x,
+        y,
+        z,
+        typeId,
+        normal,
+        distance: start + t,
+        point: { x: ox + dx * t, y: oy + dy * t, z: oz + dz * t }
+      };
+    }
+
+    if (tMaxX < tMaxY && tMaxX < tMaxZ) {
+      if (tMaxX > limit) {
+        return null;
+      }
+      t = tMaxX;
+      x += stepX;
+      tMaxX += tDeltaX;
+      normal = { x: -stepX, y: 0, z: 0 };
+    } else if (tMaxY < tMaxZ) {
+      if (tMaxY > limit) {
+        return null;
+      }
+      t = tMaxY;
+      y += stepY;
+      tMaxY += tDeltaY;
+      normal = { x: 0, y: -stepY, z: 0 };
+    } else {
+      if (tMaxZ > limit) {
+        return null;
+      }
+      t = tMaxZ;
+      z += stepZ;
+      tMaxZ += tDeltaZ;
+      normal = { x: 0, y: 0, z: -stepZ };
+    }
+  }
+}
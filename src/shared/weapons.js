@@ -0,0 +1,139 @@
+import { HIT_ZONE, normalizeHitZone } from "./hitZones.js";
+
+export const FIRE_MODE = Object.freeze({
+  SEMI: "semi",
+  BURST: "burst",
+  AUTO: "auto"
+});
+
+export const FIRE_MODE_LABEL = Object.freeze({
+  [FIRE_MODE.SEMI]: "단발",
+  [FIRE_MODE.BURST]: "점사",
+  [FIRE_MODE.AUTO]: "연사"
+});
+
+export const WEAPON_ID = Object.freeze({
+  RIFLE: "rifle",
+  SMG: "smg",
+  SHOTGUN: "shotgun",
+  SNIPER: "sniper",
+  PISTOL: "pistol"
+});
+
+export const DEFAULT_WEAPON_ID = WEAPON_ID.RIFLE;
+export const WEAPON_SWITCH_MS = 350;
+
+// PvE enemies have 40 HP; scaling keeps the rifle at the original two-hit kill.
+export const PVE_DAMAGE_SCALE = 0.6;
+
+export const WEAPON_DEFS = Object.freeze({
+  [WEAPON_ID.RIFLE]: Object.freeze({
+    id: WEAPON_ID.RIFLE,
+    name: "소총",
+    fireModes: Object.freeze([FIRE_MODE.AUTO, FIRE_MODE.BURST, FIRE_MODE.SEMI]),
+    magazineSize: 30,
+    reserve: 150,
+    reloadSeconds: 1.25,
+    shotInterval: 0.1,
+    burstCount: 3,
+    burstDelay: 0.28,
+    pellets: 1,
+    spread: Object.freeze({ hip: 0.018, aim: 0.004 }),
+    damage: Object.freeze({ max: 34, min: 24, falloffStart: 30, falloffEnd: 80 }),
+    zoneMultipliers: Object.freeze({ [HIT_ZONE.HEAD]: 1.6, [HIT_ZONE.TORSO]: 1, [HIT_ZONE.LIMBS]: 0.75 }),
+    range: 120
+  }),
+  [WEAPON_ID.SMG]: Object.freeze({
+    id: WEAPON_ID.SMG,
+    name: "기관단총",
+    fireModes: Object.freeze([FIRE_MODE.AUTO, FIRE_MODE.SEMI]),
+    magazineSize: 40,
+    reserve: 200,
+    reloadSeconds: 1.4,
+    shotInterval: 0.065,
+    burstCount: 1,
+    burstDelay: 0,
+    pellets: 1,
+    spread: Object.freeze({ hip: 0.032, aim: 0.012 }),
+    damage: Object.freeze({ max: 22, min: 12, falloffStart: 14, falloffEnd: 45 }),
+    zoneMultipliers: Object.freeze({ [HIT_ZONE.HEAD]: 1.4, [HIT_ZONE.TORSO]: 1, [HIT_ZONE.LIMBS]: 0.8 }),
+    range: 90
+  }),
+  [WEAPON_ID.SHOTGUN]: Object.freeze({
+    id: WEAPON_ID.SHOTGUN,
+    name: "산탄총",
+    fireModes: Object.freeze([FIRE_MODE.SEMI]),
+    magazineSize: 6,
+    reserve: 36,
+    reloadSeconds: 1.9,
+    shotInterval: 0.85,
+    burstCount: 1,
+    burstDelay: 0,
+    pellets: 8,
+    spread: Object.freeze({ hip: 0.075, aim: 0.06 }),
+    damage: Object.freeze({ max: 14, min: 3, falloffStart: 6, falloffEnd: 24 }),
+    zoneMultipliers: Object.freeze({ [HIT_ZONE.HEAD]: 1.25, [HIT_ZONE.TORSO]: 1, [HIT_ZONE.LIMBS]: 0.8 }),
+    range: 40
+  }),
+  [WEAPON_ID.SNIPER]: Object.freeze({
+    id: WEAPON_ID.SNIPER,
+    name: "저격총",
+    fireModes: Object.freeze([FIRE_MODE.SEMI]),
+    magazineSize: 5,
+    reserve: 25,
+    reloadSeconds: 2.4,
+    shotInterval: 1.1,
+    burstCount: 1,
+    burstDelay: 0,
+    pellets: 1,
+    spread: Object.freeze({ hip: 0.06, aim: 0.0005 }),
+    damage: Object.freeze({ max: 95, min: 80, falloffStart: 60, falloffEnd: 160 }),
+    zoneMultipliers: Object.freeze({ [HIT_ZONE.HEAD]: 2.0, [HIT_ZONE.TORSO]: 1, [HIT_ZONE.LIMBS]: 0.7 }),
+    range: 160
+  }),
+  [WEAPON_ID.PISTOL]: Object.freeze({
+    id: WEAPON_ID.PISTOL,
+    name: "권총",
+    fireModes: Object.freeze([FIRE_MODE.SEMI]),
+    magazineSize: 12,
+    reserve: 72,
+    reloadSeconds: 1.0,
+    shotInterval: 0.18,
+    burstCount: 1,
+    burstDelay: 0,
+    pellets: 1,
+    spread: Object.freeze({ hip: 0.02, aim: 0.008 }),
+    damage: Object.freeze({ max: 26, min: 16, falloffStart: 15, falloffEnd: 50 }),
+    zoneMultipliers: Object.freeze({ [HIT_ZONE.HEAD]: 1.7, [HIT_ZONE.TORSO]: 1, [HIT_ZONE.LIMBS]: 0.75 }),
+    range: 80
+  })
+});
+
+export const WEAPON_ORDER = Object.freeze([
+  WEAPON_ID.RIFLE,
+  WEAPON_ID.SMG,
+  WEAPON_ID.SHOTGUN,
+  WEAPON_ID.SNIPER,
+  WEAPON_ID.PISTOL
+]);
+
+export function normalizeWeaponId(value) {
+  return Object.hasOwn(WEAPON_DEFS, value) ? value : DEFAULT_WEAPON_ID;
+}
+
+export function getWeaponDefinition(weaponId) {
+  return WEAPON_DEFS[normalizeWeaponId(weaponId)];
+}
+
+export function getWeaponDamage(weaponId, distance, hitZone = HIT_ZONE.TORSO) {
+  const definition = getWeaponDefinition(weaponId);
+  const { max, min, falloffStart, falloffEnd } = definition.damage;
+  const dist = Math.max(0, Number(distance) || 0);
+  let damage = max;
+  if (dist >= falloffEnd) {
+    damage = min;
+  } else if (dist > falloffStart) {
+    damage = max + (min - max) * ((dist - falloffStart) / (falloffEnd - falloffStart));
+  }
+  return Math.round(damage * definition.zoneMultipliers[normalizeHitZone(hitZone)]);
+}